@@ -0,0 +1,128 @@
+const {
+  CITATION_FORMATS,
+  formatBibtex,
+  formatRis,
+  formatCslJson,
+  formatCitations
+} = require('../../src/utils/citationFormats');
+
+describe('Citation Formats', () => {
+  const paper = {
+    id: 'paper1',
+    type: 'paper-conference',
+    title: 'Supply Chains & Regional Banks',
+    author: [
+      { family: 'Smith', given: 'Jane' },
+      { family: 'Núñez', given: 'Carlos' }
+    ],
+    issued: { 'date-parts': [[2024, 8, 9]] },
+    'container-title': 'Proceedings of SOBIE 2024',
+    'event-place': 'Sandestin, FL',
+    volume: '22',
+    page: '10-18',
+    publisher: 'SOBIE',
+    DOI: '10.5555/sobie.2024.v22.001',
+    keyword: 'supply chain, banking',
+    abstract: 'We study\nsupply chains.'
+  };
+
+  const presentation = {
+    id: 'talk1',
+    type: 'speech',
+    title: 'Pricing 100% of Risk',
+    author: [{ family: 'Jones', given: 'Pat' }],
+    issued: { 'date-parts': [[2024]] },
+    'event-title': 'SOBIE 2024',
+    'event-place': 'Sandestin, FL',
+    genre: 'Conference presentation'
+  };
+
+  describe('formatBibtex', () => {
+    test('should format proceedings papers as inproceedings entries', () => {
+      const bibtex = formatBibtex([paper]);
+
+      expect(bibtex).toMatch(/^@inproceedings\{smith2024supply,\n/);
+      expect(bibtex).toContain('  author = {Smith, Jane and Núñez, Carlos}');
+      expect(bibtex).toContain('  title = {{Supply Chains \\& Regional Banks}}');
+      expect(bibtex).toContain('  booktitle = {Proceedings of SOBIE 2024}');
+      expect(bibtex).toContain('  month = aug');
+      expect(bibtex).toContain('  pages = {10--18}');
+      expect(bibtex).toContain('  address = {Sandestin, FL}');
+      expect(bibtex).toContain('  doi = {10.5555/sobie.2024.v22.001}');
+      expect(bibtex.endsWith('}\n')).toBe(true);
+    });
+
+    test('should format presentations as misc entries', () => {
+      const bibtex = formatBibtex([presentation]);
+
+      expect(bibtex).toMatch(/^@misc\{jones2024pricing,/);
+      expect(bibtex).toContain('  title = {{Pricing 100\\% of Risk}}');
+      expect(bibtex).toContain('  howpublished = {Presented at SOBIE 2024, Sandestin, FL}');
+      expect(bibtex).toContain('  note = {Conference presentation}');
+      expect(bibtex).not.toContain('booktitle');
+      expect(bibtex).not.toContain('address');
+    });
+
+    test('should keep citation keys unique within an export', () => {
+      const bibtex = formatBibtex([paper, paper, paper]);
+      const keys = bibtex.match(/^@\w+\{([^,]+),/gm);
+
+      expect(keys).toEqual([
+        '@inproceedings{smith2024supply,',
+        '@inproceedings{smith2024supplya,',
+        '@inproceedings{smith2024supplyb,'
+      ]);
+    });
+
+    test('should escape LaTeX special characters', () => {
+      const bibtex = formatBibtex([{ ...presentation, title: 'Costs_{t} at #1 ~ $5^2 \\ more' }]);
+
+      expect(bibtex).toContain('{{Costs\\_\\{t\\} at \\#1 \\textasciitilde{} \\$5\\textasciicircum{}2 \\textbackslash{} more}}');
+    });
+  });
+
+  describe('formatRis', () => {
+    test('should write one tagged line per field with CRLF line endings', () => {
+      const lines = formatRis([paper]).split('\r\n');
+
+      expect(lines[0]).toBe('TY  - CPAPER');
+      expect(lines).toContain('AU  - Smith, Jane');
+      expect(lines).toContain('AU  - Núñez, Carlos');
+      expect(lines).toContain('T2  - Proceedings of SOBIE 2024');
+      expect(lines).toContain('DA  - 2024/08/09/');
+      expect(lines).toContain('SP  - 10');
+      expect(lines).toContain('EP  - 18');
+      expect(lines).toContain('KW  - supply chain');
+      expect(lines).toContain('KW  - banking');
+      expect(lines).toContain('AB  - We study supply chains.');
+      expect(lines).toContain('ER  - ');
+    });
+
+    test('should separate records with a blank line and omit missing fields', () => {
+      const ris = formatRis([paper, presentation]);
+      const records = ris.trim().split('\r\n\r\n');
+
+      expect(records).toHaveLength(2);
+      expect(records[1]).toContain('T2  - SOBIE 2024');
+      expect(records[1]).toContain('DA  - 2024///');
+      expect(records[1]).not.toContain('SP  -');
+    });
+  });
+
+  describe('formatCitations', () => {
+    test('should pick the serializer for the format', () => {
+      expect(formatCitations([paper], 'ris')).toBe(formatRis([paper]));
+      expect(JSON.parse(formatCitations([paper], 'csl'))).toEqual([paper]);
+      expect(formatCitations([paper], 'csl')).toBe(formatCslJson([paper]));
+    });
+
+    test('should default to BibTeX', () => {
+      expect(formatCitations([paper])).toBe(formatBibtex([paper]));
+    });
+
+    test('should describe a download for every format', () => {
+      expect(Object.keys(CITATION_FORMATS)).toEqual(['bibtex', 'ris', 'csl']);
+      expect(CITATION_FORMATS.ris.extension).toBe('ris');
+    });
+  });
+});
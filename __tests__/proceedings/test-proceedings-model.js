@@ -157,6 +157,7 @@ async function testProceedingsDataModel() {
 
     // Test 5: Add revision
     console.log('\n📋 Test 5: Request revision');
+    testSubmission.makeProceedingsDecision('revision_required', testEditor._id, 'Please expand on the methodology section.');
     const revisionData = {
       comments: 'Please expand on the methodology section and add more recent references.',
       filename: 'revised-paper.pdf',
@@ -319,7 +319,7 @@ async function testProceedingsStatusTracking() {
     console.log('\n🔄 Testing workflow methods:');
     
     // Test making a decision (accept)
-    submission.makeProceedingsDecision('accepted', 'Excellent paper, ready for publication');
+    submission.makeProceedingsDecision('accept', null, 'Excellent paper, ready for publication');
     await submission.save();
     console.log('✅ Decision made: accepted');
 
@@ -0,0 +1,187 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const AgendaBookmark = require('../../src/models/AgendaBookmark');
+const Session = require('../../src/models/Session');
+const ResearchPresentation = require('../../src/models/ResearchPresentation');
+const agendaService = require('../../src/services/agendaService');
+
+describe('Agenda', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const conferenceId = id();
+  const user = { _id: id() };
+  const otherUser = { _id: id() };
+
+  // Stand-in for a mongoose query: chainable, and resolves to the given documents
+  const query = (result) => {
+    const chain = {
+      select: () => chain,
+      populate: () => chain,
+      sort: () => chain,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const includesId = (ids, value) => ids.some(other => other.toString() === value.toString());
+
+  const session = (title, startTime, endTime, overrides = {}) => new Session({
+    _id: id(),
+    conferenceId,
+    sessionNumber: 1,
+    title,
+    date: new Date('2026-04-09T00:00:00.000Z'),
+    startTime,
+    endTime,
+    location: { room: 'Azalea' },
+    ...overrides
+  });
+
+  const presentation = (title, sessionId, submissionId = id()) => ({ _id: id(), title, sessionId, submissionId });
+
+  const bookmark = (owner, target) => ({ _id: id(), userId: owner._id, conferenceId, sessionId: null, presentationId: null, ...target });
+
+  const paperBookmark = (owner, paper) => bookmark(owner, { presentationId: paper._id, submissionId: paper.submissionId });
+
+  // Mirror the filters agendaService sends to the database
+  const usePresentations = (presentations) => {
+    jest.spyOn(ResearchPresentation, 'find').mockImplementation(({ $or }) => query(presentations.filter(p =>
+      $or.some(condition => condition._id
+        ? includesId(condition._id.$in, p._id)
+        : p.sessionId && p.submissionId && includesId(condition.submissionId.$in, p.submissionId)))));
+  };
+
+  const useSessions = (sessions) => {
+    jest.spyOn(Session, 'find').mockImplementation(filter => query(sessions.filter(s =>
+      includesId(filter._id.$in, s._id) && !(s.scheduling && s.scheduling.isDraft))));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('countDemand', () => {
+    test('should count each person once per session', async () => {
+      const keynote = session('Keynote', '9:00 AM', '10:30 AM');
+      const paper = presentation('Pricing Power', keynote._id);
+      usePresentations([paper]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query([
+        bookmark(user, { sessionId: keynote._id }),
+        paperBookmark(user, paper),
+        paperBookmark(otherUser, paper)
+      ]));
+
+      const demand = await agendaService.countDemand(conferenceId);
+
+      expect([...demand.entries()]).toEqual([[keynote._id.toString(), 2]]);
+    });
+
+    test('should follow a moved paper to its new session by its submission', async () => {
+      const before = session('Banking I', '9:00 AM', '10:30 AM');
+      const after = session('Banking II', '1:00 PM', '2:30 PM');
+      const submissionId = id();
+      // The presentation in the old session was replaced when the paper moved
+      const moved = presentation('Pricing Power', after._id, submissionId);
+      usePresentations([moved]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query([
+        bookmark(user, { presentationId: id(), submissionId }),
+        bookmark(otherUser, { sessionId: before._id })
+      ]));
+
+      const demand = await agendaService.countDemand(conferenceId);
+
+      expect(demand.get(after._id.toString())).toBe(1);
+      expect(demand.get(before._id.toString())).toBe(1);
+    });
+
+    test('should leave out papers that are no longer on the program', async () => {
+      usePresentations([]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query([
+        bookmark(user, { presentationId: id(), submissionId: id() })
+      ]));
+
+      const demand = await agendaService.countDemand(conferenceId);
+
+      expect(demand.size).toBe(0);
+    });
+  });
+
+  describe('getAgenda', () => {
+    test('should flag every pair of overlapping sessions', async () => {
+      const morning = session('Morning', '9:00 AM', '10:30 AM');
+      const middle = session('Middle', '10:00 AM', '11:00 AM', { location: { room: 'Magnolia' } });
+      const late = session('Late Morning', '10:30 AM', '12:00 PM');
+      useSessions([morning, middle, late]);
+      usePresentations([]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query(
+        [morning, middle, late].map(s => bookmark(user, { sessionId: s._id }))
+      ));
+
+      const { items, overlaps } = await agendaService.getAgenda(user, conferenceId);
+
+      expect(overlaps.map(o => o.sessions.map(s => s.title))).toEqual([
+        ['Morning', 'Middle'],
+        ['Middle', 'Late Morning']
+      ]);
+      expect(overlaps[0].sessions[1]).toMatchObject({ startTime: '10:00 AM', endTime: '11:00 AM', room: 'Magnolia' });
+      expect(items.map(item => item.overlapsWith)).toEqual([
+        [middle._id],
+        [morning._id, late._id],
+        [middle._id]
+      ]);
+    });
+
+    test('should keep cancelled sessions on the agenda without flagging overlaps', async () => {
+      const kept = session('Kept', '9:00 AM', '10:30 AM');
+      const cancelled = session('Cancelled', '9:00 AM', '10:30 AM', { status: 'cancelled' });
+      useSessions([kept, cancelled]);
+      usePresentations([]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query(
+        [kept, cancelled].map(s => bookmark(user, { sessionId: s._id }))
+      ));
+
+      const { items, overlaps } = await agendaService.getAgenda(user, conferenceId);
+
+      expect(items.map(item => item.session.title)).toEqual(['Kept', 'Cancelled']);
+      expect(overlaps).toEqual([]);
+      items.forEach(item => expect(item.overlapsWith).toEqual([]));
+    });
+
+    test('should list a moved paper under its new session', async () => {
+      const after = session('Banking II', '1:00 PM', '2:30 PM');
+      const submissionId = id();
+      const moved = presentation('Pricing Power', after._id, submissionId);
+      const saved = bookmark(user, { presentationId: id(), submissionId, note: 'Ask about data' });
+      useSessions([after]);
+      usePresentations([moved]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query([saved]));
+
+      const { items, orphaned } = await agendaService.getAgenda(user, conferenceId);
+
+      expect(items).toHaveLength(1);
+      expect(items[0].session).toBe(after);
+      expect(items[0].bookmarks).toEqual([{
+        _id: saved._id,
+        type: 'presentation',
+        presentationId: saved.presentationId,
+        title: 'Pricing Power',
+        note: 'Ask about data'
+      }]);
+      expect(orphaned).toEqual([]);
+    });
+
+    test('should report bookmarks whose session left the program as orphaned', async () => {
+      const draft = session('Draft', '9:00 AM', '10:30 AM', { scheduling: { isDraft: true } });
+      const gone = bookmark(user, { sessionId: draft._id });
+      const lostPaper = bookmark(user, { presentationId: id(), submissionId: id() });
+      useSessions([draft]);
+      usePresentations([]);
+      jest.spyOn(AgendaBookmark, 'find').mockReturnValue(query([gone, lostPaper]));
+
+      const { items, orphaned } = await agendaService.getAgenda(user, conferenceId);
+
+      expect(items).toEqual([]);
+      expect(orphaned).toEqual([gone._id, lostPaper._id]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  parseClockTime,
+  getZoneOffset,
+  zonedTimeToUtc,
+  formatUtc,
+  escapeText,
+  foldLine,
+  buildCalendar
+} = require('../../src/utils/icalendar');
+
+describe('iCalendar', () => {
+  describe('parseClockTime', () => {
+    test('should convert 12-hour times to minutes since midnight', () => {
+      expect(parseClockTime('9:00 AM')).toBe(540);
+      expect(parseClockTime('1:45 PM')).toBe(825);
+      expect(parseClockTime(' 12:00 AM ')).toBe(0);
+      expect(parseClockTime('12:30 PM')).toBe(750);
+    });
+
+    test('should return null for times it cannot read', () => {
+      expect(parseClockTime('09:00')).toBeNull();
+      expect(parseClockTime('noon')).toBeNull();
+      expect(parseClockTime(undefined)).toBeNull();
+    });
+  });
+
+  describe('getZoneOffset', () => {
+    test('should follow daylight saving time', () => {
+      expect(getZoneOffset(new Date('2026-07-01T12:00:00Z'), 'America/Chicago')).toBe(-300);
+      expect(getZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/Chicago')).toBe(-360);
+      expect(getZoneOffset(new Date('2026-01-15T12:00:00Z'), 'UTC')).toBe(0);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert conference wall-clock times to UTC', () => {
+      expect(zonedTimeToUtc('2026-07-01', 540, 'America/Chicago').toISOString()).toBe('2026-07-01T14:00:00.000Z');
+      expect(zonedTimeToUtc('2026-01-15', 540, 'America/Chicago').toISOString()).toBe('2026-01-15T15:00:00.000Z');
+    });
+
+    test('should use the offset in force on either side of a daylight saving change', () => {
+      // Clocks in Chicago went forward at 2:00 AM on 8 March 2026
+      expect(zonedTimeToUtc('2026-03-08', 60, 'America/Chicago').toISOString()).toBe('2026-03-08T07:00:00.000Z');
+      expect(zonedTimeToUtc('2026-03-08', 180, 'America/Chicago').toISOString()).toBe('2026-03-08T08:00:00.000Z');
+    });
+  });
+
+  describe('formatUtc', () => {
+    test('should write UTC date-times in basic format', () => {
+      expect(formatUtc(new Date('2026-07-01T14:05:09.123Z'))).toBe('20260701T140509Z');
+    });
+  });
+
+  describe('escapeText', () => {
+    test('should escape backslashes, separators and newlines', () => {
+      expect(escapeText('Room A; Hall 2, East\r\nSee C:\\notes')).toBe('Room A\\; Hall 2\\, East\\nSee C:\\\\notes');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Opening Keynote')).toBe('SUMMARY:Opening Keynote');
+    });
+
+    test('should fold long lines at 75 octets with a leading space', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines[0]).toHaveLength(75);
+      lines.slice(1).forEach(line => {
+        expect(line.startsWith(' ')).toBe(true);
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+      expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+
+    test('should not split multi-byte characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+      folded.split('\r\n').forEach(line => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('\uFFFD');
+      });
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const calendar = buildCalendar({
+      name: 'SOBIE 2026, Program',
+      description: 'Conference program',
+      timeZone: 'America/Chicago',
+      events: [
+        {
+          uid: 'session-1@sobie.org',
+          start: new Date('2026-04-09T14:00:00Z'),
+          end: new Date('2026-04-09T15:30:00Z'),
+          summary: 'Finance I',
+          location: 'Room A',
+          categories: ['Finance', 'Paper session'],
+          lastModified: new Date('2026-03-01T00:00:00Z')
+        },
+        {
+          uid: 'day-1@sobie.org',
+          start: new Date('2026-04-08T00:00:00Z'),
+          allDay: true,
+          summary: 'Registration',
+          status: 'TENTATIVE'
+        }
+      ]
+    });
+    const lines = calendar.split('\r\n');
+
+    test('should wrap events in a calendar with CRLF line endings', () => {
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('VERSION:2.0');
+      expect(lines).toContain('X-WR-CALNAME:SOBIE 2026\\, Program');
+      expect(lines).toContain('X-WR-TIMEZONE:America/Chicago');
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    });
+
+    test('should ask subscribers to refresh every hour', () => {
+      expect(lines).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+      expect(lines).toContain('X-PUBLISHED-TTL:PT1H');
+    });
+
+    test('should write timed events in UTC', () => {
+      expect(lines).toContain('DTSTART:20260409T140000Z');
+      expect(lines).toContain('DTEND:20260409T153000Z');
+      expect(lines).toContain('CATEGORIES:Finance,Paper session');
+      expect(lines).toContain('LAST-MODIFIED:20260301T000000Z');
+      expect(lines).toContain('STATUS:CONFIRMED');
+    });
+
+    test('should write all-day events as dates', () => {
+      expect(lines).toContain('DTSTART;VALUE=DATE:20260408');
+      expect(lines).toContain('DTEND;VALUE=DATE:20260409');
+      expect(lines).toContain('STATUS:TENTATIVE');
+    });
+  });
+});
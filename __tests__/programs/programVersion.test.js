@@ -0,0 +1,197 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const programVersionService = require('../../src/services/programVersionService');
+
+describe('Program Versions', () => {
+  const paper = (id, presenterId = `presenter-${id}`) => ({
+    presentationId: `presentation-${id}`,
+    submissionId: `submission-${id}`,
+    title: `Paper ${id}`,
+    presenters: [{ name: `Presenter ${id}`, userId: presenterId }]
+  });
+
+  const session = (id, overrides = {}) => ({
+    sessionId: id,
+    sessionNumber: parseInt(id.replace(/\D/g, '')) || 1,
+    title: `Session ${id}`,
+    date: new Date('2026-04-09T00:00:00.000Z'),
+    startTime: '9:00 AM',
+    endTime: '10:30 AM',
+    location: { room: 'Azalea', building: 'Conference Center' },
+    chair: { name: `Chair ${id}`, userId: `chair-${id}` },
+    status: 'scheduled',
+    presentations: [],
+    ...overrides
+  });
+
+  describe('diff', () => {
+    test('should find no changes between identical programs', () => {
+      const program = [session('s1', { presentations: [paper('a')] })];
+
+      expect(programVersionService.diff(program, program.map(s => ({ ...s })))).toEqual({
+        changes: [],
+        added: 0,
+        removed: 0,
+        changed: 0,
+        hasChanges: false
+      });
+    });
+
+    test('should report added and removed sessions', () => {
+      const result = programVersionService.diff(
+        [session('s1', { presentations: [paper('a')] })],
+        [session('s2', { presentations: [paper('b')] })]
+      );
+
+      expect(result).toMatchObject({ added: 1, removed: 1, changed: 0, hasChanges: true });
+      expect(result.changes.map(c => [c.kind, c.sessionId, c.changeType])).toEqual([
+        ['added', 's2', 'addition'],
+        ['removed', 's1', 'cancellation']
+      ]);
+      expect(result.changes[0].papersAdded.map(p => p.title)).toEqual(['Paper b']);
+      expect(result.changes[1].papersRemoved.map(p => p.title)).toEqual(['Paper a']);
+    });
+
+    test('should follow a paper that moved between sessions by its submission', () => {
+      const moved = paper('a');
+      const published = [
+        session('s1', { presentations: [moved, paper('b')] }),
+        session('s2', { presentations: [paper('c')] })
+      ];
+      const draft = [
+        session('s1', { presentations: [paper('b')] }),
+        // Re-created presentation record for the same submission
+        session('s2', { presentations: [paper('c'), { ...moved, presentationId: 'presentation-new' }] })
+      ];
+
+      const { changes } = programVersionService.diff(published, draft);
+
+      expect(changes.map(c => [c.sessionId, c.changeType])).toEqual([
+        ['s1', 'content_change'],
+        ['s2', 'content_change']
+      ]);
+      expect(changes[0].fields).toEqual({ papers: { added: [], removed: ['Paper a'] } });
+      expect(changes[1].fields).toEqual({ papers: { added: ['Paper a'], removed: [] } });
+    });
+
+    test('should not treat a re-created presentation of the same paper as a change', () => {
+      const published = [session('s1', { presentations: [paper('a')] })];
+      const draft = [session('s1', { presentations: [{ ...paper('a'), presentationId: 'presentation-new' }] })];
+
+      expect(programVersionService.diff(published, draft).hasChanges).toBe(false);
+    });
+  });
+
+  describe('diffSession', () => {
+    test('should report a re-timed session as a time change', () => {
+      const change = programVersionService.diffSession(
+        session('s1'),
+        session('s1', { startTime: '1:00 PM', endTime: '2:30 PM' })
+      );
+
+      expect(change.changeType).toBe('time_change');
+      expect(change.fields.time).toEqual({
+        from: 'Thu, Apr 9, 9:00 AM - 10:30 AM',
+        to: 'Thu, Apr 9, 1:00 PM - 2:30 PM'
+      });
+    });
+
+    test('should report a move to another day as a time change', () => {
+      const change = programVersionService.diffSession(
+        session('s1'),
+        session('s1', { date: new Date('2026-04-10T00:00:00.000Z') })
+      );
+
+      expect(change.changeType).toBe('time_change');
+    });
+
+    test('should compare rooms by id when both versions have one', () => {
+      const before = session('s1', { location: { roomId: 'room-1', room: 'Azalea', building: 'Conference Center' } });
+      const renamed = session('s1', { location: { roomId: 'room-1', room: 'Azalea Ballroom', building: 'Conference Center' } });
+      const moved = session('s1', { location: { roomId: 'room-2', room: 'Azalea', building: 'Conference Center' } });
+
+      expect(programVersionService.diffSession(before, renamed)).toBeNull();
+      expect(programVersionService.diffSession(before, moved).changeType).toBe('location_change');
+    });
+
+    test('should report a room change by name or building', () => {
+      const change = programVersionService.diffSession(
+        session('s1'),
+        session('s1', { location: { room: 'Magnolia', building: 'Conference Center' } })
+      );
+
+      expect(change.changeType).toBe('location_change');
+      expect(change.fields.location).toEqual({ from: 'Azalea, Conference Center', to: 'Magnolia, Conference Center' });
+    });
+
+    test('should rank a cancellation above every other change', () => {
+      const change = programVersionService.diffSession(
+        session('s1'),
+        session('s1', { status: 'cancelled', startTime: '1:00 PM', location: { room: 'Magnolia' } })
+      );
+
+      expect(change.changeType).toBe('cancellation');
+      expect(Object.keys(change.fields)).toEqual(['status', 'time', 'location']);
+    });
+
+    test('should report a new chair as a speaker change', () => {
+      const change = programVersionService.diffSession(
+        session('s1'),
+        session('s1', { chair: { name: 'New Chair', userId: 'chair-new' } })
+      );
+
+      expect(change.changeType).toBe('speaker_change');
+      expect(change.fields.chair).toEqual({ from: 'Chair s1', to: 'New Chair' });
+    });
+  });
+
+  describe('getAffectedUsers', () => {
+    test('should only reach the presenters of moved papers and the chair when papers moved', () => {
+      const published = [session('s1', { presentations: [paper('a'), paper('b')] })];
+      const draft = [session('s1', { presentations: [paper('b'), paper('c')] })];
+      const [change] = programVersionService.diff(published, draft).changes;
+
+      expect(programVersionService.getAffectedUsers(change).sort()).toEqual(
+        ['chair-s1', 'presenter-a', 'presenter-c']
+      );
+    });
+
+    test('should reach everyone in the session before and after a session-wide change', () => {
+      const published = [session('s1', { presentations: [paper('a'), paper('b')] })];
+      const draft = [session('s1', {
+        startTime: '1:00 PM',
+        chair: { name: 'New Chair', userId: 'chair-new' },
+        presentations: [paper('b'), paper('c')]
+      })];
+      const [change] = programVersionService.diff(published, draft).changes;
+
+      expect(programVersionService.getAffectedUsers(change).sort()).toEqual(
+        ['chair-new', 'chair-s1', 'presenter-a', 'presenter-b', 'presenter-c']
+      );
+    });
+
+    test('should reach everyone in a removed session once', () => {
+      const published = [session('s1', { presentations: [paper('a', 'same-person'), paper('b', 'same-person')] })];
+      const [change] = programVersionService.diff(published, []).changes;
+
+      expect(programVersionService.getAffectedUsers(change).sort()).toEqual(['chair-s1', 'same-person']);
+    });
+  });
+
+  describe('summarizeChange', () => {
+    test('should leave out the full snapshots', () => {
+      const [change] = programVersionService.diff([], [session('s1', { presentations: [paper('a')] })]).changes;
+
+      expect(programVersionService.summarizeChange(change)).toEqual({
+        kind: 'added',
+        sessionId: 's1',
+        sessionNumber: 1,
+        title: 'Session s1',
+        changeType: 'addition',
+        fields: {},
+        papersAdded: [{ submissionId: 'submission-a', title: 'Paper a' }],
+        papersRemoved: []
+      });
+    });
+  });
+});
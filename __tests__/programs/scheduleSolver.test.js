@@ -0,0 +1,274 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const scheduleSolverService = require('../../src/services/scheduleSolverService');
+
+describe('Schedule Solver', () => {
+  const submission = (id, overrides = {}) => ({
+    _id: id,
+    title: `Paper ${id}`,
+    discipline: 'finance',
+    keywords: [],
+    correspondingAuthor: {
+      userId: `user-${id}`,
+      email: `${id}@example.edu`,
+      affiliation: { institution: `University ${id}` }
+    },
+    coAuthors: [],
+    presentationDetails: {},
+    ...overrides
+  });
+
+  const paper = (id, overrides) => scheduleSolverService.describePaper(submission(id, overrides));
+
+  const slot = (date, startTime, endTime) => scheduleSolverService.describeSlot(new Date(date), startTime, endTime);
+
+  const cell = (cellSlot, name, capacity = 4) => ({
+    slot: cellSlot,
+    room: { name },
+    capacity,
+    papers: [],
+    pinned: new Set()
+  });
+
+  const morning = slot('2026-04-09', '9:00 AM', '10:30 AM');
+  const lateMorning = slot('2026-04-09', '10:30 AM', '12:00 PM');
+  const afternoon = slot('2026-04-09', '1:00 PM', '2:30 PM');
+
+  describe('parseTimeSlots', () => {
+    test('should describe valid slots with their day and period', () => {
+      const { slots, errors } = scheduleSolverService.parseTimeSlots([
+        { date: '2026-04-09', startTime: '9:00 AM', endTime: '10:30 AM' },
+        { date: '2026-04-10', startTime: '1:00 PM', endTime: '2:30 PM' }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(slots.map(s => [s.key, s.day, s.period, s.start, s.end])).toEqual([
+        ['2026-04-09 9:00 AM', 'thursday', 'am', 540, 630],
+        ['2026-04-10 1:00 PM', 'friday', 'pm', 780, 870]
+      ]);
+    });
+
+    test('should report invalid dates, times and ranges by position', () => {
+      const { slots, errors } = scheduleSolverService.parseTimeSlots([
+        { date: 'not a date', startTime: '9:00 AM', endTime: '10:00 AM' },
+        { date: '2026-04-09', startTime: '09:00', endTime: '10:00 AM' },
+        { date: '2026-04-09', startTime: '2:00 PM', endTime: '1:00 PM' }
+      ]);
+
+      expect(slots).toEqual([]);
+      expect(errors).toEqual([
+        'Time slot 1 has an invalid date',
+        'Time slot 2 times must look like "9:00 AM"',
+        'Time slot 3 ends before it starts'
+      ]);
+    });
+  });
+
+  describe('slotsOverlap', () => {
+    test('should only overlap on the same day with shared minutes', () => {
+      expect(scheduleSolverService.slotsOverlap(morning, slot('2026-04-09', '10:00 AM', '11:00 AM'))).toBe(true);
+      expect(scheduleSolverService.slotsOverlap(morning, lateMorning)).toBe(false);
+      expect(scheduleSolverService.slotsOverlap(morning, slot('2026-04-10', '9:00 AM', '10:30 AM'))).toBe(false);
+    });
+  });
+
+  describe('isSameRoom', () => {
+    test('should compare inventory rooms by id', () => {
+      expect(scheduleSolverService.isSameRoom({ roomId: 'r1', name: 'Azalea' }, { roomId: 'r1', name: 'Renamed' })).toBe(true);
+      expect(scheduleSolverService.isSameRoom({ roomId: 'r1', name: 'Azalea' }, { roomId: 'r2', name: 'Azalea' })).toBe(false);
+    });
+
+    test('should compare free-text rooms by name, ignoring case and spaces', () => {
+      expect(scheduleSolverService.isSameRoom({ name: ' Azalea A' }, { roomId: 'r1', name: 'azalea a' })).toBe(true);
+      expect(scheduleSolverService.isSameRoom({ name: '' }, { name: '' })).toBe(false);
+    });
+  });
+
+  describe('getPresenterKeys', () => {
+    test('should use designated presenters and skip discussants', () => {
+      const keys = scheduleSolverService.getPresenterKeys(submission('s1', {
+        coAuthors: [
+          { _id: 'a1', userId: 'user-a1', email: 'A1@Example.edu' },
+          { _id: 'a2', email: 'a2@example.edu' }
+        ],
+        presentationDetails: {
+          presenters: [
+            { authorType: 'coauthor', authorId: 'a1', presentationRole: 'primary_presenter' },
+            { authorType: 'coauthor', authorId: 'a2', presentationRole: 'discussant' }
+          ]
+        }
+      }));
+
+      expect(keys).toEqual(['user:user-a1', 'email:a1@example.edu']);
+    });
+
+    test('should fall back to the corresponding author', () => {
+      expect(scheduleSolverService.getPresenterKeys(submission('s1'))).toEqual(['user:user-s1', 'email:s1@example.edu']);
+    });
+  });
+
+  describe('isAvailable', () => {
+    test('should respect the presenters availability for the slot period', () => {
+      const unavailableMornings = paper('s1', {
+        presentationDetails: { presenterAvailability: { thursday: { am: { available: false }, pm: { available: true } } } }
+      });
+
+      expect(scheduleSolverService.isAvailable(unavailableMornings, morning)).toBe(false);
+      expect(scheduleSolverService.isAvailable(unavailableMornings, afternoon)).toBe(true);
+      expect(scheduleSolverService.isAvailable(unavailableMornings, slot('2026-04-11', '9:00 AM', '10:30 AM'))).toBe(true);
+    });
+  });
+
+  describe('canPlace', () => {
+    test('should refuse a full session', () => {
+      const target = cell(morning, 'Azalea', 1);
+      target.papers.push(paper('s1'));
+
+      expect(scheduleSolverService.canPlace(paper('s2'), target, [target], [])).toBe(false);
+    });
+
+    test('should refuse a presenter already on the program at an overlapping time', () => {
+      const target = cell(morning, 'Azalea');
+      const busy = [{
+        slot: slot('2026-04-09', '10:00 AM', '11:00 AM'),
+        room: { name: 'Magnolia' },
+        presenters: new Set(['email:s1@example.edu'])
+      }];
+
+      expect(scheduleSolverService.canPlace(paper('s1'), target, [target], busy)).toBe(false);
+      expect(scheduleSolverService.canPlace(paper('s2'), target, [target], busy)).toBe(true);
+    });
+
+    test('should refuse a presenter placed in a parallel session', () => {
+      const azalea = cell(morning, 'Azalea');
+      const magnolia = cell(morning, 'Magnolia');
+      const later = cell(lateMorning, 'Magnolia');
+      const sharedPresenter = { userId: 'user-shared', email: 'shared@example.edu' };
+      azalea.papers.push(paper('s1', { correspondingAuthor: sharedPresenter }));
+
+      const second = paper('s2', { correspondingAuthor: sharedPresenter });
+      const cells = [azalea, magnolia, later];
+
+      expect(scheduleSolverService.canPlace(second, magnolia, cells, [])).toBe(false);
+      expect(scheduleSolverService.canPlace(second, later, cells, [])).toBe(true);
+    });
+
+    test('should ignore papers that are being moved away', () => {
+      const target = cell(morning, 'Azalea', 1);
+      const leaving = paper('s1');
+      target.papers.push(leaving);
+
+      expect(scheduleSolverService.canPlace(paper('s2'), target, [target], [], new Set([leaving.id]))).toBe(true);
+    });
+  });
+
+  describe('scoring', () => {
+    test('should reward shared topics and penalize shared institutions in a session', () => {
+      const a = paper('s1', { keywords: ['Banking', 'risk'] });
+      const b = paper('s2', { keywords: ['banking', 'risk'] });
+      const c = paper('s3', { discipline: 'marketing', correspondingAuthor: { email: 'c@example.edu', affiliation: { institution: 'University s1' } } });
+
+      // same discipline 3 + two shared keywords 2
+      expect(scheduleSolverService.pairScore(a, b)).toBe(5);
+      // mixed discipline -1 + same institution -4
+      expect(scheduleSolverService.pairScore(a, c)).toBe(-5);
+    });
+
+    test('should penalize one institution in parallel sessions of a slot', () => {
+      const azalea = cell(morning, 'Azalea');
+      const magnolia = cell(morning, 'Magnolia');
+      azalea.papers.push(paper('s1'));
+      magnolia.papers.push(paper('s2', { correspondingAuthor: { email: 'x@example.edu', affiliation: { institution: 'University s1' } } }));
+
+      expect(scheduleSolverService.scoreSlot(morning.key, [azalea, magnolia])).toBe(-1);
+    });
+  });
+
+  describe('solve', () => {
+    test('should place every paper without breaking hard constraints', () => {
+      const sharedPresenter = { userId: 'user-shared', email: 'shared@example.edu' };
+      const papers = [
+        paper('s1', { correspondingAuthor: sharedPresenter }),
+        paper('s2', { correspondingAuthor: sharedPresenter }),
+        paper('s3'),
+        paper('s4')
+      ];
+      const cells = [cell(morning, 'Azalea', 2), cell(morning, 'Magnolia', 2)];
+      const laterCells = [cell(afternoon, 'Azalea', 2)];
+
+      const { unplaced } = scheduleSolverService.solve(papers, [...cells, ...laterCells], []);
+
+      expect(unplaced).toEqual([]);
+      const all = [...cells, ...laterCells];
+      all.forEach(c => expect(c.papers.length).toBeLessThanOrEqual(c.capacity));
+
+      const slotOf = (id) => all.find(c => c.papers.some(p => p.id === id)).slot.key;
+      expect(slotOf('s1')).not.toBe(slotOf('s2'));
+    });
+
+    test('should group papers of one discipline into the same session', () => {
+      const papers = [
+        paper('f1', { discipline: 'finance' }),
+        paper('m1', { discipline: 'marketing' }),
+        paper('f2', { discipline: 'finance' }),
+        paper('m2', { discipline: 'marketing' })
+      ];
+      const cells = [cell(morning, 'Azalea', 2), cell(afternoon, 'Azalea', 2)];
+
+      scheduleSolverService.solve(papers, cells, []);
+
+      cells.forEach(c => {
+        expect(new Set(c.papers.map(p => p.discipline)).size).toBe(1);
+      });
+    });
+
+    test('should keep pinned papers where they are', () => {
+      const pinned = paper('p1', { discipline: 'marketing' });
+      const azalea = cell(morning, 'Azalea', 2);
+      azalea.papers.push(pinned);
+      azalea.pinned.add(pinned.id);
+      const magnolia = cell(afternoon, 'Magnolia', 2);
+      magnolia.papers.push(paper('f0', { discipline: 'finance' }));
+
+      scheduleSolverService.solve([paper('m1', { discipline: 'marketing' })], [azalea, magnolia], []);
+
+      expect(azalea.papers.map(p => p.id)).toContain('p1');
+    });
+
+    test('should explain why a paper could not be placed', () => {
+      const unavailable = paper('s1', {
+        presentationDetails: { presenterAvailability: { thursday: { am: { available: false } } } }
+      });
+      const full = cell(morning, 'Azalea', 1);
+      full.papers.push(paper('s0'));
+      full.pinned.add('s0');
+
+      const { unplaced } = scheduleSolverService.solve([unavailable, paper('s2')], [full], []);
+
+      expect(unplaced.map(u => [u.paper.id, u.reason])).toEqual([
+        ['s1', 'Presenters are unavailable for every time slot'],
+        ['s2', 'No session in an available time slot has room without double-booking a presenter']
+      ]);
+    });
+  });
+
+  describe('describeSession', () => {
+    test('should name the session after its main disciplines', () => {
+      const session = scheduleSolverService.describeSession([
+        paper('s1', { discipline: 'finance' }),
+        paper('s2', { discipline: 'finance' }),
+        paper('s3', { discipline: 'information_systems' })
+      ]);
+
+      expect(session).toEqual({ title: 'Finance and Information Systems Research', category: 'Finance' });
+    });
+
+    test('should file all-student sessions under Student Research', () => {
+      const session = scheduleSolverService.describeSession([
+        paper('s1', { discipline: 'marketing', isStudentResearch: true })
+      ]);
+
+      expect(session).toEqual({ title: 'Marketing Research', category: 'Student Research' });
+    });
+  });
+});
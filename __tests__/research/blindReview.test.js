@@ -0,0 +1,95 @@
+const { isBlindReviewEnabled, anonymizeSubmission } = require('../../src/utils/blindReview');
+
+describe('Blind Review', () => {
+  describe('isBlindReviewEnabled', () => {
+    test('should be enabled only when the conference turns it on', () => {
+      expect(isBlindReviewEnabled({ reviewSettings: { blindReview: true } })).toBe(true);
+      expect(isBlindReviewEnabled({ reviewSettings: { blindReview: false } })).toBe(false);
+      expect(isBlindReviewEnabled({ reviewSettings: {} })).toBe(false);
+    });
+
+    test('should treat a missing or unpopulated conference as not blind', () => {
+      expect(isBlindReviewEnabled(null)).toBe(false);
+      expect(isBlindReviewEnabled('64b7f0c2a1b2c3d4e5f60718')).toBe(false);
+    });
+  });
+
+  describe('anonymizeSubmission', () => {
+    const submission = {
+      _id: 'sub1',
+      title: 'Pricing Power in Regional Banking',
+      abstract: 'We study regional banks.',
+      correspondingAuthor: { name: { firstName: 'Ada', lastName: 'Lovelace' }, email: 'ada@example.edu' },
+      coAuthors: [{ name: { firstName: 'Charles', lastName: 'Babbage' } }],
+      facultySponsors: [{ name: { firstName: 'Mary', lastName: 'Somerville' } }],
+      associatedUsers: [{ userId: 'u1' }],
+      statusHistory: [{ status: 'submitted', changedBy: 'u1' }],
+      paperUpload: {
+        filename: 'lovelace-banking.pdf',
+        originalName: 'Lovelace_Banking_Final.pdf',
+        filePath: 'uploads/research-papers/lovelace-banking.pdf',
+        fileSize: 2048,
+        uploadDate: new Date('2026-01-15')
+      },
+      supportingDocuments: [
+        { _id: 'doc1', type: 'data', description: 'Survey data', originalName: 'lovelace-data.csv', filePath: 'uploads/x.csv' },
+        null
+      ],
+      reviewWorkflow: {
+        revisionRequests: [{
+          _id: 'rev1',
+          status: 'submitted',
+          submittedBy: 'u1',
+          revisedPaper: { originalName: 'Lovelace_Revised.pdf', filePath: 'uploads/r.pdf', uploadDate: new Date('2026-02-01') },
+          responseLetter: null
+        }]
+      }
+    };
+
+    test('should remove every field that identifies the authors', () => {
+      const result = anonymizeSubmission(submission);
+
+      ['correspondingAuthor', 'coAuthors', 'facultySponsors', 'associatedUsers', 'statusHistory'].forEach(field => {
+        expect(result).not.toHaveProperty(field);
+      });
+      expect(result.title).toBe(submission.title);
+      expect(result.abstract).toBe(submission.abstract);
+      expect(result.isBlindReview).toBe(true);
+    });
+
+    test('should keep only the size and date of the paper upload', () => {
+      const result = anonymizeSubmission(submission);
+
+      expect(result.paperUpload).toEqual({ fileSize: 2048, uploadDate: submission.paperUpload.uploadDate });
+    });
+
+    test('should strip file names from supporting documents and revisions', () => {
+      const result = anonymizeSubmission(submission);
+
+      expect(result.supportingDocuments).toEqual([{ _id: 'doc1', type: 'data', description: 'Survey data' }]);
+
+      const [request] = result.reviewWorkflow.revisionRequests;
+      expect(request.submittedBy).toBeUndefined();
+      expect(request.revisedPaper).toEqual({ uploadDate: new Date('2026-02-01') });
+      expect(request.responseLetter).toBeUndefined();
+    });
+
+    test('should not change the revision requests of a plain-object submission', () => {
+      const originalRequest = submission.reviewWorkflow.revisionRequests[0];
+
+      anonymizeSubmission(submission);
+
+      expect(submission.reviewWorkflow.revisionRequests[0]).toBe(originalRequest);
+      expect(originalRequest.submittedBy).toBe('u1');
+      expect(originalRequest.revisedPaper.originalName).toBe('Lovelace_Revised.pdf');
+    });
+
+    test('should use toObject on documents and leave the original untouched', () => {
+      const document = { toObject: () => ({ ...submission }) };
+      const result = anonymizeSubmission(document);
+
+      expect(result).not.toHaveProperty('correspondingAuthor');
+      expect(submission.correspondingAuthor.email).toBe('ada@example.edu');
+    });
+  });
+});
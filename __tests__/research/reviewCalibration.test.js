@@ -0,0 +1,144 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const reviewCalibrationService = require('../../src/services/reviewCalibrationService');
+
+describe('Review Calibration', () => {
+  const reviewer = (id) => ({ _id: id, name: { firstName: 'Reviewer', lastName: id }, email: `${id}@example.edu` });
+
+  // reviews: [[reviewerId, weightedScore], ...]
+  const submission = (id, reviews) => ({
+    _id: id,
+    submissionNumber: id,
+    title: `Paper ${id}`,
+    status: 'under_review',
+    reviewWorkflow: {
+      reviewers: reviews.map(([reviewerId, weightedScore]) => ({
+        status: 'completed',
+        userId: reviewer(reviewerId),
+        review: { weightedScore, recommendation: 'accept' }
+      }))
+    }
+  });
+
+  const find = (report, id) => report.submissions.find(s => s.submissionId === id);
+
+  describe('getStats', () => {
+    test('should return the mean and population standard deviation', () => {
+      expect(reviewCalibrationService.getStats([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({ mean: 5, stdDev: 2 });
+      expect(reviewCalibrationService.getStats([])).toEqual({ mean: null, stdDev: null });
+    });
+  });
+
+  describe('collectReviews', () => {
+    test('should only collect completed, scored reviews', () => {
+      const paper = submission('A', [['harsh', 0.2]]);
+      paper.reviewWorkflow.reviewers.push(
+        { status: 'accepted', userId: reviewer('late'), review: null },
+        { status: 'completed', userId: reviewer('blank'), review: {} }
+      );
+
+      const reviews = reviewCalibrationService.collectReviews([paper]);
+
+      expect(reviews.map(r => [r.reviewerId, r.score])).toEqual([['harsh', 0.2]]);
+    });
+  });
+
+  describe('ranking scale', () => {
+    // "harsh" scores low and "lenient" scores high; "newcomer" has a single review
+    const submissions = [
+      submission('A', [['harsh', 0.2]]),
+      submission('B', [['harsh', 0.3]]),
+      submission('C', [['harsh', 0.4]]),
+      submission('D', [['lenient', 0.8]]),
+      submission('E', [['lenient', 0.9]]),
+      submission('F', [['lenient', 1.0]]),
+      submission('G', [['newcomer', 0.6]])
+    ];
+
+    test('should rank calibrated reviewers on their own scale', () => {
+      const report = reviewCalibrationService.buildCalibration(submissions);
+      const best = find(report, 'C');
+      const worst = find(report, 'D');
+
+      // The harsh reviewer's best paper beats the lenient reviewer's worst one
+      expect(best.rawRank).toBeGreaterThan(worst.rawRank);
+      expect(best.calibratedRank).toBeLessThan(worst.calibratedRank);
+      expect(best.rankChange).toBeGreaterThan(0);
+
+      // Each reviewer's best paper ends up level
+      expect(best.zScore).toBe(find(report, 'F').zScore);
+      expect(best.zScore).toBeCloseTo(Math.sqrt(1.5), 3);
+    });
+
+    test('should take scores from uncalibrated reviewers as given', () => {
+      const report = reviewCalibrationService.buildCalibration(submissions);
+      const newcomer = find(report, 'G');
+
+      expect(report.conference.mean).toBe(0.6);
+      expect(newcomer.calibratedScore).toBe(0.6);
+      expect(newcomer.zScore).toBe(0);
+      expect(report.reviewers.find(r => r.reviewerId === 'newcomer').calibrated).toBe(false);
+    });
+
+    test('should fall back to the raw ranking when no reviewer has enough reviews', () => {
+      const report = reviewCalibrationService.buildCalibration(submissions, { minReviews: 4 });
+
+      report.submissions.forEach(entry => {
+        expect(entry.calibratedScore).toBe(entry.rawScore);
+        expect(entry.calibratedRank).toBe(entry.rawRank);
+      });
+    });
+
+    test('should report harsh and lenient reviewers against the conference', () => {
+      const report = reviewCalibrationService.buildCalibration(submissions);
+      const tendency = Object.fromEntries(report.reviewers.map(r => [r.reviewerId, r.tendency]));
+
+      expect(tendency).toEqual({ harsh: 'harsh', lenient: 'lenient', newcomer: 'typical' });
+      expect(report.reviewers[0].reviewerId).toBe('harsh');
+    });
+  });
+
+  describe('outlier scale', () => {
+    // "steady" always scores about 0.1, so 0.1 on paper P is typical for them
+    const submissions = [
+      submission('P', [['steady', 0.1], ['second', 0.8], ['third', 0.9]]),
+      submission('Q', [['steady', 0.15]]),
+      submission('S', [['steady', 0.05]])
+    ];
+
+    test('should flag reviews that disagree on the conference scale', () => {
+      const { outliers } = reviewCalibrationService.buildCalibration(submissions);
+
+      expect(outliers).toHaveLength(1);
+      expect(outliers[0]).toMatchObject({
+        submissionId: 'P',
+        reviewerId: 'steady',
+        score: 0.1,
+        direction: 'harsher'
+      });
+      expect(outliers[0].deviation).toBeCloseTo(-2.026, 3);
+    });
+
+    test('should flag the same reviews whether or not the reviewer is calibrated', () => {
+      const calibrated = reviewCalibrationService.buildCalibration(submissions, { minReviews: 2 });
+      const uncalibrated = reviewCalibrationService.buildCalibration(submissions, { minReviews: 10 });
+
+      expect(calibrated.reviewers.find(r => r.reviewerId === 'steady').calibrated).toBe(true);
+      expect(uncalibrated.reviewers.find(r => r.reviewerId === 'steady').calibrated).toBe(false);
+      expect(calibrated.outliers).toEqual(uncalibrated.outliers);
+    });
+
+    test('should respect the outlier threshold', () => {
+      const { outliers, settings } = reviewCalibrationService.buildCalibration(submissions, { outlierThreshold: '2.5' });
+
+      expect(settings.outlierThreshold).toBe(2.5);
+      expect(outliers).toEqual([]);
+    });
+
+    test('should not flag papers with a single review', () => {
+      const { outliers } = reviewCalibrationService.buildCalibration([submission('Q', [['steady', 0.15]])]);
+
+      expect(outliers).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const {
+  DEFAULT_RUBRIC_CRITERIA,
+  getRubric,
+  validateReview,
+  scoreReview,
+  calculateWeightedScore,
+  getReviewWeightedScore,
+  getSubmissionWeightedScore
+} = require('../../src/utils/reviewRubric');
+
+describe('Review Rubric', () => {
+  const paperRubric = {
+    presentationType: 'paper',
+    criteria: [
+      { key: 'rigor', label: 'Rigor', weight: 3, minScore: 1, maxScore: 5, commentsRequired: true },
+      { key: 'fit', label: 'Fit', weight: 1, minScore: 0, maxScore: 10, commentsRequired: false }
+    ],
+    requireAuthorComments: true,
+    requireConfidentialComments: false
+  };
+  const generalRubric = {
+    presentationType: null,
+    criteria: [{ key: 'overall', label: 'Overall', weight: 1, minScore: 1, maxScore: 5 }]
+  };
+
+  describe('getRubric', () => {
+    test('should fall back to the default criteria when none are configured', () => {
+      const rubric = getRubric({ reviewSettings: {} }, 'paper');
+
+      expect(rubric.isDefault).toBe(true);
+      expect(rubric.criteria).toBe(DEFAULT_RUBRIC_CRITERIA);
+    });
+
+    test('should prefer the rubric for the presentation type', () => {
+      const conference = { reviewSettings: { rubrics: [generalRubric, paperRubric] } };
+
+      expect(getRubric(conference, 'paper').presentationType).toBe('paper');
+      expect(getRubric(conference, 'paper').isDefault).toBe(false);
+      expect(getRubric(conference, 'poster').criteria[0].key).toBe('overall');
+    });
+  });
+
+  describe('validateReview', () => {
+    const rubric = { ...paperRubric, isDefault: false };
+
+    test('should accept a complete review', () => {
+      const errors = validateReview(rubric, {
+        criteria: { rigor: { score: 4, comments: 'Sound design' }, fit: { score: 7 } },
+        authorComments: 'Nice work'
+      });
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should report missing, out-of-range and unknown criteria', () => {
+      const errors = validateReview(rubric, {
+        criteria: { fit: { score: 11 }, novelty: { score: 3 } }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Unknown review criterion: novelty',
+        'Rigor score is required',
+        'Rigor comments are required',
+        'Fit score must be between 0 and 10',
+        'Comments to the author are required'
+      ]));
+      expect(errors).toHaveLength(5);
+    });
+
+    test('should treat blank comments as missing', () => {
+      const errors = validateReview(rubric, {
+        criteria: { rigor: { score: 3, comments: '   ' }, fit: { score: 0 } },
+        authorComments: ' '
+      });
+
+      expect(errors).toEqual(['Rigor comments are required', 'Comments to the author are required']);
+    });
+  });
+
+  describe('scoreReview', () => {
+    test('should normalize each criterion to its own scale before weighting', () => {
+      const { rubricScores, weightedScore } = scoreReview(paperRubric, {
+        rigor: { score: 5, comments: 'Strong' },
+        fit: { score: '0' }
+      });
+
+      expect(rubricScores.map(s => s.score)).toEqual([5, 0]);
+      expect(rubricScores[0].comments).toBe('Strong');
+      // rigor 1.0 * 3, fit 0.0 * 1
+      expect(weightedScore).toBe(0.75);
+    });
+  });
+
+  describe('calculateWeightedScore', () => {
+    test('should skip entries without a score, weight or range', () => {
+      const score = calculateWeightedScore([
+        { score: 3, minScore: 1, maxScore: 5, weight: 1 },
+        { score: undefined, minScore: 1, maxScore: 5, weight: 1 },
+        { score: 5, minScore: 5, maxScore: 5, weight: 1 },
+        { score: 5, minScore: 1, maxScore: 5, weight: 0 }
+      ]);
+
+      expect(score).toBe(0.5);
+    });
+
+    test('should return null when nothing can be scored', () => {
+      expect(calculateWeightedScore([])).toBeNull();
+    });
+  });
+
+  describe('getReviewWeightedScore', () => {
+    test('should use the stored weighted score when present', () => {
+      expect(getReviewWeightedScore({ weightedScore: 0.8, overallScore: 1 })).toBe(0.8);
+    });
+
+    test('should score legacy criteria on the default rubric', () => {
+      const criteria = {};
+      DEFAULT_RUBRIC_CRITERIA.forEach(c => { criteria[c.key] = { score: 5 }; });
+
+      expect(getReviewWeightedScore({ criteria })).toBe(1);
+    });
+
+    test('should fall back to the overall score', () => {
+      expect(getReviewWeightedScore({ criteria: {}, overallScore: 3 })).toBe(0.5);
+      expect(getReviewWeightedScore({})).toBeNull();
+      expect(getReviewWeightedScore(null)).toBeNull();
+    });
+  });
+
+  describe('getSubmissionWeightedScore', () => {
+    test('should average completed reviews only', () => {
+      const submission = {
+        reviewWorkflow: {
+          reviewers: [
+            { status: 'completed', review: { weightedScore: 0.6 } },
+            { status: 'completed', review: { overallScore: 5 } },
+            { status: 'accepted', review: { weightedScore: 0 } }
+          ]
+        }
+      };
+
+      expect(getSubmissionWeightedScore(submission)).toBe(0.8);
+    });
+
+    test('should return null when no review has been completed', () => {
+      expect(getSubmissionWeightedScore({ reviewWorkflow: { reviewers: [] } })).toBeNull();
+      expect(getSubmissionWeightedScore({})).toBeNull();
+    });
+  });
+});
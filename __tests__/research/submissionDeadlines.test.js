@@ -0,0 +1,161 @@
+const {
+  getPendingRevisionRequest,
+  getDeadlineWindow,
+  getDeadlineError,
+  getDeadlineCountdown
+} = require('../../src/utils/submissionDeadlines');
+
+describe('Submission Deadlines', () => {
+  const conference = {
+    callForPapers: {
+      opensDate: new Date('2026-01-01T00:00:00Z'),
+      abstractDeadline: new Date('2026-02-01T00:00:00Z'),
+      fullPaperDeadline: new Date('2026-03-01T00:00:00Z'),
+      cameraReadyDeadline: new Date('2026-05-01T00:00:00Z'),
+      gracePeriodHours: 24
+    }
+  };
+
+  const withExtension = (extensions = {}) => ({
+    getDeadlineExtension: (type) => extensions[type] || null
+  });
+
+  describe('getPendingRevisionRequest', () => {
+    test('should return the latest pending request', () => {
+      const submission = {
+        reviewWorkflow: {
+          revisionRequests: [
+            { _id: 'r1', status: 'submitted' },
+            { _id: 'r2', status: 'pending' },
+            { _id: 'r3', status: 'submitted' }
+          ]
+        }
+      };
+
+      expect(getPendingRevisionRequest(submission)._id).toBe('r2');
+    });
+
+    test('should return null when nothing is pending', () => {
+      expect(getPendingRevisionRequest({ reviewWorkflow: { revisionRequests: [] } })).toBeNull();
+      expect(getPendingRevisionRequest(null)).toBeNull();
+    });
+  });
+
+  describe('getDeadlineWindow', () => {
+    test('should stay open through the grace period', () => {
+      const window = getDeadlineWindow(conference, null, 'full_paper', {
+        now: new Date('2026-03-01T12:00:00Z')
+      });
+
+      expect(window.isOpen).toBe(true);
+      expect(window.inGracePeriod).toBe(true);
+      expect(window.closesAt).toEqual(new Date('2026-03-02T00:00:00Z'));
+    });
+
+    test('should close once the grace period ends', () => {
+      const window = getDeadlineWindow(conference, null, 'full_paper', {
+        now: new Date('2026-03-02T00:00:01Z')
+      });
+
+      expect(window.isOpen).toBe(false);
+      expect(window.inGracePeriod).toBe(false);
+    });
+
+    test('should not open submission windows before the call for papers opens', () => {
+      const window = getDeadlineWindow(conference, null, 'abstract', {
+        now: new Date('2025-12-15T00:00:00Z')
+      });
+
+      expect(window.isOpen).toBe(false);
+      expect(window.notYetOpen).toBe(true);
+    });
+
+    test('should ignore the opening date for camera-ready files', () => {
+      const window = getDeadlineWindow(conference, null, 'camera_ready', {
+        now: new Date('2025-12-15T00:00:00Z')
+      });
+
+      expect(window.opensDate).toBeNull();
+      expect(window.isOpen).toBe(true);
+    });
+
+    test('should let an extension replace the deadline and grace period', () => {
+      const submission = withExtension({
+        full_paper: {
+          extendedUntil: new Date('2026-03-10T00:00:00Z'),
+          reason: 'Medical leave',
+          grantedDate: new Date('2026-02-25T00:00:00Z')
+        }
+      });
+
+      const window = getDeadlineWindow(conference, submission, 'full_paper', {
+        now: new Date('2026-03-05T00:00:00Z')
+      });
+
+      expect(window.isOpen).toBe(true);
+      expect(window.inGracePeriod).toBe(false);
+      expect(window.gracePeriodHours).toBe(0);
+      expect(window.closesAt).toEqual(new Date('2026-03-10T00:00:00Z'));
+      expect(window.extension.reason).toBe('Medical leave');
+    });
+
+    test('should use the deadline of the pending revision request', () => {
+      const submission = {
+        reviewWorkflow: {
+          revisionRequests: [{ status: 'pending', deadline: new Date('2026-04-01T00:00:00Z') }]
+        }
+      };
+
+      const window = getDeadlineWindow(conference, submission, 'revision', {
+        now: new Date('2026-04-01T20:00:00Z')
+      });
+
+      expect(window.deadline).toEqual(new Date('2026-04-01T00:00:00Z'));
+      expect(window.isOpen).toBe(true);
+      expect(window.inGracePeriod).toBe(true);
+    });
+
+    test('should stay open when the conference sets no deadline', () => {
+      const window = getDeadlineWindow({}, null, 'full_paper', { now: new Date() });
+
+      expect(window.closesAt).toBeNull();
+      expect(window.isOpen).toBe(true);
+    });
+  });
+
+  describe('getDeadlineError', () => {
+    test('should return null for open windows', () => {
+      expect(getDeadlineError({ isOpen: true })).toBeNull();
+    });
+
+    test('should explain why a window is closed', () => {
+      const early = getDeadlineWindow(conference, null, 'abstract', { now: new Date('2025-12-15T00:00:00Z') });
+      const late = getDeadlineWindow(conference, null, 'camera_ready', { now: new Date('2026-06-01T00:00:00Z') });
+
+      expect(getDeadlineError(early)).toBe('The call for papers opens on 2026-01-01T00:00:00.000Z');
+      expect(getDeadlineError(late)).toBe('The camera-ready deadline passed on 2026-05-02T00:00:00.000Z');
+    });
+  });
+
+  describe('getDeadlineCountdown', () => {
+    test('should count down to the window that matches the submission status', () => {
+      const now = new Date('2026-03-01T00:00:00Z');
+      const countdown = getDeadlineCountdown(conference, { status: 'draft' }, now);
+
+      expect(countdown).toHaveLength(1);
+      expect(countdown[0].label).toBe('full paper');
+      expect(countdown[0].secondsRemaining).toBe(24 * 60 * 60);
+    });
+
+    test('should not go below zero after the window closes', () => {
+      const countdown = getDeadlineCountdown(conference, { status: 'accepted' }, new Date('2026-06-01T00:00:00Z'));
+
+      expect(countdown[0].deadlineType).toBe('camera_ready');
+      expect(countdown[0].secondsRemaining).toBe(0);
+    });
+
+    test('should be empty for statuses without a deadline', () => {
+      expect(getDeadlineCountdown(conference, { status: 'under_review' })).toEqual([]);
+    });
+  });
+});
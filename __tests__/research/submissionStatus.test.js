@@ -0,0 +1,190 @@
+const {
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  assertGuards,
+  applyEffects,
+  getStatusRole,
+  isActiveReviewer,
+  formatStatusHistory
+} = require('../../src/utils/submissionStatus');
+
+describe('Submission Status Workflow', () => {
+  describe('getAllowedTransitions', () => {
+    test('should list every next status when no role is given', () => {
+      expect(getAllowedTransitions('submitted')).toEqual(['under_review', 'rejected', 'withdrawn']);
+    });
+
+    test('should only list the transitions a role may trigger', () => {
+      expect(getAllowedTransitions('under_review', 'author')).toEqual(['withdrawn']);
+      expect(getAllowedTransitions('under_review', 'admin')).toEqual(Object.keys(STATUS_TRANSITIONS.under_review));
+    });
+
+    test('should return nothing for final or unknown statuses', () => {
+      expect(getAllowedTransitions('published')).toEqual([]);
+      expect(getAllowedTransitions('archived')).toEqual([]);
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should allow the listed roles and admins', () => {
+      expect(canTransition('draft', 'submitted', 'author')).toBe(true);
+      expect(canTransition('draft', 'submitted', 'admin')).toBe(true);
+      expect(canTransition('accepted', 'presented', 'system')).toBe(true);
+    });
+
+    test('should refuse other roles and unlisted transitions', () => {
+      expect(canTransition('draft', 'submitted', 'editor')).toBe(false);
+      expect(canTransition('draft', 'accepted', 'admin')).toBe(false);
+      expect(canTransition('rejected', 'submitted', 'admin')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('should return the transition definition when allowed', () => {
+      expect(assertTransition('draft', 'withdrawn', 'author')).toEqual({
+        roles: ['author'],
+        effects: ['releasePendingReviews']
+      });
+    });
+
+    test('should reject unknown statuses and roles with 400', () => {
+      expect(() => assertTransition('draft', 'archived', 'author'))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_STATUS' }));
+      expect(() => assertTransition('draft', 'submitted', 'reviewer'))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_STATUS_ROLE' }));
+    });
+
+    test('should reject transitions missing from the table with the allowed list', () => {
+      try {
+        assertTransition('submitted', 'published', 'editor');
+        throw new Error('expected assertTransition to throw');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+        expect(error.details.allowed).toEqual(['under_review', 'rejected', 'withdrawn']);
+      }
+    });
+
+    test('should reject roles that may not trigger the transition with 403', () => {
+      expect(() => assertTransition('submitted', 'under_review', 'author'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'STATUS_TRANSITION_NOT_PERMITTED' }));
+    });
+  });
+
+  describe('assertGuards', () => {
+    const transition = STATUS_TRANSITIONS.draft.submitted;
+    const context = { from: 'draft', to: 'submitted' };
+
+    test('should block student research without sponsor approval', () => {
+      const submission = { isStudentResearch: true, hasSponsorApproval: () => false };
+
+      expect(() => assertGuards(submission, transition, context))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'STATUS_TRANSITION_BLOCKED' }));
+    });
+
+    test('should pass approved student research and faculty research', () => {
+      expect(() => assertGuards({ isStudentResearch: true, hasSponsorApproval: () => true }, transition, context))
+        .not.toThrow();
+      expect(() => assertGuards({ isStudentResearch: false }, transition, context)).not.toThrow();
+    });
+  });
+
+  describe('applyEffects', () => {
+    const changedDate = new Date('2026-03-01T12:00:00Z');
+
+    test('should record the first submission date only once', () => {
+      const submission = {};
+      applyEffects(submission, STATUS_TRANSITIONS.draft.submitted, { changedDate });
+      applyEffects(submission, STATUS_TRANSITIONS.draft.submitted, { changedDate: new Date() });
+
+      expect(submission.initialSubmissionDate).toBe(changedDate);
+    });
+
+    test('should release reviewers who have not finished on withdrawal', () => {
+      const submission = {
+        reviewWorkflow: {
+          reviewers: [
+            { status: 'invited' },
+            { status: 'accepted' },
+            { status: 'overdue' },
+            { status: 'completed' },
+            { status: 'declined' }
+          ]
+        }
+      };
+
+      applyEffects(submission, STATUS_TRANSITIONS.under_review.withdrawn, { changedDate });
+
+      expect(submission.reviewWorkflow.reviewers.map(r => r.status))
+        .toEqual(['released', 'released', 'released', 'completed', 'declined']);
+      expect(submission.reviewWorkflow.reviewers[0].releasedDate).toBe(changedDate);
+      expect(submission.reviewWorkflow.reviewers[3].releasedDate).toBeUndefined();
+    });
+  });
+
+  describe('getStatusRole', () => {
+    const submission = {
+      reviewWorkflow: { editor: { userId: 'editor1' } },
+      correspondingAuthor: { userId: { _id: 'author1' } },
+      coAuthors: [{ userId: 'coauthor1' }, { name: 'No account' }]
+    };
+
+    test('should work out the role from the user and the submission', () => {
+      expect(getStatusRole(submission, { _id: 'someone', roles: ['admin'] })).toBe('admin');
+      expect(getStatusRole(submission, { _id: 'editor1', roles: ['user'] })).toBe('editor');
+      expect(getStatusRole(submission, { _id: 'author1', roles: ['user'] })).toBe('author');
+      expect(getStatusRole(submission, { _id: 'coauthor1', roles: ['user'] })).toBe('author');
+    });
+
+    test('should return null for unrelated users', () => {
+      expect(getStatusRole(submission, { _id: 'stranger', roles: ['user'] })).toBeNull();
+    });
+  });
+
+  describe('isActiveReviewer', () => {
+    test('should include reviewers who owe or have finished a review', () => {
+      ['invited', 'accepted', 'overdue', 'completed'].forEach(status => {
+        expect(isActiveReviewer({ status })).toBe(true);
+      });
+    });
+
+    test('should exclude declined and released reviewers', () => {
+      expect(isActiveReviewer({ status: 'declined' })).toBe(false);
+      expect(isActiveReviewer({ status: 'released' })).toBe(false);
+    });
+  });
+
+  describe('formatStatusHistory', () => {
+    test('should show who made each change by name', () => {
+      const changedDate = new Date('2026-03-01');
+      const history = formatStatusHistory([
+        {
+          _id: 'h1',
+          from: 'draft',
+          to: 'submitted',
+          changedBy: { _id: 'u1', name: { firstName: 'Ada', lastName: 'Lovelace' } },
+          role: 'author',
+          changedDate
+        },
+        { _id: 'h2', from: 'accepted', to: 'presented', changedBy: null, role: 'system', changedDate }
+      ]);
+
+      expect(history[0]).toEqual({
+        _id: 'h1',
+        from: 'draft',
+        to: 'submitted',
+        changedBy: 'Ada Lovelace',
+        role: 'author',
+        reason: undefined,
+        changedDate
+      });
+      expect(history[1].changedBy).toBeNull();
+    });
+
+    test('should handle a missing history', () => {
+      expect(formatStatusHistory(undefined)).toEqual([]);
+    });
+  });
+});
@@ -231,9 +231,26 @@ async function testSubmissionWorkflow() {
     await submission.save();
     console.log(`   📎 Paper uploaded: ${submission.paperUpload.originalName}`);
 
+    // Student research needs a faculty sponsor's approval before it can be submitted
+    submission.facultySponsors.push({
+      name: {
+        firstName: users.editor.name.firstName,
+        lastName: users.editor.name.lastName
+      },
+      email: users.editor.email,
+      affiliation: {
+        institution: users.editor.affiliation.organization
+      },
+      userId: users.editor._id
+    });
+    const sponsor = submission.facultySponsors[0];
+    submission.requestSponsorApproval(sponsor._id, users.author._id);
+    submission.recordSponsorDecision(sponsor._id, 'approved', 'Ready for submission', users.editor._id);
+    await submission.save();
+    console.log(`   ✅ Faculty sponsor approved: ${sponsor.name.firstName} ${sponsor.name.lastName}`);
+
     // Submit for review
-    submission.status = 'submitted';
-    submission.initialSubmissionDate = new Date();
+    submission.transitionStatus('submitted', { changedBy: users.author._id, role: 'author' });
     await submission.save();
     console.log(`   🚀 Submitted for review on: ${submission.initialSubmissionDate.toLocaleDateString()}`);
 
@@ -97,6 +97,35 @@ const envSchema = Joi.object({
     .email()
     .default('support@sobie.org'),
 
+  // Review Reminders
+  REVIEW_REMINDERS_ENABLED: Joi.boolean()
+    .default(true),
+  REVIEW_REMINDER_HOUR: Joi.number()
+    .integer()
+    .min(0)
+    .max(23)
+    .default(8),
+
+  // Crossref DOI deposits
+  CROSSREF_DOI_PREFIX: Joi.string()
+    .pattern(/^10\.\d{4,9}$/)
+    .allow('')
+    .optional(),
+  CROSSREF_DOI_SUFFIX_PATTERN: Joi.string()
+    .default('sobie.{year}.v{volume}.{paper}'),
+  CROSSREF_VOLUME_SUFFIX_PATTERN: Joi.string()
+    .default('sobie.{year}.v{volume}'),
+  CROSSREF_DEPOSITOR_NAME: Joi.string()
+    .default('SOBIE'),
+  CROSSREF_DEPOSITOR_EMAIL: Joi.string()
+    .email()
+    .allow('')
+    .optional(),
+  CROSSREF_REGISTRANT: Joi.string()
+    .default('SOBIE'),
+  CROSSREF_PUBLISHER: Joi.string()
+    .default('Society of Business, Industry, and Economics'),
+
   // Logging
   LOG_LEVEL: Joi.string()
     .valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly')
@@ -228,6 +257,23 @@ module.exports = {
     contentModerationLevel: envVars.CONTENT_MODERATION_LEVEL
   },
 
+  // Review Reminders
+  reviewReminders: {
+    enabled: envVars.REVIEW_REMINDERS_ENABLED,
+    runHour: envVars.REVIEW_REMINDER_HOUR
+  },
+
+  // Crossref DOI deposits
+  crossref: {
+    doiPrefix: envVars.CROSSREF_DOI_PREFIX || null,
+    suffixPattern: envVars.CROSSREF_DOI_SUFFIX_PATTERN,
+    volumeSuffixPattern: envVars.CROSSREF_VOLUME_SUFFIX_PATTERN,
+    depositorName: envVars.CROSSREF_DEPOSITOR_NAME,
+    depositorEmail: envVars.CROSSREF_DEPOSITOR_EMAIL || envVars.SUPPORT_EMAIL,
+    registrant: envVars.CROSSREF_REGISTRANT,
+    publisher: envVars.CROSSREF_PUBLISHER
+  },
+
   // Logging
   logging: {
     level: envVars.LOG_LEVEL,
@@ -1,8 +1,126 @@
 const ResearchSubmission = require('../models/ResearchSubmission');
 const User = require('../models/User');
 const Conference = require('../models/Conference');
+const Notification = require('../models/Notification');
 const emailService = require('../services/emailService');
 const { catchAsync } = require('../utils/catchAsync');
+const reviewerAssignmentService = require('../services/reviewerAssignmentService');
+const reviewReminderScheduler = require('../services/reviewReminderScheduler');
+const reviewCalibrationService = require('../services/reviewCalibrationService');
+const paperSimilarityService = require('../services/paperSimilarityService');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
+const decisionLetterService = require('../services/decisionLetterService');
+const { isBlindReviewEnabled } = require('../utils/blindReview');
+const { getSubmissionWeightedScore, getReviewWeightedScore } = require('../utils/reviewRubric');
+const { PENDING_REVIEWER_STATUSES, getAllowedTransitions, canTransition, formatStatusHistory } = require('../utils/submissionStatus');
+const { getDeadlineWindow } = require('../utils/submissionDeadlines');
+
+// Call for papers deadlines, in the order the windows close
+const CFP_DATE_FIELDS = ['opensDate', 'abstractDeadline', 'fullPaperDeadline', 'revisionDeadline', 'cameraReadyDeadline'];
+
+// Admins act as admin and the assigned editor as editor; anyone else may not change the status
+const getStatusChangeRole = (submission, user) => {
+  if (user.roles.includes('admin')) return 'admin';
+
+  const editorId = submission.reviewWorkflow.editor.userId;
+  return editorId && (editorId._id || editorId).toString() === user._id.toString() ? 'editor' : null;
+};
+
+// Status each editor decision moves a submission to
+const DECISION_STATUSES = {
+  accept: 'accepted',
+  minor_revision: 'pending_revision',
+  major_revision: 'pending_revision',
+  reject: 'rejected'
+};
+
+// Revisions are due by the given date, else the conference's revision deadline,
+// else 30 days out for minor and 60 days for major revisions
+const getDecisionRevisionDeadline = (decision, requested, conference) => {
+  if (!['minor_revision', 'major_revision'].includes(decision)) return null;
+  if (requested) return new Date(requested);
+  if (conference && conference.callForPapers && conference.callForPapers.revisionDeadline) {
+    return conference.callForPapers.revisionDeadline;
+  }
+
+  const deadline = new Date();
+  deadline.setDate(deadline.getDate() + (decision === 'minor_revision' ? 30 : 60));
+  return deadline;
+};
+
+// Reasons the user cannot make this decision on the submission; empty when they can
+const getDecisionErrors = (submission, decision, user) => {
+  const role = getStatusChangeRole(submission, user);
+  if (!role) {
+    return ['Only admins or the assigned editor can make final decisions'];
+  }
+
+  const errors = [];
+  if (!canTransition(submission.status, DECISION_STATUSES[decision], role)) {
+    errors.push(`Cannot make a ${decision} decision on a submission that is ${submission.status}`);
+  }
+  if (!submission.reviewWorkflow.reviewers.some(r => r.status === 'completed')) {
+    errors.push('At least one review must be completed before making a decision');
+  }
+
+  return errors;
+};
+
+// Record a decision, send the author their decision letter and log the notification
+const applyDecision = async (submission, user, { decision, editorComments, revisionDeadline, conference, session, template }) => {
+  submission.makeDecision(decision, editorComments, revisionDeadline, {
+    changedBy: user._id,
+    role: getStatusChangeRole(submission, user)
+  });
+  submission.reviewWorkflow.finalDecision.notifiedDate = new Date();
+  await submission.save();
+
+  const letter = decisionLetterService.buildLetter(submission, {
+    conference,
+    session,
+    decision,
+    editorComments,
+    revisionDeadline,
+    template
+  });
+  await emailService.sendDecisionLetter(submission.correspondingAuthor.email, letter);
+
+  // Notify all associated users
+  const notificationRecipients = submission.associatedUsers
+    .filter(associated => associated.notificationPreferences.statusUpdates)
+    .map(associated => ({ userId: associated.userId }));
+
+  submission.addNotification(
+    'final_decision',
+    notificationRecipients,
+    `Final decision made: ${decision}`,
+    user._id
+  );
+
+  await submission.save();
+
+  return letter;
+};
+
+// Send review invitation emails for a submission
+const sendReviewerInvitations = async (submission, reviewers, blindReview) => {
+  for (const reviewer of reviewers) {
+    await emailService.sendReviewInvitation(
+      reviewer.email,
+      {
+        reviewerName: `${reviewer.name.firstName} ${reviewer.name.lastName}`,
+        title: submission.title,
+        authorName: blindReview ? null : submission.authorList,
+        submissionNumber: submission.submissionNumber,
+        discipline: submission.discipline,
+        deadline: submission.reviewWorkflow.reviewDeadline,
+        abstractPreview: submission.abstract.substring(0, 300) + '...',
+        acceptUrl: `${process.env.FRONTEND_URL}/review/${submission._id}/accept`,
+        declineUrl: `${process.env.FRONTEND_URL}/review/${submission._id}/decline`
+      }
+    );
+  }
+};
 
 // @desc    Get all submissions for admin dashboard
 // @route   GET /api/admin/research-submissions
@@ -25,12 +143,18 @@ const getAllSubmissions = catchAsync(async (req, res) => {
       { path: 'conferenceId', select: 'name year' },
       { path: 'correspondingAuthor.userId', select: 'name email' },
       { path: 'reviewWorkflow.editor.userId', select: 'name email' },
-      { path: 'reviewWorkflow.reviewers.userId', select: 'name email' }
+      { path: 'reviewWorkflow.reviewers.userId', select: 'name email' },
+      { path: 'reviewWorkflow.bids.userId', select: 'name email' }
     ]
   };
 
   const submissions = await ResearchSubmission.paginate(query, options);
 
+  const submissionsWithBids = submissions.docs.map(submission => ({
+    ...submission.toObject(),
+    bidSummary: submission.getBidSummary()
+  }));
+
   // Calculate dashboard statistics
   const stats = await ResearchSubmission.aggregate([
     { $match: conferenceYear ? { conferenceYear: parseInt(conferenceYear) } : {} },
@@ -62,7 +186,7 @@ const getAllSubmissions = catchAsync(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      submissions: submissions.docs,
+      submissions: submissionsWithBids,
       pagination: {
         currentPage: submissions.page,
         totalPages: submissions.totalPages,
@@ -129,7 +253,7 @@ const assignEditor = catchAsync(async (req, res) => {
   }
 
   try {
-    submission.assignEditor(editorId, notes);
+    submission.assignEditor(editorId, notes, adminId);
     await submission.save();
 
     // Send notification to editor
@@ -178,7 +302,7 @@ const assignEditor = catchAsync(async (req, res) => {
     });
 
   } catch (error) {
-    return res.status(400).json({
+    return res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -209,7 +333,8 @@ const assignReviewers = catchAsync(async (req, res) => {
 
   const submission = await ResearchSubmission.findById(submissionId)
     .populate('correspondingAuthor.userId', 'name email')
-    .populate('reviewWorkflow.editor.userId', 'name email');
+    .populate('reviewWorkflow.editor.userId', 'name email')
+    .populate('conferenceId', 'name year reviewSettings');
 
   if (!submission) {
     return res.status(404).json({
@@ -254,21 +379,26 @@ const assignReviewers = catchAsync(async (req, res) => {
     });
   }
 
-  // Check for conflicts of interest (same institution as authors)
-  const authorInstitutions = [
-    submission.correspondingAuthor.affiliation.institution,
-    ...submission.coAuthors.map(author => author.affiliation.institution)
-  ];
+  // Check the conflict-of-interest registry (declared, co-authorship, advisor, institution and bids)
+  const conflictSettings = conflictOfInterestService.getSettings(submission.conferenceId);
+  const registry = await conflictOfInterestService.buildRegistry(reviewers, conflictSettings);
 
-  const conflicts = reviewers.filter(reviewer => 
-    reviewer.affiliation && 
-    authorInstitutions.includes(reviewer.affiliation.organization)
-  );
+  const conflicts = reviewers
+    .map(reviewer => ({
+      reviewer,
+      reasons: reviewerAssignmentService.findConflicts(
+        reviewer,
+        submission,
+        registry.get(reviewer._id.toString()),
+        conflictSettings
+      )
+    }))
+    .filter(entry => entry.reasons.length > 0);
 
   if (conflicts.length > 0) {
     return res.status(400).json({
       success: false,
-      message: `Conflict of interest detected: ${conflicts.map(r => r.name.firstName + ' ' + r.name.lastName).join(', ')} from same institution as authors`
+      message: `Conflict of interest detected: ${conflicts.map(c => `${c.reviewer.name.firstName} ${c.reviewer.name.lastName} (${c.reasons.join(', ')})`).join('; ')}`
     });
   }
 
@@ -291,22 +421,7 @@ const assignReviewers = catchAsync(async (req, res) => {
     await submission.save();
 
     // Send invitation emails to reviewers
-    for (const reviewer of reviewers) {
-      await emailService.sendReviewInvitation(
-        reviewer.email,
-        {
-          reviewerName: `${reviewer.name.firstName} ${reviewer.name.lastName}`,
-          title: submission.title,
-          authorName: submission.authorList,
-          submissionNumber: submission.submissionNumber,
-          discipline: submission.discipline,
-          deadline: submission.reviewWorkflow.reviewDeadline,
-          abstractPreview: submission.abstract.substring(0, 300) + '...',
-          acceptUrl: `${process.env.FRONTEND_URL}/review/${submissionId}/accept`,
-          declineUrl: `${process.env.FRONTEND_URL}/review/${submissionId}/decline`
-        }
-      );
-    }
+    await sendReviewerInvitations(submission, reviewers, isBlindReviewEnabled(submission.conferenceId));
 
     // Send notification to author
     await emailService.sendReviewersAssignedNotification(
@@ -356,12 +471,108 @@ const assignReviewers = catchAsync(async (req, res) => {
   }
 });
 
+// @desc    Get everything the editor needs before making a decision
+// @route   GET /api/research-submission/admin/:id/decision-view
+// @access  Private/Admin or Editor
+const getDecisionView = catchAsync(async (req, res) => {
+  const submissionId = req.params.id;
+  const userId = req.user._id;
+
+  const submission = await ResearchSubmission.findById(submissionId)
+    .populate('conferenceId', 'name year')
+    .populate('correspondingAuthor.userId', 'name email')
+    .populate('reviewWorkflow.editor.userId', 'name email')
+    .populate('reviewWorkflow.reviewers.userId', 'name email affiliation')
+    .populate('reviewWorkflow.discussion.authorId', 'name')
+    .populate('statusHistory.changedBy', 'name');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const isAdmin = req.user.roles.includes('admin');
+  const isAssignedEditor = submission.reviewWorkflow.editor.userId &&
+    submission.reviewWorkflow.editor.userId._id.toString() === userId.toString();
+
+  if (!isAdmin && !isAssignedEditor) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned editor can view the decision summary'
+    });
+  }
+
+  const reviewers = submission.reviewWorkflow.reviewers;
+  const completedReviews = reviewers.filter(r => r.status === 'completed');
+
+  const recommendations = completedReviews.reduce((counts, r) => {
+    counts[r.review.recommendation] = (counts[r.review.recommendation] || 0) + 1;
+    return counts;
+  }, {});
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submission: {
+        _id: submission._id,
+        submissionNumber: submission.submissionNumber,
+        title: submission.title,
+        abstract: submission.abstract,
+        authorList: submission.authorList,
+        presentationType: submission.presentationType,
+        status: submission.status,
+        conference: submission.conferenceId,
+        editor: submission.reviewWorkflow.editor
+      },
+      reviews: completedReviews.map(r => ({
+        reviewer: {
+          _id: r.userId._id,
+          name: `${r.userId.name.firstName} ${r.userId.name.lastName}`,
+          email: r.userId.email
+        },
+        round: r.round,
+        review: r.review,
+        weightedScore: getReviewWeightedScore(r.review)
+      })),
+      pendingReviewers: reviewers
+        .filter(r => PENDING_REVIEWER_STATUSES.includes(r.status))
+        .map(r => ({
+          _id: r.userId._id,
+          name: `${r.userId.name.firstName} ${r.userId.name.lastName}`,
+          status: r.status
+        })),
+      summary: {
+        completedReviews: completedReviews.length,
+        totalReviewers: reviewers.filter(r => r.status !== 'declined').length,
+        weightedScore: getSubmissionWeightedScore(submission),
+        recommendations
+      },
+      revisionRequests: submission.reviewWorkflow.revisionRequests,
+      similarityReport: submission.similarityReport,
+      discussion: submission.reviewWorkflow.discussion.map(post => ({
+        _id: post._id,
+        author: post.authorId && post.authorId.name
+          ? `${post.authorId.name.firstName} ${post.authorId.name.lastName}`
+          : null,
+        role: post.role,
+        message: post.message,
+        postedDate: post.postedDate
+      })),
+      statusHistory: formatStatusHistory(submission.statusHistory),
+      canDecide: ['under_review', 'pending_revision', 'revised'].includes(submission.status) &&
+        completedReviews.length > 0
+    }
+  });
+});
+
 // @desc    Make final decision on submission
 // @route   POST /api/admin/research-submissions/:id/make-decision
 // @access  Private/Admin or Editor
 const makeFinalDecision = catchAsync(async (req, res) => {
   const submissionId = req.params.id;
-  const { decision, editorComments } = req.body;
+  const { decision, editorComments, revisionDeadline } = req.body;
   const userId = req.user._id;
 
   if (!decision || !['accept', 'minor_revision', 'major_revision', 'reject'].includes(decision)) {
@@ -412,58 +623,200 @@ const makeFinalDecision = catchAsync(async (req, res) => {
   }
 
   try {
-    submission.makeDecision(decision, editorComments);
-    submission.reviewWorkflow.finalDecision.notifiedDate = new Date();
-    await submission.save();
-
-    // Send decision email to author
-    await emailService.sendDecisionNotification(
-      submission.correspondingAuthor.email,
-      {
-        authorName: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
-        title: submission.title,
-        submissionNumber: submission.submissionNumber,
-        decision: decision,
-        editorComments: editorComments,
-        reviews: completedReviews.map(r => ({
-          overallScore: r.review.overallScore,
-          recommendation: r.review.recommendation,
-          authorComments: r.review.authorComments
-        }))
-      }
-    );
-
-    // Notify all associated users
-    const notificationRecipients = submission.associatedUsers
-      .filter(user => user.notificationPreferences.statusUpdates)
-      .map(user => ({ userId: user.userId }));
-
-    submission.addNotification(
-      'final_decision',
-      notificationRecipients,
-      `Final decision made: ${decision}`,
-      userId
-    );
-
-    await submission.save();
+    const conference = await Conference.findById(submission.conferenceId)
+      .select('name year callForPapers reviewSettings.decisionLetters');
+    const sessions = await decisionLetterService.findSessions([submission._id]);
+
+    const letter = await applyDecision(submission, req.user, {
+      decision,
+      editorComments,
+      revisionDeadline: getDecisionRevisionDeadline(decision, revisionDeadline, conference),
+      conference,
+      session: sessions.get(submission._id.toString())
+    });
 
     res.status(200).json({
       success: true,
       data: {
         submission,
         decision: submission.reviewWorkflow.finalDecision,
+        letter,
         message: 'Decision made and author notified successfully'
       }
     });
 
   } catch (error) {
-    return res.status(400).json({
+    return res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
   }
 });
 
+// @desc    Get a submission's status history and the transitions available to the user
+// @route   GET /api/research-submission/admin/:id/status
+// @access  Private/Admin or Editor
+const getSubmissionStatus = catchAsync(async (req, res) => {
+  const submission = await ResearchSubmission.findById(req.params.id)
+    .select('submissionNumber title status statusHistory reviewWorkflow.editor')
+    .populate('statusHistory.changedBy', 'name');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const role = getStatusChangeRole(submission, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned editor can view the status history'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionId: submission._id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      status: submission.status,
+      availableTransitions: getAllowedTransitions(submission.status, role),
+      statusHistory: formatStatusHistory(submission.statusHistory)
+    }
+  });
+});
+
+// @desc    Move a submission to a new status, e.g. marking it presented
+// @route   PUT /api/research-submission/admin/:id/status
+// @access  Private/Admin or Editor
+const updateSubmissionStatus = catchAsync(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const submission = await ResearchSubmission.findById(req.params.id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const role = getStatusChangeRole(submission, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned editor can change the status'
+    });
+  }
+
+  const previousStatus = submission.status;
+
+  // Throws an AppError for transitions the workflow does not allow
+  submission.transitionStatus(status, {
+    changedBy: req.user._id,
+    role,
+    reason
+  });
+
+  await submission.save();
+  await submission.populate('statusHistory.changedBy', 'name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionId: submission._id,
+      previousStatus,
+      status: submission.status,
+      availableTransitions: getAllowedTransitions(submission.status, role),
+      statusHistory: formatStatusHistory(submission.statusHistory),
+      message: `Submission moved from ${previousStatus} to ${submission.status}`
+    }
+  });
+});
+
+// @desc    Get the duplicate / self-plagiarism report for a submission
+// @route   GET /api/research-submission/admin/:id/similarity-report
+// @access  Private/Admin or Editor
+const getSimilarityReport = catchAsync(async (req, res) => {
+  const submission = await ResearchSubmission.findById(req.params.id)
+    .select('submissionNumber title reviewWorkflow.editor similarityReport');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const isAdmin = req.user.roles.includes('admin');
+  const isAssignedEditor = submission.reviewWorkflow.editor.userId &&
+    submission.reviewWorkflow.editor.userId.toString() === req.user._id.toString();
+
+  if (!isAdmin && !isAssignedEditor) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned editor can view the similarity report'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      similarityReport: submission.similarityReport && submission.similarityReport.status
+        ? submission.similarityReport
+        : null
+    }
+  });
+});
+
+// @desc    Re-run the similarity check for a submission
+// @route   POST /api/research-submission/admin/:id/similarity-report
+// @access  Private/Admin or Editor
+const runSimilarityCheck = catchAsync(async (req, res) => {
+  const submission = await ResearchSubmission.findById(req.params.id)
+    .select('reviewWorkflow.editor paperUpload');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const isAdmin = req.user.roles.includes('admin');
+  const isAssignedEditor = submission.reviewWorkflow.editor.userId &&
+    submission.reviewWorkflow.editor.userId.toString() === req.user._id.toString();
+
+  if (!isAdmin && !isAssignedEditor) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned editor can run the similarity check'
+    });
+  }
+
+  try {
+    const similarityReport = await paperSimilarityService.checkSubmission(submission._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        similarityReport,
+        message: 'Similarity check completed'
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: `Similarity check failed: ${error.message}`
+    });
+  }
+});
+
 // @desc    Get potential reviewers for a submission
 // @route   GET /api/admin/research-submissions/:id/potential-reviewers
 // @access  Private/Admin or Editor
@@ -471,7 +824,8 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
   const submissionId = req.params.id;
   const userId = req.user._id;
 
-  const submission = await ResearchSubmission.findById(submissionId);
+  const submission = await ResearchSubmission.findById(submissionId)
+    .populate('conferenceId', 'name year reviewSettings');
 
   if (!submission) {
     return res.status(404).json({
@@ -492,12 +846,6 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
     });
   }
 
-  // Get author institutions for conflict checking
-  const authorInstitutions = [
-    submission.correspondingAuthor.affiliation.institution,
-    ...submission.coAuthors.map(author => author.affiliation.institution)
-  ];
-
   // Find potential reviewers
   const potentialReviewers = await User.find({
     $or: [
@@ -514,10 +862,18 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
     }
   }).select('name email affiliation profile roles');
 
+  const conflictSettings = conflictOfInterestService.getSettings(submission.conferenceId);
+  const registry = await conflictOfInterestService.buildRegistry(potentialReviewers, conflictSettings);
+
   // Categorize reviewers
   const categorizedReviewers = potentialReviewers.map(reviewer => {
-    const hasConflict = reviewer.affiliation && 
-      authorInstitutions.includes(reviewer.affiliation.organization);
+    const conflicts = reviewerAssignmentService.findConflicts(
+      reviewer,
+      submission,
+      registry.get(reviewer._id.toString()),
+      conflictSettings
+    );
+    const hasConflict = conflicts.length > 0;
 
     const expertiseMatch = reviewer.profile && 
       reviewer.profile.expertiseAreas && 
@@ -527,6 +883,8 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
       r => r.userId.toString() === reviewer._id.toString()
     );
 
+    const bid = submission.getBid(reviewer._id);
+
     return {
       _id: reviewer._id,
       name: `${reviewer.name.firstName} ${reviewer.name.lastName}`,
@@ -535,9 +893,14 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
       expertise: reviewer.profile?.expertiseAreas || [],
       roles: reviewer.roles,
       hasConflict,
+      conflicts,
       expertiseMatch,
       isAlreadyAssigned,
-      recommendationScore: expertiseMatch ? (hasConflict ? 0 : 5) : (hasConflict ? 0 : 3)
+      bid: bid ? bid.bid : null,
+      bidComments: bid ? bid.comments : null,
+      recommendationScore: hasConflict
+        ? 0
+        : (expertiseMatch ? 5 : 3) + reviewerAssignmentService.scoreBid(bid)
     };
   });
 
@@ -558,7 +921,8 @@ const getPotentialReviewers = catchAsync(async (req, res) => {
       summary: {
         totalAvailable: availableReviewers.length,
         expertiseMatches: availableReviewers.filter(r => r.expertiseMatch).length,
-        conflicts: conflictedReviewers.length
+        conflicts: conflictedReviewers.length,
+        bids: submission.getBidSummary()
       }
     }
   });
@@ -596,7 +960,7 @@ const sendReviewerReminders = catchAsync(async (req, res) => {
 
   // Determine which reviewers to remind
   let reviewersToRemind = submission.reviewWorkflow.reviewers.filter(r => 
-    ['invited', 'accepted'].includes(r.status)
+    PENDING_REVIEWER_STATUSES.includes(r.status)
   );
 
   if (reviewerIds && reviewerIds.length > 0) {
@@ -630,6 +994,7 @@ const sendReviewerReminders = catchAsync(async (req, res) => {
       );
 
       reviewer.remindersSent += 1;
+      reviewer.lastReminderDate = new Date();
       remindersSent.push({
         reviewerId: reviewer.userId._id,
         reviewerName: `${reviewer.userId.name.firstName} ${reviewer.userId.name.lastName}`,
@@ -662,6 +1027,28 @@ const sendReviewerReminders = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Run the scheduled review reminder check immediately
+// @route   POST /api/research-submission/admin/review-reminders/run
+// @access  Private/Admin
+const runReviewReminderCheck = catchAsync(async (req, res) => {
+  const summary = await reviewReminderScheduler.runDailyCheck();
+
+  if (!summary) {
+    return res.status(409).json({
+      success: false,
+      message: 'A review reminder check is already running'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary,
+      message: `Reminder check complete: ${summary.remindersSent} reminders sent, ${summary.markedOverdue} reviewers marked overdue`
+    }
+  });
+});
+
 // @desc    Get submission statistics for admin dashboard
 // @route   GET /api/admin/research-submissions/statistics
 // @access  Private/Admin
@@ -751,6 +1138,47 @@ const getSubmissionStatistics = catchAsync(async (req, res) => {
     { $sort: { totalAssigned: -1 } }
   ]);
 
+  // Weighted rubric scores for reviewed submissions
+  const reviewedSubmissions = await ResearchSubmission.find({
+    ...matchStage,
+    'reviewWorkflow.reviewers.status': 'completed'
+  }).select('title submissionNumber discipline presentationType reviewWorkflow.reviewers');
+
+  const scoredSubmissions = reviewedSubmissions
+    .map(submission => ({
+      _id: submission._id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      discipline: submission.discipline,
+      presentationType: submission.presentationType,
+      weightedScore: getSubmissionWeightedScore(submission)
+    }))
+    .filter(submission => submission.weightedScore !== null)
+    .sort((a, b) => b.weightedScore - a.weightedScore);
+
+  const averageOf = scores => scores.length
+    ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000
+    : null;
+
+  const disciplineScores = {};
+  scoredSubmissions.forEach(submission => {
+    if (!disciplineScores[submission.discipline]) disciplineScores[submission.discipline] = [];
+    disciplineScores[submission.discipline].push(submission.weightedScore);
+  });
+
+  const reviewScores = {
+    reviewedSubmissions: scoredSubmissions.length,
+    averageWeightedScore: averageOf(scoredSubmissions.map(s => s.weightedScore)),
+    byDiscipline: Object.keys(disciplineScores).reduce((acc, discipline) => {
+      acc[discipline] = {
+        count: disciplineScores[discipline].length,
+        averageWeightedScore: averageOf(disciplineScores[discipline])
+      };
+      return acc;
+    }, {}),
+    topSubmissions: scoredSubmissions.slice(0, 10)
+  };
+
   res.status(200).json({
     success: true,
     data: {
@@ -764,6 +1192,7 @@ const getSubmissionStatistics = catchAsync(async (req, res) => {
       statusBreakdown,
       disciplineBreakdown,
       reviewerStats: reviewerStats.slice(0, 10), // Top 10 most active reviewers
+      reviewScores,
       year: year || 'all'
     }
   });
@@ -946,14 +1375,930 @@ const getConflictsForTimeSlot = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Get research review settings for a conference
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/review-settings
+// @access  Private/Admin
+const getReviewSettings = catchAsync(async (req, res) => {
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year reviewSettings');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      reviewSettings: conference.reviewSettings
+    }
+  });
+});
+
+// @desc    Update research review settings for a conference
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/review-settings
+// @access  Private/Admin
+const updateReviewSettings = catchAsync(async (req, res) => {
+  const {
+    blindReview,
+    reviewersPerPaper,
+    maxReviewsPerReviewer,
+    biddingOpen,
+    biddingDeadline,
+    reminders,
+    conflicts
+  } = req.body;
+
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  if (blindReview !== undefined) {
+    conference.reviewSettings.blindReview = blindReview;
+  }
+
+  if (reviewersPerPaper !== undefined) {
+    conference.reviewSettings.assignment.reviewersPerPaper = reviewersPerPaper;
+  }
+
+  if (maxReviewsPerReviewer !== undefined) {
+    conference.reviewSettings.assignment.maxReviewsPerReviewer = maxReviewsPerReviewer;
+  }
+
+  if (biddingOpen !== undefined) {
+    conference.reviewSettings.bidding.isOpen = biddingOpen;
+  }
+
+  if (biddingDeadline !== undefined) {
+    conference.reviewSettings.bidding.deadline = biddingDeadline ? new Date(biddingDeadline) : null;
+  }
+
+  if (reminders) {
+    ['enabled', 'daysBeforeDeadline', 'overdueIntervalDays', 'maxReminders', 'editorAlertAfterDays']
+      .filter(field => reminders[field] !== undefined)
+      .forEach(field => {
+        conference.reviewSettings.reminders[field] = reminders[field];
+      });
+  }
+
+  if (conflicts) {
+    ['coauthorshipYears', 'sameInstitution']
+      .filter(field => conflicts[field] !== undefined)
+      .forEach(field => {
+        conference.reviewSettings.conflicts[field] = conflicts[field];
+      });
+  }
+
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviewSettings: conference.reviewSettings,
+      message: 'Review settings updated successfully'
+    }
+  });
+});
+
+// @desc    Get the call for papers windows for a conference
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/call-for-papers
+// @access  Private/Admin
+const getCallForPapers = catchAsync(async (req, res) => {
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year callForPapers');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      callForPapers: conference.callForPapers
+    }
+  });
+});
+
+// @desc    Update the call for papers windows for a conference
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/call-for-papers
+// @access  Private/Admin
+const updateCallForPapers = catchAsync(async (req, res) => {
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  CFP_DATE_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => {
+      conference.callForPapers[field] = req.body[field] ? new Date(req.body[field]) : null;
+    });
+
+  if (req.body.gracePeriodHours !== undefined) {
+    conference.callForPapers.gracePeriodHours = req.body.gracePeriodHours;
+  }
+
+  // Each window must close no earlier than the one before it
+  const dates = CFP_DATE_FIELDS
+    .map(field => ({ field, date: conference.callForPapers[field] }))
+    .filter(entry => entry.date);
+
+  for (let i = 1; i < dates.length; i++) {
+    if (dates[i].date < dates[i - 1].date) {
+      return res.status(400).json({
+        success: false,
+        message: `${dates[i].field} cannot be before ${dates[i - 1].field}`
+      });
+    }
+  }
+
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      callForPapers: conference.callForPapers,
+      message: 'Call for papers updated successfully'
+    }
+  });
+});
+
+// @desc    Extend a call for papers deadline for a single submission
+// @route   POST /api/research-submission/admin/:id/deadline-extensions
+// @access  Private/Admin or Editor
+const grantDeadlineExtension = catchAsync(async (req, res) => {
+  const { deadlineType, extendedUntil, reason } = req.body;
+
+  const submission = await ResearchSubmission.findById(req.params.id)
+    .populate('conferenceId', 'name year callForPapers');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const until = new Date(extendedUntil);
+  if (until <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'An extension must end in the future'
+    });
+  }
+
+  const extension = submission.grantDeadlineExtension(deadlineType, until, reason, req.user._id);
+  await submission.save();
+
+  await Notification.createNotification({
+    userId: submission.correspondingAuthor.userId,
+    title: `Deadline extended for ${submission.submissionNumber}`,
+    message: `Your ${deadlineType.replace('_', ' ')} deadline for "${submission.title.substring(0, 200)}" has been extended to ${until.toUTCString()}`,
+    type: 'deadline_reminder',
+    priority: 'high',
+    sourceType: 'admin',
+    sourceId: submission._id,
+    sourceModel: 'ResearchSubmission',
+    conferenceId: submission.conferenceId._id,
+    actionType: 'view',
+    actionUrl: `/research/${submission._id}`,
+    metadata: { submissionId: submission._id, deadlineType }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      extension,
+      deadline: getDeadlineWindow(submission.conferenceId, submission, deadlineType),
+      message: 'Deadline extension granted'
+    }
+  });
+});
+
+// @desc    Get the decision letter templates for a conference
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/decision-letters
+// @access  Private/Admin or Editor
+const getDecisionLetterTemplates = catchAsync(async (req, res) => {
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year reviewSettings.decisionLetters');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      templates: decisionLetterService.getTemplates(conference),
+      mergeFields: decisionLetterService.getMergeFields()
+    }
+  });
+});
+
+// @desc    Replace the decision letter a conference sends for one decision
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/decision-letters/:decision
+// @access  Private/Admin or Editor
+const updateDecisionLetterTemplate = catchAsync(async (req, res) => {
+  const { decision } = req.params;
+  const { subject, body } = req.body;
+
+  const unknownFields = decisionLetterService.findUnknownFields({ subject, body });
+  if (unknownFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown merge fields: ${unknownFields.join(', ')}`,
+      data: { unknownFields, mergeFields: decisionLetterService.getMergeFields() }
+    });
+  }
+
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const letters = conference.reviewSettings.decisionLetters;
+  const existing = letters.find(letter => letter.decision === decision);
+
+  if (existing) {
+    existing.subject = subject;
+    existing.body = body;
+    existing.updatedBy = req.user._id;
+    existing.updatedAt = new Date();
+  } else {
+    letters.push({ decision, subject, body, updatedBy: req.user._id, updatedAt: new Date() });
+  }
+
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      template: decisionLetterService.getTemplate(conference, decision),
+      message: 'Decision letter template saved'
+    }
+  });
+});
+
+// @desc    Go back to the default decision letter for one decision
+// @route   DELETE /api/research-submission/admin/conferences/:conferenceId/decision-letters/:decision
+// @access  Private/Admin or Editor
+const resetDecisionLetterTemplate = catchAsync(async (req, res) => {
+  const { decision } = req.params;
+
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  conference.reviewSettings.decisionLetters = conference.reviewSettings.decisionLetters
+    .filter(letter => letter.decision !== decision);
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      template: decisionLetterService.getTemplate(conference, decision),
+      message: 'Decision letter template reset to the default'
+    }
+  });
+});
+
+// @desc    Preview the decision letter a submission would receive
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/decision-letters/preview
+// @access  Private/Admin or Editor
+const previewDecisionLetter = catchAsync(async (req, res) => {
+  const { submissionId, decision, subject, body, editorComments, revisionDeadline } = req.body;
+
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year callForPapers reviewSettings.decisionLetters');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const submission = await ResearchSubmission.findOne({ _id: submissionId, conferenceId: conference._id });
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found in this conference'
+    });
+  }
+
+  // An unsaved subject and body preview edits before they are saved
+  let template = null;
+  if (subject !== undefined || body !== undefined) {
+    const stored = decisionLetterService.getTemplate(conference, decision);
+    template = { subject: subject ?? stored.subject, body: body ?? stored.body };
+
+    const unknownFields = decisionLetterService.findUnknownFields(template);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown merge fields: ${unknownFields.join(', ')}`,
+        data: { unknownFields }
+      });
+    }
+  }
+
+  const sessions = await decisionLetterService.findSessions([submission._id]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      letter: decisionLetterService.buildLetter(submission, {
+        conference,
+        session: sessions.get(submission._id.toString()),
+        decision,
+        editorComments,
+        revisionDeadline: getDecisionRevisionDeadline(decision, revisionDeadline, conference),
+        template
+      })
+    }
+  });
+});
+
+// @desc    Make decisions on many submissions at once and send their decision letters
+//          Runs as a dry run unless dryRun is false; a real run is refused if any decision is invalid
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/bulk-decisions
+// @access  Private/Admin or Editor
+const makeBulkDecisions = catchAsync(async (req, res) => {
+  const { decisions, templates = {}, dryRun = true } = req.body;
+
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year callForPapers reviewSettings.decisionLetters');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  // Template overrides apply to this batch only
+  for (const [decision, template] of Object.entries(templates)) {
+    const unknownFields = decisionLetterService.findUnknownFields(template);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown merge fields in the ${decision} template: ${unknownFields.join(', ')}`,
+        data: { decision, unknownFields }
+      });
+    }
+  }
+
+  const submissionIds = decisions.map(item => item.submissionId);
+  const submissions = await ResearchSubmission.find({
+    _id: { $in: submissionIds },
+    conferenceId: conference._id
+  });
+  const submissionsById = new Map(submissions.map(s => [s._id.toString(), s]));
+  const sessions = await decisionLetterService.findSessions(submissions.map(s => s._id));
+
+  const seen = new Set();
+  const plan = decisions.map(item => {
+    const id = item.submissionId.toString();
+    const submission = submissionsById.get(id);
+
+    if (!submission) {
+      return { submissionId: id, decision: item.decision, errors: ['Submission not found in this conference'] };
+    }
+
+    const errors = getDecisionErrors(submission, item.decision, req.user);
+    if (seen.has(id)) {
+      errors.push('Submission appears more than once in this batch');
+    }
+    seen.add(id);
+
+    const override = templates[item.decision];
+    const context = {
+      conference,
+      session: sessions.get(id),
+      decision: item.decision,
+      editorComments: item.editorComments || '',
+      revisionDeadline: getDecisionRevisionDeadline(item.decision, item.revisionDeadline, conference),
+      template: override ? { ...decisionLetterService.getTemplate(conference, item.decision), ...override } : null
+    };
+
+    return {
+      submissionId: id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      currentStatus: submission.status,
+      decision: item.decision,
+      newStatus: DECISION_STATUSES[item.decision],
+      errors,
+      letter: decisionLetterService.buildLetter(submission, context),
+      submission,
+      context
+    };
+  });
+
+  // Leave the documents used to apply the decision out of the response
+  const summarize = (item) => ({
+    submissionId: item.submissionId,
+    submissionNumber: item.submissionNumber,
+    title: item.title,
+    currentStatus: item.currentStatus,
+    decision: item.decision,
+    newStatus: item.newStatus,
+    errors: item.errors,
+    letter: item.letter
+  });
+  const blocked = plan.filter(item => item.errors.length > 0);
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        dryRun: true,
+        summary: { total: plan.length, ready: plan.length - blocked.length, blocked: blocked.length },
+        results: plan.map(summarize),
+        message: 'Dry run complete; no decisions were recorded and no letters were sent'
+      }
+    });
+  }
+
+  if (blocked.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${blocked.length} of ${plan.length} decisions cannot be made; no decisions were recorded`,
+      data: { results: plan.map(summarize) }
+    });
+  }
+
+  const results = [];
+  for (const item of plan) {
+    try {
+      const letter = await applyDecision(item.submission, req.user, item.context);
+      results.push({ ...summarize(item), letter, outcome: 'applied' });
+    } catch (error) {
+      results.push({ ...summarize(item), outcome: 'failed', errors: [error.message] });
+    }
+  }
+
+  const failed = results.filter(result => result.outcome === 'failed').length;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      dryRun: false,
+      summary: { total: results.length, applied: results.length - failed, failed },
+      results,
+      message: `${results.length - failed} decisions recorded and letters sent`
+    }
+  });
+});
+
+// @desc    List student submissions still waiting on faculty sponsor approval
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/sponsor-approvals
+// @access  Private/Admin or Editor
+const getPendingSponsorApprovals = catchAsync(async (req, res) => {
+  const drafts = await ResearchSubmission.find({
+    conferenceId: req.params.conferenceId,
+    status: 'draft',
+    isStudentResearch: true
+  })
+    .select('title submissionNumber correspondingAuthor coAuthors facultySponsors sponsorApprovalLog paperUpload.uploadDate createdAt')
+    .sort({ createdAt: 1 });
+
+  const waiting = drafts
+    .filter(submission => !submission.hasSponsorApproval())
+    .map(submission => {
+      const sponsorApproval = submission.getSponsorApprovalStatus();
+      const lastAction = submission.sponsorApprovalLog[submission.sponsorApprovalLog.length - 1] || null;
+
+      return {
+        _id: submission._id,
+        title: submission.title,
+        submissionNumber: submission.submissionNumber,
+        correspondingAuthor: {
+          name: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
+          email: submission.correspondingAuthor.email
+        },
+        paperUploaded: Boolean(submission.paperUpload && submission.paperUpload.uploadDate),
+        sponsors: sponsorApproval.sponsors,
+        lastAction: lastAction
+          ? { action: lastAction.action, sponsorName: lastAction.sponsorName, comments: lastAction.comments, date: lastAction.date }
+          : null
+      };
+    });
+
+  const countStatus = status => waiting.filter(item => item.sponsors.some(sponsor => sponsor.status === status)).length;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissions: waiting,
+      summary: {
+        total: waiting.length,
+        noSponsor: waiting.filter(item => item.sponsors.length === 0).length,
+        awaitingResponse: countStatus('pending'),
+        changesRequested: countStatus('changes_requested'),
+        declined: countStatus('declined')
+      }
+    }
+  });
+});
+
+// @desc    Create or replace a review rubric for a conference
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/review-rubric
+// @access  Private/Admin
+const updateReviewRubric = catchAsync(async (req, res) => {
+  const {
+    presentationType = null,
+    criteria,
+    requireAuthorComments = false,
+    requireConfidentialComments = false
+  } = req.body;
+
+  const keys = criteria.map(c => c.key);
+  if (new Set(keys).size !== keys.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rubric criterion keys must be unique'
+    });
+  }
+
+  const rubricCriteria = criteria.map(c => ({
+    key: c.key,
+    label: c.label,
+    description: c.description,
+    weight: c.weight !== undefined ? Number(c.weight) : 1,
+    minScore: c.minScore !== undefined ? Number(c.minScore) : 1,
+    maxScore: c.maxScore !== undefined ? Number(c.maxScore) : 5,
+    commentsRequired: Boolean(c.commentsRequired)
+  }));
+
+  const invalidScale = rubricCriteria.find(c => c.maxScore <= c.minScore);
+  if (invalidScale) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalidScale.label}: maximum score must be greater than minimum score`
+    });
+  }
+
+  if (rubricCriteria.every(c => c.weight === 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one rubric criterion must have a positive weight'
+    });
+  }
+
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  // Replace any existing rubric for the same presentation type
+  conference.reviewSettings.rubrics = conference.reviewSettings.rubrics.filter(
+    r => (r.presentationType || null) !== presentationType
+  );
+
+  conference.reviewSettings.rubrics.push({
+    presentationType,
+    criteria: rubricCriteria,
+    requireAuthorComments,
+    requireConfidentialComments,
+    updatedAt: new Date()
+  });
+
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rubrics: conference.reviewSettings.rubrics,
+      message: 'Review rubric saved successfully'
+    }
+  });
+});
+
+// @desc    Remove a review rubric from a conference
+// @route   DELETE /api/research-submission/admin/conferences/:conferenceId/review-rubric
+// @access  Private/Admin
+const deleteReviewRubric = catchAsync(async (req, res) => {
+  const presentationType = req.query.presentationType || null;
+
+  const conference = await Conference.findById(req.params.conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const remaining = conference.reviewSettings.rubrics.filter(
+    r => (r.presentationType || null) !== presentationType
+  );
+
+  if (remaining.length === conference.reviewSettings.rubrics.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review rubric not found'
+    });
+  }
+
+  conference.reviewSettings.rubrics = remaining;
+  await conference.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rubrics: conference.reviewSettings.rubrics,
+      message: 'Review rubric removed successfully'
+    }
+  });
+});
+
+// @desc    Propose reviewer assignments for all submissions in a conference
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/reviewer-assignments/proposal
+// @access  Private/Admin or Editor
+const proposeReviewerAssignments = catchAsync(async (req, res) => {
+  const { reviewersPerPaper, maxReviewsPerReviewer } = req.query;
+
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year reviewSettings');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const proposal = await reviewerAssignmentService.proposeAssignments(conference, {
+    reviewersPerPaper,
+    maxReviewsPerReviewer
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      ...proposal
+    }
+  });
+});
+
+// @desc    Get the reviewer calibration (harshness) report for a conference
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/reviewer-calibration
+// @access  Private/Admin or Editor
+const getReviewerCalibrationReport = catchAsync(async (req, res) => {
+  const { minReviews, outlierThreshold } = req.query;
+
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const report = await reviewCalibrationService.getConferenceReport(conference._id, {
+    minReviews,
+    outlierThreshold
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year,
+        ...report.conference
+      },
+      reviewers: report.reviewers,
+      submissions: report.submissions,
+      outliers: report.outliers,
+      settings: report.settings
+    }
+  });
+});
+
+// @desc    Apply an editor-reviewed reviewer assignment and send invitations
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/reviewer-assignments
+// @access  Private/Admin or Editor
+const applyReviewerAssignments = catchAsync(async (req, res) => {
+  const { assignments, reviewDeadline, reviewersPerPaper, maxReviewsPerReviewer } = req.body;
+  const userId = req.user._id;
+
+  const conference = await Conference.findById(req.params.conferenceId)
+    .select('name year reviewSettings');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const { errors, submissions, reviewers } = await reviewerAssignmentService.validateAssignments(
+    conference,
+    assignments,
+    { reviewersPerPaper, maxReviewsPerReviewer }
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reviewer assignment is invalid',
+      errors
+    });
+  }
+
+  let deadline = reviewDeadline ? new Date(reviewDeadline) : null;
+  if (!deadline) {
+    // Default to 2 weeks from now
+    deadline = new Date();
+    deadline.setDate(deadline.getDate() + 14);
+  }
+
+  const blindReview = isBlindReviewEnabled(conference);
+  const results = [];
+  // One failed submission or email does not stop the rest of the batch
+  const failures = [];
+  const emailFailures = [];
+
+  for (const { submissionId, reviewerIds } of assignments) {
+    if (reviewerIds.length === 0) continue;
+
+    const submission = submissions.get(submissionId.toString());
+    const assignedReviewers = reviewerIds.map(id => reviewers.get(id.toString()));
+
+    try {
+      submission.reviewWorkflow.reviewDeadline = deadline;
+      assignedReviewers.forEach(reviewer => submission.addReviewer(reviewer._id));
+      await submission.save();
+    } catch (error) {
+      console.error(`Failed to assign reviewers to submission ${submission.submissionNumber}:`, error);
+      failures.push({
+        submissionId: submission._id,
+        submissionNumber: submission.submissionNumber,
+        error: error.message
+      });
+      continue;
+    }
+
+    const notified = [];
+    let invitationsSent = 0;
+
+    for (const reviewer of assignedReviewers) {
+      try {
+        await sendReviewerInvitations(submission, [reviewer], blindReview);
+        notified.push({ email: reviewer.email });
+        invitationsSent++;
+      } catch (error) {
+        console.error(`Failed to send review invitation to ${reviewer.email}:`, error);
+        emailFailures.push({ submissionId: submission._id, email: reviewer.email, error: error.message });
+      }
+    }
+
+    try {
+      await emailService.sendReviewersAssignedNotification(
+        submission.correspondingAuthor.email,
+        {
+          authorName: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
+          title: submission.title,
+          submissionNumber: submission.submissionNumber,
+          reviewerCount: assignedReviewers.length,
+          deadline
+        }
+      );
+      notified.push({ email: submission.correspondingAuthor.email });
+    } catch (error) {
+      console.error(`Failed to send reviewers assigned notification to ${submission.correspondingAuthor.email}:`, error);
+      emailFailures.push({ submissionId: submission._id, email: submission.correspondingAuthor.email, error: error.message });
+    }
+
+    if (notified.length > 0) {
+      submission.addNotification(
+        'reviewers_assigned',
+        notified,
+        `${assignedReviewers.length} reviewers assigned to review submission`,
+        userId
+      );
+
+      try {
+        await submission.save();
+      } catch (error) {
+        // The reviewers are assigned; only the notification record is lost
+        console.error(`Failed to record reviewer assignment notifications for submission ${submission.submissionNumber}:`, error);
+      }
+    }
+
+    results.push({
+      submissionId: submission._id,
+      submissionNumber: submission.submissionNumber,
+      invitationsSent,
+      assignedReviewers: assignedReviewers.map(r => ({
+        _id: r._id,
+        name: `${r.name.firstName} ${r.name.lastName}`,
+        email: r.email
+      }))
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      assignments: results,
+      reviewDeadline: deadline,
+      invitationsSent: results.reduce((sum, r) => sum + r.invitationsSent, 0),
+      failures,
+      emailFailures,
+      message: failures.length > 0 || emailFailures.length > 0
+        ? 'Reviewer assignments applied with some failures'
+        : 'Reviewer assignments applied successfully'
+    }
+  });
+});
+
 module.exports = {
   getAllSubmissions,
   assignEditor,
   assignReviewers,
+  getDecisionView,
   makeFinalDecision,
+  getSubmissionStatus,
+  updateSubmissionStatus,
+  getSimilarityReport,
+  runSimilarityCheck,
   getPotentialReviewers,
   sendReviewerReminders,
+  runReviewReminderCheck,
   getSubmissionStatistics,
   getPresenterAvailabilityOverview,
-  getConflictsForTimeSlot
+  getConflictsForTimeSlot,
+  getReviewSettings,
+  updateReviewSettings,
+  getCallForPapers,
+  updateCallForPapers,
+  grantDeadlineExtension,
+  getDecisionLetterTemplates,
+  updateDecisionLetterTemplate,
+  resetDecisionLetterTemplate,
+  previewDecisionLetter,
+  makeBulkDecisions,
+  getPendingSponsorApprovals,
+  updateReviewRubric,
+  deleteReviewRubric,
+  proposeReviewerAssignments,
+  getReviewerCalibrationReport,
+  applyReviewerAssignments
 };
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const AgendaBookmark = require('../models/AgendaBookmark');
+const Conference = require('../models/Conference');
+const agendaService = require('../services/agendaService');
+const { catchAsync } = require('../utils/catchAsync');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// @desc    Get the current user's agenda for a conference, with overlaps
+// @route   GET /api/agenda/:conferenceId
+// @access  Private
+const getAgenda = catchAsync(async (req, res) => {
+  if (!isValidId(req.params.conferenceId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const agenda = await agendaService.getAgenda(req.user, req.params.conferenceId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...agenda,
+      totalSessions: agenda.items.length,
+      hasOverlaps: agenda.overlaps.length > 0
+    }
+  });
+});
+
+// @desc    Bookmark a session or a single presentation
+// @route   POST /api/agenda/bookmarks
+// @access  Private
+const addBookmark = catchAsync(async (req, res) => {
+  const { sessionId, presentationId, note } = req.body;
+
+  if ([sessionId, presentationId].some(id => id && !isValidId(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session or presentation id'
+    });
+  }
+
+  const result = await agendaService.addBookmark(req.user, { sessionId, presentationId, note });
+
+  if (result.error) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to your agenda',
+    data: {
+      bookmark: result.bookmark,
+      estimatedAttendance: result.estimated
+    }
+  });
+});
+
+// @desc    Remove a bookmark from the current user's agenda
+// @route   DELETE /api/agenda/bookmarks/:bookmarkId
+// @access  Private
+const removeBookmark = catchAsync(async (req, res) => {
+  const bookmark = isValidId(req.params.bookmarkId)
+    ? await AgendaBookmark.findOne({ _id: req.params.bookmarkId, userId: req.user._id })
+    : null;
+
+  if (!bookmark) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+
+  await agendaService.removeBookmark(bookmark);
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from your agenda'
+  });
+});
+
+// @desc    Heat map of expected demand per session, from attendee bookmarks
+// @route   GET /api/program-builder/demand/:conferenceId
+// @access  Private (Admin/Editor)
+const getDemandHeatMap = catchAsync(async (req, res) => {
+  const conference = isValidId(req.params.conferenceId)
+    ? await Conference.findById(req.params.conferenceId).select('_id')
+    : null;
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const heatMap = await agendaService.buildDemandHeatMap(conference._id);
+
+  // Group by day and start time so the map lines up with the room grid
+  const slots = heatMap.sessions.reduce((groups, entry) => {
+    const key = `${entry.date ? entry.date.toISOString().slice(0, 10) : 'unscheduled'} ${entry.startTime || ''}`.trim();
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(entry);
+    return groups;
+  }, {});
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...heatMap,
+      slots,
+      needsLargerRoom: heatMap.sessions.filter(entry => entry.largerRooms.length > 0 || entry.level === 'over_capacity')
+    }
+  });
+});
+
+module.exports = {
+  getAgenda,
+  addBookmark,
+  removeBookmark,
+  getDemandHeatMap
+};
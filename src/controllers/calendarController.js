@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Conference = require('../models/Conference');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const calendarFeedService = require('../services/calendarFeedService');
+const { catchAsync } = require('../utils/catchAsync');
+
+const CONFERENCE_FIELDS = 'name year timeZone';
+
+// Send a feed calendar clients can subscribe to or import
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}.ics"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(calendar);
+};
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+// @desc    iCalendar feed of the whole conference program
+// @route   GET /api/program/:conferenceId/calendar.ics
+// @access  Public
+const getConferenceCalendar = catchAsync(async (req, res) => {
+  const conference = mongoose.Types.ObjectId.isValid(req.params.conferenceId)
+    ? await Conference.findById(req.params.conferenceId).select(CONFERENCE_FIELDS)
+    : null;
+  if (!conference) return notFound(res, 'Conference not found');
+
+  sendCalendar(res, await calendarFeedService.conferenceFeed(conference), `sobie-${conference.year}`);
+});
+
+// @desc    iCalendar feed of the sessions in one room
+// @route   GET /api/program/:conferenceId/rooms/:roomId/calendar.ics
+// @access  Public
+const getRoomCalendar = catchAsync(async (req, res) => {
+  const { conferenceId, roomId } = req.params;
+  const valid = mongoose.Types.ObjectId.isValid(conferenceId) && mongoose.Types.ObjectId.isValid(roomId);
+
+  const conference = valid ? await Conference.findById(conferenceId).select(CONFERENCE_FIELDS) : null;
+  if (!conference) return notFound(res, 'Conference not found');
+
+  const room = await Room.findOne({ _id: roomId, conferenceId });
+  if (!room) return notFound(res, 'Room not found');
+
+  const slug = room.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  sendCalendar(res, await calendarFeedService.roomFeed(conference, room), `sobie-${conference.year}-${slug}`);
+});
+
+// @desc    Create a new private calendar feed URL for the current user
+// @route   POST /api/program/calendar/token
+// @access  Private
+const createCalendarFeedToken = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const token = user.generateCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created; any earlier feed URL no longer works',
+    data: {
+      url: `${req.protocol}://${req.get('host')}/api/program/calendar/${token}.ics`
+    }
+  });
+});
+
+// @desc    Private iCalendar feed of one user's own schedule
+// @route   GET /api/program/calendar/:token.ics
+// @access  Public (secret token)
+const getUserCalendar = catchAsync(async (req, res) => {
+  const { token } = req.params;
+  const user = /^[a-f0-9]{64}$/.test(token) ? await User.findByCalendarFeedToken(token) : null;
+  if (!user) return notFound(res, 'Calendar feed not found');
+
+  sendCalendar(res, await calendarFeedService.userFeed(user), 'my-sobie-schedule');
+});
+
+module.exports = {
+  getConferenceCalendar,
+  getRoomCalendar,
+  createCalendarFeedToken,
+  getUserCalendar
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const citationService = require('../services/citationService');
+const { CITATION_FORMATS, formatCitations } = require('../utils/citationFormats');
+const { catchAsync } = require('../utils/catchAsync');
+
+// Send citations in the requested format, as a download named after the export
+// Filenames can carry query values, so they are reduced to characters safe in the header
+const sendCitations = (res, items, format, filename) => {
+  const { contentType, extension } = CITATION_FORMATS[format];
+  const safeName = filename.toLowerCase().replace(/[\s_]+/g, '-').replace(/[^a-z0-9-]/g, '') || 'sobie-citations';
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${safeName}.${extension}"`
+  });
+  res.status(200).send(formatCitations(items, format));
+};
+
+// Reject unknown formats; BibTeX is the default
+const getFormat = (req, res) => {
+  const format = (req.query.format || 'bibtex').toLowerCase();
+
+  if (!CITATION_FORMATS[format]) {
+    res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${Object.keys(CITATION_FORMATS).join(', ')}`
+    });
+    return null;
+  }
+
+  return format;
+};
+
+// @desc    Cite a research presentation
+// @route   GET /api/citations/presentations/:id
+// @access  Public (non-public presentations only for their authors and admins)
+const getPresentationCitation = catchAsync(async (req, res) => {
+  const format = getFormat(req, res);
+  if (!format) return;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Presentation not found'
+    });
+  }
+
+  const presentation = await ResearchPresentation.findById(req.params.id)
+    .populate('conferenceId', 'name fullName year location startDate endDate');
+
+  const isAuthor = req.user && presentation &&
+    presentation.authors.some(author => author.userId && author.userId.toString() === req.user._id.toString());
+  const isAdmin = req.user && req.user.roles && req.user.roles.includes('admin');
+
+  if (!presentation || !(citationService.isPublic(presentation) || isAuthor || isAdmin)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Presentation not found'
+    });
+  }
+
+  const [item] = await citationService.citePresentations([presentation]);
+  sendCitations(res, [item], format, `sobie-${presentation.conferenceYear}-${presentation._id}`);
+});
+
+// @desc    Cite a published proceedings paper
+// @route   GET /api/citations/proceedings/:id
+// @access  Public
+const getProceedingsCitation = catchAsync(async (req, res) => {
+  const format = getFormat(req, res);
+  if (!format) return;
+
+  const submission = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await citationService.findProceedingsPaper(req.params.id)
+    : null;
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Published proceedings paper not found'
+    });
+  }
+
+  sendCitations(res, [citationService.fromProceedingsPaper(submission)], format,
+    `sobie-${submission.conferenceYear}-${submission.submissionNumber || submission._id}`);
+});
+
+// @desc    Export citations for a conference year or discipline
+// @route   GET /api/citations/presentations
+// @access  Public
+const exportPresentationCitations = catchAsync(async (req, res) => {
+  const format = getFormat(req, res);
+  if (!format) return;
+
+  const { year, discipline } = req.query;
+
+  if (!year && !discipline) {
+    return res.status(400).json({
+      success: false,
+      message: 'Filter by year or discipline to export citations'
+    });
+  }
+
+  if (year && isNaN(parseInt(year))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Year must be a number'
+    });
+  }
+
+  const presentations = await citationService.findPresentations({ year, discipline });
+  const items = await citationService.citePresentations(presentations);
+
+  sendCitations(res, items, format, ['sobie', year, discipline].filter(Boolean).join('-'));
+});
+
+// @desc    Export citations for the current user's presentations
+// @route   GET /api/citations/me
+// @access  Private
+const exportMyCitations = catchAsync(async (req, res) => {
+  const format = getFormat(req, res);
+  if (!format) return;
+
+  const { year, discipline, type, includeCoauthored } = req.query;
+
+  const presentations = await citationService.findPresentations({
+    userId: req.user._id,
+    year,
+    discipline,
+    type,
+    includeCoauthored
+  });
+  const items = await citationService.citePresentations(presentations);
+
+  sendCitations(res, items, format, `sobie-${req.user.name ? req.user.name.lastName : 'my'}-presentations`);
+});
+
+module.exports = {
+  getPresentationCitation,
+  getProceedingsCitation,
+  exportPresentationCitations,
+  exportMyCitations
+};
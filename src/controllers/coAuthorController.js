@@ -1,8 +1,145 @@
 const User = require('../models/User');
 const ResearchSubmission = require('../models/ResearchSubmission');
+const SubmissionInvitation = require('../models/SubmissionInvitation');
+const Notification = require('../models/Notification');
+const emailService = require('../services/emailService');
 const { body, validationResult, param } = require('express-validator');
 const mongoose = require('mongoose');
 
+/**
+ * Email a co-author a link to confirm or decline their authorship
+ */
+const sendAuthorshipInvitation = async (submission, coAuthor, invitedBy) => {
+  const { invitation, token } = await SubmissionInvitation.issue({
+    submissionId: submission._id,
+    purpose: 'co_author_consent',
+    subjectId: coAuthor._id,
+    email: coAuthor.email,
+    invitedBy
+  });
+
+  coAuthor.authorship.status = 'pending';
+  coAuthor.authorship.invitedDate = new Date();
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const { correspondingAuthor } = submission;
+
+  await emailService.sendCoAuthorInvitation(coAuthor.email, {
+    coAuthorName: `${coAuthor.name.firstName} ${coAuthor.name.lastName}`,
+    correspondingAuthorName: `${correspondingAuthor.name.firstName} ${correspondingAuthor.name.lastName}`,
+    title: submission.title,
+    submissionNumber: submission.submissionNumber,
+    institution: coAuthor.affiliation.institution,
+    expiresAt: invitation.expiresAt,
+    confirmUrl: `${frontendUrl}/authorship/${token}`,
+    declineUrl: `${frontendUrl}/authorship/${token}?decline=true`
+  });
+
+  return invitation;
+};
+
+/**
+ * Create a passwordless account for a co-author who confirms without one;
+ * they sign in with a magic link sent to the invited address
+ */
+const createCoAuthorAccount = (coAuthor, email) => {
+  return User.create({
+    email,
+    name: {
+      firstName: coAuthor.name.firstName,
+      lastName: coAuthor.name.lastName
+    },
+    userType: 'other',
+    affiliation: {
+      organization: coAuthor.affiliation.institution,
+      department: coAuthor.affiliation.department || undefined,
+      college: coAuthor.affiliation.college || undefined,
+      jobTitle: coAuthor.affiliation.jobTitle || undefined
+    },
+    magicLinkEnabled: true,
+    // Following the emailed link proves the address belongs to them
+    isEmailVerified: true,
+    sobieRoles: ['researcher']
+  });
+};
+
+// Sponsor decisions accepted from the approval link, and the approval status each records
+const SPONSOR_DECISIONS = {
+  approve: 'approved',
+  request_changes: 'changes_requested',
+  decline: 'declined'
+};
+
+/**
+ * Let the corresponding author know how a faculty sponsor answered
+ */
+const notifySponsorDecision = async (submission, sponsor) => {
+  const sponsorName = `${sponsor.name.firstName} ${sponsor.name.lastName}`;
+  const outcome = {
+    approved: 'approved your submission',
+    changes_requested: 'asked for changes before approving your submission',
+    declined: 'declined to sponsor your submission'
+  }[sponsor.approval.status];
+
+  try {
+    await Notification.createNotification({
+      userId: submission.correspondingAuthor.userId,
+      title: `Faculty sponsor ${sponsor.approval.status === 'approved' ? 'approval received' : 'response received'}`,
+      message: `${sponsorName} ${outcome} "${submission.title.substring(0, 150)}"${sponsor.approval.comments ? `: ${sponsor.approval.comments.substring(0, 200)}` : ''}`,
+      type: 'message',
+      priority: sponsor.approval.status === 'approved' ? 'normal' : 'high',
+      sourceType: 'user',
+      sourceId: submission._id,
+      sourceModel: 'ResearchSubmission',
+      actionType: 'view',
+      actionUrl: `/research/${submission._id}`,
+      metadata: { submissionId: submission._id, sponsorId: sponsor._id, decision: sponsor.approval.status }
+    });
+  } catch (error) {
+    console.error('Error notifying corresponding author of sponsor decision:', error);
+  }
+};
+
+/**
+ * Find the submission and sponsor an approval token belongs to
+ */
+const findSponsorApproval = async (token) => {
+  const invitation = await SubmissionInvitation.findActiveByToken(token, 'faculty_sponsor_approval');
+  if (!invitation) return {};
+
+  const submission = await ResearchSubmission.findById(invitation.submissionId);
+  const sponsor = submission && submission.facultySponsors.id(invitation.subjectId);
+
+  return { invitation, submission, sponsor };
+};
+
+/**
+ * Let the corresponding author know a co-author answered their invitation
+ */
+const notifyCorrespondingAuthor = async (submission, coAuthor, confirmed) => {
+  const coAuthorName = `${coAuthor.name.firstName} ${coAuthor.name.lastName}`;
+
+  try {
+    await Notification.createNotification({
+      userId: submission.correspondingAuthor.userId,
+      title: confirmed ? 'Co-author confirmed authorship' : 'Co-author declined authorship',
+      message: confirmed
+        ? `${coAuthorName} confirmed they are a co-author of "${submission.title.substring(0, 200)}"`
+        : `${coAuthorName} says they are not a co-author of "${submission.title.substring(0, 200)}"${coAuthor.authorship.declineReason ? `: ${coAuthor.authorship.declineReason.substring(0, 200)}` : ''}`,
+      type: 'message',
+      priority: confirmed ? 'normal' : 'high',
+      sourceType: 'user',
+      sourceId: submission._id,
+      sourceModel: 'ResearchSubmission',
+      actionType: 'view',
+      actionUrl: `/research/${submission._id}/authors`,
+      metadata: { submissionId: submission._id, coAuthorId: coAuthor._id }
+    });
+  } catch (error) {
+    console.error('Error notifying corresponding author of authorship response:', error);
+  }
+};
+
 /**
  * Search for potential co-authors from SOBIE users
  * Known collaborators appear first, then other users
@@ -249,20 +386,23 @@ const addCoAuthor = async (req, res) => {
     } else {
       // External author - validate required fields
       if (!authorData.name?.firstName || !authorData.name?.lastName || 
-          !authorData.affiliation?.institution) {
+          !authorData.affiliation?.institution || !authorData.email) {
         return res.status(400).json({
           success: false,
-          message: 'Name and institution are required for external co-authors'
+          message: 'Name, institution and email are required for external co-authors'
         });
       }
       authorData.isExternalAuthor = true;
       authorData.isKnownCollaborator = false;
     }
 
-    // Add the co-author
+    // Add the co-author; they stay pending until they confirm through the emailed invitation
     const newCoAuthor = await submission.addCoAuthor(authorData, authorData.isKnownCollaborator);
     await submission.save();
 
+    await sendAuthorshipInvitation(submission, newCoAuthor, req.user._id);
+    await submission.save();
+
     // Populate the new co-author if it's a SOBIE user
     await submission.populate({
       path: 'coAuthors.userId',
@@ -271,10 +411,11 @@ const addCoAuthor = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Co-author added successfully',
+      message: 'Co-author added and invited to confirm authorship',
       data: {
         coAuthor: newCoAuthor,
-        totalCoAuthors: submission.coAuthors.length
+        totalCoAuthors: submission.coAuthors.length,
+        authorship: submission.getAuthorshipSummary()
       }
     });
 
@@ -325,6 +466,7 @@ const removeCoAuthor = async (req, res) => {
     }
 
     await submission.save();
+    await SubmissionInvitation.revokeFor(submission._id, 'co_author_consent', removedAuthor._id);
 
     res.status(200).json({
       success: true,
@@ -345,6 +487,277 @@ const removeCoAuthor = async (req, res) => {
   }
 };
 
+/**
+ * Send a co-author a new authorship invitation (replaces any earlier link)
+ */
+const resendAuthorshipInvitation = async (req, res) => {
+  try {
+    const { submissionId, authorId } = req.params;
+    const userId = req.user.id;
+
+    const submission = await ResearchSubmission.findOne({
+      _id: submissionId,
+      'correspondingAuthor.userId': userId
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Research submission not found or you do not have permission to modify it'
+      });
+    }
+
+    const coAuthor = submission.coAuthors.id(authorId);
+
+    if (!coAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Co-author not found'
+      });
+    }
+
+    if (!coAuthor.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add an email address for this co-author before inviting them'
+      });
+    }
+
+    if (coAuthor.authorship?.status === 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This co-author has already confirmed their authorship'
+      });
+    }
+
+    const invitation = await sendAuthorshipInvitation(submission, coAuthor, req.user._id);
+    await submission.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Authorship invitation sent',
+      data: {
+        coAuthor,
+        expiresAt: invitation.expiresAt,
+        authorship: submission.getAuthorshipSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error resending authorship invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending authorship invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Look up an authorship invitation from its emailed token
+ */
+const getAuthorshipInvitation = async (req, res) => {
+  try {
+    const invitation = await SubmissionInvitation.findActiveByToken(req.params.token, 'co_author_consent');
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, has expired or has already been answered'
+      });
+    }
+
+    const submission = await ResearchSubmission.findById(invitation.submissionId)
+      .select('title submissionNumber correspondingAuthor.name coAuthors');
+    const coAuthor = submission && submission.coAuthors.id(invitation.subjectId);
+
+    if (!coAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are no longer listed as a co-author of this submission'
+      });
+    }
+
+    const hasAccount = Boolean(coAuthor.userId) || await User.exists({ email: invitation.email });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submission: {
+          title: submission.title,
+          submissionNumber: submission.submissionNumber,
+          correspondingAuthor: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`
+        },
+        coAuthor: {
+          name: coAuthor.name,
+          email: invitation.email,
+          affiliation: coAuthor.affiliation
+        },
+        hasAccount: Boolean(hasAccount),
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving authorship invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving authorship invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm authorship from an emailed invitation, linking the co-author to
+ * their SOBIE account or creating a lightweight one
+ */
+const confirmAuthorship = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await SubmissionInvitation.findActiveByToken(req.params.token, 'co_author_consent');
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, has expired or has already been answered'
+      });
+    }
+
+    const submission = await ResearchSubmission.findById(invitation.submissionId);
+    const coAuthor = submission && submission.coAuthors.id(invitation.subjectId);
+
+    if (!coAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are no longer listed as a co-author of this submission'
+      });
+    }
+
+    // Link to the account already on the co-author entry, the signed-in user,
+    // or the account registered to the invited address, in that order
+    let linkedUserId = coAuthor.userId;
+    let accountCreated = false;
+
+    if (linkedUserId) {
+      if (req.user && req.user._id.toString() !== linkedUserId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invitation belongs to a different SOBIE account'
+        });
+      }
+    } else if (req.user) {
+      linkedUserId = req.user._id;
+    } else {
+      const existingUser = await User.findOne({ email: invitation.email }).select('_id');
+
+      if (existingUser) {
+        linkedUserId = existingUser._id;
+      } else {
+        const { affiliation } = req.body;
+        const account = await createCoAuthorAccount({
+          name: coAuthor.name,
+          affiliation: { ...coAuthor.affiliation.toObject(), ...affiliation }
+        }, invitation.email);
+        linkedUserId = account._id;
+        accountCreated = true;
+      }
+    }
+
+    const author = submission.confirmAuthorship(coAuthor._id, linkedUserId, req.body.affiliation);
+    await submission.save();
+
+    invitation.markResponded();
+    await invitation.save();
+
+    await notifyCorrespondingAuthor(submission, author, true);
+
+    res.status(200).json({
+      success: true,
+      message: accountCreated
+        ? 'Authorship confirmed. A SOBIE account was created for you; sign in with a magic link sent to your email.'
+        : 'Authorship confirmed',
+      data: {
+        coAuthor: author,
+        accountCreated,
+        authorshipStatus: submission.authorshipStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Error confirming authorship:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming authorship',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Decline authorship from an emailed invitation
+ */
+const declineAuthorship = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await SubmissionInvitation.findActiveByToken(req.params.token, 'co_author_consent');
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, has expired or has already been answered'
+      });
+    }
+
+    const submission = await ResearchSubmission.findById(invitation.submissionId);
+    const coAuthor = submission && submission.coAuthors.id(invitation.subjectId);
+
+    if (!coAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are no longer listed as a co-author of this submission'
+      });
+    }
+
+    const author = submission.declineAuthorship(coAuthor._id, req.body.reason);
+    await submission.save();
+
+    invitation.markResponded();
+    await invitation.save();
+
+    await notifyCorrespondingAuthor(submission, author, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'The corresponding author has been told you are not an author of this submission'
+    });
+
+  } catch (error) {
+    console.error('Error declining authorship:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining authorship',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Reorder co-authors
  */
@@ -531,6 +944,7 @@ const removeFacultySponsor = async (req, res) => {
     }
 
     await submission.save();
+    await SubmissionInvitation.revokeFor(submission._id, 'faculty_sponsor_approval', removedSponsor._id);
 
     res.status(200).json({
       success: true,
@@ -551,6 +965,255 @@ const removeFacultySponsor = async (req, res) => {
   }
 };
 
+/**
+ * Email a faculty sponsor a link to approve a student submission
+ */
+const requestSponsorApproval = async (req, res) => {
+  try {
+    const { submissionId, sponsorId } = req.params;
+    const userId = req.user.id;
+
+    const submission = await ResearchSubmission.findOne({
+      _id: submissionId,
+      'correspondingAuthor.userId': userId
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Research submission not found or you do not have permission to modify it'
+      });
+    }
+
+    if (!submission.isStudentResearch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Faculty sponsor approval is only needed for student research'
+      });
+    }
+
+    if (submission.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sponsor approval can only be requested before the submission is submitted'
+      });
+    }
+
+    if (!submission.paperUpload || !submission.paperUpload.filename) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload your paper before asking your sponsor for approval'
+      });
+    }
+
+    const sponsor = submission.facultySponsors.id(sponsorId);
+
+    if (!sponsor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Faculty sponsor not found'
+      });
+    }
+
+    if (!sponsor.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add an email address for this sponsor before requesting approval'
+      });
+    }
+
+    if (sponsor.approval?.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'This sponsor has already approved the submission'
+      });
+    }
+
+    const { invitation, token } = await SubmissionInvitation.issue({
+      submissionId: submission._id,
+      purpose: 'faculty_sponsor_approval',
+      subjectId: sponsor._id,
+      email: sponsor.email,
+      invitedBy: req.user._id
+    });
+
+    submission.requestSponsorApproval(sponsor._id, req.user._id);
+    await submission.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    await emailService.sendSponsorApprovalRequest(sponsor.email, {
+      sponsorName: `${sponsor.name.firstName} ${sponsor.name.lastName}`,
+      correspondingAuthorName: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
+      authorList: submission.authorList,
+      title: submission.title,
+      abstractPreview: submission.abstract.substring(0, 300) + '...',
+      expiresAt: invitation.expiresAt,
+      reviewUrl: `${frontendUrl}/sponsor-approval/${token}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval request sent to the faculty sponsor',
+      data: {
+        expiresAt: invitation.expiresAt,
+        sponsorApproval: submission.getSponsorApprovalStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error requesting sponsor approval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting sponsor approval',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Show a faculty sponsor the submission they are asked to approve
+ */
+const getSponsorApprovalRequest = async (req, res) => {
+  try {
+    const { submission, sponsor, invitation } = await findSponsorApproval(req.params.token);
+
+    if (!sponsor) {
+      return res.status(404).json({
+        success: false,
+        message: 'This approval request is invalid, has expired or has already been answered'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submission: {
+          title: submission.title,
+          abstract: submission.abstract,
+          keywords: submission.keywords,
+          authors: submission.authorList,
+          discipline: submission.discipline,
+          academicLevel: submission.academicLevel,
+          status: submission.status,
+          hasPaper: Boolean(submission.paperUpload && submission.paperUpload.filePath)
+        },
+        sponsor: {
+          name: sponsor.name,
+          affiliation: sponsor.affiliation
+        },
+        // Earlier rounds, so the sponsor can check their requested changes were made
+        history: submission.sponsorApprovalLog
+          .filter(entry => entry.sponsorId && entry.sponsorId.toString() === sponsor._id.toString())
+          .map(entry => ({ action: entry.action, comments: entry.comments, date: entry.date })),
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving sponsor approval request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving sponsor approval request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download the paper a faculty sponsor is asked to approve
+ */
+const downloadSponsorApprovalPaper = async (req, res) => {
+  try {
+    const { submission, sponsor } = await findSponsorApproval(req.params.token);
+
+    if (!sponsor || !submission.paperUpload || !submission.paperUpload.filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paper not found for this approval request'
+      });
+    }
+
+    res.download(
+      submission.paperUpload.filePath,
+      submission.paperUpload.originalName || submission.paperUpload.filename
+    );
+
+  } catch (error) {
+    console.error('Error downloading paper for sponsor approval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading paper',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record a faculty sponsor's decision: approve, request changes or decline
+ */
+const respondToSponsorApproval = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, comments = '' } = req.body;
+    const { submission, sponsor, invitation } = await findSponsorApproval(req.params.token);
+
+    if (!sponsor) {
+      return res.status(404).json({
+        success: false,
+        message: 'This approval request is invalid, has expired or has already been answered'
+      });
+    }
+
+    if (submission.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'This submission is no longer waiting for sponsor approval'
+      });
+    }
+
+    if (decision !== 'approve' && !comments.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain what needs to change or why you are declining'
+      });
+    }
+
+    // External sponsors have no SOBIE account to record as the actor
+    submission.recordSponsorDecision(sponsor._id, SPONSOR_DECISIONS[decision], comments.trim(), sponsor.userId || null);
+    await submission.save();
+
+    invitation.markResponded();
+    await invitation.save();
+
+    await notifySponsorDecision(submission, sponsor);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you, your response has been sent to the students',
+      data: {
+        decision: sponsor.approval.status,
+        respondedDate: sponsor.approval.respondedDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording sponsor decision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording sponsor decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Designate presenter(s)
  */
@@ -713,6 +1376,7 @@ const getSubmissionAuthors = async (req, res) => {
         presenters,
         knownCollaborators,
         presentationDetails: submission.presentationDetails,
+        authorship: submission.getAuthorshipSummary(),
         summary: {
           totalAuthors: allAuthors.length,
           totalCoAuthors: submission.coAuthors.length,
@@ -738,6 +1402,7 @@ const validateCoAuthor = [
   body('name.firstName').notEmpty().withMessage('First name is required'),
   body('name.lastName').notEmpty().withMessage('Last name is required'),
   body('affiliation.institution').notEmpty().withMessage('Institution is required'),
+  body('email').optional().isEmail().withMessage('Invalid email address'),
   body('role').optional().isIn(['co_author', 'faculty_advisor', 'faculty_mentor', 'faculty_sponsor', 'student_researcher']),
   body('userId').optional().isMongoId().withMessage('Invalid user ID'),
   body('isStudentAuthor').optional().isBoolean(),
@@ -745,6 +1410,22 @@ const validateCoAuthor = [
   body('isPrimaryPresenter').optional().isBoolean()
 ];
 
+const validateAuthorshipConfirmation = [
+  body('affiliation.institution').optional().trim().notEmpty().withMessage('Institution cannot be empty'),
+  body('affiliation.department').optional().trim(),
+  body('affiliation.college').optional().trim(),
+  body('affiliation.jobTitle').optional().trim()
+];
+
+const validateAuthorshipDecline = [
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+];
+
+const validateSponsorDecision = [
+  body('decision').isIn(Object.keys(SPONSOR_DECISIONS)).withMessage('Decision must be approve, request_changes or decline'),
+  body('comments').optional().isString().isLength({ max: 2000 }).withMessage('Comments cannot exceed 2000 characters')
+];
+
 const validateFacultySponsor = [
   body('name.firstName').notEmpty().withMessage('First name is required'),
   body('name.lastName').notEmpty().withMessage('Last name is required'),
@@ -758,11 +1439,22 @@ module.exports = {
   addCoAuthor,
   removeCoAuthor,
   reorderCoAuthors,
+  resendAuthorshipInvitation,
+  getAuthorshipInvitation,
+  confirmAuthorship,
+  declineAuthorship,
   addFacultySponsor,
   removeFacultySponsor,
+  requestSponsorApproval,
+  getSponsorApprovalRequest,
+  downloadSponsorApprovalPaper,
+  respondToSponsorApproval,
   designatePresenter,
   removePresenter,
   getSubmissionAuthors,
   validateCoAuthor,
+  validateAuthorshipConfirmation,
+  validateAuthorshipDecline,
+  validateSponsorDecision,
   validateFacultySponsor
 };
@@ -1,12 +1,77 @@
 const { catchAsync } = require('../utils/catchAsync');
 const mongoose = require('mongoose');
 const ResearchSubmission = require('../models/ResearchSubmission');
+const Conference = require('../models/Conference');
 const User = require('../models/User');
 const Document = require('../models/Document');
+const Notification = require('../models/Notification');
 const notificationService = require('../services/notificationService');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
+const reviewerAssignmentService = require('../services/reviewerAssignmentService');
+const proceedingsCompilerService = require('../services/proceedingsCompilerService');
+const crossrefDepositService = require('../services/crossrefDepositService');
 const path = require('path');
 const fs = require('fs');
 
+const PROCEEDINGS_DECISIONS = ['accept', 'reject', 'revision_required'];
+const REVIEW_RECOMMENDATIONS = ['accept', 'minor_revision', 'major_revision', 'reject'];
+
+// Days authors get to revise a proceedings paper when the editor sets no deadline
+const DEFAULT_REVISION_DAYS = 28;
+
+// Statuses in which the proceedings editor can review and decide
+const PROCEEDINGS_REVIEW_STATUSES = ['proceedings_under_review', 'proceedings_revised'];
+
+// Whether the user is the corresponding author or a co-author of the submission
+const isSubmissionAuthor = (submission, userId) =>
+  submission.correspondingAuthor.userId?.toString() === userId ||
+  submission.coAuthors.some(author => author.userId?.toString() === userId);
+
+// Whether the user is an admin or the editor assigned to the proceedings paper
+const isProceedingsEditor = (submission, user) => {
+  const editorId = submission.proceedings?.proceedingsReview?.assignedEditor;
+  return user.roles.includes('admin') ||
+    Boolean(editorId && (editorId._id || editorId).toString() === user.id);
+};
+
+// Corresponding author and co-authors that can be emailed
+const getAuthorRecipients = (submission) =>
+  [submission.correspondingAuthor, ...(submission.coAuthors || [])]
+    .filter(author => author && author.email);
+
+// Document record for an uploaded proceedings paper file
+const createPaperDocument = (submission, file, userId, subcategory) => Document.createFromUpload(file, {
+  title: submission.title,
+  category: 'proceedings',
+  subcategory,
+  conferenceYear: submission.conferenceYear,
+  uploadedBy: userId
+});
+
+// In-app notification about a proceedings paper; failures are logged, not raised
+const notifyUsers = async (userIds, submission, { title, message, priority = 'normal', actionUrl }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (recipients.length === 0) return;
+
+  try {
+    await Notification.createBulkNotifications(recipients, {
+      type: 'message',
+      title: title.substring(0, 150),
+      message: message.substring(0, 500),
+      priority,
+      sourceType: 'user',
+      sourceId: submission._id,
+      sourceModel: 'ResearchSubmission',
+      conferenceId: submission.conferenceId?._id || submission.conferenceId,
+      actionType: 'view',
+      actionUrl,
+      metadata: { submissionId: submission._id }
+    });
+  } catch (error) {
+    console.error('Failed to send proceedings notifications:', error);
+  }
+};
+
 // @desc    Get proceedings dashboard for admins
 // @route   GET /api/admin/proceedings
 // @access  Private (Admin only)
@@ -269,15 +334,7 @@ const submitProceedingsPaper = catchAsync(async (req, res) => {
   }
   
   // Create document record
-  const document = new Document({
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    filePath: req.file.path,
-    fileSize: req.file.size,
-    uploadedBy: userId,
-    documentType: 'proceedings_paper'
-  });
-  await document.save();
+  const document = await createPaperDocument(submission, req.file, userId, 'final_paper');
   
   // Submit proceedings paper
   const paperData = {
@@ -441,6 +498,612 @@ const assignProceedingsEditor = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Assign reviewers to a proceedings paper
+// @route   POST /api/proceedings/:id/reviewers
+// @access  Private (Admin or assigned proceedings editor)
+const assignProceedingsReviewers = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { reviewerIds } = req.body;
+
+  if (!Array.isArray(reviewerIds) || reviewerIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one reviewer is required'
+    });
+  }
+
+  const submission = await ResearchSubmission.findById(id)
+    .populate('conferenceId', 'name year reviewSettings');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  if (!isProceedingsEditor(submission, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned proceedings editor can assign reviewers'
+    });
+  }
+
+  if (!PROCEEDINGS_REVIEW_STATUSES.includes(submission.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Can only assign reviewers to proceedings papers under review'
+    });
+  }
+
+  const uniqueIds = [...new Set(reviewerIds.map(String))];
+  const reviewers = await User.find({
+    _id: { $in: uniqueIds },
+    $or: [
+      { roles: 'reviewer' },
+      { roles: 'editor' },
+      { roles: 'admin' }
+    ]
+  });
+
+  if (reviewers.length !== uniqueIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'One or more reviewers not found or do not have reviewer privileges'
+    });
+  }
+
+  // The same conflict-of-interest rules apply as for conference reviews
+  const conflictSettings = conflictOfInterestService.getSettings(submission.conferenceId);
+  const registry = await conflictOfInterestService.buildRegistry(reviewers, conflictSettings);
+
+  const conflicts = reviewers
+    .map(reviewer => ({
+      reviewer,
+      reasons: reviewerAssignmentService.findConflicts(
+        reviewer,
+        submission,
+        registry.get(reviewer._id.toString()),
+        conflictSettings
+      )
+    }))
+    .filter(entry => entry.reasons.length > 0);
+
+  if (conflicts.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Conflict of interest detected: ${conflicts.map(c => `${c.reviewer.name.firstName} ${c.reviewer.name.lastName} (${c.reasons.join(', ')})`).join('; ')}`
+    });
+  }
+
+  const added = submission.assignProceedingsReviewers(uniqueIds);
+  await submission.save();
+
+  await notifyUsers(added.map(r => r.userId), submission, {
+    title: 'Proceedings review requested',
+    message: `You have been asked to review the proceedings paper "${submission.title}" (${submission.submissionNumber}).`,
+    actionUrl: `/proceedings/${submission._id}/review`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${added.length} reviewer(s) assigned successfully`,
+    data: {
+      submissionId: submission._id,
+      assigned: added.map(r => ({ userId: r.userId, assignedAt: r.assignedAt })),
+      alreadyAssigned: uniqueIds.length - added.length
+    }
+  });
+});
+
+// @desc    Submit a reviewer recommendation for a proceedings paper
+// @route   POST /api/proceedings/:id/review
+// @access  Private (Assigned proceedings reviewer)
+const submitProceedingsReview = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { recommendation, comments, confidentialComments } = req.body;
+  const userId = req.user.id;
+
+  if (!REVIEW_RECOMMENDATIONS.includes(recommendation)) {
+    return res.status(400).json({
+      success: false,
+      message: `Recommendation must be one of: ${REVIEW_RECOMMENDATIONS.join(', ')}`
+    });
+  }
+
+  const submission = await ResearchSubmission.findById(id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  if (!submission.getProceedingsReviewer(userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not assigned to review this proceedings paper'
+    });
+  }
+
+  if (!PROCEEDINGS_REVIEW_STATUSES.includes(submission.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'This proceedings paper is not open for review'
+    });
+  }
+
+  const review = submission.submitProceedingsReview(userId, { recommendation, comments, confidentialComments });
+  await submission.save();
+
+  await notifyUsers([submission.proceedings.proceedingsReview.assignedEditor], submission, {
+    title: 'Proceedings review submitted',
+    message: `A reviewer recommended "${recommendation}" for the proceedings paper "${submission.title}" (${submission.submissionNumber}).`,
+    actionUrl: `/admin/proceedings/${submission._id}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Proceedings review submitted successfully',
+    data: {
+      submissionId: submission._id,
+      recommendation: review.recommendation,
+      reviewSubmittedAt: review.reviewSubmittedAt,
+      reviewsComplete: Boolean(submission.proceedings.reviewCompletedAt)
+    }
+  });
+});
+
+// @desc    Make the editor decision on a proceedings paper
+// @route   POST /api/proceedings/:id/decision
+// @access  Private (Admin or assigned proceedings editor)
+const makeProceedingsDecision = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { decision, comments, revisionDeadline } = req.body;
+  const userId = req.user.id;
+
+  if (!PROCEEDINGS_DECISIONS.includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      message: `Decision must be one of: ${PROCEEDINGS_DECISIONS.join(', ')}`
+    });
+  }
+
+  const submission = await ResearchSubmission.findById(id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  if (!isProceedingsEditor(submission, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins or the assigned proceedings editor can make a decision'
+    });
+  }
+
+  if (!PROCEEDINGS_REVIEW_STATUSES.includes(submission.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Can only decide on proceedings papers under review'
+    });
+  }
+
+  // Revisions are due by the requested date, or four weeks from now
+  let deadline = null;
+  if (decision === 'revision_required') {
+    deadline = revisionDeadline ? new Date(revisionDeadline) : new Date();
+    if (!revisionDeadline) {
+      deadline.setDate(deadline.getDate() + DEFAULT_REVISION_DAYS);
+    }
+
+    if (isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision deadline must be a valid date in the future'
+      });
+    }
+  }
+
+  submission.makeProceedingsDecision(decision, userId, comments, deadline);
+  await submission.save();
+
+  // One failed email does not stop the other authors hearing about the decision
+  const emailFailures = [];
+
+  for (const author of getAuthorRecipients(submission)) {
+    const authorName = `${author.name.firstName} ${author.name.lastName}`;
+
+    try {
+      if (decision === 'accept') {
+        await notificationService.sendAcceptanceNotification(author.email, {
+          authorName,
+          paperTitle: submission.title,
+          submissionNumber: submission.submissionNumber
+        });
+      } else if (decision === 'revision_required') {
+        await notificationService.sendCustomEmail(
+          author.email,
+          `Revision Required - ${submission.title}`,
+          `Your proceedings paper "${submission.title}" (${submission.submissionNumber}) needs revision before it can be published. ` +
+            `Please upload your revised paper by ${deadline.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.` +
+            (comments ? `\n\nEditor comments:\n${comments}` : ''),
+          { name: authorName }
+        );
+      } else {
+        await notificationService.sendCustomEmail(
+          author.email,
+          `Proceedings Decision - ${submission.title}`,
+          `Thank you for submitting "${submission.title}" (${submission.submissionNumber}) to the SOBIE Conference Proceedings. ` +
+            'Unfortunately, it has not been accepted for publication.' +
+            (comments ? `\n\nEditor comments:\n${comments}` : ''),
+          { name: authorName }
+        );
+      }
+    } catch (error) {
+      console.error(`Failed to send proceedings decision email to ${author.email}:`, error);
+      emailFailures.push({ email: author.email, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Proceedings decision recorded successfully',
+    data: {
+      submissionId: submission._id,
+      decision,
+      status: submission.status,
+      revisionDeadline: deadline,
+      decisionDate: submission.proceedings.proceedingsReview.finalDecision.decisionDate,
+      emailFailures
+    }
+  });
+});
+
+// @desc    Upload a revised proceedings paper
+// @route   POST /api/proceedings/:id/revision
+// @access  Private
+const submitProceedingsRevision = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { comments } = req.body;
+  const userId = req.user.id;
+
+  const submission = await ResearchSubmission.findById(id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  if (!isSubmissionAuthor(submission, userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to revise this paper'
+    });
+  }
+
+  if (submission.status !== 'proceedings_revision_required') {
+    return res.status(400).json({
+      success: false,
+      message: 'No proceedings revision has been requested for this paper'
+    });
+  }
+
+  const revisionDeadline = submission.proceedings.proceedingsReview.finalDecision?.revisionDeadline;
+  if (revisionDeadline && new Date() > revisionDeadline) {
+    return res.status(400).json({
+      success: false,
+      message: 'Revision deadline has passed'
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Revised paper file is required'
+    });
+  }
+
+  const document = await createPaperDocument(submission, req.file, userId, 'revision');
+
+  submission.addProceedingsRevision({
+    filename: req.file.filename,
+    originalName: req.file.originalname,
+    filePath: req.file.path,
+    fileSize: req.file.size,
+    documentId: document._id
+  }, userId, comments);
+  await submission.save();
+
+  await notifyUsers([submission.proceedings.proceedingsReview.assignedEditor], submission, {
+    title: 'Proceedings revision submitted',
+    message: `The authors uploaded a revised version of "${submission.title}" (${submission.submissionNumber}).`,
+    actionUrl: `/admin/proceedings/${submission._id}`
+  });
+
+  const revision = submission.proceedings.revisions[submission.proceedings.revisions.length - 1];
+
+  res.status(200).json({
+    success: true,
+    message: 'Proceedings revision submitted successfully',
+    data: {
+      submissionId: submission._id,
+      version: revision.version,
+      uploadDate: revision.uploadDate,
+      filename: req.file.originalname
+    }
+  });
+});
+
+// @desc    Publish an accepted proceedings paper
+// @route   POST /api/proceedings/:id/publish
+// @access  Private (Admin only)
+const publishProceedings = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { proceedingsVolume, proceedingsIssue, pageNumbers, doi, publishedUrl } = req.body;
+  const adminId = req.user.id;
+
+  const submission = await ResearchSubmission.findById(id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  if (submission.status !== 'proceedings_accepted') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only accepted proceedings papers can be published'
+    });
+  }
+
+  const hasPages = Boolean(pageNumbers && (pageNumbers.start !== undefined || pageNumbers.end !== undefined));
+  const startPage = hasPages ? Number(pageNumbers.start) : null;
+  const endPage = hasPages ? Number(pageNumbers.end) : null;
+
+  if (hasPages && !(Number.isInteger(startPage) && startPage > 0 && Number.isInteger(endPage) && endPage >= startPage)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Page numbers need a positive start page and an end page that does not come before it'
+    });
+  }
+
+  submission.publishProceedings({
+    proceedingsVolume,
+    proceedingsIssue,
+    pageNumbers: hasPages ? { start: startPage, end: endPage } : undefined,
+    doi,
+    publishedUrl
+  }, adminId);
+  await submission.save();
+
+  const publicationUrl = publishedUrl ||
+    (doi ? `https://doi.org/${doi}` : `${process.env.FRONTEND_URL}/proceedings/${submission._id}`);
+
+  const emailFailures = [];
+
+  for (const author of getAuthorRecipients(submission)) {
+    try {
+      await notificationService.sendPublicationNotification(author.email, {
+        authorName: `${author.name.firstName} ${author.name.lastName}`,
+        paperTitle: submission.title,
+        submissionNumber: submission.submissionNumber,
+        publicationUrl,
+        doi
+      });
+    } catch (error) {
+      console.error(`Failed to send publication notification to ${author.email}:`, error);
+      emailFailures.push({ email: author.email, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Proceedings paper published successfully',
+    data: {
+      submissionId: submission._id,
+      publication: submission.proceedings.publication,
+      emailFailures
+    }
+  });
+});
+
+// @desc    Compile the proceedings volume PDF for a conference
+// @route   POST /api/proceedings/conferences/:conferenceId/volume
+// @access  Private (Admin only)
+const compileProceedingsVolume = catchAsync(async (req, res) => {
+  const { conferenceId } = req.params;
+  const { volume, issue, submissionIds, dryRun = false } = req.body;
+
+  if (!volume || !String(volume).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Volume is required'
+    });
+  }
+
+  if (submissionIds !== undefined && (!Array.isArray(submissionIds) || submissionIds.length === 0 ||
+      !submissionIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'submissionIds must be a non-empty list of submission IDs'
+    });
+  }
+
+  const conference = await Conference.findById(conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const submissions = await proceedingsCompilerService.findPapers(conference._id, submissionIds);
+
+  if (submissionIds && submissions.length !== new Set(submissionIds.map(String)).size) {
+    const found = new Set(submissions.map(s => s._id.toString()));
+    return res.status(400).json({
+      success: false,
+      message: 'Some submissions are not accepted proceedings papers of this conference',
+      submissionIds: submissionIds.filter(id => !found.has(String(id)))
+    });
+  }
+
+  if (submissions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No accepted proceedings papers to compile'
+    });
+  }
+
+  const plan = await proceedingsCompilerService.planVolume(submissions);
+
+  if (plan.problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some papers cannot be included in the volume',
+      problems: plan.problems
+    });
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: 'Proceedings volume preview',
+      data: {
+        dryRun: true,
+        volume,
+        issue,
+        paperPages: plan.lastPage,
+        papers: proceedingsCompilerService.summarize(plan)
+      }
+    });
+  }
+
+  const result = await proceedingsCompilerService.compile(conference, plan, {
+    volume: String(volume).trim(),
+    issue: issue ? String(issue).trim() : undefined,
+    compiledBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Proceedings volume compiled successfully',
+    data: {
+      documentId: result.document._id,
+      downloadUrl: `/api/documents/${result.document._id}/download`,
+      volume,
+      issue,
+      pageCount: result.pageCount,
+      frontMatterPages: result.frontMatterPages,
+      papers: result.papers
+    }
+  });
+});
+
+// @desc    Export the Crossref DOI deposit XML for a proceedings volume
+// @route   POST /api/proceedings/conferences/:conferenceId/crossref-deposit
+// @access  Private (Admin only)
+const exportCrossrefDeposit = catchAsync(async (req, res) => {
+  const { conferenceId } = req.params;
+  const { volume, publicationDate, dryRun = false } = req.body;
+
+  if (!volume || !String(volume).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Volume is required'
+    });
+  }
+
+  if (publicationDate && isNaN(new Date(publicationDate).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Publication date is not a valid date'
+    });
+  }
+
+  const settings = crossrefDepositService.getSettings();
+  const settingsErrors = crossrefDepositService.checkSettings(settings);
+
+  if (settingsErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Crossref deposits are not configured correctly',
+      errors: settingsErrors
+    });
+  }
+
+  const conference = await Conference.findById(conferenceId);
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const papers = await crossrefDepositService.findPapers(conference._id, String(volume).trim());
+
+  if (papers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No published papers with page numbers in this volume'
+    });
+  }
+
+  const assignment = await crossrefDepositService.assignDois(conference, papers, settings);
+  const deposit = crossrefDepositService.buildDeposit(conference, assignment, settings, {
+    publicationDate: publicationDate ? new Date(publicationDate) : null
+  });
+  const errors = [...assignment.errors, ...crossrefDepositService.validateDeposit(deposit)];
+
+  const summary = {
+    batchId: deposit.batchId,
+    volumeDoi: assignment.volumeDoi,
+    papers: assignment.papers.map(({ submission, doi, isNew }) => ({
+      submissionId: submission._id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      doi,
+      isNew
+    }))
+  };
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'The Crossref deposit is not valid',
+      errors,
+      data: summary
+    });
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: 'Crossref deposit preview',
+      data: { dryRun: true, ...summary }
+    });
+  }
+
+  await crossrefDepositService.recordDois(assignment, deposit.batchId);
+
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${deposit.batchId}.xml"`
+  });
+  res.status(200).send(crossrefDepositService.toXml(deposit));
+});
+
 // Helper function to get proceedings statistics
 const getProceedingsStatistics = async (year = null) => {
   const matchCondition = {
@@ -515,5 +1178,12 @@ module.exports = {
   respondToInvitation,
   submitProceedingsPaper,
   getMyProceedings,
-  assignProceedingsEditor
+  assignProceedingsEditor,
+  assignProceedingsReviewers,
+  submitProceedingsReview,
+  makeProceedingsDecision,
+  submitProceedingsRevision,
+  publishProceedings,
+  compileProceedingsVolume,
+  exportCrossrefDeposit
 };
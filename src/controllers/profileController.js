@@ -1,5 +1,6 @@
 const userService = require('../services/userService');
 const photoUploadService = require('../services/photoUploadService');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
 const { catchAsync } = require('../utils/catchAsync');
 const { authMiddleware, requireEmailVerification } = require('../middleware/auth');
 const mongoose = require('mongoose');
@@ -699,6 +700,88 @@ const addSobieHistoryItem = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Get user's declared and inferred conflicts of interest
+// @route   GET /api/profile/me/conflicts
+// @access  Private
+const getMyConflicts = catchAsync(async (req, res) => {
+  const conflicts = await conflictOfInterestService.getUserConflicts(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: conflicts
+  });
+});
+
+// @desc    Declare a conflict of interest with a person or institution
+// @route   POST /api/profile/me/conflicts
+// @access  Private
+const declareConflict = catchAsync(async (req, res) => {
+  const { conflictType, userId, name, email, institution, relationship, notes } = req.body;
+
+  if (conflictType === 'person' && !userId && !email && !(name && name.firstName && name.lastName)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A user, email or full name is required to declare a conflict with a person'
+    });
+  }
+
+  if (userId && userId.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot declare a conflict with yourself'
+    });
+  }
+
+  const user = await userService.getUserById(req.user._id);
+
+  user.conflictsOfInterest.push({
+    conflictType,
+    userId: conflictType === 'person' ? userId : undefined,
+    name: conflictType === 'person' ? name : undefined,
+    email: conflictType === 'person' ? email : undefined,
+    institution,
+    relationship,
+    notes
+  });
+
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Conflict of interest declared',
+    data: {
+      conflict: user.conflictsOfInterest[user.conflictsOfInterest.length - 1],
+      conflictsOfInterest: user.conflictsOfInterest
+    }
+  });
+});
+
+// @desc    Remove a declared conflict of interest
+// @route   DELETE /api/profile/me/conflicts/:conflictId
+// @access  Private
+const removeConflict = catchAsync(async (req, res) => {
+  const user = await userService.getUserById(req.user._id);
+  const conflict = user.conflictsOfInterest.id(req.params.conflictId);
+
+  if (!conflict) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conflict declaration not found'
+    });
+  }
+
+  conflict.deleteOne();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Conflict of interest removed',
+    data: {
+      conflictsOfInterest: user.conflictsOfInterest
+    }
+  });
+});
+
 // @desc    Run content moderation check on profile
 // @route   POST /api/profile/me/content-check
 // @access  Private
@@ -864,6 +947,9 @@ module.exports = {
   getMySobieHistory,
   updateMySobieHistory,
   addSobieHistoryItem,
+  getMyConflicts,
+  declareConflict,
+  removeConflict,
   runContentModerationCheck,
   getProfileCompleteness
 };
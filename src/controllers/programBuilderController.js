@@ -3,6 +3,13 @@ const Session = require('../models/Session');
 const Conference = require('../models/Conference');
 const User = require('../models/User');
 const ResearchPresentation = require('../models/ResearchPresentation');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
+const scheduleSolverService = require('../services/scheduleSolverService');
+const roomService = require('../services/roomService');
+const agendaService = require('../services/agendaService');
+const Room = require('../models/Room');
+const { getReviewWeightedScore } = require('../utils/reviewRubric');
+const { canTransition } = require('../utils/submissionStatus');
 
 /**
  * Conference Program Builder Controller
@@ -228,6 +235,32 @@ const createSession = async (req, res) => {
       });
     }
 
+    const submissions = await ResearchSubmission.find({ _id: { $in: assignedSubmissions } });
+    const statusRole = req.user.roles.includes('admin') ? 'admin' : 'editor';
+
+    // Provisional papers are accepted when scheduled; anything else cannot be scheduled
+    const unschedulable = findUnschedulableSubmissions(submissions, statusRole);
+    if (unschedulable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some submissions cannot be accepted into the program in their current status',
+        submissions: unschedulable
+      });
+    }
+
+    // Session chairs may not chair papers they have a conflict of interest with
+    if (sessionData.chair && sessionData.chair.userId) {
+      const conflicts = await findChairConflicts(sessionData.chair.userId, submissions, [], conferenceId);
+
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Session chair has a conflict of interest: ${conflictOfInterestService.describeConflicts(conflicts)}`,
+          conflicts
+        });
+      }
+    }
+
     // Get the next session number for this conference
     const existingSessionsCount = await Session.countDocuments({ conferenceId });
     const sessionNumber = existingSessionsCount + 1;
@@ -240,6 +273,16 @@ const createSession = async (req, res) => {
       ...sessionData
     });
 
+    // Rooms may not be double-booked; needs the room cannot meet are only warnings
+    const booking = await roomService.assignRoom(session);
+    if (booking.error) {
+      return res.status(400).json({
+        success: false,
+        message: booking.error,
+        doubleBookings: booking.doubleBookings
+      });
+    }
+
     await session.save();
 
     // Create ResearchPresentation documents for assigned submissions
@@ -247,31 +290,12 @@ const createSession = async (req, res) => {
     for (const submissionId of assignedSubmissions) {
       const submission = await ResearchSubmission.findById(submissionId);
       if (submission) {
-        const presentation = new ResearchPresentation({
-          submissionId: submission._id,
-          sessionId: session._id,
-          conferenceId: conferenceId,
-          conferenceYear: sessionData.conferenceYear,
-          title: submission.title,
-          presenters: [{
-            name: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
-            email: submission.correspondingAuthor.email,
-            affiliation: submission.correspondingAuthor.affiliation.institution,
-            isPrimary: true,
-            userId: submission.correspondingAuthor.userId
-          }],
-          abstract: submission.abstract,
-          discipline: submission.discipline,
-          keywords: submission.keywords,
-          status: 'scheduled'
-        });
+        const presentation = buildScheduledPresentation(submission, session);
 
         await presentation.save();
         presentations.push(presentation._id);
 
-        // Update submission to show it's been scheduled (keep as accepted)
-        submission.status = 'accepted';
-        await submission.save();
+        await acceptScheduledSubmission(submission, req.user._id, statusRole, session);
       }
     }
 
@@ -290,7 +314,8 @@ const createSession = async (req, res) => {
       message: 'Session created successfully',
       data: {
         session: populatedSession,
-        assignedPresentations: presentations.length
+        assignedPresentations: presentations.length,
+        warnings: booking.warnings
       }
     });
 
@@ -320,6 +345,35 @@ const updateSession = async (req, res) => {
       });
     }
 
+    // Re-check the chair when it changes or new papers join the session
+    const newChairId = sessionData.chair && sessionData.chair.userId;
+    const chairId = newChairId || (session.chair && session.chair.userId);
+
+    const submissions = await ResearchSubmission.find({ _id: { $in: addSubmissions } });
+    const statusRole = req.user.roles.includes('admin') ? 'admin' : 'editor';
+
+    const unschedulable = findUnschedulableSubmissions(submissions, statusRole);
+    if (unschedulable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some submissions cannot be accepted into the program in their current status',
+        submissions: unschedulable
+      });
+    }
+
+    if (chairId && (newChairId || addSubmissions.length > 0)) {
+      const presentations = await ResearchPresentation.find({ _id: { $in: session.presentations } }).select('authors');
+      const conflicts = await findChairConflicts(chairId, submissions, presentations, session.conferenceId);
+
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Session chair has a conflict of interest: ${conflictOfInterestService.describeConflicts(conflicts)}`,
+          conflicts
+        });
+      }
+    }
+
     // Update session data
     Object.keys(sessionData).forEach(key => {
       if (sessionData[key] !== undefined) {
@@ -327,34 +381,25 @@ const updateSession = async (req, res) => {
       }
     });
 
+    const booking = await roomService.assignRoom(session);
+    if (booking.error) {
+      return res.status(400).json({
+        success: false,
+        message: booking.error,
+        doubleBookings: booking.doubleBookings
+      });
+    }
+
     // Handle adding submissions
     for (const submissionId of addSubmissions) {
       const submission = await ResearchSubmission.findById(submissionId);
       if (submission) {
-        const presentation = new ResearchPresentation({
-          submissionId: submission._id,
-          sessionId: session._id,
-          conferenceId: session.conferenceId,
-          conferenceYear: session.conferenceYear,
-          title: submission.title,
-          presenters: [{
-            name: `${submission.correspondingAuthor.name.firstName} ${submission.correspondingAuthor.name.lastName}`,
-            email: submission.correspondingAuthor.email,
-            affiliation: submission.correspondingAuthor.affiliation.institution,
-            isPrimary: true,
-            userId: submission.correspondingAuthor.userId
-          }],
-          abstract: submission.abstract,
-          discipline: submission.discipline,
-          keywords: submission.keywords,
-          status: 'scheduled'
-        });
+        const presentation = buildScheduledPresentation(submission, session);
 
         await presentation.save();
         session.presentations.push(presentation._id);
 
-        submission.status = 'accepted';
-        await submission.save();
+        await acceptScheduledSubmission(submission, req.user._id, statusRole, session);
       }
     }
 
@@ -371,13 +416,6 @@ const updateSession = async (req, res) => {
           p => p.toString() !== presentation._id.toString()
         );
 
-        // Update submission status
-        const submission = await ResearchSubmission.findById(submissionId);
-        if (submission) {
-          submission.status = 'accepted';
-          await submission.save();
-        }
-
         // Remove presentation
         await ResearchPresentation.findByIdAndDelete(presentation._id);
       }
@@ -385,6 +423,11 @@ const updateSession = async (req, res) => {
 
     await session.save();
 
+    // Bookmarks follow moved papers, so the session's expected audience changes with them
+    if (addSubmissions.length > 0 || removeSubmissions.length > 0) {
+      await agendaService.refreshAttendanceEstimate(session._id);
+    }
+
     // Return updated session
     const updatedSession = await Session.findById(session._id)
       .populate('chair.userId', 'name email affiliation')
@@ -394,7 +437,8 @@ const updateSession = async (req, res) => {
     res.json({
       success: true,
       message: 'Session updated successfully',
-      data: updatedSession
+      data: updatedSession,
+      warnings: booking.warnings
     });
 
   } catch (error) {
@@ -624,17 +668,9 @@ const deleteSession = async (req, res) => {
       });
     }
 
-    // Remove all presentations and reset submission status
+    // Remove all presentations; their submissions stay accepted and return to the unassigned pool
     for (const presentationId of session.presentations) {
-      const presentation = await ResearchPresentation.findById(presentationId);
-      if (presentation) {
-        const submission = await ResearchSubmission.findById(presentation.submissionId);
-        if (submission) {
-          submission.status = 'accepted';
-          await submission.save();
-        }
-        await ResearchPresentation.findByIdAndDelete(presentationId);
-      }
+      await ResearchPresentation.findByIdAndDelete(presentationId);
     }
 
     await Session.findByIdAndDelete(sessionId);
@@ -654,6 +690,381 @@ const deleteSession = async (req, res) => {
   }
 };
 
+// @desc    Solve a draft schedule from accepted papers, rooms and time slots
+// @route   POST /api/program-builder/schedule/:conferenceId/solve
+// @access  Private (Admin/Editor)
+const solveSchedule = async (req, res) => {
+  try {
+    const { conferenceId } = req.params;
+    const { rooms = [], timeSlots = [], maxPresentations = 6, dryRun = false } = req.body;
+
+    const conference = await Conference.findById(conferenceId);
+    if (!conference) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conference not found'
+      });
+    }
+
+    // Without a room list the solver uses the conference's room inventory;
+    // listed rooms that match the inventory by name are booked as inventory rooms
+    const inventory = (await Room.getActiveRooms(conferenceId)).map(room => ({
+      roomId: room._id,
+      name: room.name,
+      building: room.building,
+      venue: room.venue,
+      floor: room.floor
+    }));
+    const roomList = rooms.length > 0
+      ? normalizeRooms(rooms).map(room => inventory.find(entry => entry.name.toLowerCase() === room.name.toLowerCase()) || room)
+      : inventory;
+    if (roomList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one room is required; add rooms to the conference inventory or list them'
+      });
+    }
+
+    const { slots, errors } = scheduleSolverService.parseTimeSlots(timeSlots);
+    if (errors.length > 0 || slots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.length > 0 ? 'Some time slots are invalid' : 'At least one time slot is required',
+        errors
+      });
+    }
+
+    const max = parseInt(maxPresentations);
+    if (!Number.isInteger(max) || max < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxPresentations must be a positive whole number'
+      });
+    }
+
+    const result = await scheduleSolverService.run(conference, {
+      rooms: roomList,
+      slots,
+      maxPresentations: max,
+      dryRun: Boolean(dryRun)
+    });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? 'Draft schedule preview generated'
+        : `Draft schedule saved with ${result.sessions.length} sessions`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Solve schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the draft sessions produced by the schedule solver
+// @route   GET /api/program-builder/schedule/:conferenceId/drafts
+// @access  Private (Admin/Editor)
+const getDraftSchedule = async (req, res) => {
+  try {
+    const { conferenceId } = req.params;
+
+    const drafts = await Session.find({ conferenceId, 'scheduling.isDraft': true })
+      .populate('scheduling.draftSubmissions', 'title submissionNumber discipline keywords correspondingAuthor.name correspondingAuthor.affiliation.institution')
+      .sort({ date: 1, startTime: 1, 'location.room': 1 });
+
+    res.json({
+      success: true,
+      data: {
+        drafts,
+        totalDrafts: drafts.length,
+        totalPapers: drafts.reduce((count, draft) => count + draft.scheduling.draftSubmissions.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get draft schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lock or unlock a draft session, or pin papers to it, before re-running the solver
+// @route   PUT /api/program-builder/schedule/drafts/:sessionId/lock
+// @access  Private (Admin/Editor)
+const lockDraftSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { locked, submissionIds } = req.body;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.scheduling || !session.scheduling.isDraft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft session not found'
+      });
+    }
+
+    if (submissionIds !== undefined) {
+      if (!Array.isArray(submissionIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'submissionIds must be an array'
+        });
+      }
+
+      const draftIds = session.scheduling.draftSubmissions.map(id => id.toString());
+      const unknown = submissionIds.filter(id => !draftIds.includes(String(id)));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only papers in this draft session can be pinned to it',
+          submissions: unknown
+        });
+      }
+
+      session.scheduling.lockedSubmissions = submissionIds;
+    }
+
+    if (locked !== undefined) {
+      session.scheduling.isLocked = Boolean(locked);
+    }
+
+    await session.save();
+
+    res.json({
+      success: true,
+      message: session.scheduling.isLocked ? 'Draft session locked' : 'Draft session updated',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Lock draft session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept draft sessions into the program
+// @route   POST /api/program-builder/schedule/:conferenceId/accept
+// @access  Private (Admin/Editor)
+const acceptDraftSchedule = async (req, res) => {
+  try {
+    const { conferenceId } = req.params;
+    const { sessionIds } = req.body;
+
+    const query = { conferenceId, 'scheduling.isDraft': true };
+    if (Array.isArray(sessionIds) && sessionIds.length > 0) {
+      query._id = { $in: sessionIds };
+    }
+
+    const drafts = await Session.find(query);
+    if (drafts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No draft sessions to accept'
+      });
+    }
+
+    const submissions = await ResearchSubmission.find({
+      _id: { $in: drafts.flatMap(draft => draft.scheduling.draftSubmissions) }
+    });
+    const statusRole = req.user.roles.includes('admin') ? 'admin' : 'editor';
+
+    // Papers may have been withdrawn or rejected since the solver ran
+    const unschedulable = findUnschedulableSubmissions(submissions, statusRole);
+    if (unschedulable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some submissions cannot be accepted into the program in their current status',
+        submissions: unschedulable
+      });
+    }
+
+    // Rooms may have been booked by hand since the solver ran
+    const doubleBookings = [];
+    for (const draft of drafts) {
+      const bookings = await roomService.findDoubleBookings(draft);
+      if (bookings.length > 0) {
+        doubleBookings.push({
+          sessionId: draft._id,
+          title: draft.title,
+          message: `${draft.location.room} is already booked: ${roomService.describeDoubleBookings(bookings)}`
+        });
+      }
+    }
+    if (doubleBookings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some draft sessions are in rooms that are already booked',
+        doubleBookings
+      });
+    }
+
+    const byId = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+    let assignedPresentations = 0;
+
+    for (const draft of drafts) {
+      for (const submissionId of draft.scheduling.draftSubmissions) {
+        const submission = byId.get(submissionId.toString());
+        if (!submission) continue;
+
+        const presentation = buildScheduledPresentation(submission, draft);
+        await presentation.save();
+        draft.presentations.push(presentation._id);
+        assignedPresentations++;
+
+        await acceptScheduledSubmission(submission, req.user._id, statusRole, draft);
+      }
+
+      draft.scheduling.isDraft = false;
+      draft.scheduling.isLocked = false;
+      draft.scheduling.draftSubmissions = [];
+      draft.scheduling.lockedSubmissions = [];
+      draft.scheduling.acceptedAt = new Date();
+      draft.scheduling.acceptedBy = req.user._id;
+      await draft.save();
+    }
+
+    res.json({
+      success: true,
+      message: `${drafts.length} draft sessions accepted into the program`,
+      data: {
+        sessions: drafts,
+        assignedPresentations
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept draft schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to check a session chair against the authors of the session's papers
+async function findChairConflicts(chairUserId, submissions, presentations, conferenceId) {
+  const chair = await User.findById(chairUserId).select('name email affiliation');
+  if (!chair) return [];
+
+  const conference = await Conference.findById(conferenceId).select('year reviewSettings');
+  const settings = conflictOfInterestService.getSettings(conference);
+  const registry = await conflictOfInterestService.buildRegistry([chair], settings);
+
+  const people = [
+    ...submissions.flatMap(submission => conflictOfInterestService.getSubmissionPeople(submission)),
+    ...presentations.flatMap(presentation =>
+      (presentation.authors || []).map(author => conflictOfInterestService.personFromAuthor(author))
+    )
+  ];
+
+  return conflictOfInterestService.findConflicts(chair, people, registry.get(chair._id.toString()), settings);
+}
+
+// Helper function to list submissions that are neither accepted nor acceptable by the scheduler
+function findUnschedulableSubmissions(submissions, statusRole) {
+  return submissions
+    .filter(submission => submission.status !== 'accepted' &&
+      !canTransition(submission.status, 'accepted', statusRole))
+    .map(submission => ({
+      submissionId: submission._id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      status: submission.status
+    }));
+}
+
+// Helper function to accept a provisional paper once it has been scheduled
+async function acceptScheduledSubmission(submission, userId, statusRole, session) {
+  if (submission.status === 'accepted') return;
+
+  submission.transitionStatus('accepted', {
+    changedBy: userId,
+    role: statusRole,
+    reason: `Scheduled in session ${session.title}`
+  });
+  await submission.save();
+}
+
+// Helper function to build the presentation for a paper scheduled in a session
+function buildScheduledPresentation(submission, session) {
+  const presenterIds = ((submission.presentationDetails && submission.presentationDetails.presenters) || [])
+    .filter(presenter => presenter.presentationRole !== 'discussant')
+    .map(presenter => presenter.authorType === 'corresponding' ? 'corresponding' : presenter.authorId.toString());
+  const presents = (id) => presenterIds.length === 0 ? id === 'corresponding' : presenterIds.includes(id);
+
+  const coAuthors = (submission.coAuthors || [])
+    .filter(author => !(author.authorship && author.authorship.status === 'declined'))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  const toAuthor = (author, role, isPresenter, order) => ({
+    name: { firstName: author.name.firstName, lastName: author.name.lastName, title: author.name.title },
+    email: author.email,
+    affiliation: {
+      institution: author.affiliation.institution,
+      department: author.affiliation.department
+    },
+    role,
+    isPresenter,
+    isStudentAuthor: Boolean(author.isStudentAuthor),
+    userId: author.userId,
+    order
+  });
+
+  return new ResearchPresentation({
+    submissionId: submission._id,
+    sessionId: session._id,
+    conferenceId: session.conferenceId,
+    conferenceYear: session.conferenceYear,
+    title: submission.title,
+    abstract: submission.abstract,
+    keywords: submission.keywords,
+    researchType: submission.researchType,
+    presentationType: submission.presentationType,
+    discipline: submission.discipline,
+    academicLevel: submission.academicLevel,
+    isStudentResearch: submission.isStudentResearch,
+    authors: [
+      toAuthor(submission.correspondingAuthor, 'primary_author', presents('corresponding'), 1),
+      ...coAuthors.map((author, index) => toAuthor(
+        author,
+        author.role === 'faculty_sponsor' ? 'faculty_advisor' : author.role || 'co_author',
+        presents(author._id.toString()),
+        index + 2
+      ))
+    ],
+    status: 'accepted'
+  });
+}
+
+// Helper function to normalize the rooms given to the schedule solver
+function normalizeRooms(rooms) {
+  const seen = new Set();
+
+  return (Array.isArray(rooms) ? rooms : [])
+    .map(room => typeof room === 'string' ? { name: room } : room || {})
+    .map(room => ({ name: (room.name || '').trim(), building: room.building, venue: room.venue, floor: room.floor }))
+    .filter(room => {
+      if (!room.name || seen.has(room.name.toLowerCase())) return false;
+      seen.add(room.name.toLowerCase());
+      return true;
+    });
+}
+
 // Helper function to calculate acceptance probability based on reviews
 function calculateAcceptanceProbability(submission) {
   if (!submission.reviewWorkflow || !submission.reviewWorkflow.reviewers) {
@@ -680,15 +1091,18 @@ function calculateAcceptanceProbability(submission) {
 
   // Calculate based on completed reviews
   let totalScore = 0;
+  let scoredReviews = 0;
   let recommendationScore = 0;
   let reviewCount = completedReviews.length;
 
   completedReviews.forEach(reviewer => {
     const review = reviewer.review;
     
-    // Use overall score (typically 1-5 scale)
-    if (review.overallScore) {
-      totalScore += review.overallScore;
+    // Use the weighted rubric score (normalized to 0-1)
+    const weightedScore = getReviewWeightedScore(review);
+    if (weightedScore !== null) {
+      totalScore += weightedScore;
+      scoredReviews++;
     }
     
     // Factor in recommendation
@@ -715,11 +1129,10 @@ function calculateAcceptanceProbability(submission) {
   });
 
   // Calculate average scores
-  const avgScore = totalScore / reviewCount;
   const avgRecommendation = recommendationScore / reviewCount;
   
-  // Convert to probability (assuming 5-point scale)
-  let scoreProbability = (avgScore - 1) / 4; // Convert 1-5 to 0-1
+  // Weighted scores are already on a 0-1 scale
+  const scoreProbability = scoredReviews > 0 ? totalScore / scoredReviews : avgRecommendation;
   
   // Combine score and recommendation (weighted)
   const finalProbability = (scoreProbability * 0.6) + (avgRecommendation * 0.4);
@@ -739,5 +1152,9 @@ module.exports = {
   createSession,
   updateSession,
   getGroupingSuggestions,
-  deleteSession
+  deleteSession,
+  solveSchedule,
+  getDraftSchedule,
+  lockDraftSession,
+  acceptDraftSchedule
 };
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Conference = require('../models/Conference');
+const ProgramVersion = require('../models/ProgramVersion');
+const programVersionService = require('../services/programVersionService');
+const { catchAsync } = require('../utils/catchAsync');
+
+// Respond with 404 unless the conference exists
+const loadConference = async (req, res) => {
+  const conference = mongoose.Types.ObjectId.isValid(req.params.conferenceId)
+    ? await Conference.findById(req.params.conferenceId).select('name year')
+    : null;
+
+  if (!conference) {
+    res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+    return null;
+  }
+
+  return conference;
+};
+
+// @desc    Compare the draft program with the published version
+// @route   GET /api/program-builder/program/:conferenceId/diff
+// @access  Private (Admin/Editor)
+const getProgramDiff = catchAsync(async (req, res) => {
+  const conference = await loadConference(req, res);
+  if (!conference) return;
+
+  const { published, diff } = await programVersionService.getDiff(conference._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      publishedVersion: published ? published.version : null,
+      publishedAt: published ? published.publishedAt : null,
+      hasChanges: diff.hasChanges,
+      summary: { added: diff.added, removed: diff.removed, changed: diff.changed },
+      changes: diff.changes.map(change => programVersionService.summarizeChange(change))
+    }
+  });
+});
+
+// @desc    Publish the draft program as a new version and notify affected people
+// @route   POST /api/program-builder/program/:conferenceId/publish
+// @access  Private (Admin/Editor)
+const publishProgram = catchAsync(async (req, res) => {
+  const conference = await loadConference(req, res);
+  if (!conference) return;
+
+  const { notes, reason, notifyAffected = true } = req.body;
+
+  if (reason && reason.length > 500) {
+    return res.status(400).json({
+      success: false,
+      message: 'Change reason cannot be more than 500 characters'
+    });
+  }
+
+  const result = await programVersionService.publish(conference._id, req.user, {
+    notes,
+    reason,
+    notifyAffected: notifyAffected !== false
+  });
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Program version ${result.version.version} published`,
+    data: {
+      version: result.version.version,
+      publishedAt: result.version.publishedAt,
+      sessions: result.version.sessions.length,
+      changes: result.version.changes,
+      notifiedUsers: result.notified,
+      failedNotifications: result.failed
+    }
+  });
+});
+
+// @desc    List a conference's published program versions
+// @route   GET /api/program-builder/program/:conferenceId/versions
+// @access  Private (Admin/Editor)
+const getProgramVersions = catchAsync(async (req, res) => {
+  const conference = await loadConference(req, res);
+  if (!conference) return;
+
+  const versions = await ProgramVersion.find({ conferenceId: conference._id })
+    .select('version publishedAt publishedBy notes changes')
+    .populate('publishedBy', 'name email')
+    .sort({ version: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: versions
+  });
+});
+
+// @desc    Get the published program, or an earlier version of it
+// @route   GET /api/program/:conferenceId
+// @access  Public
+const getPublishedProgram = catchAsync(async (req, res) => {
+  const conference = await loadConference(req, res);
+  if (!conference) return;
+
+  const version = req.query.version
+    ? await ProgramVersion.findOne({ conferenceId: conference._id, version: parseInt(req.query.version) })
+    : await ProgramVersion.getLatest(conference._id);
+
+  if (!version) {
+    return res.status(404).json({
+      success: false,
+      message: 'No program has been published for this conference yet'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference,
+      version: version.version,
+      publishedAt: version.publishedAt,
+      sessions: version.sessions
+    }
+  });
+});
+
+module.exports = {
+  getProgramDiff,
+  publishProgram,
+  getProgramVersions,
+  getPublishedProgram
+};
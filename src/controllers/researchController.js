@@ -10,28 +10,7 @@ const getMyPresentations = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const { year, discipline, type, includeCoauthored = true } = req.query;
 
-  // Build query
-  let query = { 'authors.userId': userId };
-  
-  if (year) {
-    query.conferenceYear = parseInt(year);
-  }
-  
-  if (discipline) {
-    query.discipline = discipline;
-  }
-  
-  if (type) {
-    query.presentationType = type;
-  }
-
-  // If not including co-authored, only show where user is primary author or presenter
-  if (includeCoauthored === 'false') {
-    query['$or'] = [
-      { 'authors': { $elemMatch: { userId: userId, role: 'primary_author' } } },
-      { 'authors': { $elemMatch: { userId: userId, isPresenter: true } } }
-    ];
-  }
+  const query = ResearchPresentation.buildAuthorQuery(userId, { year, discipline, type, includeCoauthored });
 
   const presentations = await ResearchPresentation.find(query)
     .populate('conferenceId', 'name year location startDate endDate')
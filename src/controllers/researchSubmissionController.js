@@ -2,9 +2,17 @@ const ResearchSubmission = require('../models/ResearchSubmission');
 const User = require('../models/User');
 const Conference = require('../models/Conference');
 const Document = require('../models/Document');
+const Notification = require('../models/Notification');
 const notificationService = require('../services/notificationService');
 const emailService = require('../services/emailService');
+const paperAnonymizationService = require('../services/paperAnonymizationService');
+const paperSimilarityService = require('../services/paperSimilarityService');
+const submissionWithdrawalService = require('../services/submissionWithdrawalService');
 const { catchAsync } = require('../utils/catchAsync');
+const { isBlindReviewEnabled, anonymizeSubmission } = require('../utils/blindReview');
+const { getRubric, validateReview, scoreReview } = require('../utils/reviewRubric');
+const { getAllowedTransitions, canTransition, getStatusRole, isActiveReviewer, formatStatusHistory } = require('../utils/submissionStatus');
+const { getDeadlineWindow, getDeadlineError, getDeadlineCountdown } = require('../utils/submissionDeadlines');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -39,6 +47,63 @@ const upload = multer({
   }
 });
 
+// Roles allowed to bid on submissions
+const REVIEWER_ROLES = ['reviewer', 'editor', 'admin'];
+
+// Call for papers window that applies to a paper upload, by submission status
+const UPLOAD_DEADLINE_TYPES = {
+  draft: 'full_paper',
+  accepted: 'camera_ready'
+};
+
+// Submission statuses that can receive reviewer bids
+const BIDDABLE_STATUSES = ['submitted', 'under_review'];
+
+// Returns a reason bidding is unavailable for a conference, or null if it is open
+const getBiddingError = (conference) => {
+  const bidding = conference?.reviewSettings?.bidding;
+
+  if (!bidding || !bidding.isOpen) {
+    return 'Bidding is not open for this conference';
+  }
+
+  if (bidding.deadline && bidding.deadline < new Date()) {
+    return 'The bidding deadline has passed';
+  }
+
+  return null;
+};
+
+// Works out how a user is related to a submission for file downloads
+const getSubmissionAccess = (submission, user) => {
+  const userId = user._id.toString();
+  const editorId = submission.reviewWorkflow.editor.userId;
+
+  return {
+    isAdmin: user.roles.includes('admin'),
+    isEditor: Boolean(editorId) && (editorId._id || editorId).toString() === userId,
+    isAuthor: submission.correspondingAuthor.userId.toString() === userId ||
+      submission.coAuthors.some(author => author.userId && author.userId.toString() === userId),
+    isReviewer: submission.reviewWorkflow.reviewers.some(
+      r => r.userId.toString() === userId && isActiveReviewer(r)
+    )
+  };
+};
+
+// Shape discussion posts for the thread, labelling each author by their role
+const formatDiscussion = (submission) => {
+  return submission.reviewWorkflow.discussion.map(post => ({
+    _id: post._id,
+    author: post.authorId && post.authorId.name
+      ? `${post.authorId.name.firstName} ${post.authorId.name.lastName}`
+      : null,
+    authorId: post.authorId ? post.authorId._id || post.authorId : null,
+    role: post.role,
+    message: post.message,
+    postedDate: post.postedDate
+  }));
+};
+
 // @desc    Create new research submission
 // @route   POST /api/research-submission
 // @access  Private
@@ -67,11 +132,12 @@ const createSubmission = catchAsync(async (req, res) => {
     });
   }
 
-  // Check if submission deadline has passed
-  if (conference.submissionDeadline && new Date() > conference.submissionDeadline) {
+  // New submissions start with the abstract, so the abstract window must be open
+  const deadlineError = getDeadlineError(getDeadlineWindow(conference, null, 'abstract'));
+  if (deadlineError) {
     return res.status(400).json({
       success: false,
-      message: 'Submission deadline has passed'
+      message: deadlineError
     });
   }
 
@@ -92,8 +158,7 @@ const createSubmission = catchAsync(async (req, res) => {
     },
     coAuthors: coAuthors || [],
     researchDetails: researchDetails || {},
-    status: 'draft',
-    submissionDeadline: conference.submissionDeadline
+    status: 'draft'
   });
 
   await submission.save();
@@ -117,7 +182,7 @@ const uploadPaper = catchAsync(async (req, res) => {
   const submission = await ResearchSubmission.findOne({
     _id: submissionId,
     'correspondingAuthor.userId': userId
-  });
+  }).populate('conferenceId', 'callForPapers');
 
   if (!submission) {
     return res.status(404).json({
@@ -126,10 +191,20 @@ const uploadPaper = catchAsync(async (req, res) => {
     });
   }
 
-  if (submission.status !== 'draft') {
+  // Drafts take the full paper; accepted submissions take the camera-ready version
+  const deadlineType = UPLOAD_DEADLINE_TYPES[submission.status];
+  if (!deadlineType) {
     return res.status(400).json({
       success: false,
-      message: 'Cannot upload files for submissions that are not in draft status'
+      message: 'Papers can only be uploaded for draft or accepted submissions'
+    });
+  }
+
+  const deadlineError = getDeadlineError(getDeadlineWindow(submission.conferenceId, submission, deadlineType));
+  if (deadlineError) {
+    return res.status(400).json({
+      success: false,
+      message: deadlineError
     });
   }
 
@@ -150,31 +225,34 @@ const uploadPaper = catchAsync(async (req, res) => {
     }
 
     try {
-      // Create document record
-      const document = new Document({
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        filePath: req.file.path,
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        uploadedBy: userId,
-        category: 'research_paper'
+      // Create document record (PDFs only; other formats live on the submission alone)
+      const document = await Document.createFromUpload(req.file, {
+        title: submission.title,
+        category: 'other',
+        subcategory: deadlineType === 'camera_ready' ? 'camera_ready' : 'research_paper',
+        conferenceYear: submission.conferenceYear,
+        uploadedBy: userId
       });
 
-      await document.save();
-
-      // Update submission with paper upload
-      submission.paperUpload = {
+      const paper = {
         filename: req.file.filename,
         originalName: req.file.originalname,
         filePath: req.file.path,
         fileSize: req.file.size,
-        uploadDate: new Date(),
-        documentId: document._id
+        documentId: document ? document._id : undefined
       };
 
+      if (deadlineType === 'camera_ready') {
+        submission.uploadCameraReady(paper);
+      } else {
+        submission.paperUpload = { ...paper, uploadDate: new Date() };
+      }
+
       await submission.save();
 
+      // Check for duplicate and recycled papers in the background; the report is for editors only
+      paperSimilarityService.checkSubmissionSafely(submission._id);
+
       res.status(200).json({
         success: true,
         data: {
@@ -184,7 +262,9 @@ const uploadPaper = catchAsync(async (req, res) => {
             originalName: req.file.originalname,
             size: req.file.size
           },
-          message: 'Paper uploaded successfully. You can now submit your research for review.'
+          message: deadlineType === 'camera_ready'
+            ? 'Camera-ready paper uploaded successfully.'
+            : 'Paper uploaded successfully. You can now submit your research for review.'
         }
       });
 
@@ -206,7 +286,7 @@ const submitForReview = catchAsync(async (req, res) => {
   const submission = await ResearchSubmission.findOne({
     _id: submissionId,
     'correspondingAuthor.userId': userId
-  }).populate('conferenceId', 'name year editorEmails');
+  }).populate('conferenceId', 'name year editorEmails callForPapers');
 
   if (!submission) {
     return res.status(404).json({
@@ -229,9 +309,27 @@ const submitForReview = catchAsync(async (req, res) => {
     });
   }
 
-  // Update submission status
-  submission.status = 'submitted';
-  submission.initialSubmissionDate = new Date();
+  const deadlineError = getDeadlineError(getDeadlineWindow(submission.conferenceId, submission, 'full_paper'));
+  if (deadlineError) {
+    return res.status(400).json({
+      success: false,
+      message: deadlineError
+    });
+  }
+
+  if (submission.isStudentResearch && !submission.hasSponsorApproval()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Student research must be approved by a faculty sponsor before it can be submitted',
+      data: { sponsorApproval: submission.getSponsorApprovalStatus() }
+    });
+  }
+
+  submission.transitionStatus('submitted', {
+    changedBy: userId,
+    role: 'author',
+    reason: 'Submitted for review'
+  });
 
   await submission.save();
 
@@ -288,6 +386,43 @@ const submitForReview = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Withdraw a submission and clean up its reviews, session slot and registration
+// @route   POST /api/research-submission/:id/withdraw
+// @access  Private (Corresponding author)
+const withdrawSubmission = catchAsync(async (req, res) => {
+  const { reason } = req.body;
+
+  const submission = await ResearchSubmission.findOne({
+    _id: req.params.id,
+    'correspondingAuthor.userId': req.user._id
+  });
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found or you are not authorized'
+    });
+  }
+
+  if (!canTransition(submission.status, 'withdrawn', 'author')) {
+    return res.status(400).json({
+      success: false,
+      message: `A submission that is ${submission.status} can no longer be withdrawn`
+    });
+  }
+
+  const withdrawal = await submissionWithdrawalService.withdraw(submission, req.user, reason);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submission,
+      withdrawal,
+      message: 'Submission withdrawn successfully'
+    }
+  });
+});
+
 // @desc    Get user's research submissions
 // @route   GET /api/research-submission/my-submissions
 // @access  Private
@@ -352,7 +487,8 @@ const getSubmissionDetails = catchAsync(async (req, res) => {
     .populate('correspondingAuthor.userId', 'name email affiliation')
     .populate('coAuthors.userId', 'name email affiliation')
     .populate('reviewWorkflow.editor.userId', 'name email affiliation')
-    .populate('reviewWorkflow.reviewers.userId', 'name email affiliation');
+    .populate('reviewWorkflow.reviewers.userId', 'name email affiliation')
+    .populate('statusHistory.changedBy', 'name');
 
   if (!submission) {
     return res.status(404).json({
@@ -370,6 +506,19 @@ const getSubmissionDetails = catchAsync(async (req, res) => {
 
   // Filter sensitive information based on user role
   let submissionData = submission.toObject();
+  submissionData.statusHistory = formatStatusHistory(submission.statusHistory);
+
+  // Reviewer bids and the similarity report are only visible to editors
+  if (userRole !== 'editor') {
+    delete submissionData.reviewWorkflow.bids;
+    delete submissionData.similarityReport;
+  }
+
+  // The reviewer-editor discussion is never shown to authors or to reviewers
+  // who have not submitted their own review yet
+  if (!submission.getDiscussionRole(req.user)) {
+    delete submissionData.reviewWorkflow.discussion;
+  }
 
   if (userRole === 'reviewer') {
     // Reviewers shouldn't see other reviews until they submit their own
@@ -385,15 +534,68 @@ const getSubmissionDetails = catchAsync(async (req, res) => {
         return r;
       });
     }
+
+    // Hide author identities when the conference runs double-blind review
+    if (isBlindReviewEnabled(submission.conferenceId)) {
+      submissionData = anonymizeSubmission(submissionData);
+    }
   }
 
+  const statusRole = getStatusRole(submission, req.user);
+
   res.status(200).json({
     success: true,
     data: {
       submission: submissionData,
       userRole,
       canEdit: ['author', 'co_author'].includes(userRole) && submission.status === 'draft',
-      canReview: userRole === 'reviewer' && submission.status === 'under_review'
+      canReview: userRole === 'reviewer' && ['under_review', 'revised'].includes(submission.status),
+      availableTransitions: statusRole ? getAllowedTransitions(submission.status, statusRole) : [],
+      deadlines: statusRole === 'author' ? getDeadlineCountdown(submission.conferenceId, submission) : undefined,
+      sponsorApproval: statusRole === 'author' ? submission.getSponsorApprovalStatus() : undefined
+    }
+  });
+});
+
+// @desc    Get the call for papers deadlines that apply to a submission, with a countdown
+// @route   GET /api/research-submission/:id/deadlines
+// @access  Private (Authors)
+const getSubmissionDeadlines = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+
+  const submission = await ResearchSubmission.findOne({
+    _id: req.params.id,
+    $or: [
+      { 'correspondingAuthor.userId': userId },
+      { 'coAuthors.userId': userId }
+    ]
+  })
+    .select('submissionNumber title status conferenceId deadlineExtensions reviewWorkflow.revisionRequests')
+    .populate('conferenceId', 'name year callForPapers');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found or you are not authorized to view it'
+    });
+  }
+
+  const conference = submission.conferenceId;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionId: submission._id,
+      submissionNumber: submission.submissionNumber,
+      status: submission.status,
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      callForPapers: conference.callForPapers,
+      deadlines: getDeadlineCountdown(conference, submission),
+      serverTime: new Date()
     }
   });
 });
@@ -413,8 +615,12 @@ const getSubmissionsForReview = catchAsync(async (req, res) => {
       r => r.userId.toString() === reviewerId.toString()
     );
 
+    const submissionData = isBlindReviewEnabled(submission.conferenceId)
+      ? anonymizeSubmission(submission)
+      : submission.toObject();
+
     return {
-      ...submission.toObject(),
+      ...submissionData,
       myReviewStatus: reviewerInfo ? reviewerInfo.status : 'not_assigned',
       reviewDeadline: submission.reviewWorkflow.reviewDeadline,
       daysRemaining: submission.reviewWorkflow.reviewDeadline 
@@ -437,6 +643,423 @@ const getSubmissionsForReview = catchAsync(async (req, res) => {
   });
 });
 
+// @desc    Get submissions open for reviewer bidding
+// @route   GET /api/research-submission/bidding
+// @access  Private (Reviewers)
+const getBiddingSubmissions = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { conferenceId } = req.query;
+
+  if (!REVIEWER_ROLES.some(role => req.user.roles.includes(role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only reviewers can take part in bidding'
+    });
+  }
+
+  const conference = await Conference.findById(conferenceId).select('name year reviewSettings');
+
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const biddingError = getBiddingError(conference);
+  if (biddingError) {
+    return res.status(400).json({
+      success: false,
+      message: biddingError
+    });
+  }
+
+  const submissions = await ResearchSubmission.find({
+    conferenceId: conference._id,
+    status: { $in: BIDDABLE_STATUSES },
+    'correspondingAuthor.userId': { $ne: userId },
+    'coAuthors.userId': { $ne: userId }
+  })
+    .select('submissionNumber title abstract keywords discipline researchType presentationType reviewWorkflow.bids')
+    .sort({ submissionNumber: 1 });
+
+  // Only titles and abstracts are shown, never author details or other reviewers' bids
+  const biddingList = submissions.map(submission => {
+    const myBid = submission.getBid(userId);
+
+    return {
+      _id: submission._id,
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      abstract: submission.abstract,
+      keywords: submission.keywords,
+      discipline: submission.discipline,
+      researchType: submission.researchType,
+      presentationType: submission.presentationType,
+      myBid: myBid ? myBid.bid : null,
+      myBidComments: myBid ? myBid.comments : null
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conference: {
+        _id: conference._id,
+        name: conference.name,
+        year: conference.year
+      },
+      biddingDeadline: conference.reviewSettings.bidding.deadline,
+      submissions: biddingList,
+      summary: {
+        total: biddingList.length,
+        bidsPlaced: biddingList.filter(s => s.myBid).length,
+        remaining: biddingList.filter(s => !s.myBid).length
+      }
+    }
+  });
+});
+
+// @desc    Place or update a bid on a submission
+// @route   PUT /api/research-submission/:id/bid
+// @access  Private (Reviewers)
+const placeBid = catchAsync(async (req, res) => {
+  const submissionId = req.params.id;
+  const userId = req.user._id;
+  const { bid, comments } = req.body;
+
+  if (!REVIEWER_ROLES.some(role => req.user.roles.includes(role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only reviewers can take part in bidding'
+    });
+  }
+
+  const submission = await ResearchSubmission.findById(submissionId)
+    .populate('conferenceId', 'name year reviewSettings');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const biddingError = getBiddingError(submission.conferenceId);
+  if (biddingError) {
+    return res.status(400).json({
+      success: false,
+      message: biddingError
+    });
+  }
+
+  if (!BIDDABLE_STATUSES.includes(submission.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'This submission is not open for bidding'
+    });
+  }
+
+  const isAuthor = submission.correspondingAuthor.userId.toString() === userId.toString() ||
+    submission.coAuthors.some(author => author.userId && author.userId.toString() === userId.toString());
+
+  if (isAuthor) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot bid on your own submission'
+    });
+  }
+
+  const placedBid = submission.placeBid(userId, bid, comments);
+  await submission.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      bid: {
+        submissionId: submission._id,
+        bid: placedBid.bid,
+        comments: placedBid.comments,
+        bidDate: placedBid.bidDate
+      },
+      message: 'Bid saved successfully'
+    }
+  });
+});
+
+// @desc    Download the paper for a submission
+// @route   GET /api/research-submission/:id/paper
+// @access  Private (Authors, assigned editor, assigned reviewers, admins)
+const downloadPaper = catchAsync(async (req, res) => {
+  const submissionId = req.params.id;
+
+  const submission = await ResearchSubmission.findById(submissionId)
+    .populate('conferenceId', 'name year reviewSettings');
+
+  if (!submission || !submission.paperUpload || !submission.paperUpload.filePath) {
+    return res.status(404).json({
+      success: false,
+      message: 'Paper not found for this submission'
+    });
+  }
+
+  const { isAdmin, isEditor, isAuthor, isReviewer } = getSubmissionAccess(submission, req.user);
+
+  if (!isAdmin && !isEditor && !isAuthor && !isReviewer) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not authorized to download this paper'
+    });
+  }
+
+  // Editors, admins and authors always receive the original file
+  const needsAnonymizedCopy = isReviewer && !isAdmin && !isEditor && !isAuthor &&
+    isBlindReviewEnabled(submission.conferenceId);
+
+  if (!needsAnonymizedCopy) {
+    return res.download(
+      submission.paperUpload.filePath,
+      submission.paperUpload.originalName || submission.paperUpload.filename
+    );
+  }
+
+  if (!paperAnonymizationService.canAnonymize(submission.paperUpload.filePath)) {
+    return res.status(409).json({
+      success: false,
+      message: 'An anonymized copy is only available for PDF papers. Please contact the editor.'
+    });
+  }
+
+  const anonymizedPaper = await paperAnonymizationService.createAnonymizedCopy(
+    submission.paperUpload.filePath
+  );
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${submission.submissionNumber}-review-copy.pdf"`,
+    'Content-Length': anonymizedPaper.length,
+    'Cache-Control': 'no-store'
+  });
+  res.send(anonymizedPaper);
+});
+
+// @desc    Submit a revised paper and response letter against a revision request
+// @route   POST /api/research-submission/:id/revisions/:revisionId
+// @access  Private (Corresponding author)
+const submitRevision = catchAsync(async (req, res) => {
+  const { id: submissionId, revisionId } = req.params;
+  const userId = req.user._id;
+
+  const submission = await ResearchSubmission.findOne({
+    _id: submissionId,
+    'correspondingAuthor.userId': userId
+  });
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found or you are not authorized to submit revisions'
+    });
+  }
+
+  const revisionRequest = submission.reviewWorkflow.revisionRequests.id(revisionId);
+
+  if (!revisionRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Revision request not found'
+    });
+  }
+
+  if (submission.status !== 'pending_revision' || revisionRequest.status === 'submitted') {
+    return res.status(400).json({
+      success: false,
+      message: 'This revision request is not awaiting a revised paper'
+    });
+  }
+
+  const conference = await Conference.findById(submission.conferenceId).select('callForPapers');
+  const deadlineError = getDeadlineError(getDeadlineWindow(conference, submission, 'revision', { revisionRequest }));
+  if (deadlineError) {
+    return res.status(400).json({
+      success: false,
+      message: deadlineError
+    });
+  }
+
+  upload.fields([
+    { name: 'paper', maxCount: 1 },
+    { name: 'responseLetter', maxCount: 1 }
+  ])(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    const paperFile = req.files?.paper?.[0];
+    const letterFile = req.files?.responseLetter?.[0];
+    const responseText = req.body.responseText ? req.body.responseText.trim() : '';
+    const uploadedFiles = [paperFile, letterFile].filter(Boolean);
+
+    if (!paperFile) {
+      await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        success: false,
+        message: 'Revised paper file is required'
+      });
+    }
+
+    if (!letterFile && !responseText) {
+      await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        success: false,
+        message: 'A response to reviewers is required (upload a letter or provide responseText)'
+      });
+    }
+
+    // Once the revision is saved the submission points at the uploaded files
+    let revisionSaved = false;
+
+    try {
+      const toFileInfo = file => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        filePath: file.path,
+        fileSize: file.size
+      });
+
+      submission.submitRevision(revisionId, {
+        paper: toFileInfo(paperFile),
+        responseLetter: letterFile ? toFileInfo(letterFile) : null,
+        responseText
+      }, userId);
+
+      // Second review round: re-invite the original reviewers
+      const reviewDeadline = new Date();
+      reviewDeadline.setDate(reviewDeadline.getDate() + 14);
+      const reinvitedReviewers = submission.startRevisionReviewRound(reviewDeadline);
+
+      await submission.save();
+      revisionSaved = true;
+
+      const reviewerUsers = await User.find({
+        _id: { $in: reinvitedReviewers.map(r => r.userId) }
+      }).select('name email');
+
+      for (const reviewer of reinvitedReviewers) {
+        const reviewerUser = reviewerUsers.find(u => u._id.toString() === reviewer.userId.toString());
+        if (!reviewerUser) continue;
+
+        const lastReview = reviewer.previousReviews[reviewer.previousReviews.length - 1];
+
+        await emailService.sendRevisionReviewInvitation(
+          reviewerUser.email,
+          {
+            reviewerName: `${reviewerUser.name.firstName} ${reviewerUser.name.lastName}`,
+            title: submission.title,
+            submissionNumber: submission.submissionNumber,
+            round: reviewer.round,
+            deadline: reviewDeadline,
+            previousAuthorComments: lastReview?.authorComments,
+            previousConfidentialComments: lastReview?.confidentialComments,
+            responseSummary: responseText ? responseText.substring(0, 1000) : null,
+            acceptUrl: `${process.env.FRONTEND_URL}/review/${submission._id}/accept`,
+            declineUrl: `${process.env.FRONTEND_URL}/review/${submission._id}/decline`
+          }
+        );
+      }
+
+      submission.addNotification(
+        'revision_submitted',
+        reviewerUsers.map(u => ({ userId: u._id, email: u.email })),
+        `Revised paper submitted; ${reinvitedReviewers.length} reviewers re-invited for round ${reinvitedReviewers[0]?.round || 2}`,
+        userId
+      );
+
+      await submission.save();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          submission,
+          reinvitedReviewers: reinvitedReviewers.length,
+          reviewDeadline,
+          message: 'Revision submitted successfully. The original reviewers have been invited to review it.'
+        }
+      });
+
+    } catch (error) {
+      if (revisionSaved) {
+        return res.status(500).json({
+          success: false,
+          message: `Revision submitted, but reviewers could not be notified: ${error.message}`
+        });
+      }
+
+      await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+});
+
+// @desc    Download the response letter for a revision
+// @route   GET /api/research-submission/:id/revisions/:revisionId/response-letter
+// @access  Private (Authors, assigned editor/reviewers, admins)
+const downloadResponseLetter = catchAsync(async (req, res) => {
+  const { id: submissionId, revisionId } = req.params;
+
+  const submission = await ResearchSubmission.findById(submissionId)
+    .populate('conferenceId', 'name year reviewSettings');
+
+  const revisionRequest = submission && submission.reviewWorkflow.revisionRequests.id(revisionId);
+
+  if (!revisionRequest || !revisionRequest.responseLetter || !revisionRequest.responseLetter.filePath) {
+    return res.status(404).json({
+      success: false,
+      message: 'Response letter not found'
+    });
+  }
+
+  const { isAdmin, isEditor, isAuthor, isReviewer } = getSubmissionAccess(submission, req.user);
+
+  if (!isAdmin && !isEditor && !isAuthor && !isReviewer) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not authorized to download this response letter'
+    });
+  }
+
+  const letter = revisionRequest.responseLetter;
+  const needsAnonymizedCopy = isReviewer && !isAdmin && !isEditor && !isAuthor &&
+    isBlindReviewEnabled(submission.conferenceId);
+
+  if (!needsAnonymizedCopy) {
+    return res.download(letter.filePath, letter.originalName || letter.filename);
+  }
+
+  if (!paperAnonymizationService.canAnonymize(letter.filePath)) {
+    return res.status(409).json({
+      success: false,
+      message: 'An anonymized copy is only available for PDF files. Please contact the editor.'
+    });
+  }
+
+  const anonymizedLetter = await paperAnonymizationService.createAnonymizedCopy(letter.filePath);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${submission.submissionNumber}-response-round-${revisionRequest.round}.pdf"`,
+    'Content-Length': anonymizedLetter.length,
+    'Cache-Control': 'no-store'
+  });
+  res.send(anonymizedLetter);
+});
+
 // @desc    Accept or decline review invitation
 // @route   POST /api/research-submission/:id/review-response
 // @access  Private
@@ -543,9 +1166,11 @@ const submitReview = catchAsync(async (req, res) => {
 
   const submission = await ResearchSubmission.findOne({
     _id: submissionId,
-    'reviewWorkflow.reviewers.userId': reviewerId,
-    'reviewWorkflow.reviewers.status': 'accepted'
-  }).populate('correspondingAuthor.userId', 'name email');
+    // Reviewers marked overdue by the reminder scheduler can still submit
+    'reviewWorkflow.reviewers': { $elemMatch: { userId: reviewerId, status: { $in: ['accepted', 'overdue'] } } }
+  })
+    .populate('correspondingAuthor.userId', 'name email')
+    .populate('conferenceId', 'name year reviewSettings');
 
   if (!submission) {
     return res.status(404).json({
@@ -554,11 +1179,27 @@ const submitReview = catchAsync(async (req, res) => {
     });
   }
 
+  // Validate against the conference rubric for this presentation type
+  const rubric = getRubric(submission.conferenceId, submission.presentationType);
+  const rubricErrors = validateReview(rubric, { criteria, confidentialComments, authorComments });
+
+  if (rubricErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Review does not satisfy the conference rubric',
+      errors: rubricErrors
+    });
+  }
+
   try {
+    const { rubricScores, weightedScore } = scoreReview(rubric, criteria);
+
     const reviewData = {
       overallScore,
       recommendation,
       criteria,
+      rubricScores,
+      weightedScore,
       confidentialComments,
       authorComments
     };
@@ -616,6 +1257,152 @@ const submitReview = catchAsync(async (req, res) => {
   }
 });
 
+// @desc    Get the review rubric for a submission
+// @route   GET /api/research-submission/:id/review-rubric
+// @access  Private (Assigned reviewers, editor)
+const getReviewRubric = catchAsync(async (req, res) => {
+  const submissionId = req.params.id;
+  const userId = req.user._id;
+
+  const submission = await ResearchSubmission.findOne({
+    _id: submissionId,
+    $or: [
+      { 'reviewWorkflow.reviewers.userId': userId },
+      { 'reviewWorkflow.editor.userId': userId }
+    ]
+  })
+    .select('submissionNumber presentationType conferenceId')
+    .populate('conferenceId', 'name year reviewSettings');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review assignment not found'
+    });
+  }
+
+  const rubric = getRubric(submission.conferenceId, submission.presentationType);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionNumber: submission.submissionNumber,
+      presentationType: submission.presentationType,
+      rubric: {
+        criteria: rubric.criteria,
+        requireAuthorComments: rubric.requireAuthorComments,
+        requireConfidentialComments: rubric.requireConfidentialComments,
+        isDefault: rubric.isDefault
+      }
+    }
+  });
+});
+
+// @desc    Get the confidential reviewer-editor discussion for a submission
+// @route   GET /api/research-submission/:id/discussion
+// @access  Private (Assigned editor, reviewers who have submitted their review)
+const getReviewDiscussion = catchAsync(async (req, res) => {
+  const submission = await ResearchSubmission.findById(req.params.id)
+    .select('submissionNumber title status reviewWorkflow.editor reviewWorkflow.reviewers reviewWorkflow.discussion')
+    .populate('reviewWorkflow.discussion.authorId', 'name');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const role = submission.getDiscussionRole(req.user);
+
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'The review discussion is only available to the editor and to reviewers who have submitted their review'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissionNumber: submission.submissionNumber,
+      title: submission.title,
+      role,
+      discussion: formatDiscussion(submission)
+    }
+  });
+});
+
+// @desc    Post to the confidential reviewer-editor discussion
+// @route   POST /api/research-submission/:id/discussion
+// @access  Private (Assigned editor, reviewers who have submitted their review)
+const postReviewDiscussion = catchAsync(async (req, res) => {
+  const { message } = req.body;
+  const userId = req.user._id;
+
+  const submission = await ResearchSubmission.findById(req.params.id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+
+  const role = submission.getDiscussionRole(req.user);
+
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'The review discussion is only available to the editor and to reviewers who have submitted their review'
+    });
+  }
+
+  if (['accepted', 'rejected', 'withdrawn', 'presented'].includes(submission.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The review discussion is closed for this submission'
+    });
+  }
+
+  const post = submission.addDiscussionPost(userId, role, message);
+  await submission.save();
+
+  // Let the other participants know there is a new post
+  const recipients = submission.getDiscussionParticipants()
+    .filter(participantId => participantId !== userId.toString());
+
+  if (recipients.length > 0) {
+    try {
+      await Notification.createBulkNotifications(recipients, {
+        title: `New review discussion post on ${submission.submissionNumber}`,
+        message: `A ${role} posted in the review discussion for "${submission.title.substring(0, 200)}"`,
+        type: 'message',
+        priority: 'normal',
+        sourceType: 'user',
+        sourceId: submission._id,
+        sourceModel: 'ResearchSubmission',
+        conferenceId: submission.conferenceId,
+        actionType: 'view',
+        actionUrl: `/review/${submission._id}/discussion`,
+        metadata: { submissionId: submission._id, postId: post._id }
+      });
+    } catch (notificationError) {
+      console.error('Failed to create discussion notifications:', notificationError);
+    }
+  }
+
+  await submission.populate('reviewWorkflow.discussion.authorId', 'name');
+
+  res.status(201).json({
+    success: true,
+    data: {
+      discussion: formatDiscussion(submission),
+      message: 'Discussion post added'
+    }
+  });
+});
+
 // @desc    Get user's notification preferences for research submissions
 // @route   GET /api/research-submission/notification-preferences
 // @access  Private
@@ -809,11 +1596,21 @@ module.exports = {
   createSubmission,
   uploadPaper,
   submitForReview,
+  withdrawSubmission,
   getMySubmissions,
   getSubmissionDetails,
+  getSubmissionDeadlines,
   getSubmissionsForReview,
+  getBiddingSubmissions,
+  placeBid,
+  downloadPaper,
+  submitRevision,
+  downloadResponseLetter,
   respondToReviewInvitation,
   submitReview,
+  getReviewRubric,
+  getReviewDiscussion,
+  postReviewDiscussion,
   getNotificationPreferences,
   updateNotificationPreferences,
   updatePresenterAvailability,
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Session = require('../models/Session');
+const Conference = require('../models/Conference');
+const roomService = require('../services/roomService');
+const { catchAsync } = require('../utils/catchAsync');
+
+// Room fields editors may set
+const ROOM_FIELDS = ['name', 'building', 'venue', 'floor', 'capacity', 'layout', 'accessibility', 'av', 'isActive', 'notes'];
+
+const pickRoomFields = (body) => ROOM_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Respond with 404 unless the room exists
+const loadRoom = async (req, res) => {
+  const room = mongoose.Types.ObjectId.isValid(req.params.roomId) ? await Room.findById(req.params.roomId) : null;
+
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+    return null;
+  }
+
+  return room;
+};
+
+// @desc    List a conference's room inventory
+// @route   GET /api/program-builder/conferences/:conferenceId/rooms
+// @access  Private (Admin/Editor)
+const getRooms = catchAsync(async (req, res) => {
+  const query = { conferenceId: req.params.conferenceId };
+  if (req.query.includeInactive !== 'true') query.isActive = true;
+
+  const rooms = await Room.find(query).sort({ building: 1, floor: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rooms,
+      totalCapacity: rooms.filter(room => room.isActive).reduce((total, room) => total + room.capacity, 0)
+    }
+  });
+});
+
+// @desc    Add a room to a conference's inventory
+// @route   POST /api/program-builder/conferences/:conferenceId/rooms
+// @access  Private (Admin/Editor)
+const createRoom = catchAsync(async (req, res) => {
+  const { conferenceId } = req.params;
+
+  const conference = await Conference.findById(conferenceId).select('location');
+  if (!conference) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conference not found'
+    });
+  }
+
+  const fields = pickRoomFields(req.body);
+  if (!fields.name || !Number.isInteger(Number(fields.capacity)) || Number(fields.capacity) < 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Room name and a capacity of at least 1 are required'
+    });
+  }
+
+  if (await Room.exists({ conferenceId, name: fields.name.trim() })) {
+    return res.status(400).json({
+      success: false,
+      message: `A room named ${fields.name.trim()} already exists for this conference`
+    });
+  }
+
+  const room = await Room.create({
+    venue: conference.location && conference.location.venue,
+    ...fields,
+    conferenceId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Room added',
+    data: room
+  });
+});
+
+// @desc    Update a room; sessions booked into it pick up the new details
+// @route   PUT /api/program-builder/rooms/:roomId
+// @access  Private (Admin/Editor)
+const updateRoom = catchAsync(async (req, res) => {
+  const room = await loadRoom(req, res);
+  if (!room) return;
+
+  const fields = pickRoomFields(req.body);
+  if (fields.name && fields.name.trim() !== room.name &&
+      await Room.exists({ conferenceId: room.conferenceId, name: fields.name.trim() })) {
+    return res.status(400).json({
+      success: false,
+      message: `A room named ${fields.name.trim()} already exists for this conference`
+    });
+  }
+
+  room.set(fields);
+  await room.save();
+
+  const location = room.toSessionLocation();
+  await Session.updateMany(
+    { 'location.roomId': room._id },
+    {
+      $set: {
+        'location.room': location.room,
+        'location.building': location.building,
+        'location.venue': location.venue,
+        'location.floor': location.floor
+      }
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Room updated',
+    data: room
+  });
+});
+
+// @desc    Remove a room that no session is booked into
+// @route   DELETE /api/program-builder/rooms/:roomId
+// @access  Private (Admin/Editor)
+const deleteRoom = catchAsync(async (req, res) => {
+  const room = await loadRoom(req, res);
+  if (!room) return;
+
+  const bookings = await Session.find({ 'location.roomId': room._id }).select('sessionNumber title');
+  if (bookings.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${room.name} is booked for ${bookings.length} sessions; move them or deactivate the room instead`,
+      sessions: bookings
+    });
+  }
+
+  await room.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Room removed'
+  });
+});
+
+// @desc    Room-by-room grid of a conference's program
+// @route   GET /api/program-builder/grid/:conferenceId
+// @access  Private (Admin/Editor)
+const getRoomGrid = catchAsync(async (req, res) => {
+  const { date, includeDrafts } = req.query;
+
+  if (date && isNaN(new Date(date).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'date must be a valid date'
+    });
+  }
+
+  const grid = await roomService.buildGrid(req.params.conferenceId, {
+    date,
+    includeDrafts: includeDrafts === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: grid
+  });
+});
+
+module.exports = {
+  getRooms,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  getRoomGrid
+};
@@ -1,10 +1,49 @@
 const StudentCompetition = require('../models/StudentCompetition');
 const User = require('../models/User');
 const ResearchSubmission = require('../models/ResearchSubmission');
+const Conference = require('../models/Conference');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
 const { catchAsync } = require('../utils/catchAsync');
-const AppError = require('../utils/AppError');
+const { AppError } = require('../utils/AppError');
 const logger = require('../config/logger');
 
+// Find the participants a judge has a conflict of interest with (student or mentor)
+const findJudgeRecusals = async (judge, participants, conferenceId) => {
+  if (participants.length === 0) return [];
+
+  const conference = await Conference.findById(conferenceId).select('year reviewSettings');
+  const settings = conflictOfInterestService.getSettings(conference);
+  const registry = await conflictOfInterestService.buildRegistry([judge], settings);
+
+  const peopleIds = participants.flatMap(p => [p.studentId, p.mentorId]).filter(Boolean);
+  const people = await User.find({ _id: { $in: peopleIds } }).select('name email affiliation');
+  const peopleById = new Map(people.map(person => [person._id.toString(), person]));
+
+  return participants
+    .map(participant => {
+      const student = peopleById.get(participant.studentId.toString());
+      const mentor = participant.mentorId && peopleById.get(participant.mentorId.toString());
+
+      const involved = [
+        student && { ...conflictOfInterestService.personFromUser(student), institution: participant.institution },
+        mentor && conflictOfInterestService.personFromUser(mentor)
+      ].filter(Boolean);
+
+      const conflicts = conflictOfInterestService.findConflicts(
+        judge,
+        involved,
+        registry.get(judge._id.toString()),
+        settings
+      );
+
+      return {
+        studentId: participant.studentId,
+        reasons: conflictOfInterestService.getReasons(conflicts)
+      };
+    })
+    .filter(recusal => recusal.reasons.length > 0);
+};
+
 /**
  * Student Competition Controller
  * Handles student research competitions and awards
@@ -139,6 +178,20 @@ class StudentCompetitionController {
       status: 'submitted'
     });
 
+    // Recuse judges with a conflict of interest with the new participant
+    const participant = competition.participants[competition.participants.length - 1];
+    const judges = await User.find({ _id: { $in: competition.judges.map(j => j.judgeId) } })
+      .select('name email affiliation');
+
+    for (const judgeUser of judges) {
+      const [recusal] = await findJudgeRecusals(judgeUser, [participant], competition.conferenceId);
+      if (recusal) {
+        competition.judges
+          .find(j => j.judgeId.toString() === judgeUser._id.toString())
+          .recusals.push(recusal);
+      }
+    }
+
     await competition.save();
 
     logger.info('Student registered for competition', {
@@ -177,9 +230,22 @@ class StudentCompetitionController {
       throw AppError.badRequest('Judge is already assigned to this competition');
     }
 
+    const judge = await User.findById(judgeId).select('name email affiliation');
+    if (!judge) {
+      throw AppError.notFound('Judge not found');
+    }
+
+    // Judges sit out scoring for participants they have a conflict of interest with
+    const recusals = await findJudgeRecusals(judge, competition.participants, competition.conferenceId);
+
+    if (competition.participants.length > 0 && recusals.length === competition.participants.length) {
+      throw AppError.conflict('Judge has a conflict of interest with every participant');
+    }
+
     competition.judges.push({
       judgeId,
-      expertise: expertise || []
+      expertise: expertise || [],
+      recusals
     });
 
     await competition.save();
@@ -187,13 +253,16 @@ class StudentCompetitionController {
     logger.info('Judge added to competition', {
       competitionId,
       judgeId,
+      recusals: recusals.length,
       service: 'StudentCompetitionController'
     });
 
     res.json({
       success: true,
-      message: 'Judge added successfully',
-      data: { competition }
+      message: recusals.length > 0
+        ? `Judge added and recused from ${recusals.length} participant(s) due to conflicts of interest`
+        : 'Judge added successfully',
+      data: { competition, recusals }
     });
   });
 
@@ -223,6 +292,14 @@ class StudentCompetitionController {
       throw AppError.forbidden('You are not authorized to judge this competition');
     }
 
+    const participant = competition.participants.find(
+      p => p._id.toString() === participantId || p.studentId.toString() === participantId
+    );
+
+    if (participant && competition.isJudgeRecused(req.user.id, participant.studentId)) {
+      throw AppError.forbidden('You are recused from scoring this participant due to a conflict of interest');
+    }
+
     // Calculate total score
     const totalScore = criteriaScores.reduce((sum, criteria) => {
       const weight = competition.judgingCriteria.find(
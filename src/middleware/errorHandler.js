@@ -1,5 +1,5 @@
 const logger = require('../config/logger');
-const AppError = require('../utils/AppError');
+const { AppError } = require('../utils/AppError');
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -21,6 +21,7 @@ const errorHandler = (err, req, res, next) => {
     return res.status(err.statusCode).json({
       success: false,
       error: err.message,
+      code: err.code,
       ...(process.env.NODE_ENV === 'development' && { 
         stack: err.stack,
         isOperational: err.isOperational 
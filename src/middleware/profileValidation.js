@@ -244,6 +244,49 @@ const validateSobieHistory = [
     .withMessage('Each author name must be between 1 and 100 characters'),
 ];
 
+// Validation rules for conflict-of-interest declarations
+const validateConflictDeclaration = [
+  body('conflictType')
+    .isIn(['person', 'institution'])
+    .withMessage('Conflict type must be person or institution'),
+
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid email address'),
+
+  body('name.firstName')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+
+  body('name.lastName')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+
+  body('institution')
+    .if(body('conflictType').equals('institution'))
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Institution must be between 2 and 200 characters'),
+
+  body('relationship')
+    .optional()
+    .isIn(['coauthor', 'advisor', 'advisee', 'colleague', 'family', 'personal', 'financial', 'other'])
+    .withMessage('Invalid conflict relationship'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -313,6 +356,7 @@ module.exports = {
   validateProfileUpdate,
   validatePrivacySettings,
   validateSobieHistory,
+  validateConflictDeclaration,
   handleValidationErrors,
   validateConditionalFields
 };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Agenda Bookmark Model
+ * A session or single presentation an attendee added to their personal
+ * agenda. Presentation bookmarks also keep the paper's submission, so they
+ * follow the paper when the program builder moves it to another session.
+ */
+
+const agendaBookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: true
+  },
+  // Exactly one of sessionId and presentationId is set
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  presentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchPresentation'
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchSubmission'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bookmark note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+agendaBookmarkSchema.index({ userId: 1, sessionId: 1, presentationId: 1 }, { unique: true });
+agendaBookmarkSchema.index({ conferenceId: 1, sessionId: 1 });
+agendaBookmarkSchema.index({ presentationId: 1 });
+agendaBookmarkSchema.index({ submissionId: 1 });
+
+agendaBookmarkSchema.pre('validate', function(next) {
+  if (Boolean(this.sessionId) === Boolean(this.presentationId)) {
+    this.invalidate('sessionId', 'A bookmark needs either a session or a presentation');
+  }
+  next();
+});
+
+module.exports = mongoose.model('AgendaBookmark', agendaBookmarkSchema);
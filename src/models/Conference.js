@@ -32,6 +32,23 @@ const conferenceSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // IANA time zone that session times are given in
+  timeZone: {
+    type: String,
+    default: 'America/Chicago',
+    validate: {
+      validator: function(value) {
+        try {
+          // Throws a RangeError for unknown time zones
+          Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Time zone must be an IANA time zone such as America/Chicago'
+    }
+  },
   location: {
     venue: {
       type: String,
@@ -266,6 +283,173 @@ const conferenceSchema = new mongoose.Schema({
     default: 'planning'
   },
 
+  // Call for papers windows; submissions after a deadline are refused once the grace period has run out
+  callForPapers: {
+    opensDate: Date,
+    abstractDeadline: Date,
+    fullPaperDeadline: Date,
+    // Default deadline for revision requests that do not set their own
+    revisionDeadline: Date,
+    cameraReadyDeadline: Date,
+    gracePeriodHours: {
+      type: Number,
+      min: 0,
+      max: 168,
+      default: 0
+    }
+  },
+
+  // Research Review Settings
+  reviewSettings: {
+    // Double-blind review: reviewers never see author identities
+    blindReview: {
+      type: Boolean,
+      default: false
+    },
+    // Bidding phase: reviewers mark which papers they want to review
+    bidding: {
+      isOpen: {
+        type: Boolean,
+        default: false
+      },
+      deadline: Date
+    },
+    // Review rubrics; one without a presentationType applies to all submissions
+    rubrics: [{
+      presentationType: {
+        type: String,
+        enum: ['paper', 'poster', 'presentation', 'panel', 'workshop', null],
+        default: null
+      },
+      criteria: [{
+        key: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        label: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        description: String,
+        weight: {
+          type: Number,
+          min: 0,
+          default: 1
+        },
+        minScore: {
+          type: Number,
+          default: 1
+        },
+        maxScore: {
+          type: Number,
+          default: 5
+        },
+        commentsRequired: {
+          type: Boolean,
+          default: false
+        }
+      }],
+      requireAuthorComments: {
+        type: Boolean,
+        default: false
+      },
+      requireConfidentialComments: {
+        type: Boolean,
+        default: false
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Automatic review reminder cadence
+    reminders: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Days before the review deadline on which reminders are sent
+      daysBeforeDeadline: {
+        type: [Number],
+        default: [7, 3, 1]
+      },
+      // Once overdue, remind every N days
+      overdueIntervalDays: {
+        type: Number,
+        min: 1,
+        default: 3
+      },
+      maxReminders: {
+        type: Number,
+        min: 0,
+        default: 5
+      },
+      // Alert the editor once reviews are this many days overdue
+      editorAlertAfterDays: {
+        type: Number,
+        min: 0,
+        default: 7
+      }
+    },
+    // Batch reviewer assignment limits
+    assignment: {
+      reviewersPerPaper: {
+        type: Number,
+        min: 1,
+        max: 5,
+        default: 2
+      },
+      maxReviewsPerReviewer: {
+        type: Number,
+        min: 1,
+        default: 4
+      }
+    },
+    // Editable decision letters; decisions without one use the built-in letter
+    decisionLetters: [{
+      decision: {
+        type: String,
+        enum: ['accept', 'minor_revision', 'major_revision', 'reject'],
+        required: true
+      },
+      subject: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 300
+      },
+      body: {
+        type: String,
+        required: true,
+        maxlength: 20000
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Conflict-of-interest rules for reviewer, judge and session chair assignments
+    conflicts: {
+      // Co-authors within this many conference years count as conflicts
+      coauthorshipYears: {
+        type: Number,
+        min: 0,
+        max: 30,
+        default: 3
+      },
+      sameInstitution: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
+
   // Next Conference Preview
   nextConference: {
     year: Number,
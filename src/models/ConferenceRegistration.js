@@ -402,9 +402,17 @@ const conferenceRegistrationSchema = new mongoose.Schema({
     },
     submissionStatus: {
       type: String,
-      enum: ['not_submitted', 'submitted', 'under_review', 'accepted', 'rejected'],
+      enum: ['not_submitted', 'submitted', 'under_review', 'accepted', 'rejected', 'withdrawn'],
       default: 'not_submitted'
-    }
+    },
+    // Set when the submission changes in a way that may affect the registration
+    // (e.g. presenter pricing or attendance type) so an admin can review it
+    needsReevaluation: {
+      type: Boolean,
+      default: false
+    },
+    reevaluationReason: String,
+    flaggedDate: Date
   },
 
   // Administrative Fields
@@ -537,6 +545,21 @@ conferenceRegistrationSchema.methods.isRegistrationValid = function() {
   );
 };
 
+// Returns false, leaving the registration alone, when it is linked to a different submission
+conferenceRegistrationSchema.methods.flagSubmissionWithdrawn = function(submissionId, reason = '') {
+  const linkedId = this.researchSubmission.submissionId;
+  if (linkedId && linkedId.toString() !== submissionId.toString()) {
+    return false;
+  }
+
+  this.researchSubmission.submissionId = submissionId;
+  this.researchSubmission.submissionStatus = 'withdrawn';
+  this.researchSubmission.needsReevaluation = true;
+  this.researchSubmission.reevaluationReason = `Research submission withdrawn${reason ? `: ${reason}` : ''}`;
+  this.researchSubmission.flaggedDate = new Date();
+  return true;
+};
+
 conferenceRegistrationSchema.methods.canSubmitResearch = function() {
   return (
     this.isRegistrationValid() &&
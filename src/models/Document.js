@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const fs = require('fs');
+const crypto = require('crypto');
 
 const documentSchema = new mongoose.Schema({
   // File Information
@@ -208,6 +210,30 @@ documentSchema.statics.getStorageDirectory = function(conferenceYear, category)
   return `uploads/documents/${conferenceYear}/${category}`;
 };
 
+// Static method to record an uploaded paper file (multer file object)
+// Only PDFs can be stored in the document library; other formats return null
+documentSchema.statics.createFromUpload = async function(file, { title, category, subcategory, conferenceYear, uploadedBy }) {
+  if (file.mimetype !== 'application/pdf') {
+    return null;
+  }
+
+  const fileBuffer = await fs.promises.readFile(file.path);
+
+  return this.create({
+    title: title.substring(0, 200),
+    category,
+    subcategory,
+    filename: file.filename,
+    originalName: file.originalname,
+    filePath: file.path,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    checksum: crypto.createHash('sha256').update(fileBuffer).digest('hex'),
+    conferenceYear,
+    uploadedBy
+  });
+};
+
 // Static method to get historical documents by year range
 documentSchema.statics.getHistoricalDocuments = function(startYear, endYear, options = {}) {
   const query = {
@@ -58,7 +58,7 @@ const notificationSchema = new mongoose.Schema({
   },
   sourceModel: {
     type: String,
-    enum: ['User', 'Message', 'Session', 'CommunityActivity', 'Conference']
+    enum: ['User', 'Message', 'Session', 'CommunityActivity', 'Conference', 'ResearchSubmission']
   },
   
   // Associated Entities
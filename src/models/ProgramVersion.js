@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+/**
+ * Program Version Model
+ * A published version of a conference program. Editors change sessions in
+ * the program builder as a working draft; publishing snapshots the sessions
+ * as the next version, so attendees only ever see a published program.
+ */
+
+const presentationSnapshotSchema = new mongoose.Schema({
+  presentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchPresentation'
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchSubmission'
+  },
+  title: String,
+  presenters: [{
+    name: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, { _id: false });
+
+const sessionSnapshotSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  sessionNumber: Number,
+  title: String,
+  description: String,
+  category: String,
+  sessionType: String,
+  date: Date,
+  startTime: String,
+  endTime: String,
+  location: {
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    room: String,
+    building: String,
+    floor: String
+  },
+  chair: {
+    name: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  status: String,
+  presentations: [presentationSnapshotSchema]
+}, { _id: false });
+
+const programVersionSchema = new mongoose.Schema({
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+
+  sessions: [sessionSnapshotSchema],
+
+  // What changed since the previous version, and who was told
+  changes: [{
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    },
+    sessionNumber: Number,
+    title: String,
+    changeType: {
+      type: String,
+      enum: ['time_change', 'location_change', 'cancellation', 'addition', 'speaker_change', 'content_change']
+    },
+    fields: [String],
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    recipientCount: {
+      type: Number,
+      default: 0
+    },
+    // Why the change message could not be sent, if it failed
+    notificationError: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+programVersionSchema.index({ conferenceId: 1, version: -1 }, { unique: true });
+
+// Static method to get the program attendees currently see
+programVersionSchema.statics.getLatest = function(conferenceId) {
+  return this.findOne({ conferenceId }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('ProgramVersion', programVersionSchema);
@@ -28,6 +28,11 @@ const researchPresentationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session'
   },
+  // Submission the presentation was scheduled from, if any
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchSubmission'
+  },
 
   // Research Classification
   researchType: {
@@ -302,6 +307,7 @@ researchPresentationSchema.index({ conferenceId: 1, conferenceYear: 1 });
 researchPresentationSchema.index({ discipline: 1, academicLevel: 1 });
 researchPresentationSchema.index({ isStudentResearch: 1 });
 researchPresentationSchema.index({ 'authors.userId': 1 });
+researchPresentationSchema.index({ submissionId: 1 });
 researchPresentationSchema.index({ status: 1, publicationStatus: 1 });
 researchPresentationSchema.index({ keywords: 1 });
 researchPresentationSchema.index({ title: 'text', abstract: 'text', keywords: 'text' });
@@ -419,6 +425,26 @@ researchPresentationSchema.statics.getByAuthor = function(userId) {
     .sort({ conferenceYear: -1 });
 };
 
+// Query for the presentations a user authored, as listed on their "my presentations" page
+researchPresentationSchema.statics.buildAuthorQuery = function(userId, filters = {}) {
+  const { year, discipline, type, includeCoauthored = true } = filters;
+  const query = { 'authors.userId': userId };
+
+  if (year) query.conferenceYear = parseInt(year);
+  if (discipline) query.discipline = discipline;
+  if (type) query.presentationType = type;
+
+  // If not including co-authored, only show where user is primary author or presenter
+  if (includeCoauthored === 'false' || includeCoauthored === false) {
+    query['$or'] = [
+      { 'authors': { $elemMatch: { userId: userId, role: 'primary_author' } } },
+      { 'authors': { $elemMatch: { userId: userId, isPresenter: true } } }
+    ];
+  }
+
+  return query;
+};
+
 researchPresentationSchema.statics.searchResearch = function(searchTerm, filters = {}) {
   const query = {
     $text: { $search: searchTerm }
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const { STATUS_ROLES, assertTransition, assertGuards, applyEffects } = require('../utils/submissionStatus');
+const { AppError } = require('../utils/AppError');
 
 const researchSubmissionSchema = new mongoose.Schema({
   // Basic Information
@@ -140,6 +142,20 @@ const researchSubmissionSchema = new mongoose.Schema({
     addedDate: {
       type: Date,
       default: Date.now
+    },
+    // Co-author's answer to the emailed authorship invitation. Co-authors added
+    // before invitations existed have no status and count as confirmed.
+    authorship: {
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'declined']
+      },
+      invitedDate: Date,
+      respondedDate: Date,
+      declineReason: {
+        type: String,
+        maxlength: 1000
+      }
     }
   }],
 
@@ -174,6 +190,43 @@ const researchSubmissionSchema = new mongoose.Schema({
     addedDate: {
       type: Date,
       default: Date.now
+    },
+    // Sponsor's sign-off on a student submission, answered through an emailed link
+    approval: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'changes_requested', 'declined']
+      },
+      requestedDate: Date,
+      respondedDate: Date,
+      comments: {
+        type: String,
+        maxlength: 2000
+      }
+    }
+  }],
+
+  // Every approval request and sponsor decision on a student submission
+  sponsorApprovalLog: [{
+    sponsorId: mongoose.Schema.Types.ObjectId,
+    sponsorName: String,
+    action: {
+      type: String,
+      enum: ['requested', 'approved', 'changes_requested', 'declined', 'approval_reset'],
+      required: true
+    },
+    comments: {
+      type: String,
+      maxlength: 2000
+    },
+    // User who took the action, when known (external sponsors answer by link only)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: {
+      type: Date,
+      default: Date.now
     }
   }],
 
@@ -262,12 +315,78 @@ const researchSubmissionSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // Final version uploaded after acceptance
+    isCameraReady: {
+      type: Boolean,
+      default: false
+    },
     documentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Document'
     }
   },
 
+  // Text extracted from the uploaded paper, used for similarity checks
+  extractedText: {
+    type: String,
+    select: false
+  },
+
+  // Duplicate / self-plagiarism check run on upload (editors only)
+  similarityReport: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    checkedDate: Date,
+    // Whether the paper's full text or only its title and abstract were compared
+    textSource: {
+      type: String,
+      enum: ['full_text', 'abstract']
+    },
+    highestScore: Number,
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    matches: [{
+      sourceType: {
+        type: String,
+        enum: ['submission', 'presentation', 'document']
+      },
+      sourceId: mongoose.Schema.Types.ObjectId,
+      title: String,
+      conferenceYear: Number,
+      score: Number,
+      coverage: Number,
+      sharedAuthor: {
+        type: Boolean,
+        default: false
+      },
+      passages: [String]
+    }],
+    error: String
+  },
+
+  // Earlier versions of the paper, kept when a revision replaces paperUpload
+  paperVersions: [{
+    version: Number,
+    filename: String,
+    originalName: String,
+    filePath: String,
+    fileSize: Number,
+    uploadDate: Date,
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    replacedDate: {
+      type: Date,
+      default: Date.now
+    },
+    revisionRequestId: mongoose.Schema.Types.ObjectId
+  }],
+
   // Supporting Documents
   supportingDocuments: [{
     type: String, // 'supplementary_data', 'appendix', 'presentation_slides', 'other'
@@ -306,6 +425,28 @@ const researchSubmissionSchema = new mongoose.Schema({
     default: 'draft'
   },
 
+  // Every status change, recorded by transitionStatus
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: STATUS_ROLES
+    },
+    reason: {
+      type: String,
+      maxlength: [2000, 'Reason cannot exceed 2000 characters']
+    },
+    changedDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Review Workflow
   reviewWorkflow: {
     editor: {
@@ -325,10 +466,12 @@ const researchSubmissionSchema = new mongoose.Schema({
       invitedDate: Date,
       acceptedDate: Date,
       declinedDate: Date,
+      // Set when a pending review is released because the submission was withdrawn
+      releasedDate: Date,
       submissionDate: Date,
       status: {
         type: String,
-        enum: ['invited', 'accepted', 'declined', 'completed', 'overdue'],
+        enum: ['invited', 'accepted', 'declined', 'completed', 'overdue', 'released'],
         default: 'invited'
       },
       review: {
@@ -348,6 +491,21 @@ const researchSubmissionSchema = new mongoose.Schema({
           clarity: { score: Number, comments: String },
           significance: { score: Number, comments: String }
         },
+        // Scores against the conference rubric in effect when the review was submitted
+        rubricScores: [{
+          criterion: String,
+          label: String,
+          score: Number,
+          minScore: Number,
+          maxScore: Number,
+          weight: Number,
+          comments: String
+        }],
+        weightedScore: {
+          type: Number,
+          min: 0,
+          max: 1
+        },
         confidentialComments: String, // To editor only
         authorComments: String,       // Shared with author
         reviewDate: Date
@@ -355,9 +513,73 @@ const researchSubmissionSchema = new mongoose.Schema({
       remindersSent: {
         type: Number,
         default: 0
+      },
+      lastReminderDate: Date,
+      // When the reviewer was marked overdue
+      overdueAt: Date,
+      // Review round this reviewer is currently working on
+      round: {
+        type: Number,
+        default: 1
+      },
+      // Reviews from earlier rounds, kept when the reviewer is re-invited
+      previousReviews: [{
+        round: Number,
+        overallScore: Number,
+        recommendation: String,
+        weightedScore: Number,
+        confidentialComments: String,
+        authorComments: String,
+        reviewDate: Date
+      }]
+    }],
+    // Reviewer bids placed during the bidding phase
+    bids: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      bid: {
+        type: String,
+        enum: ['eager', 'willing', 'not_qualified', 'conflict'],
+        required: true
+      },
+      comments: {
+        type: String,
+        maxlength: [500, 'Bid comments cannot exceed 500 characters']
+      },
+      bidDate: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Confidential reviewer-editor discussion (never shown to authors)
+    discussion: [{
+      authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['editor', 'reviewer'],
+        required: true
+      },
+      message: {
+        type: String,
+        required: [true, 'Discussion message is required'],
+        trim: true,
+        maxlength: [5000, 'Discussion message cannot exceed 5000 characters']
+      },
+      postedDate: {
+        type: Date,
+        default: Date.now
       }
     }],
     reviewDeadline: Date,
+    // Last time the editor was alerted that reviews are stuck
+    lastEditorAlertDate: Date,
     finalDecision: {
       decision: {
         type: String,
@@ -371,7 +593,44 @@ const researchSubmissionSchema = new mongoose.Schema({
       requestDate: Date,
       deadline: Date,
       comments: String,
+      decision: {
+        type: String,
+        enum: ['minor_revision', 'major_revision']
+      },
+      round: {
+        type: Number,
+        default: 1
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'submitted'],
+        default: 'pending'
+      },
       submittedDate: Date,
+      submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Revised manuscript uploaded against this request
+      revisedPaper: {
+        filename: String,
+        originalName: String,
+        filePath: String,
+        fileSize: Number,
+        uploadDate: Date
+      },
+      // Point-by-point response to reviewers, as a file and/or text
+      responseLetter: {
+        filename: String,
+        originalName: String,
+        filePath: String,
+        fileSize: Number,
+        uploadDate: Date
+      },
+      responseText: {
+        type: String,
+        maxlength: [20000, 'Response letter cannot exceed 20000 characters']
+      },
       documents: [{
         filename: String,
         filePath: String,
@@ -421,8 +680,35 @@ const researchSubmissionSchema = new mongoose.Schema({
   }],
 
   // Timeline and Deadlines
+  // Legacy deadline field (deprecated, keeping for backward compatibility): a copy of the
+  // conference deadline taken at creation. Deadlines now come from Conference.callForPapers
+  // and deadlineExtensions below.
   submissionDeadline: Date,
   initialSubmissionDate: Date,
+  // Individual extensions to the conference's call for papers deadlines
+  deadlineExtensions: [{
+    deadlineType: {
+      type: String,
+      enum: ['abstract', 'full_paper', 'revision', 'camera_ready'],
+      required: true
+    },
+    extendedUntil: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastModifiedDate: {
     type: Date,
     default: Date.now
@@ -570,6 +856,9 @@ const researchSubmissionSchema = new mongoose.Schema({
         end: Number
       },
       doi: String,
+      // Crossref deposit batch the DOI was first registered in
+      doiBatchId: String,
+      doiAssignedAt: Date,
       publishedUrl: String
     },
     
@@ -606,6 +895,7 @@ researchSubmissionSchema.index({ status: 1 });
 researchSubmissionSchema.index({ 'correspondingAuthor.userId': 1 });
 researchSubmissionSchema.index({ 'coAuthors.userId': 1 });
 researchSubmissionSchema.index({ 'reviewWorkflow.reviewers.userId': 1 });
+researchSubmissionSchema.index({ 'reviewWorkflow.bids.userId': 1 });
 researchSubmissionSchema.index({ 'associatedUsers.userId': 1 });
 // Note: submissionNumber index is automatically created by unique: true constraint
 researchSubmissionSchema.index({ title: 'text', abstract: 'text', keywords: 'text' });
@@ -614,6 +904,7 @@ researchSubmissionSchema.index({ 'proceedings.invitationSent': 1 });
 researchSubmissionSchema.index({ 'proceedings.invitationDeadline': 1 });
 researchSubmissionSchema.index({ 'proceedings.proceedingsReview.assignedEditor': 1 });
 researchSubmissionSchema.index({ 'proceedings.publication.publishedAt': 1 });
+researchSubmissionSchema.index({ 'proceedings.publication.doi': 1 });
 
 // Virtual for all authors
 researchSubmissionSchema.virtual('allAuthors').get(function() {
@@ -640,6 +931,14 @@ researchSubmissionSchema.virtual('authorList').get(function() {
     .join(', ');
 });
 
+// Virtual for authorship confirmation: pending until every co-author has confirmed
+researchSubmissionSchema.virtual('authorshipStatus').get(function() {
+  const unconfirmed = (this.coAuthors || []).some(author =>
+    author.authorship && author.authorship.status && author.authorship.status !== 'confirmed'
+  );
+  return unconfirmed ? 'pending_authorship' : 'confirmed';
+});
+
 // Virtual for review status summary
 researchSubmissionSchema.virtual('reviewStatus').get(function() {
   if (!this.reviewWorkflow.reviewers.length) {
@@ -670,13 +969,35 @@ researchSubmissionSchema.virtual('daysSinceSubmission').get(function() {
 });
 
 // Instance Methods
-researchSubmissionSchema.methods.assignEditor = function(editorUserId, notes = '') {
+
+// Move the submission to a new status through the workflow in utils/submissionStatus.
+// Throws an AppError when the transition is not allowed for the given role.
+researchSubmissionSchema.methods.transitionStatus = function(to, { changedBy = null, role = 'system', reason = '' } = {}) {
+  const from = this.status;
+  const transition = assertTransition(from, to, role);
+  assertGuards(this, transition, { from, to });
+  const changedDate = new Date();
+
+  this.status = to;
+  applyEffects(this, transition, { from, to, changedBy, role, reason, changedDate });
+
+  this.statusHistory.push({ from, to, changedBy, role, reason, changedDate });
+  this.$locals.statusTransition = to;
+
+  return this.statusHistory[this.statusHistory.length - 1];
+};
+
+researchSubmissionSchema.methods.assignEditor = function(editorUserId, notes = '', assignedBy = null) {
   this.reviewWorkflow.editor = {
     userId: editorUserId,
     assignedDate: new Date(),
     notes
   };
-  this.status = 'under_review';
+  this.transitionStatus('under_review', {
+    changedBy: assignedBy,
+    role: 'editor',
+    reason: 'Editor assigned'
+  });
 };
 
 researchSubmissionSchema.methods.addReviewer = function(reviewerUserId) {
@@ -696,6 +1017,43 @@ researchSubmissionSchema.methods.addReviewer = function(reviewerUserId) {
   });
 };
 
+researchSubmissionSchema.methods.placeBid = function(reviewerUserId, bid, comments = '') {
+  const existingBid = this.getBid(reviewerUserId);
+
+  if (existingBid) {
+    existingBid.bid = bid;
+    existingBid.comments = comments;
+    existingBid.bidDate = new Date();
+    return existingBid;
+  }
+
+  this.reviewWorkflow.bids.push({
+    userId: reviewerUserId,
+    bid,
+    comments,
+    bidDate: new Date()
+  });
+
+  return this.reviewWorkflow.bids[this.reviewWorkflow.bids.length - 1];
+};
+
+researchSubmissionSchema.methods.getBid = function(reviewerUserId) {
+  return this.reviewWorkflow.bids.find(
+    b => (b.userId._id || b.userId).toString() === reviewerUserId.toString()
+  ) || null;
+};
+
+researchSubmissionSchema.methods.getBidSummary = function() {
+  const summary = { eager: 0, willing: 0, not_qualified: 0, conflict: 0, total: 0 };
+
+  this.reviewWorkflow.bids.forEach(b => {
+    summary[b.bid] += 1;
+    summary.total += 1;
+  });
+
+  return summary;
+};
+
 researchSubmissionSchema.methods.removeReviewer = function(reviewerUserId) {
   this.reviewWorkflow.reviewers = this.reviewWorkflow.reviewers.filter(
     r => r.userId.toString() !== reviewerUserId.toString()
@@ -745,26 +1103,221 @@ researchSubmissionSchema.methods.submitReview = function(reviewerUserId, reviewD
   reviewer.submissionDate = new Date();
 };
 
-researchSubmissionSchema.methods.makeDecision = function(decision, editorComments = '') {
-  this.reviewWorkflow.finalDecision = {
-    decision,
-    decisionDate: new Date(),
-    editorComments
-  };
-  
+researchSubmissionSchema.methods.makeDecision = function(decision, editorComments = '', revisionDeadline = null, { changedBy = null, role = 'editor' } = {}) {
+  const transition = { changedBy, role, reason: `Editor decision: ${decision}` };
+
   // Update submission status based on decision
   switch (decision) {
     case 'accept':
-      this.status = 'accepted';
+      this.transitionStatus('accepted', transition);
       break;
     case 'minor_revision':
-    case 'major_revision':
-      this.status = 'pending_revision';
+    case 'major_revision': {
+      this.transitionStatus('pending_revision', transition);
+
+      // Default to 30 days for minor and 60 days for major revisions
+      let deadline = revisionDeadline ? new Date(revisionDeadline) : null;
+      if (!deadline) {
+        deadline = new Date();
+        deadline.setDate(deadline.getDate() + (decision === 'minor_revision' ? 30 : 60));
+      }
+
+      this.reviewWorkflow.revisionRequests.push({
+        requestDate: new Date(),
+        deadline,
+        comments: editorComments,
+        decision,
+        round: this.reviewWorkflow.revisionRequests.length + 1,
+        status: 'pending'
+      });
       break;
+    }
     case 'reject':
-      this.status = 'rejected';
+      this.transitionStatus('rejected', transition);
       break;
   }
+
+  this.reviewWorkflow.finalDecision = {
+    decision,
+    decisionDate: new Date(),
+    editorComments
+  };
+};
+
+researchSubmissionSchema.methods.submitRevision = function(revisionRequestId, revisionData, submittedBy) {
+  const request = this.reviewWorkflow.revisionRequests.id(revisionRequestId);
+
+  if (!request) {
+    throw new Error('Revision request not found');
+  }
+
+  if (request.status === 'submitted') {
+    throw new Error('A revision has already been submitted for this request');
+  }
+
+  if (this.status !== 'pending_revision') {
+    throw new Error('Submission is not awaiting revisions');
+  }
+
+  const { paper, responseLetter, responseText } = revisionData;
+
+  // Keep the version being replaced
+  if (this.paperUpload && this.paperUpload.filename) {
+    this.paperVersions.push({
+      version: this.paperVersions.length + 1,
+      filename: this.paperUpload.filename,
+      originalName: this.paperUpload.originalName,
+      filePath: this.paperUpload.filePath,
+      fileSize: this.paperUpload.fileSize,
+      uploadDate: this.paperUpload.uploadDate,
+      documentId: this.paperUpload.documentId,
+      replacedDate: new Date(),
+      revisionRequestId: request._id
+    });
+  }
+
+  this.paperUpload = {
+    filename: paper.filename,
+    originalName: paper.originalName,
+    filePath: paper.filePath,
+    fileSize: paper.fileSize,
+    uploadDate: new Date()
+  };
+
+  request.revisedPaper = { ...paper, uploadDate: new Date() };
+  if (responseLetter) {
+    request.responseLetter = { ...responseLetter, uploadDate: new Date() };
+  }
+  request.responseText = responseText;
+  request.status = 'submitted';
+  request.submittedDate = new Date();
+  request.submittedBy = submittedBy;
+
+  this.transitionStatus('revised', {
+    changedBy: submittedBy,
+    role: 'author',
+    reason: `Revision submitted for round ${request.round}`
+  });
+
+  return request;
+};
+
+researchSubmissionSchema.methods.startRevisionReviewRound = function(reviewDeadline) {
+  // Re-invite everyone who completed a review in the previous round
+  const reinvited = this.reviewWorkflow.reviewers.filter(r => r.status === 'completed');
+
+  reinvited.forEach(reviewer => {
+    reviewer.previousReviews.push({
+      round: reviewer.round,
+      overallScore: reviewer.review.overallScore,
+      recommendation: reviewer.review.recommendation,
+      weightedScore: reviewer.review.weightedScore,
+      confidentialComments: reviewer.review.confidentialComments,
+      authorComments: reviewer.review.authorComments,
+      reviewDate: reviewer.review.reviewDate
+    });
+
+    reviewer.review = undefined;
+    reviewer.round += 1;
+    reviewer.status = 'invited';
+    reviewer.invitedDate = new Date();
+    reviewer.acceptedDate = undefined;
+    reviewer.declinedDate = undefined;
+    reviewer.submissionDate = undefined;
+    reviewer.remindersSent = 0;
+  });
+
+  this.reviewWorkflow.reviewDeadline = reviewDeadline;
+
+  return reinvited;
+};
+
+// Latest extension granted for a deadline type, or null
+researchSubmissionSchema.methods.getDeadlineExtension = function(deadlineType) {
+  return this.deadlineExtensions
+    .filter(e => e.deadlineType === deadlineType)
+    .sort((a, b) => b.grantedDate - a.grantedDate)[0] || null;
+};
+
+researchSubmissionSchema.methods.grantDeadlineExtension = function(deadlineType, extendedUntil, reason, grantedBy) {
+  this.deadlineExtensions.push({
+    deadlineType,
+    extendedUntil,
+    reason,
+    grantedBy,
+    grantedDate: new Date()
+  });
+
+  return this.deadlineExtensions[this.deadlineExtensions.length - 1];
+};
+
+// Replace the paper of an accepted submission with its camera-ready version
+researchSubmissionSchema.methods.uploadCameraReady = function(paper) {
+  if (this.status !== 'accepted') {
+    throw new Error('Camera-ready papers can only be uploaded for accepted submissions');
+  }
+
+  if (this.paperUpload && this.paperUpload.filename) {
+    this.paperVersions.push({
+      version: this.paperVersions.length + 1,
+      filename: this.paperUpload.filename,
+      originalName: this.paperUpload.originalName,
+      filePath: this.paperUpload.filePath,
+      fileSize: this.paperUpload.fileSize,
+      uploadDate: this.paperUpload.uploadDate,
+      documentId: this.paperUpload.documentId,
+      replacedDate: new Date()
+    });
+  }
+
+  this.paperUpload = {
+    ...paper,
+    uploadDate: new Date(),
+    isCameraReady: true
+  };
+};
+
+// Returns 'editor' or 'reviewer' if the user may take part in the review discussion, otherwise null
+researchSubmissionSchema.methods.getDiscussionRole = function(user) {
+  const userId = (user._id || user).toString();
+  const editorId = this.reviewWorkflow.editor.userId;
+
+  if ((editorId && (editorId._id || editorId).toString() === userId) ||
+      (user.roles && user.roles.includes('admin'))) {
+    return 'editor';
+  }
+
+  // Reviewers join only once they have submitted their own review
+  const hasCompletedReview = this.reviewWorkflow.reviewers.some(
+    r => (r.userId._id || r.userId).toString() === userId && r.status === 'completed'
+  );
+
+  return hasCompletedReview ? 'reviewer' : null;
+};
+
+researchSubmissionSchema.methods.addDiscussionPost = function(authorId, role, message) {
+  this.reviewWorkflow.discussion.push({
+    authorId,
+    role,
+    message,
+    postedDate: new Date()
+  });
+
+  return this.reviewWorkflow.discussion[this.reviewWorkflow.discussion.length - 1];
+};
+
+// Editor plus every reviewer who has completed a review
+researchSubmissionSchema.methods.getDiscussionParticipants = function() {
+  const participants = this.reviewWorkflow.reviewers
+    .filter(r => r.status === 'completed')
+    .map(r => (r.userId._id || r.userId).toString());
+
+  const editorId = this.reviewWorkflow.editor.userId;
+  if (editorId) {
+    participants.push((editorId._id || editorId).toString());
+  }
+
+  return [...new Set(participants)];
 };
 
 researchSubmissionSchema.methods.addNotification = function(type, recipients, message, sentBy) {
@@ -866,7 +1419,8 @@ researchSubmissionSchema.methods.addCoAuthor = async function(authorData, isKnow
     ...newAuthorData,
     order: this.coAuthors.length + 1,
     isKnownCollaborator,
-    addedDate: new Date()
+    addedDate: new Date(),
+    authorship: { status: 'pending' }
   };
   
   this.coAuthors.push(newAuthor);
@@ -879,6 +1433,147 @@ researchSubmissionSchema.methods.addCoAuthor = async function(authorData, isKnow
   return this.coAuthors[this.coAuthors.length - 1];
 };
 
+// List who has and has not confirmed authorship
+researchSubmissionSchema.methods.getAuthorshipSummary = function() {
+  const describe = author => ({
+    _id: author._id,
+    name: `${author.name.firstName} ${author.name.lastName}`,
+    email: author.email,
+    status: author.authorship.status,
+    invitedDate: author.authorship.invitedDate,
+    respondedDate: author.authorship.respondedDate,
+    declineReason: author.authorship.declineReason
+  });
+  const withStatus = status => this.coAuthors
+    .filter(author => author.authorship && author.authorship.status === status)
+    .map(describe);
+
+  const pending = withStatus('pending');
+  const declined = withStatus('declined');
+
+  return {
+    status: this.authorshipStatus,
+    pending,
+    declined,
+    confirmedCount: this.coAuthors.length - pending.length - declined.length
+  };
+};
+
+// Record a co-author's confirmation, linking them to their SOBIE account
+researchSubmissionSchema.methods.confirmAuthorship = function(authorId, userId, affiliation = null) {
+  const author = this.coAuthors.id(authorId);
+
+  if (!author) {
+    throw new Error('Co-author not found');
+  }
+
+  author.userId = userId;
+  author.isExternalAuthor = false;
+  if (affiliation) {
+    author.affiliation = { ...author.affiliation.toObject(), ...affiliation };
+  }
+  author.authorship.status = 'confirmed';
+  author.authorship.respondedDate = new Date();
+  author.authorship.declineReason = undefined;
+
+  this.addAssociatedUser(userId, 'coauthor');
+
+  return author;
+};
+
+researchSubmissionSchema.methods.declineAuthorship = function(authorId, reason = '') {
+  const author = this.coAuthors.id(authorId);
+
+  if (!author) {
+    throw new Error('Co-author not found');
+  }
+
+  author.authorship.status = 'declined';
+  author.authorship.respondedDate = new Date();
+  author.authorship.declineReason = reason;
+
+  return author;
+};
+
+// Student research needs at least one faculty sponsor's approval before submission
+researchSubmissionSchema.methods.hasSponsorApproval = function() {
+  return this.facultySponsors.some(sponsor => sponsor.approval && sponsor.approval.status === 'approved');
+};
+
+researchSubmissionSchema.methods.getSponsorApprovalStatus = function() {
+  return {
+    required: Boolean(this.isStudentResearch),
+    approved: this.hasSponsorApproval(),
+    sponsors: this.facultySponsors.map(sponsor => ({
+      _id: sponsor._id,
+      name: `${sponsor.name.firstName} ${sponsor.name.lastName}`,
+      email: sponsor.email,
+      status: sponsor.approval && sponsor.approval.status ? sponsor.approval.status : 'not_requested',
+      requestedDate: sponsor.approval && sponsor.approval.requestedDate,
+      respondedDate: sponsor.approval && sponsor.approval.respondedDate,
+      comments: sponsor.approval && sponsor.approval.comments
+    }))
+  };
+};
+
+researchSubmissionSchema.methods.requestSponsorApproval = function(sponsorId, requestedBy) {
+  const sponsor = this.facultySponsors.id(sponsorId);
+
+  if (!sponsor) {
+    throw new Error('Faculty sponsor not found');
+  }
+
+  sponsor.approval = { status: 'pending', requestedDate: new Date() };
+  this.sponsorApprovalLog.push({
+    sponsorId: sponsor._id,
+    sponsorName: `${sponsor.name.firstName} ${sponsor.name.lastName}`,
+    action: 'requested',
+    actor: requestedBy
+  });
+
+  return sponsor;
+};
+
+// decision is approved, changes_requested or declined
+researchSubmissionSchema.methods.recordSponsorDecision = function(sponsorId, decision, comments = '', actor = null) {
+  const sponsor = this.facultySponsors.id(sponsorId);
+
+  if (!sponsor) {
+    throw new Error('Faculty sponsor not found');
+  }
+
+  sponsor.approval.status = decision;
+  sponsor.approval.respondedDate = new Date();
+  sponsor.approval.comments = comments;
+
+  this.sponsorApprovalLog.push({
+    sponsorId: sponsor._id,
+    sponsorName: `${sponsor.name.firstName} ${sponsor.name.lastName}`,
+    action: decision,
+    comments,
+    actor
+  });
+
+  return sponsor;
+};
+
+// A new paper file needs a fresh sign-off; earlier approvals covered the old file
+researchSubmissionSchema.methods.resetSponsorApprovals = function() {
+  const approved = this.facultySponsors.filter(sponsor => sponsor.approval && sponsor.approval.status === 'approved');
+
+  approved.forEach(sponsor => {
+    sponsor.approval = { status: undefined, comments: undefined };
+    this.sponsorApprovalLog.push({
+      sponsorId: sponsor._id,
+      sponsorName: `${sponsor.name.firstName} ${sponsor.name.lastName}`,
+      action: 'approval_reset',
+      comments: 'Paper replaced after approval'
+    });
+  });
+
+  return approved.length;
+};
+
 researchSubmissionSchema.methods.removeCoAuthor = function(authorId) {
   const authorIndex = this.coAuthors.findIndex(author => 
     author._id.toString() === authorId.toString()
@@ -1139,7 +1834,11 @@ researchSubmissionSchema.methods.inviteToProceedings = function(invitedBy, deadl
   this.proceedings.invitationSentAt = new Date();
   this.proceedings.invitationSentBy = invitedBy;
   this.proceedings.invitationDeadline = deadline;
-  this.status = 'proceedings_invited';
+  this.transitionStatus('proceedings_invited', {
+    changedBy: invitedBy,
+    role: 'editor',
+    reason: 'Invited to submit to the proceedings'
+  });
   
   return this;
 };
@@ -1154,7 +1853,12 @@ researchSubmissionSchema.methods.respondToProceedings = function(userId, accepte
   };
   
   if (!accepted) {
-    this.status = 'presented'; // Keep as presented if declined
+    // Back to presented if declined
+    this.transitionStatus('presented', {
+      changedBy: userId,
+      role: 'author',
+      reason: comments || 'Proceedings invitation declined'
+    });
   }
   
   return this;
@@ -1168,7 +1872,11 @@ researchSubmissionSchema.methods.submitProceedingsPaper = function(paperData, up
     uploadedBy
   };
   this.proceedings.submittedAt = new Date();
-  this.status = 'proceedings_submitted';
+  this.transitionStatus('proceedings_submitted', {
+    changedBy: uploadedBy,
+    role: 'author',
+    reason: 'Proceedings paper submitted'
+  });
   
   return this;
 };
@@ -1178,14 +1886,63 @@ researchSubmissionSchema.methods.assignProceedingsEditor = function(editorId, as
   this.proceedings.proceedingsReview = this.proceedings.proceedingsReview || {};
   this.proceedings.proceedingsReview.assignedEditor = editorId;
   this.proceedings.proceedingsReview.assignedAt = new Date();
-  this.status = 'proceedings_under_review';
+  this.transitionStatus('proceedings_under_review', {
+    changedBy: assignedBy,
+    role: 'editor',
+    reason: 'Proceedings editor assigned'
+  });
   
   // Add editor to associated users
   this.addAssociatedUser(editorId, 'editor');
-  
+
   return this;
 };
 
+// Add proceedings reviewers, skipping anyone already assigned; returns the added entries
+researchSubmissionSchema.methods.assignProceedingsReviewers = function(reviewerIds) {
+  this.proceedings = this.proceedings || {};
+  this.proceedings.proceedingsReview = this.proceedings.proceedingsReview || {};
+  const reviewers = this.proceedings.proceedingsReview.reviewers;
+
+  const added = [];
+  for (const reviewerId of reviewerIds) {
+    if (reviewers.some(r => r.userId.toString() === reviewerId.toString())) {
+      continue;
+    }
+
+    reviewers.push({ userId: reviewerId, assignedAt: new Date() });
+    added.push(reviewers[reviewers.length - 1]);
+    this.addAssociatedUser(reviewerId, 'reviewer');
+  }
+
+  return added;
+};
+
+researchSubmissionSchema.methods.getProceedingsReviewer = function(userId) {
+  const reviewers = (this.proceedings && this.proceedings.proceedingsReview && this.proceedings.proceedingsReview.reviewers) || [];
+  return reviewers.find(r => r.userId && (r.userId._id || r.userId).toString() === userId.toString()) || null;
+};
+
+// Record a proceedings reviewer's recommendation; a revised paper can be reviewed again
+researchSubmissionSchema.methods.submitProceedingsReview = function(reviewerId, review) {
+  const reviewer = this.getProceedingsReviewer(reviewerId);
+  if (!reviewer) {
+    throw new Error('Reviewer is not assigned to this proceedings paper');
+  }
+
+  reviewer.recommendation = review.recommendation;
+  reviewer.comments = review.comments;
+  reviewer.confidentialComments = review.confidentialComments;
+  reviewer.reviewSubmittedAt = new Date();
+
+  const allSubmitted = this.proceedings.proceedingsReview.reviewers.every(r => r.reviewSubmittedAt);
+  if (allSubmitted) {
+    this.proceedings.reviewCompletedAt = new Date();
+  }
+
+  return reviewer;
+};
+
 researchSubmissionSchema.methods.addProceedingsRevision = function(revisionData, uploadedBy, comments = '') {
   this.proceedings = this.proceedings || {};
   this.proceedings.revisions = this.proceedings.revisions || [];
@@ -1200,7 +1957,11 @@ researchSubmissionSchema.methods.addProceedingsRevision = function(revisionData,
     comments
   });
   
-  this.status = 'proceedings_revised';
+  this.transitionStatus('proceedings_revised', {
+    changedBy: uploadedBy,
+    role: 'author',
+    reason: `Proceedings revision ${versionNumber} submitted`
+  });
   
   return this;
 };
@@ -1220,30 +1981,45 @@ researchSubmissionSchema.methods.makeProceedingsDecision = function(decision, de
   this.proceedings.finalDecisionAt = new Date();
   
   // Update status based on decision
+  const transition = { changedBy: decisionBy, role: 'editor', reason: `Proceedings decision: ${decision}` };
   switch (decision) {
     case 'accept':
-      this.status = 'proceedings_accepted';
+      this.transitionStatus('proceedings_accepted', transition);
       break;
     case 'reject':
-      this.status = 'proceedings_rejected';
+      this.transitionStatus('proceedings_rejected', transition);
       break;
     case 'revision_required':
-      this.status = 'proceedings_revision_required';
+      this.transitionStatus('proceedings_revision_required', transition);
       break;
   }
   
   return this;
 };
 
+// Record where the paper appears in the compiled proceedings volume
+researchSubmissionSchema.methods.recordProceedingsPlacement = function({ proceedingsVolume, proceedingsIssue, pageNumbers }) {
+  this.set('proceedings.publication.proceedingsVolume', proceedingsVolume);
+  this.set('proceedings.publication.proceedingsIssue', proceedingsIssue);
+  this.set('proceedings.publication.pageNumbers', pageNumbers);
+
+  return this;
+};
+
 researchSubmissionSchema.methods.publishProceedings = function(publicationData, publishedBy) {
-  this.proceedings = this.proceedings || {};
-  this.proceedings.publication = {
-    ...publicationData,
-    publishedAt: new Date(),
-    publishedBy
-  };
+  // Keep details recorded earlier (such as the compiled volume pages) unless they are given again
+  Object.entries(publicationData)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([field, value]) => this.set(`proceedings.publication.${field}`, value));
+
+  this.set('proceedings.publication.publishedAt', new Date());
+  this.set('proceedings.publication.publishedBy', publishedBy);
   this.proceedings.publishedAt = new Date();
-  this.status = 'published';
+  this.transitionStatus('published', {
+    changedBy: publishedBy,
+    role: 'editor',
+    reason: 'Published in the proceedings'
+  });
   
   return this;
 };
@@ -1266,6 +2042,14 @@ researchSubmissionSchema.methods.getProceedingsStatus = function() {
     };
   }
   
+  if (this.status === 'proceedings_revised') {
+    return {
+      phase: 'under_review',
+      description: 'Revised proceedings submission under review',
+      submittedAt: p.revisions.length > 0 ? p.revisions[p.revisions.length - 1].uploadDate : p.submittedAt
+    };
+  }
+
   if (p.proceedingsReview && p.proceedingsReview.finalDecision) {
     const decision = p.proceedingsReview.finalDecision.decision;
     switch (decision) {
@@ -1346,6 +2130,7 @@ researchSubmissionSchema.statics.getByUser = function(userId, status = null) {
   }
   
   return this.find(query)
+    .select('-similarityReport')
     .populate('conferenceId', 'name year')
     .populate('correspondingAuthor.userId', 'name email')
     .populate('coAuthors.userId', 'name email')
@@ -1360,7 +2145,8 @@ researchSubmissionSchema.statics.getForReviewer = function(reviewerUserId, statu
   }
   
   return this.find(query)
-    .populate('conferenceId', 'name year')
+    .select('-similarityReport')
+    .populate('conferenceId', 'name year reviewSettings')
     .populate('correspondingAuthor.userId', 'name email')
     .sort({ 'reviewWorkflow.reviewers.invitedDate': -1 });
 };
@@ -1450,6 +2236,20 @@ researchSubmissionSchema.methods.getPresenterConflictsSummary = function() {
 
 // Pre-save middleware
 researchSubmissionSchema.pre('save', function(next) {
+  // Status changes must go through transitionStatus so they are checked and recorded
+  if (!this.isNew && this.isModified('status') && this.$locals.statusTransition !== this.status) {
+    return next(AppError.badRequest(
+      'Submission status must be changed through transitionStatus',
+      'UNTRACKED_STATUS_CHANGE',
+      { status: this.status }
+    ));
+  }
+  delete this.$locals.statusTransition;
+
+  if (!this.isNew && (this.isModified('paperUpload.filename') || this.isModified('paperUpload.filePath'))) {
+    this.resetSponsorApprovals();
+  }
+
   // Generate submission number if not exists
   if (!this.submissionNumber && this.conferenceYear) {
     this.submissionNumber = this.constructor.generateSubmissionNumber(this.conferenceYear);
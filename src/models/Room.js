@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Room Model
+ * Inventory of the rooms a conference venue offers for sessions, with the
+ * seating, access and AV equipment each one provides
+ */
+
+// AV equipment a room can provide; the keys match Session.technicalRequirements
+const AV_EQUIPMENT = ['projector', 'microphone', 'flipChart', 'internet', 'recording', 'livestream'];
+
+const roomSchema = new mongoose.Schema({
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: true
+  },
+
+  // Room Identification
+  name: {
+    type: String,
+    required: true,
+    trim: true // e.g., "Terrace 1", "Bayview Room"
+  },
+  building: {
+    type: String,
+    trim: true
+  },
+  venue: {
+    type: String,
+    trim: true
+  },
+  floor: {
+    type: String,
+    trim: true // e.g., "Lobby", "2", "Mezzanine"
+  },
+
+  // Seating
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  layout: {
+    type: String,
+    enum: ['theater', 'classroom', 'boardroom', 'banquet', 'hollow_square', 'u_shape'],
+    default: 'theater'
+  },
+
+  // Accessibility
+  accessibility: {
+    wheelchairAccessible: { type: Boolean, default: true },
+    stepFreeAccess: { type: Boolean, default: true },
+    hearingLoop: { type: Boolean, default: false },
+    accessibleRestroomNearby: { type: Boolean, default: false },
+    notes: String
+  },
+
+  // AV Equipment
+  av: {
+    projector: { type: Boolean, default: false },
+    microphone: { type: Boolean, default: false },
+    flipChart: { type: Boolean, default: false },
+    internet: { type: Boolean, default: false },
+    recording: { type: Boolean, default: false },
+    livestream: { type: Boolean, default: false },
+    other: String
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+roomSchema.index({ conferenceId: 1, name: 1 }, { unique: true });
+roomSchema.index({ conferenceId: 1, isActive: 1 });
+
+// Virtual for the location line shown on the program
+roomSchema.virtual('displayLocation').get(function() {
+  return [this.name, this.floor && `Floor ${this.floor}`, this.building].filter(Boolean).join(', ');
+});
+
+// Instance method to list the technical requirements this room cannot meet
+roomSchema.methods.getMissingEquipment = function(technicalRequirements = {}) {
+  return AV_EQUIPMENT.filter(item => technicalRequirements[item] && !(this.av && this.av[item]));
+};
+
+// Instance method to describe the room as a Session location
+roomSchema.methods.toSessionLocation = function() {
+  return {
+    roomId: this._id,
+    room: this.name,
+    building: this.building,
+    venue: this.venue,
+    floor: this.floor
+  };
+};
+
+// Static method to get the active rooms for a conference
+roomSchema.statics.getActiveRooms = function(conferenceId) {
+  return this.find({ conferenceId, isActive: true }).sort({ building: 1, floor: 1, name: 1 });
+};
+
+roomSchema.statics.AV_EQUIPMENT = AV_EQUIPMENT;
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Minutes each presentation needs when sizing a session from its length
+const MINUTES_PER_PRESENTATION = 15;
+
 const sessionSchema = new mongoose.Schema({
   // Session Identification
   sessionNumber: {
@@ -49,12 +52,18 @@ const sessionSchema = new mongoose.Schema({
   
   // Location
   location: {
+    // Room from the venue inventory; room, building, venue and floor are copied from it
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
     room: {
       type: String,
       required: true // e.g., "Terrace 1", "Bayview Room"
     },
     building: String,
-    venue: String
+    venue: String,
+    floor: String
   },
 
   // Session Leadership
@@ -164,6 +173,40 @@ const sessionSchema = new mongoose.Schema({
     recording: { type: Boolean, default: false },
     livestream: { type: Boolean, default: false },
     other: String
+  },
+
+  // Schedule solver drafts; a draft holds papers, not presentations, until an editor accepts it
+  scheduling: {
+    source: {
+      type: String,
+      enum: ['manual', 'solver'],
+      default: 'manual'
+    },
+    isDraft: {
+      type: Boolean,
+      default: false
+    },
+    // Locked drafts are kept as they are when the solver is re-run
+    isLocked: {
+      type: Boolean,
+      default: false
+    },
+    draftSubmissions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResearchSubmission'
+    }],
+    // Papers pinned to this draft; the solver fills the rest of the session around them
+    lockedSubmissions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResearchSubmission'
+    }],
+    score: Number,
+    solvedAt: Date,
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 
 }, {
@@ -177,7 +220,9 @@ sessionSchema.index({ conferenceId: 1, sessionNumber: 1 });
 sessionSchema.index({ conferenceYear: 1, date: 1, startTime: 1 });
 sessionSchema.index({ category: 1, track: 1 });
 sessionSchema.index({ 'location.room': 1, date: 1 });
+sessionSchema.index({ 'location.roomId': 1, date: 1 });
 sessionSchema.index({ 'chair.userId': 1 });
+sessionSchema.index({ conferenceId: 1, 'scheduling.isDraft': 1 });
 
 // Virtual for session duration in minutes
 sessionSchema.virtual('durationMinutes').get(function() {
@@ -241,6 +286,13 @@ sessionSchema.methods.isActive = function() {
 };
 
 // Static methods
+// Static method for how many presentations fit in a session
+// Each presentation needs MINUTES_PER_PRESENTATION of the session's length
+sessionSchema.statics.getPresentationCapacity = function(minutes, maxPresentations = 6) {
+  if (!Number.isFinite(minutes)) return maxPresentations;
+  return Math.max(1, Math.min(maxPresentations, Math.floor(minutes / MINUTES_PER_PRESENTATION)));
+};
+
 sessionSchema.statics.getSessionsByDay = function(conferenceId, date) {
   const startOfDay = new Date(date);
   startOfDay.setHours(0, 0, 0, 0);
@@ -349,7 +401,7 @@ function parseTime(timeStr) {
 // Static method to get program overview for a conference
 sessionSchema.statics.getProgramOverview = function(conferenceId) {
   return this.aggregate([
-    { $match: { conferenceId: mongoose.Types.ObjectId(conferenceId) } },
+    { $match: { conferenceId: new mongoose.Types.ObjectId(conferenceId), 'scheduling.isDraft': { $ne: true } } },
     {
       $lookup: {
         from: 'researchpresentations',
@@ -375,8 +427,12 @@ sessionSchema.statics.getProgramOverview = function(conferenceId) {
             location: "$location",
             chair: "$chair",
             moderators: "$moderators",
+            sessionType: "$sessionType",
+            description: "$description",
+            presentations: "$presentationDetails.title",
             presentationCount: { $size: "$presentationDetails" },
-            status: "$status"
+            status: "$status",
+            updatedAt: "$updatedAt"
           }
         },
         totalSessions: { $sum: 1 },
@@ -390,34 +446,61 @@ sessionSchema.statics.getProgramOverview = function(conferenceId) {
 };
 
 // Static method to find scheduling conflicts
-sessionSchema.statics.findSchedulingConflicts = function(conferenceId) {
-  return this.aggregate([
-    { $match: { conferenceId: mongoose.Types.ObjectId(conferenceId) } },
-    {
-      $group: {
-        _id: {
-          date: "$date",
-          startTime: "$startTime",
-          endTime: "$endTime"
-        },
-        sessions: {
-          $push: {
-            _id: "$_id",
-            title: "$title",
-            location: "$location.room"
-          }
-        },
-        count: { $sum: 1 }
+// Two sessions conflict when they use the same room at overlapping times on the same day
+sessionSchema.statics.findSchedulingConflicts = async function(conferenceId) {
+  const sessions = await this.find({ conferenceId, 'scheduling.isDraft': { $ne: true } })
+    .select('title sessionNumber date startTime endTime location')
+    .sort({ date: 1, startTime: 1 });
+
+  const conflicts = [];
+  sessions.forEach((session, index) => {
+    sessions.slice(index + 1).forEach(other => {
+      if (session.isSameRoom(other) && session.overlaps(other)) {
+        conflicts.push({
+          room: session.location.room,
+          date: session.date,
+          sessions: [session, other].map(s => ({
+            _id: s._id,
+            sessionNumber: s.sessionNumber,
+            title: s.title,
+            startTime: s.startTime,
+            endTime: s.endTime
+          }))
+        });
       }
-    },
-    { $match: { count: { $gt: 1 } } },
-    { $sort: { "_id.date": 1 } }
-  ]);
+    });
+  });
+
+  return conflicts;
+};
+
+// Instance method to check whether two sessions use the same room
+// Inventory rooms are compared by id; free-text rooms fall back to the room name
+sessionSchema.methods.isSameRoom = function(other) {
+  const roomId = this.location && this.location.roomId;
+  const otherRoomId = other.location && other.location.roomId;
+
+  if (roomId && otherRoomId) {
+    return roomId.toString() === otherRoomId.toString();
+  }
+  return Boolean(this.location && other.location && this.location.room &&
+    this.location.room.trim().toLowerCase() === (other.location.room || '').trim().toLowerCase());
+};
+
+// Instance method to check whether two sessions overlap in time
+sessionSchema.methods.overlaps = function(other) {
+  if (!this.date || !other.date || new Date(this.date).toISOString().slice(0, 10) !== new Date(other.date).toISOString().slice(0, 10)) {
+    return false;
+  }
+  return parseTime(this.startTime) < parseTime(other.endTime) && parseTime(other.startTime) < parseTime(this.endTime);
 };
 
 // Instance method to check if session can accommodate more presentations
+// Papers placed in a solver draft count towards the session's capacity
 sessionSchema.methods.canAccommodateMore = function(maxPresentations = 6) {
-  return this.presentations.length < maxPresentations;
+  const draftCount = this.scheduling && this.scheduling.draftSubmissions ? this.scheduling.draftSubmissions.length : 0;
+  const minutes = this.startTime && this.endTime ? parseTime(this.endTime) - parseTime(this.startTime) : null;
+  return this.presentations.length + draftCount < this.constructor.getPresentationCapacity(minutes, maxPresentations);
 };
 
 // Instance method to get session timing details
@@ -94,7 +94,15 @@ const studentCompetitionSchema = new mongoose.Schema({
     assignedDate: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Participants the judge may not score because of a conflict of interest
+    recusals: [{
+      studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reasons: [String]
+    }]
   }],
   
   // Judging Criteria
@@ -263,10 +271,17 @@ studentCompetitionSchema.methods.calculateFinalScores = function() {
 };
 
 studentCompetitionSchema.methods.isJudgingComplete = function() {
-  const totalExpectedScores = this.participants.length * this.judges.length;
+  const recusals = this.judges.reduce((sum, judge) => sum + (judge.recusals ? judge.recusals.length : 0), 0);
+  const totalExpectedScores = this.participants.length * this.judges.length - recusals;
   return this.scores.length >= totalExpectedScores;
 };
 
+studentCompetitionSchema.methods.isJudgeRecused = function(judgeId, studentId) {
+  const judge = this.judges.find(j => j.judgeId.toString() === judgeId.toString());
+  return Boolean(judge && judge.recusals &&
+    judge.recusals.some(r => r.studentId.toString() === studentId.toString()));
+};
+
 studentCompetitionSchema.methods.getParticipantRank = function(participantId) {
   const finalScores = this.calculateFinalScores();
   const rank = finalScores.findIndex(score => score.participantId.toString() === participantId.toString());
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an emailed invitation link stays valid
+const INVITATION_VALID_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const submissionInvitationSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchSubmission',
+    required: [true, 'Submission ID is required']
+  },
+
+  // What the invitee is asked to do
+  purpose: {
+    type: String,
+    enum: ['co_author_consent', 'faculty_sponsor_approval'],
+    required: [true, 'Invitation purpose is required']
+  },
+
+  // Subdocument on the submission the invitation is about (the co-author or faculty sponsor entry)
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Invitation subject is required']
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Invitation email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  // Only the hash is stored; the token itself is emailed to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+submissionInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+submissionInvitationSchema.index({ submissionId: 1, purpose: 1, subjectId: 1 });
+
+// Whether the invitation can still be answered
+submissionInvitationSchema.virtual('isActive').get(function() {
+  return !this.respondedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+submissionInvitationSchema.methods.markResponded = function() {
+  this.respondedAt = new Date();
+};
+
+/**
+ * Issue a new invitation, revoking any earlier one for the same subject
+ * @param {Object} data - { submissionId, purpose, subjectId, email, invitedBy, validDays }
+ * @returns {Object} { invitation, token } - token is only available here
+ */
+submissionInvitationSchema.statics.issue = async function({ submissionId, purpose, subjectId, email, invitedBy, validDays = INVITATION_VALID_DAYS }) {
+  await this.revokeFor(submissionId, purpose, subjectId);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    submissionId,
+    purpose,
+    subjectId,
+    email,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Revoke the open invitations for a subject
+ * @param {ObjectId} submissionId
+ * @param {string} purpose
+ * @param {ObjectId} subjectId
+ */
+submissionInvitationSchema.statics.revokeFor = function(submissionId, purpose, subjectId) {
+  return this.updateMany(
+    { submissionId, purpose, subjectId, respondedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Find an invitation that can still be answered from its emailed token
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<Object|null>}
+ */
+submissionInvitationSchema.statics.findActiveByToken = function(token, purpose) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    respondedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('SubmissionInvitation', submissionInvitationSchema);
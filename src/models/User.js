@@ -521,6 +521,47 @@ const userSchema = new mongoose.Schema({
     }]
   },
 
+  // Declared conflicts of interest, consulted when assigning reviewers, judges and session chairs
+  conflictsOfInterest: [{
+    conflictType: {
+      type: String,
+      enum: ['person', 'institution'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true }
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    institution: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Institution cannot be more than 200 characters']
+    },
+    relationship: {
+      type: String,
+      enum: ['coauthor', 'advisor', 'advisee', 'colleague', 'family', 'personal', 'financial', 'other'],
+      default: 'other'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be more than 500 characters']
+    },
+    declaredDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // System Fields
   isActive: {
     type: Boolean,
@@ -584,6 +625,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Secret for the personal calendar feed URL, stored hashed
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
@@ -607,6 +653,8 @@ userSchema.index({ createdAt: -1 });
 userSchema.index({ 'affiliation.organization': 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ lastLogin: -1 });
+userSchema.index({ 'conflictsOfInterest.userId': 1 });
+userSchema.index({ 'conflictsOfInterest.email': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -1250,6 +1298,17 @@ userSchema.methods.generateEmailVerificationToken = function() {
   return token;
 };
 
+// Instance method to generate the personal calendar feed token
+// Generating a new token revokes the previous feed URL
+userSchema.methods.generateCalendarFeedToken = function() {
+  const crypto = require('crypto');
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.calendarFeedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return token;
+};
+
 // Static method to find user by magic link token
 userSchema.statics.findByMagicLinkToken = function(token) {
   const crypto = require('crypto');
@@ -1272,6 +1331,17 @@ userSchema.statics.findByEmailVerificationToken = function(token) {
   });
 };
 
+// Static method to find user by calendar feed token
+userSchema.statics.findByCalendarFeedToken = function(token) {
+  const crypto = require('crypto');
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    calendarFeedToken: hashedToken,
+    isActive: true
+  });
+};
+
 // Static methods for memorial management
 userSchema.statics.findMemorialUsers = function(options = {}) {
   const query = { 
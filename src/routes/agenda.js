@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const agendaController = require('../controllers/agendaController');
+const { authMiddleware } = require('../middleware/auth');
+
+// @route   POST /api/agenda/bookmarks
+// @desc    Bookmark a session or a single presentation
+// @access  Private
+router.post('/bookmarks', authMiddleware, agendaController.addBookmark);
+
+// @route   DELETE /api/agenda/bookmarks/:bookmarkId
+// @desc    Remove a bookmark from your agenda
+// @access  Private
+router.delete('/bookmarks/:bookmarkId', authMiddleware, agendaController.removeBookmark);
+
+// @route   GET /api/agenda/:conferenceId
+// @desc    Get your agenda for a conference, with overlapping sessions flagged
+// @access  Private
+router.get('/:conferenceId', authMiddleware, agendaController.getAgenda);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const citationController = require('../controllers/citationController');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
+
+// All routes take ?format=bibtex|ris|csl (BibTeX by default)
+
+// @route   GET /api/citations/me
+// @desc    Export citations for the current user's presentations
+// @access  Private
+router.get('/me', authMiddleware, citationController.exportMyCitations);
+
+// @route   GET /api/citations/presentations
+// @desc    Export citations for a conference year or discipline
+// @access  Public
+router.get('/presentations', citationController.exportPresentationCitations);
+
+// @route   GET /api/citations/presentations/:id
+// @desc    Cite a research presentation
+// @access  Public (non-public presentations only for their authors and admins)
+router.get('/presentations/:id', optionalAuthMiddleware, citationController.getPresentationCitation);
+
+// @route   GET /api/citations/proceedings/:id
+// @desc    Cite a published proceedings paper
+// @access  Public
+router.get('/proceedings/:id', citationController.getProceedingsCitation);
+
+module.exports = router;
@@ -1,17 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
 const {
   searchPotentialCoAuthors,
   addCoAuthor,
   removeCoAuthor,
   reorderCoAuthors,
+  resendAuthorshipInvitation,
+  getAuthorshipInvitation,
+  confirmAuthorship,
+  declineAuthorship,
   addFacultySponsor,
   removeFacultySponsor,
+  requestSponsorApproval,
+  getSponsorApprovalRequest,
+  downloadSponsorApprovalPaper,
+  respondToSponsorApproval,
   designatePresenter,
   removePresenter,
   getSubmissionAuthors,
   validateCoAuthor,
+  validateAuthorshipConfirmation,
+  validateAuthorshipDecline,
+  validateSponsorDecision,
   validateFacultySponsor
 } = require('../controllers/coAuthorController');
 
@@ -25,10 +36,22 @@ router.get('/submission/:submissionId/authors', authMiddleware, getSubmissionAut
 router.post('/submission/:submissionId/coauthors', authMiddleware, validateCoAuthor, addCoAuthor);
 router.delete('/submission/:submissionId/coauthors/:authorId', authMiddleware, removeCoAuthor);
 router.put('/submission/:submissionId/coauthors/reorder', authMiddleware, reorderCoAuthors);
+router.post('/submission/:submissionId/coauthors/:authorId/invitation', authMiddleware, resendAuthorshipInvitation);
+
+// Authorship invitations (the emailed token identifies the co-author)
+router.get('/invitations/:token', getAuthorshipInvitation);
+router.post('/invitations/:token/confirm', optionalAuthMiddleware, validateAuthorshipConfirmation, confirmAuthorship);
+router.post('/invitations/:token/decline', validateAuthorshipDecline, declineAuthorship);
 
 // Faculty sponsor management (for student papers)
 router.post('/submission/:submissionId/sponsors', authMiddleware, validateFacultySponsor, addFacultySponsor);
 router.delete('/submission/:submissionId/sponsors/:sponsorId', authMiddleware, removeFacultySponsor);
+router.post('/submission/:submissionId/sponsors/:sponsorId/approval-request', authMiddleware, requestSponsorApproval);
+
+// Sponsor approval (the emailed token identifies the sponsor)
+router.get('/sponsor-approvals/:token', getSponsorApprovalRequest);
+router.get('/sponsor-approvals/:token/paper', downloadSponsorApprovalPaper);
+router.post('/sponsor-approvals/:token', validateSponsorDecision, respondToSponsorApproval);
 
 // Presenter designation
 router.post('/submission/:submissionId/presenters', authMiddleware, designatePresenter);
@@ -15,7 +15,10 @@ const suggestionRoutes = require('./suggestions');
 const adminSuggestionRoutes = require('./adminSuggestions');
 const conferenceRoutes = require('./conference');
 const proceedingsRoutes = require('./proceedingsRoutes');
+const citationRoutes = require('./citations');
+const programRoutes = require('./program');
 const programBuilderRoutes = require('./programBuilderRoutes');
+const agendaRoutes = require('./agenda');
 const communityRoutes = require('./communityRoutes');
 const communicationRoutes = require('./communication');
 const bugReportRoutes = require('./bugReports');
@@ -41,7 +44,10 @@ router.use('/coauthors', coAuthorRoutes);
 router.use('/suggestions', suggestionRoutes);
 router.use('/conference', conferenceRoutes);
 router.use('/proceedings', proceedingsRoutes);
+router.use('/citations', citationRoutes);
 router.use('/program-builder', programBuilderRoutes);
+router.use('/program', programRoutes);
+router.use('/agenda', agendaRoutes);
 router.use('/community', communityRoutes);
 router.use('/communications', communicationRoutes);
 router.use('/bug-reports', bugReportRoutes);
@@ -65,7 +71,10 @@ router.get('/', (req, res) => {
       adminSuggestions: '/api/admin/suggestions',
       conference: '/api/conference',
       proceedings: '/api/proceedings',
+      citations: '/api/citations (BibTeX, RIS and CSL-JSON citation export)',
       programBuilder: '/api/program-builder (requires editor/admin role)',
+      program: '/api/program (published conference programs)',
+      agenda: '/api/agenda (personal agendas and session bookmarks)',
       community: '/api/community (community activities and interests)',
       communications: '/api/communications (messaging and notifications)',
       bugReports: '/api/bug-reports (bug reporting with GitHub integration)',
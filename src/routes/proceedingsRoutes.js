@@ -8,7 +8,14 @@ const {
   respondToInvitation,
   submitProceedingsPaper,
   getMyProceedings,
-  assignProceedingsEditor
+  assignProceedingsEditor,
+  assignProceedingsReviewers,
+  submitProceedingsReview,
+  makeProceedingsDecision,
+  submitProceedingsRevision,
+  publishProceedings,
+  compileProceedingsVolume,
+  exportCrossrefDeposit
 } = require('../controllers/proceedingsController');
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
 
@@ -57,6 +64,27 @@ router.post('/:id/respond', authMiddleware, respondToInvitation);
 // @access  Private
 router.post('/:id/submit', authMiddleware, upload.single('proceedingsPaper'), submitProceedingsPaper);
 
+// @route   POST /api/proceedings/:id/revision
+// @desc    Upload a revised proceedings paper
+// @access  Private
+router.post('/:id/revision', authMiddleware, upload.single('proceedingsPaper'), submitProceedingsRevision);
+
+// Proceedings review routes
+// @route   POST /api/proceedings/:id/review
+// @desc    Submit a reviewer recommendation
+// @access  Private (Assigned proceedings reviewer)
+router.post('/:id/review', authMiddleware, submitProceedingsReview);
+
+// @route   POST /api/proceedings/:id/reviewers
+// @desc    Assign reviewers to a proceedings paper
+// @access  Private (Admin or assigned proceedings editor)
+router.post('/:id/reviewers', authMiddleware, assignProceedingsReviewers);
+
+// @route   POST /api/proceedings/:id/decision
+// @desc    Accept, reject or request revision of a proceedings paper
+// @access  Private (Admin or assigned proceedings editor)
+router.post('/:id/decision', authMiddleware, makeProceedingsDecision);
+
 // Admin routes (with admin authentication)
 // @route   GET /api/proceedings/dashboard
 // @desc    Get proceedings dashboard for admins
@@ -73,4 +101,19 @@ router.post('/:id/invite', authMiddleware, requireAdmin, inviteToProceedings);
 // @access  Private (Admin only)
 router.post('/:id/assign-editor', authMiddleware, requireAdmin, assignProceedingsEditor);
 
+// @route   POST /api/proceedings/:id/publish
+// @desc    Publish an accepted proceedings paper
+// @access  Private (Admin only)
+router.post('/:id/publish', authMiddleware, requireAdmin, publishProceedings);
+
+// @route   POST /api/proceedings/conferences/:conferenceId/volume
+// @desc    Compile accepted papers into the paginated proceedings volume PDF
+// @access  Private (Admin only)
+router.post('/conferences/:conferenceId/volume', authMiddleware, requireAdmin, compileProceedingsVolume);
+
+// @route   POST /api/proceedings/conferences/:conferenceId/crossref-deposit
+// @desc    Assign DOIs and download the Crossref deposit XML for a volume
+// @access  Private (Admin only)
+router.post('/conferences/:conferenceId/crossref-deposit', authMiddleware, requireAdmin, exportCrossrefDeposit);
+
 module.exports = router;
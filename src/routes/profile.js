@@ -7,6 +7,7 @@ const {
   validateProfileUpdate,
   validatePrivacySettings,
   validateSobieHistory,
+  validateConflictDeclaration,
   handleValidationErrors,
   validateConditionalFields
 } = require('../middleware/profileValidation');
@@ -79,6 +80,20 @@ router.put('/me/sobie-history',
 // POST /api/profile/me/sobie-history/:type - Add single item to SOBIE history
 router.post('/me/sobie-history/:type', authMiddleware, profileController.addSobieHistoryItem);
 
+// GET /api/profile/me/conflicts - Get declared and inferred conflicts of interest
+router.get('/me/conflicts', authMiddleware, profileController.getMyConflicts);
+
+// POST /api/profile/me/conflicts - Declare a conflict of interest
+router.post('/me/conflicts',
+  authMiddleware,
+  validateConflictDeclaration,
+  handleValidationErrors,
+  profileController.declareConflict
+);
+
+// DELETE /api/profile/me/conflicts/:conflictId - Remove a declared conflict of interest
+router.delete('/me/conflicts/:conflictId', authMiddleware, profileController.removeConflict);
+
 // POST /api/profile/me/content-check - Run content moderation check
 router.post('/me/content-check', authMiddleware, profileController.runContentModerationCheck);
 
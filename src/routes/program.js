@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const programVersionController = require('../controllers/programVersionController');
+const calendarController = require('../controllers/calendarController');
+const { authMiddleware } = require('../middleware/auth');
+
+// @route   POST /api/program/calendar/token
+// @desc    Create a private calendar feed URL for the current user
+// @access  Private
+router.post('/calendar/token', authMiddleware, calendarController.createCalendarFeedToken);
+
+// @route   GET /api/program/calendar/:token.ics
+// @desc    Private iCalendar feed of the sessions a user presents in, chairs or bookmarked and their activities
+// @access  Public (secret token)
+router.get('/calendar/:token.ics', calendarController.getUserCalendar);
+
+// @route   GET /api/program/:conferenceId
+// @desc    Get the published program (?version= for an earlier version)
+// @access  Public
+router.get('/:conferenceId', programVersionController.getPublishedProgram);
+
+// @route   GET /api/program/:conferenceId/calendar.ics
+// @desc    iCalendar feed of the whole conference program
+// @access  Public
+router.get('/:conferenceId/calendar.ics', calendarController.getConferenceCalendar);
+
+// @route   GET /api/program/:conferenceId/rooms/:roomId/calendar.ics
+// @desc    iCalendar feed of the sessions in one room
+// @access  Public
+router.get('/:conferenceId/rooms/:roomId/calendar.ics', calendarController.getRoomCalendar);
+
+module.exports = router;
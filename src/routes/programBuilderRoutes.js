@@ -5,8 +5,25 @@ const {
   createSession,
   updateSession,
   getGroupingSuggestions,
-  deleteSession
+  deleteSession,
+  solveSchedule,
+  getDraftSchedule,
+  lockDraftSession,
+  acceptDraftSchedule
 } = require('../controllers/programBuilderController');
+const {
+  getRooms,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  getRoomGrid
+} = require('../controllers/roomController');
+const {
+  getProgramDiff,
+  publishProgram,
+  getProgramVersions
+} = require('../controllers/programVersionController');
+const { getDemandHeatMap } = require('../controllers/agendaController');
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
 
 // Middleware to check if user is admin or editor
@@ -54,4 +71,69 @@ router.delete('/sessions/:sessionId', authMiddleware, requireEditor, deleteSessi
 // @access  Private (Admin/Editor only)
 router.post('/suggestions', authMiddleware, requireEditor, getGroupingSuggestions);
 
+// @route   POST /api/program-builder/schedule/:conferenceId/solve
+// @desc    Solve a draft schedule from accepted papers, rooms and time slots
+// @access  Private (Admin/Editor only)
+router.post('/schedule/:conferenceId/solve', authMiddleware, requireEditor, solveSchedule);
+
+// @route   GET /api/program-builder/schedule/:conferenceId/drafts
+// @desc    Get the draft sessions produced by the schedule solver
+// @access  Private (Admin/Editor only)
+router.get('/schedule/:conferenceId/drafts', authMiddleware, requireEditor, getDraftSchedule);
+
+// @route   PUT /api/program-builder/schedule/drafts/:sessionId/lock
+// @desc    Lock a draft session or pin papers to it before re-running the solver
+// @access  Private (Admin/Editor only)
+router.put('/schedule/drafts/:sessionId/lock', authMiddleware, requireEditor, lockDraftSession);
+
+// @route   POST /api/program-builder/schedule/:conferenceId/accept
+// @desc    Accept draft sessions into the program
+// @access  Private (Admin/Editor only)
+router.post('/schedule/:conferenceId/accept', authMiddleware, requireEditor, acceptDraftSchedule);
+
+// @route   GET /api/program-builder/conferences/:conferenceId/rooms
+// @desc    List the conference's room inventory
+// @access  Private (Admin/Editor only)
+router.get('/conferences/:conferenceId/rooms', authMiddleware, requireEditor, getRooms);
+
+// @route   POST /api/program-builder/conferences/:conferenceId/rooms
+// @desc    Add a room to the conference's inventory
+// @access  Private (Admin/Editor only)
+router.post('/conferences/:conferenceId/rooms', authMiddleware, requireEditor, createRoom);
+
+// @route   PUT /api/program-builder/rooms/:roomId
+// @desc    Update a room's capacity, access and AV details
+// @access  Private (Admin/Editor only)
+router.put('/rooms/:roomId', authMiddleware, requireEditor, updateRoom);
+
+// @route   DELETE /api/program-builder/rooms/:roomId
+// @desc    Remove a room no session is booked into
+// @access  Private (Admin/Editor only)
+router.delete('/rooms/:roomId', authMiddleware, requireEditor, deleteRoom);
+
+// @route   GET /api/program-builder/grid/:conferenceId
+// @desc    Room-by-room grid of the program
+// @access  Private (Admin/Editor only)
+router.get('/grid/:conferenceId', authMiddleware, requireEditor, getRoomGrid);
+
+// @route   GET /api/program-builder/program/:conferenceId/diff
+// @desc    Compare the draft program with the published version
+// @access  Private (Admin/Editor only)
+router.get('/program/:conferenceId/diff', authMiddleware, requireEditor, getProgramDiff);
+
+// @route   POST /api/program-builder/program/:conferenceId/publish
+// @desc    Publish the draft program and notify affected presenters
+// @access  Private (Admin/Editor only)
+router.post('/program/:conferenceId/publish', authMiddleware, requireEditor, publishProgram);
+
+// @route   GET /api/program-builder/program/:conferenceId/versions
+// @desc    List published program versions
+// @access  Private (Admin/Editor only)
+router.get('/program/:conferenceId/versions', authMiddleware, requireEditor, getProgramVersions);
+
+// @route   GET /api/program-builder/demand/:conferenceId
+// @desc    Heat map of expected session demand from attendee bookmarks
+// @access  Private (Admin/Editor only)
+router.get('/demand/:conferenceId', authMiddleware, requireEditor, getDemandHeatMap);
+
 module.exports = router;
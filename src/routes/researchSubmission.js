@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const researchSubmissionController = require('../controllers/researchSubmissionController');
 const adminResearchController = require('../controllers/adminResearchController');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requireEditor } = require('../middleware/auth');
 const { body, param, query } = require('express-validator');
 const { validationMiddleware } = require('../middleware/validation');
+
+// Decisions an editor can make on a submission
+const DECISION_VALUES = ['accept', 'minor_revision', 'major_revision', 'reject'];
+
 // @desc    Get submission statistics for admin dashboard
 // @access  Private/Admin
 router.get('/admin/statistics',
@@ -42,6 +46,240 @@ router.get('/admin/conflicts/:day/:period',
 
 
 
+// @route   POST /api/research-submission/admin/review-reminders/run
+// @desc    Run the scheduled review reminder check immediately
+// @access  Private/Admin
+router.post('/admin/review-reminders/run',
+  authMiddleware,
+  requireAdmin,
+  adminResearchController.runReviewReminderCheck
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/review-settings
+// @desc    Get research review settings for a conference
+// @access  Private/Admin
+router.get('/admin/conferences/:conferenceId/review-settings',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  validationMiddleware,
+  adminResearchController.getReviewSettings
+);
+
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/review-settings
+// @desc    Update research review settings for a conference
+// @access  Private/Admin
+router.put('/admin/conferences/:conferenceId/review-settings',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body('blindReview').optional().isBoolean().withMessage('blindReview must be a boolean'),
+  body('reviewersPerPaper').optional().isInt({ min: 1, max: 5 }).withMessage('reviewersPerPaper must be between 1 and 5'),
+  body('maxReviewsPerReviewer').optional().isInt({ min: 1 }).withMessage('maxReviewsPerReviewer must be at least 1'),
+  body('biddingOpen').optional().isBoolean().withMessage('biddingOpen must be a boolean'),
+  body('biddingDeadline').optional({ nullable: true }).isISO8601().withMessage('Valid bidding deadline is required'),
+  body('reminders.enabled').optional().isBoolean(),
+  body('reminders.daysBeforeDeadline').optional().isArray({ max: 10 }).withMessage('daysBeforeDeadline must be a list of days'),
+  body('reminders.daysBeforeDeadline.*').optional().isInt({ min: 0, max: 90 }),
+  body('reminders.overdueIntervalDays').optional().isInt({ min: 1 }),
+  body('reminders.maxReminders').optional().isInt({ min: 0 }),
+  body('reminders.editorAlertAfterDays').optional().isInt({ min: 0 }),
+  body('conflicts.coauthorshipYears').optional().isInt({ min: 0, max: 30 }).withMessage('coauthorshipYears must be between 0 and 30'),
+  body('conflicts.sameInstitution').optional().isBoolean(),
+  validationMiddleware,
+  adminResearchController.updateReviewSettings
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/call-for-papers
+// @desc    Get the call for papers deadlines for a conference
+// @access  Private/Admin
+router.get('/admin/conferences/:conferenceId/call-for-papers',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  validationMiddleware,
+  adminResearchController.getCallForPapers
+);
+
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/call-for-papers
+// @desc    Set the abstract, full paper, revision and camera-ready deadlines and grace period
+// @access  Private/Admin
+router.put('/admin/conferences/:conferenceId/call-for-papers',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body(['opensDate', 'abstractDeadline', 'fullPaperDeadline', 'revisionDeadline', 'cameraReadyDeadline'])
+    .optional({ nullable: true }).isISO8601().withMessage('Deadlines must be valid dates'),
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 168 }).withMessage('gracePeriodHours must be between 0 and 168'),
+  validationMiddleware,
+  adminResearchController.updateCallForPapers
+);
+
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/review-rubric
+// @desc    Create or replace the review rubric for a conference (optionally per presentation type)
+// @access  Private/Admin
+router.put('/admin/conferences/:conferenceId/review-rubric',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body('presentationType').optional({ nullable: true }).isIn(['paper', 'poster', 'presentation', 'panel', 'workshop']).withMessage('Invalid presentation type'),
+  body('criteria').isArray({ min: 1, max: 20 }).withMessage('1-20 rubric criteria are required'),
+  body('criteria.*.key').trim().matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Criterion keys must be alphanumeric identifiers'),
+  body('criteria.*.label').trim().isLength({ min: 1, max: 100 }).withMessage('Criterion label is required'),
+  body('criteria.*.description').optional().isString().isLength({ max: 1000 }),
+  body('criteria.*.weight').optional().isFloat({ min: 0 }).withMessage('Criterion weight must be zero or positive'),
+  body('criteria.*.minScore').optional().isInt().withMessage('Minimum score must be an integer'),
+  body('criteria.*.maxScore').optional().isInt().withMessage('Maximum score must be an integer'),
+  body('criteria.*.commentsRequired').optional().isBoolean(),
+  body('requireAuthorComments').optional().isBoolean(),
+  body('requireConfidentialComments').optional().isBoolean(),
+  validationMiddleware,
+  adminResearchController.updateReviewRubric
+);
+
+// @route   DELETE /api/research-submission/admin/conferences/:conferenceId/review-rubric
+// @desc    Remove a conference review rubric (reverts to the default rubric)
+// @access  Private/Admin
+router.delete('/admin/conferences/:conferenceId/review-rubric',
+  authMiddleware,
+  requireAdmin,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  query('presentationType').optional().isIn(['paper', 'poster', 'presentation', 'panel', 'workshop']).withMessage('Invalid presentation type'),
+  validationMiddleware,
+  adminResearchController.deleteReviewRubric
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/reviewer-assignments/proposal
+// @desc    Propose reviewer assignments for all submissions under review
+// @access  Private/Admin or Editor
+router.get('/admin/conferences/:conferenceId/reviewer-assignments/proposal',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  query('reviewersPerPaper').optional().isInt({ min: 1, max: 5 }).withMessage('reviewersPerPaper must be between 1 and 5'),
+  query('maxReviewsPerReviewer').optional().isInt({ min: 1 }).withMessage('maxReviewsPerReviewer must be at least 1'),
+  validationMiddleware,
+  adminResearchController.proposeReviewerAssignments
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/reviewer-calibration
+// @desc    Reviewer harshness report with calibrated submission rankings and outlier reviews
+// @access  Private/Admin or Editor
+router.get('/admin/conferences/:conferenceId/reviewer-calibration',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  query('minReviews').optional().isInt({ min: 2 }).withMessage('minReviews must be at least 2'),
+  query('outlierThreshold').optional().isFloat({ min: 0.5, max: 5 }).withMessage('outlierThreshold must be between 0.5 and 5'),
+  validationMiddleware,
+  adminResearchController.getReviewerCalibrationReport
+);
+
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/reviewer-assignments
+// @desc    Apply an (editor-adjusted) reviewer assignment and send invitations
+// @access  Private/Admin or Editor
+router.post('/admin/conferences/:conferenceId/reviewer-assignments',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body('assignments').isArray({ min: 1 }).withMessage('At least one assignment is required'),
+  body('assignments.*.submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  body('assignments.*.reviewerIds').isArray({ max: 5 }).withMessage('Up to 5 reviewer IDs are allowed per submission'),
+  body('assignments.*.reviewerIds.*').isMongoId().withMessage('Valid reviewer IDs are required'),
+  body('reviewDeadline').optional().isISO8601().withMessage('Valid review deadline is required'),
+  body('reviewersPerPaper').optional().isInt({ min: 1, max: 5 }),
+  body('maxReviewsPerReviewer').optional().isInt({ min: 1 }),
+  validationMiddleware,
+  adminResearchController.applyReviewerAssignments
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/decision-letters
+// @desc    Get the decision letter templates and the merge fields they may use
+// @access  Private/Admin or Editor
+router.get('/admin/conferences/:conferenceId/decision-letters',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  validationMiddleware,
+  adminResearchController.getDecisionLetterTemplates
+);
+
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/decision-letters/preview
+// @desc    Render the decision letter a submission would receive, optionally with unsaved template edits
+// @access  Private/Admin or Editor
+router.post('/admin/conferences/:conferenceId/decision-letters/preview',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body('submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  body('decision').isIn(DECISION_VALUES).withMessage('Valid decision is required (accept, minor_revision, major_revision, reject)'),
+  body('subject').optional().isString().isLength({ min: 1, max: 300 }).withMessage('Subject must be 1-300 characters'),
+  body('body').optional().isString().isLength({ min: 1, max: 20000 }).withMessage('Body must be 1-20000 characters'),
+  body('editorComments').optional().isString().isLength({ max: 5000 }),
+  body('revisionDeadline').optional().isISO8601().withMessage('Valid revision deadline is required'),
+  validationMiddleware,
+  adminResearchController.previewDecisionLetter
+);
+
+// @route   PUT /api/research-submission/admin/conferences/:conferenceId/decision-letters/:decision
+// @desc    Replace the decision letter template for one decision
+// @access  Private/Admin or Editor
+router.put('/admin/conferences/:conferenceId/decision-letters/:decision',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  param('decision').isIn(DECISION_VALUES).withMessage('Valid decision is required (accept, minor_revision, major_revision, reject)'),
+  body('subject').isString().trim().isLength({ min: 1, max: 300 }).withMessage('Subject must be 1-300 characters'),
+  body('body').isString().isLength({ min: 1, max: 20000 }).withMessage('Body must be 1-20000 characters'),
+  validationMiddleware,
+  adminResearchController.updateDecisionLetterTemplate
+);
+
+// @route   DELETE /api/research-submission/admin/conferences/:conferenceId/decision-letters/:decision
+// @desc    Remove a decision letter template (reverts to the default letter)
+// @access  Private/Admin or Editor
+router.delete('/admin/conferences/:conferenceId/decision-letters/:decision',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  param('decision').isIn(DECISION_VALUES).withMessage('Valid decision is required (accept, minor_revision, major_revision, reject)'),
+  validationMiddleware,
+  adminResearchController.resetDecisionLetterTemplate
+);
+
+// @route   GET /api/research-submission/admin/conferences/:conferenceId/sponsor-approvals
+// @desc    Student submissions still waiting on faculty sponsor approval
+// @access  Private/Admin or Editor
+router.get('/admin/conferences/:conferenceId/sponsor-approvals',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  validationMiddleware,
+  adminResearchController.getPendingSponsorApprovals
+);
+
+// @route   POST /api/research-submission/admin/conferences/:conferenceId/bulk-decisions
+// @desc    Make decisions on many submissions and send their letters (dry run unless dryRun is false)
+// @access  Private/Admin or Editor
+router.post('/admin/conferences/:conferenceId/bulk-decisions',
+  authMiddleware,
+  requireEditor,
+  param('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  body('decisions').isArray({ min: 1, max: 100 }).withMessage('1-100 decisions are required'),
+  body('decisions.*.submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  body('decisions.*.decision').isIn(DECISION_VALUES).withMessage('Valid decision is required (accept, minor_revision, major_revision, reject)'),
+  body('decisions.*.editorComments').optional().isString().isLength({ max: 5000 }),
+  body('decisions.*.revisionDeadline').optional().isISO8601().withMessage('Valid revision deadline is required'),
+  body('templates').optional().isObject().withMessage('Templates must be an object keyed by decision')
+    .custom(templates => Object.keys(templates).every(decision => DECISION_VALUES.includes(decision)))
+    .withMessage('Templates may only be given for accept, minor_revision, major_revision or reject'),
+  body('templates.*.subject').optional().isString().isLength({ min: 1, max: 300 }).withMessage('Subject must be 1-300 characters'),
+  body('templates.*.body').optional().isString().isLength({ min: 1, max: 20000 }).withMessage('Body must be 1-20000 characters'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  validationMiddleware,
+  adminResearchController.makeBulkDecisions
+);
+
 // Validation rules
 const createSubmissionValidation = [
   body('title')
@@ -94,21 +332,10 @@ const submitReviewValidation = [
   body('recommendation')
     .isIn(['accept', 'minor_revision', 'major_revision', 'reject'])
     .withMessage('Valid recommendation is required'),
-  body('criteria.relevance.score')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Relevance score must be between 1 and 5'),
-  body('criteria.methodology.score')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Methodology score must be between 1 and 5'),
-  body('criteria.originality.score')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Originality score must be between 1 and 5'),
-  body('criteria.clarity.score')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Clarity score must be between 1 and 5'),
-  body('criteria.significance.score')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Significance score must be between 1 and 5')
+  // Criterion scores are validated against the conference rubric in the controller
+  body('criteria')
+    .isObject()
+    .withMessage('Criteria scores are required')
 ];
 
 // Author/User Routes
@@ -134,6 +361,38 @@ router.post('/:id/upload-paper',
   researchSubmissionController.uploadPaper
 );
 
+// @route   GET /api/research-submission/:id/paper
+// @desc    Download submission paper (anonymized copy for blind reviewers)
+// @access  Private (Authors, assigned editor/reviewers, admins)
+router.get('/:id/paper',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  researchSubmissionController.downloadPaper
+);
+
+// @route   POST /api/research-submission/:id/revisions/:revisionId
+// @desc    Submit revised paper and response letter for a revision request
+// @access  Private (Corresponding author)
+router.post('/:id/revisions/:revisionId',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  param('revisionId').isMongoId().withMessage('Valid revision request ID is required'),
+  validationMiddleware,
+  researchSubmissionController.submitRevision
+);
+
+// @route   GET /api/research-submission/:id/revisions/:revisionId/response-letter
+// @desc    Download the response letter for a revision
+// @access  Private (Authors, assigned editor/reviewers, admins)
+router.get('/:id/revisions/:revisionId/response-letter',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  param('revisionId').isMongoId().withMessage('Valid revision request ID is required'),
+  validationMiddleware,
+  researchSubmissionController.downloadResponseLetter
+);
+
 // @route   POST /api/research-submission/:id/submit
 // @desc    Submit research for review
 // @access  Private (Author only)
@@ -144,6 +403,17 @@ router.post('/:id/submit',
   researchSubmissionController.submitForReview
 );
 
+// @route   POST /api/research-submission/:id/withdraw
+// @desc    Withdraw a submission (releases pending reviews and its session slot)
+// @access  Private (Corresponding author)
+router.post('/:id/withdraw',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  body('reason').trim().isLength({ min: 10, max: 2000 }).withMessage('A reason of 10-2000 characters is required'),
+  validationMiddleware,
+  researchSubmissionController.withdrawSubmission
+);
+
 // @route   GET /api/research-submission/my-submissions
 // @desc    Get user's research submissions
 // @access  Private
@@ -155,6 +425,16 @@ router.get('/my-submissions',
   researchSubmissionController.getMySubmissions
 );
 
+// @route   GET /api/research-submission/bidding
+// @desc    Get submissions open for reviewer bidding (titles and abstracts only)
+// @access  Private (Reviewers)
+router.get('/bidding',
+  authMiddleware,
+  query('conferenceId').isMongoId().withMessage('Valid conference ID is required'),
+  validationMiddleware,
+  researchSubmissionController.getBiddingSubmissions
+);
+
 // @route   GET /api/research-submission/:id
 // @desc    Get submission details
 // @access  Private (Associated users only)
@@ -165,6 +445,16 @@ router.get('/:id',
   researchSubmissionController.getSubmissionDetails
 );
 
+// @route   GET /api/research-submission/:id/deadlines
+// @desc    Get the call for papers deadlines and countdown for a submission
+// @access  Private (Authors)
+router.get('/:id/deadlines',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  researchSubmissionController.getSubmissionDeadlines
+);
+
 // Reviewer Routes
 // ===============
 
@@ -178,6 +468,18 @@ router.get('/for-review',
   researchSubmissionController.getSubmissionsForReview
 );
 
+// @route   PUT /api/research-submission/:id/bid
+// @desc    Place or update a bid on a submission
+// @access  Private (Reviewers)
+router.put('/:id/bid',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  body('bid').isIn(['eager', 'willing', 'not_qualified', 'conflict']).withMessage('Bid must be eager, willing, not_qualified, or conflict'),
+  body('comments').optional().isString().isLength({ max: 500 }).withMessage('Bid comments cannot exceed 500 characters'),
+  validationMiddleware,
+  researchSubmissionController.placeBid
+);
+
 // @route   POST /api/research-submission/:id/review-response
 // @desc    Accept or decline review invitation
 // @access  Private (Assigned reviewer only)
@@ -200,6 +502,40 @@ router.post('/:id/submit-review',
   researchSubmissionController.submitReview
 );
 
+// @route   GET /api/research-submission/:id/review-rubric
+// @desc    Get the review rubric for a submission
+// @access  Private (Assigned reviewers, editor)
+router.get('/:id/review-rubric',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  researchSubmissionController.getReviewRubric
+);
+
+// @route   GET /api/research-submission/:id/discussion
+// @desc    Get the confidential reviewer-editor discussion
+// @access  Private (Assigned editor, reviewers who have submitted their review)
+router.get('/:id/discussion',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  researchSubmissionController.getReviewDiscussion
+);
+
+// @route   POST /api/research-submission/:id/discussion
+// @desc    Post to the confidential reviewer-editor discussion
+// @access  Private (Assigned editor, reviewers who have submitted their review)
+router.post('/:id/discussion',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message must be between 1 and 5000 characters'),
+  validationMiddleware,
+  researchSubmissionController.postReviewDiscussion
+);
+
 // Notification Management
 // ======================
 
@@ -301,6 +637,16 @@ router.post('/admin/:id/assign-reviewers',
   adminResearchController.assignReviewers
 );
 
+// @route   GET /api/research-submission/admin/:id/decision-view
+// @desc    Get reviews, scores and the reviewer discussion ahead of a decision
+// @access  Private/Admin or Editor
+router.get('/admin/:id/decision-view',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  adminResearchController.getDecisionView
+);
+
 // @route   POST /api/research-submission/admin/:id/make-decision
 // @desc    Make final decision on submission
 // @access  Private/Admin or Editor
@@ -309,10 +655,67 @@ router.post('/admin/:id/make-decision',
   param('id').isMongoId().withMessage('Valid submission ID is required'),
   body('decision').isIn(['accept', 'minor_revision', 'major_revision', 'reject']).withMessage('Valid decision is required'),
   body('editorComments').optional().isString(),
+  body('revisionDeadline').optional().isISO8601().withMessage('Valid revision deadline is required'),
   validationMiddleware,
   adminResearchController.makeFinalDecision
 );
 
+// @route   GET /api/research-submission/admin/:id/status
+// @desc    Get a submission's status history and available transitions
+// @access  Private/Admin or Editor
+router.get('/admin/:id/status',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  adminResearchController.getSubmissionStatus
+);
+
+// @route   PUT /api/research-submission/admin/:id/status
+// @desc    Move a submission to a new status with a recorded reason
+// @access  Private/Admin or Editor
+router.put('/admin/:id/status',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  body('status').isString().notEmpty().withMessage('Target status is required'),
+  body('reason').trim().isLength({ min: 1, max: 2000 }).withMessage('A reason of up to 2000 characters is required'),
+  validationMiddleware,
+  adminResearchController.updateSubmissionStatus
+);
+
+// @route   POST /api/research-submission/admin/:id/deadline-extensions
+// @desc    Extend a call for papers deadline for one submission
+// @access  Private/Admin or Editor
+router.post('/admin/:id/deadline-extensions',
+  authMiddleware,
+  requireEditor,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  body('deadlineType').isIn(['abstract', 'full_paper', 'revision', 'camera_ready']).withMessage('Valid deadline type is required'),
+  body('extendedUntil').isISO8601().withMessage('Valid extension date is required'),
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason of up to 1000 characters is required'),
+  validationMiddleware,
+  adminResearchController.grantDeadlineExtension
+);
+
+// @route   GET /api/research-submission/admin/:id/similarity-report
+// @desc    Get the duplicate / self-plagiarism report for a submission
+// @access  Private/Admin or Editor
+router.get('/admin/:id/similarity-report',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  adminResearchController.getSimilarityReport
+);
+
+// @route   POST /api/research-submission/admin/:id/similarity-report
+// @desc    Re-run the similarity check for a submission
+// @access  Private/Admin or Editor
+router.post('/admin/:id/similarity-report',
+  authMiddleware,
+  param('id').isMongoId().withMessage('Valid submission ID is required'),
+  validationMiddleware,
+  adminResearchController.runSimilarityCheck
+);
+
 // @route   GET /api/research-submission/admin/:id/potential-reviewers
 // @desc    Get potential reviewers for a submission
 // @access  Private/Admin or Editor
@@ -15,6 +15,7 @@ const connectDB = require('./config/database');
 const routes = require('./routes');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const reviewReminderScheduler = require('./services/reviewReminderScheduler');
 
 const app = express();
 
@@ -266,6 +267,8 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}, shutting down gracefully`);
   
   try {
+    reviewReminderScheduler.stop();
+
     // Close database connection
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
@@ -325,6 +328,10 @@ if (config.NODE_ENV !== 'test') {
         email: config.SMTP_USER ? 'configured' : 'not configured',
         sms: (config.TWILIO_ACCOUNT_SID && config.TWILIO_AUTH_TOKEN) ? 'configured' : 'not configured'
       });
+
+      if (config.reviewReminders.enabled) {
+        reviewReminderScheduler.start({ runHour: config.reviewReminders.runHour });
+      }
       
       if (config.NODE_ENV !== 'production') {
         logger.info('Development endpoints', {
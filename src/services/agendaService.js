@@ -0,0 +1,346 @@
+const AgendaBookmark = require('../models/AgendaBookmark');
+const Session = require('../models/Session');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const Room = require('../models/Room');
+const logger = require('../config/logger');
+
+/**
+ * Agenda Service
+ * Attendees' personal agendas: bookmarked sessions and presentations, the
+ * overlaps between them, and the demand the bookmarks add up to. Bookmark
+ * counts are kept in each session's estimated attendance so room checks in
+ * the program builder use real interest.
+ */
+
+// Share of a room's seats that bookmarks fill, for the demand heat map
+const DEMAND_LEVELS = [
+  { level: 'over_capacity', min: 1 },
+  { level: 'high', min: 0.8 },
+  { level: 'moderate', min: 0.5 },
+  { level: 'low', min: 0 }
+];
+
+// Demand levels that call for a larger room
+const CROWDED_LEVELS = ['over_capacity', 'high'];
+
+class AgendaService {
+  /**
+   * Resolve what a bookmark request points at
+   * @param {Object} target - { sessionId } or { presentationId }
+   * @returns {Promise<Object>} { session, presentation } or { error }
+   */
+  async resolveTarget({ sessionId, presentationId }) {
+    if (Boolean(sessionId) === Boolean(presentationId)) {
+      return { error: 'Bookmark either a session or a presentation' };
+    }
+
+    let presentation = null;
+    let session;
+
+    if (presentationId) {
+      presentation = await ResearchPresentation.findById(presentationId).select('title sessionId submissionId');
+      if (!presentation || !presentation.sessionId) {
+        return { error: 'Presentation not found on the program', status: 404 };
+      }
+      session = await Session.findById(presentation.sessionId);
+    } else {
+      session = await Session.findById(sessionId);
+    }
+
+    if (!session || (session.scheduling && session.scheduling.isDraft)) {
+      return { error: 'Session not found on the program', status: 404 };
+    }
+    if (session.status === 'cancelled') {
+      return { error: 'This session has been cancelled' };
+    }
+
+    return { session, presentation };
+  }
+
+  /**
+   * Map presentation bookmarks to the presentations they point at now
+   * A paper moved to another session gets a new presentation, which is found
+   * through the bookmark's submission.
+   * @param {Array} bookmarks
+   * @returns {Promise<Map>} Bookmark id -> presentation
+   */
+  async getBookmarkedPresentations(bookmarks) {
+    const paperBookmarks = bookmarks.filter(bookmark => bookmark.presentationId);
+    if (paperBookmarks.length === 0) return new Map();
+
+    const submissionIds = paperBookmarks.map(bookmark => bookmark.submissionId).filter(Boolean);
+    const presentations = await ResearchPresentation.find({
+      $or: [
+        { _id: { $in: paperBookmarks.map(bookmark => bookmark.presentationId) } },
+        ...(submissionIds.length > 0 ? [{ submissionId: { $in: submissionIds }, sessionId: { $ne: null } }] : [])
+      ]
+    }).select('title sessionId submissionId');
+
+    const byId = new Map(presentations.map(p => [p._id.toString(), p]));
+    const bySubmission = new Map(presentations.filter(p => p.submissionId).map(p => [p.submissionId.toString(), p]));
+
+    return new Map(paperBookmarks
+      .map(bookmark => [
+        bookmark._id.toString(),
+        byId.get(bookmark.presentationId.toString()) ||
+          (bookmark.submissionId && bySubmission.get(bookmark.submissionId.toString()))
+      ])
+      .filter(([, presentation]) => presentation));
+  }
+
+  /**
+   * Session a bookmark currently belongs to
+   * @param {Object} bookmark
+   * @param {Map} presentations - From getBookmarkedPresentations
+   * @returns {string|null} Session id
+   */
+  getBookmarkSessionId(bookmark, presentations) {
+    if (bookmark.sessionId) return bookmark.sessionId.toString();
+
+    const presentation = presentations.get(bookmark._id.toString());
+    return presentation && presentation.sessionId ? presentation.sessionId.toString() : null;
+  }
+
+  /**
+   * Number of people with each session on their agenda
+   * A person who bookmarked a session and some of its papers counts once.
+   * @param {ObjectId} conferenceId
+   * @returns {Promise<Map>} Session id -> count
+   */
+  async countDemand(conferenceId) {
+    const bookmarks = await AgendaBookmark.find({ conferenceId }).select('userId sessionId presentationId submissionId');
+    const presentations = await this.getBookmarkedPresentations(bookmarks);
+    const people = new Map();
+
+    bookmarks.forEach(bookmark => {
+      const sessionId = this.getBookmarkSessionId(bookmark, presentations);
+      if (!sessionId) return;
+      if (!people.has(sessionId)) people.set(sessionId, new Set());
+      people.get(sessionId).add(bookmark.userId.toString());
+    });
+
+    return new Map([...people.entries()].map(([sessionId, users]) => [sessionId, users.size]));
+  }
+
+  /**
+   * Users who have a session, or some of its papers, on their agenda
+   * @param {ObjectId|null} sessionId - Null to look at the papers only
+   * @param {Array} papers - [{ presentationId, submissionId }] of the session's papers
+   * @returns {Promise<string[]>}
+   */
+  async getBookmarkedUsers(sessionId, papers = []) {
+    const presentationIds = papers.map(p => p.presentationId).filter(Boolean);
+    const submissionIds = papers.map(p => p.submissionId).filter(Boolean);
+    const conditions = [
+      ...(sessionId ? [{ sessionId }] : []),
+      ...(presentationIds.length > 0 ? [{ presentationId: { $in: presentationIds } }] : []),
+      ...(submissionIds.length > 0 ? [{ submissionId: { $in: submissionIds } }] : [])
+    ];
+    if (conditions.length === 0) return [];
+
+    const bookmarks = await AgendaBookmark.find({ $or: conditions }).select('userId');
+
+    return [...new Set(bookmarks.map(bookmark => bookmark.userId.toString()))];
+  }
+
+  /**
+   * Store a session's bookmark count as its estimated attendance
+   * Timestamps are left alone, since a bookmark is not an edit to the session.
+   * @param {ObjectId} sessionId
+   * @returns {Promise<number>}
+   */
+  async refreshAttendanceEstimate(sessionId) {
+    const session = await Session.findById(sessionId).select('presentations');
+    if (!session) return 0;
+
+    const presentations = await ResearchPresentation.find({ _id: { $in: session.presentations } }).select('submissionId');
+    const papers = presentations.map(p => ({ presentationId: p._id, submissionId: p.submissionId }));
+    const estimated = (await this.getBookmarkedUsers(session._id, papers)).length;
+    await Session.updateOne({ _id: session._id }, { $set: { 'attendance.estimated': estimated } }, { timestamps: false });
+
+    return estimated;
+  }
+
+  /**
+   * Add a session or presentation to a user's agenda
+   * @param {Object} user
+   * @param {Object} target - { sessionId } or { presentationId }, with optional note
+   * @returns {Promise<Object>} { bookmark, estimated } or { error, status }
+   */
+  async addBookmark(user, { sessionId, presentationId, note }) {
+    const target = await this.resolveTarget({ sessionId, presentationId });
+    if (target.error) return target;
+
+    const query = target.presentation
+      ? { userId: user._id, presentationId: target.presentation._id, sessionId: null }
+      : { userId: user._id, sessionId: target.session._id, presentationId: null };
+
+    if (await AgendaBookmark.exists(query)) {
+      return { error: 'Already on your agenda', status: 409 };
+    }
+
+    const bookmark = await AgendaBookmark.create({
+      userId: user._id,
+      conferenceId: target.session.conferenceId,
+      ...(target.presentation
+        ? { presentationId: target.presentation._id, submissionId: target.presentation.submissionId }
+        : { sessionId: target.session._id }),
+      note
+    });
+
+    const estimated = await this.refreshAttendanceEstimate(target.session._id);
+
+    return { bookmark, estimated };
+  }
+
+  /**
+   * Remove a bookmark from a user's agenda
+   * @param {Object} bookmark - AgendaBookmark document owned by the user
+   * @returns {Promise<void>}
+   */
+  async removeBookmark(bookmark) {
+    const presentations = await this.getBookmarkedPresentations([bookmark]);
+    const sessionId = this.getBookmarkSessionId(bookmark, presentations);
+
+    await bookmark.deleteOne();
+
+    if (sessionId) {
+      await this.refreshAttendanceEstimate(sessionId);
+    }
+  }
+
+  /**
+   * A user's agenda for a conference, with overlapping sessions flagged
+   * @param {Object} user
+   * @param {ObjectId} conferenceId
+   * @returns {Promise<Object>} { items, overlaps, orphaned }
+   */
+  async getAgenda(user, conferenceId) {
+    const bookmarks = await AgendaBookmark.find({ userId: user._id, conferenceId });
+    const presentations = await this.getBookmarkedPresentations(bookmarks);
+
+    const sessionIds = [...new Set(bookmarks
+      .map(bookmark => this.getBookmarkSessionId(bookmark, presentations))
+      .filter(Boolean))];
+    const sessions = await Session.find({ _id: { $in: sessionIds }, 'scheduling.isDraft': { $ne: true } })
+      .populate('presentations', 'title authors.name authors.isPresenter')
+      .sort({ date: 1, startTime: 1 });
+
+    const items = sessions.map(session => {
+      const sessionBookmarks = bookmarks.filter(bookmark =>
+        this.getBookmarkSessionId(bookmark, presentations) === session._id.toString());
+
+      return {
+        session,
+        bookmarks: sessionBookmarks.map(bookmark => ({
+          _id: bookmark._id,
+          type: bookmark.presentationId ? 'presentation' : 'session',
+          presentationId: bookmark.presentationId,
+          title: bookmark.presentationId
+            ? presentations.get(bookmark._id.toString()).title
+            : session.title,
+          note: bookmark.note
+        })),
+        overlapsWith: []
+      };
+    });
+
+    const overlaps = [];
+    items.forEach((item, index) => {
+      items.slice(index + 1).forEach(other => {
+        if (item.session.status !== 'cancelled' && other.session.status !== 'cancelled' &&
+            item.session.overlaps(other.session)) {
+          item.overlapsWith.push(other.session._id);
+          other.overlapsWith.push(item.session._id);
+          overlaps.push({
+            sessions: [item.session, other.session].map(s => ({
+              _id: s._id,
+              title: s.title,
+              startTime: s.startTime,
+              endTime: s.endTime,
+              room: s.location.room
+            }))
+          });
+        }
+      });
+    });
+
+    // Bookmarks whose session left the program
+    const orphaned = bookmarks
+      .filter(bookmark => !sessions.some(session => session._id.toString() === this.getBookmarkSessionId(bookmark, presentations)))
+      .map(bookmark => bookmark._id);
+
+    return { items, overlaps, orphaned };
+  }
+
+  /**
+   * Expected demand for every session, for the program builder heat map
+   * Demand is the number of people with the session on their agenda,
+   * compared with the seats in the session's room. Crowded sessions list the
+   * inventory rooms with more seats that are free at the session's time.
+   * @param {ObjectId} conferenceId
+   * @returns {Promise<Object>} { sessions, maxDemand, totalBookmarkers }
+   */
+  async buildDemandHeatMap(conferenceId) {
+    const [demand, sessions, rooms, bookmarkers] = await Promise.all([
+      this.countDemand(conferenceId),
+      Session.find({ conferenceId, 'scheduling.isDraft': { $ne: true }, status: { $ne: 'cancelled' } })
+        .select('sessionNumber title date startTime endTime location attendance')
+        .sort({ date: 1, startTime: 1 }),
+      Room.getActiveRooms(conferenceId),
+      AgendaBookmark.distinct('userId', { conferenceId })
+    ]);
+
+    const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+    const roomsByName = new Map(rooms.map(room => [room.name.toLowerCase(), room]));
+    const roomFor = (session) => (session.location.roomId && roomsById.get(session.location.roomId.toString())) ||
+      roomsByName.get((session.location.room || '').toLowerCase()) || null;
+
+    const maxDemand = Math.max(0, ...demand.values());
+
+    const entries = sessions.map(session => {
+      const count = demand.get(session._id.toString()) || 0;
+      const room = roomFor(session);
+      const ratio = room ? count / room.capacity : null;
+      const level = ratio === null ? 'unknown' : DEMAND_LEVELS.find(entry => ratio >= entry.min).level;
+
+      let largerRooms = [];
+      if (room && CROWDED_LEVELS.includes(level)) {
+        largerRooms = rooms
+          .filter(candidate => candidate.capacity > room.capacity &&
+            !sessions.some(other => other !== session && other.overlaps(session) &&
+              roomFor(other) && roomFor(other)._id.equals(candidate._id)))
+          .sort((a, b) => a.capacity - b.capacity)
+          .map(candidate => ({ roomId: candidate._id, name: candidate.name, capacity: candidate.capacity }));
+      }
+
+      return {
+        sessionId: session._id,
+        sessionNumber: session.sessionNumber,
+        title: session.title,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.location.room,
+        capacity: room ? room.capacity : null,
+        demand: count,
+        fillRatio: ratio === null ? null : Math.round(ratio * 100) / 100,
+        intensity: maxDemand > 0 ? Math.round((count / maxDemand) * 100) / 100 : 0,
+        level,
+        largerRooms
+      };
+    });
+
+    logger.info('Demand heat map built', {
+      service: 'AgendaService',
+      method: 'buildDemandHeatMap',
+      conferenceId: conferenceId.toString(),
+      sessions: entries.length,
+      crowded: entries.filter(entry => CROWDED_LEVELS.includes(entry.level)).length
+    });
+
+    return { sessions: entries, maxDemand, totalBookmarkers: bookmarkers.length };
+  }
+}
+
+module.exports = new AgendaService();
@@ -0,0 +1,229 @@
+const ProgramVersion = require('../models/ProgramVersion');
+const CommunityInterest = require('../models/CommunityInterest');
+const AgendaBookmark = require('../models/AgendaBookmark');
+const { parseClockTime, zonedTimeToUtc, buildCalendar } = require('../utils/icalendar');
+
+/**
+ * Calendar Feed Service
+ * Builds iCalendar feeds of the conference program: the whole conference,
+ * one room, or one person's own schedule. Feeds read the latest published
+ * program version, so working-draft edits reach subscribed calendars only
+ * once they are published.
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+// Length assumed for community activities scheduled without a duration
+const DEFAULT_ACTIVITY_MINUTES = 60;
+
+// Community interest statuses that mean the person is taking part
+const JOINED_STATUSES = ['interested', 'confirmed'];
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class CalendarFeedService {
+  /**
+   * Time zone a conference's session times are given in
+   * @param {Object} conference
+   * @returns {string}
+   */
+  getTimeZone(conference) {
+    return (conference && conference.timeZone) || DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * Calendar event for a session
+   * @param {Object} session - Session snapshot from a published program version
+   * @param {Object} conference - Conference the session belongs to
+   * @param {Object} options - { role, lastModified }
+   * @returns {Object|null} Event, or null when the session's times cannot be read
+   */
+  sessionEvent(session, conference, { role, lastModified } = {}) {
+    const start = parseClockTime(session.startTime);
+    const end = parseClockTime(session.endTime);
+    if (start === null || end === null || !session.date) return null;
+
+    const day = toDateKey(session.date);
+    const timeZone = this.getTimeZone(conference);
+    const titles = (session.presentations || []).map(p => p.title).filter(Boolean);
+
+    const description = [
+      role,
+      session.chair && session.chair.name && `Chair: ${session.chair.name}`,
+      session.description,
+      titles.length > 0 && `Papers:\n${titles.map(title => `- ${title}`).join('\n')}`
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      uid: `session-${session.sessionId}@sobie`,
+      start: zonedTimeToUtc(day, start, timeZone),
+      end: zonedTimeToUtc(day, end, timeZone),
+      summary: session.sessionNumber ? `Session ${session.sessionNumber}: ${session.title}` : session.title,
+      description,
+      location: session.location && [session.location.room, session.location.building].filter(Boolean).join(', '),
+      categories: [session.category].filter(Boolean),
+      status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      lastModified
+    };
+  }
+
+  /**
+   * Calendar event for a community activity
+   * Activities without a readable time become all-day events.
+   * @param {Object} activity - CommunityActivity document
+   * @param {Object} conference
+   * @returns {Object|null}
+   */
+  activityEvent(activity, conference) {
+    if (!activity.scheduledDate) return null;
+
+    const day = toDateKey(activity.scheduledDate);
+    const start = parseClockTime(activity.scheduledTime);
+    const timeZone = this.getTimeZone(conference);
+    const base = {
+      uid: `activity-${activity._id}@sobie`,
+      summary: activity.name,
+      description: activity.description,
+      location: activity.location && [activity.location.venue, activity.location.address].filter(Boolean).join(', '),
+      categories: [activity.category].filter(Boolean),
+      status: activity.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      lastModified: activity.updatedAt
+    };
+
+    if (start === null) {
+      return { ...base, allDay: true, start: new Date(`${day}T00:00:00.000Z`) };
+    }
+
+    return {
+      ...base,
+      start: zonedTimeToUtc(day, start, timeZone),
+      end: zonedTimeToUtc(day, start + (activity.duration || DEFAULT_ACTIVITY_MINUTES), timeZone)
+    };
+  }
+
+  /**
+   * Events for the sessions of a published program version
+   * @param {Object} version - ProgramVersion document, or null before the first publish
+   * @param {Object} conference
+   * @param {Function} filter - Optional session filter
+   * @returns {Array}
+   */
+  versionEvents(version, conference, filter = () => true) {
+    if (!version) return [];
+
+    return version.sessions
+      .filter(filter)
+      .map(session => this.sessionEvent(session, conference, { lastModified: version.publishedAt }))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Feed of every session in a conference's published program
+   * @param {Object} conference - Conference document
+   * @returns {Promise<string>}
+   */
+  async conferenceFeed(conference) {
+    const version = await ProgramVersion.getLatest(conference._id);
+
+    return buildCalendar({
+      name: `${conference.name} ${conference.year}`,
+      description: `Program for ${conference.name} ${conference.year}`,
+      timeZone: this.getTimeZone(conference),
+      events: this.versionEvents(version, conference)
+    });
+  }
+
+  /**
+   * Feed of the published sessions held in one room
+   * @param {Object} conference - Conference document
+   * @param {Object} room - Room document
+   * @returns {Promise<string>}
+   */
+  async roomFeed(conference, room) {
+    const version = await ProgramVersion.getLatest(conference._id);
+    const inRoom = (session) => (session.location.roomId
+      ? session.location.roomId.toString() === room._id.toString()
+      : session.location.room === room.name);
+
+    return buildCalendar({
+      name: `${conference.name} ${conference.year}: ${room.name}`,
+      description: `Sessions in ${room.displayLocation}`,
+      timeZone: this.getTimeZone(conference),
+      events: this.versionEvents(version, conference, inRoom)
+    });
+  }
+
+  /**
+   * Latest published program version of every conference the user takes part in
+   * @param {Object} user
+   * @param {Object} bookmarked - { sessionIds, paperIds } from the user's agenda
+   * @returns {Promise<Array>} ProgramVersion documents with the conference populated
+   */
+  async getUserVersions(user, { sessionIds, paperIds }) {
+    const latest = await ProgramVersion.aggregate([
+      { $sort: { conferenceId: 1, version: -1 } },
+      { $group: { _id: '$conferenceId', versionId: { $first: '$_id' } } }
+    ]);
+
+    return ProgramVersion.find({
+      _id: { $in: latest.map(entry => entry.versionId) },
+      $or: [
+        { 'sessions.chair.userId': user._id },
+        { 'sessions.presentations.presenters.userId': user._id },
+        { 'sessions.sessionId': { $in: sessionIds } },
+        { 'sessions.presentations.presentationId': { $in: paperIds } },
+        { 'sessions.presentations.submissionId': { $in: paperIds } }
+      ]
+    }).populate('conferenceId', 'name year timeZone');
+  }
+
+  /**
+   * Feed of one person's own schedule
+   * Includes the published sessions they present in, chair or bookmarked and
+   * the community activities they signed up for, across all conferences.
+   * @param {Object} user - User document
+   * @returns {Promise<string>}
+   */
+  async userFeed(user) {
+    const userId = user._id.toString();
+    const bookmarks = await AgendaBookmark.find({ userId: user._id }).select('sessionId presentationId submissionId');
+    const sessionIds = bookmarks.map(bookmark => bookmark.sessionId).filter(Boolean);
+    const paperIds = bookmarks.flatMap(bookmark => [bookmark.presentationId, bookmark.submissionId]).filter(Boolean);
+    const bookmarkedKeys = new Set([...sessionIds, ...paperIds].map(id => id.toString()));
+
+    const versions = await this.getUserVersions(user, { sessionIds, paperIds });
+
+    const sessionEvents = versions.flatMap(version => version.sessions.map(session => {
+      const isChair = Boolean(session.chair && session.chair.userId && session.chair.userId.toString() === userId);
+      const papers = session.presentations
+        .filter(p => p.presenters.some(presenter => presenter.userId && presenter.userId.toString() === userId))
+        .map(p => p.title);
+      const isBookmarked = bookmarkedKeys.has(session.sessionId.toString()) ||
+        session.presentations.some(p => [p.presentationId, p.submissionId].some(id => id && bookmarkedKeys.has(id.toString())));
+
+      if (!isChair && papers.length === 0 && !isBookmarked) return null;
+
+      const role = [
+        isChair && 'You are chairing this session.',
+        papers.length > 0 && `You are presenting: ${papers.join('; ')}`,
+        !isChair && papers.length === 0 && 'On your agenda.'
+      ].filter(Boolean).join('\n');
+
+      return this.sessionEvent(session, version.conferenceId, { role, lastModified: version.publishedAt });
+    }));
+
+    const interests = await CommunityInterest.find({ userId: user._id, status: { $in: JOINED_STATUSES } })
+      .populate({ path: 'activityId', populate: { path: 'conferenceId', select: 'name year timeZone' } });
+    const activityEvents = interests
+      .filter(interest => interest.activityId)
+      .map(interest => this.activityEvent(interest.activityId, interest.activityId.conferenceId));
+
+    return buildCalendar({
+      name: `My SOBIE schedule (${user.name.firstName} ${user.name.lastName})`,
+      events: [...sessionEvents, ...activityEvents].filter(Boolean).sort((a, b) => a.start - b.start)
+    });
+  }
+}
+
+module.exports = new CalendarFeedService();
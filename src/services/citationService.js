@@ -0,0 +1,176 @@
+const ResearchPresentation = require('../models/ResearchPresentation');
+const ResearchSubmission = require('../models/ResearchSubmission');
+const proceedingsCompilerService = require('./proceedingsCompilerService');
+const config = require('../config/environment');
+
+/**
+ * Citation Service
+ * Describes SOBIE presentations and published proceedings papers as CSL
+ * items for citation export. A presentation whose submission was published
+ * in the proceedings is cited as the proceedings paper, which carries the
+ * page numbers and DOI readers need.
+ */
+
+// Presentations that actually took place or are on the program
+const CITABLE_PRESENTATION_STATUSES = ['accepted', 'presented'];
+
+const CONFERENCE_FIELDS = 'name fullName year location startDate endDate';
+
+const PRESENTATION_GENRES = {
+  paper: 'Paper presentation',
+  poster: 'Poster',
+  presentation: 'Presentation',
+  panel: 'Panel discussion',
+  workshop: 'Workshop'
+};
+
+const toDateParts = (date) => {
+  const value = new Date(date);
+  return [value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate()];
+};
+
+class CitationService {
+  /**
+   * Where and when a conference took place, as CSL event fields
+   * @param {Object} conference - Populated conference, or null
+   * @param {number} year - Conference year, used when the conference is missing
+   * @returns {Object}
+   */
+  getEvent(conference, year) {
+    if (!conference) {
+      return { 'event-title': `SOBIE ${year} Conference` };
+    }
+
+    const address = (conference.location && conference.location.address) || {};
+    const place = [address.city, address.state].filter(Boolean).join(', ');
+
+    return {
+      'event-title': `${conference.fullName || conference.name} ${conference.year}`,
+      ...(place && { 'event-place': place })
+    };
+  }
+
+  /**
+   * Whether a presentation may be cited by someone who is not one of its authors
+   * @param {Object} presentation - ResearchPresentation document
+   * @returns {boolean}
+   */
+  isPublic(presentation) {
+    return presentation.isPublic !== false &&
+      CITABLE_PRESENTATION_STATUSES.includes(presentation.status) &&
+      !(presentation.embargoDate && presentation.embargoDate > new Date());
+  }
+
+  /**
+   * CSL item for a presentation
+   * @param {Object} presentation - ResearchPresentation with conferenceId populated
+   * @returns {Object}
+   */
+  fromPresentation(presentation) {
+    const conference = presentation.conferenceId && presentation.conferenceId.year ? presentation.conferenceId : null;
+    const date = presentation.presentationDate || (conference && conference.startDate);
+    const authors = [...presentation.authors].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    return {
+      id: `sobie-presentation-${presentation._id}`,
+      type: 'speech',
+      genre: PRESENTATION_GENRES[presentation.presentationType] || PRESENTATION_GENRES.presentation,
+      title: presentation.title,
+      author: authors.map(author => ({ family: author.name.lastName, given: author.name.firstName })),
+      issued: { 'date-parts': [date ? toDateParts(date) : [presentation.conferenceYear]] },
+      ...this.getEvent(conference, presentation.conferenceYear),
+      ...(presentation.abstract && { abstract: presentation.abstract }),
+      ...(presentation.keywords && presentation.keywords.length > 0 && { keyword: presentation.keywords.join(', ') })
+    };
+  }
+
+  /**
+   * CSL item for a published proceedings paper
+   * @param {Object} submission - Published ResearchSubmission with conferenceId populated
+   * @returns {Object}
+   */
+  fromProceedingsPaper(submission) {
+    const conference = submission.conferenceId && submission.conferenceId.year ? submission.conferenceId : null;
+    const publication = submission.proceedings.publication;
+    const pages = publication.pageNumbers && publication.pageNumbers.start
+      ? publication.pageNumbers.start === publication.pageNumbers.end
+        ? String(publication.pageNumbers.start)
+        : `${publication.pageNumbers.start}-${publication.pageNumbers.end}`
+      : null;
+
+    return {
+      id: `sobie-proceedings-${submission._id}`,
+      type: 'paper-conference',
+      title: submission.title,
+      author: proceedingsCompilerService.getAuthors(submission)
+        .map(author => ({ family: author.lastName, given: author.firstName })),
+      issued: { 'date-parts': [publication.publishedAt ? toDateParts(publication.publishedAt) : [submission.conferenceYear]] },
+      'container-title': `Proceedings of the ${conference ? conference.fullName || conference.name : 'SOBIE'} ${submission.conferenceYear}`,
+      ...this.getEvent(conference, submission.conferenceYear),
+      publisher: config.crossref.publisher,
+      ...(publication.proceedingsVolume && { volume: publication.proceedingsVolume }),
+      ...(publication.proceedingsIssue && { issue: publication.proceedingsIssue }),
+      ...(pages && { page: pages }),
+      ...(publication.doi && { DOI: publication.doi }),
+      ...((publication.publishedUrl || publication.doi) && { URL: publication.publishedUrl || `https://doi.org/${publication.doi}` }),
+      ...(submission.abstract && { abstract: submission.abstract }),
+      ...(submission.keywords && submission.keywords.length > 0 && { keyword: submission.keywords.join(', ') })
+    };
+  }
+
+  /**
+   * Find a published proceedings paper
+   * @param {ObjectId} submissionId
+   * @returns {Promise<Object|null>}
+   */
+  findProceedingsPaper(submissionId) {
+    return ResearchSubmission.findOne({ _id: submissionId, status: 'published' })
+      .populate('conferenceId', CONFERENCE_FIELDS);
+  }
+
+  /**
+   * Find presentations for a bulk export
+   * @param {Object} filters - { year, discipline } for public exports, or { userId, ... } for a user's own list
+   * @returns {Promise<Array>}
+   */
+  findPresentations(filters) {
+    let query;
+
+    if (filters.userId) {
+      query = ResearchPresentation.buildAuthorQuery(filters.userId, filters);
+    } else {
+      query = {
+        isPublic: { $ne: false },
+        status: { $in: CITABLE_PRESENTATION_STATUSES },
+        $or: [{ embargoDate: null }, { embargoDate: { $lte: new Date() } }]
+      };
+      if (filters.year) query.conferenceYear = parseInt(filters.year);
+      if (filters.discipline) query.discipline = filters.discipline;
+    }
+
+    return ResearchPresentation.find(query)
+      .populate('conferenceId', CONFERENCE_FIELDS)
+      .sort({ conferenceYear: -1, title: 1 });
+  }
+
+  /**
+   * CSL items for presentations, citing the proceedings paper where one was published
+   * @param {Array} presentations - ResearchPresentation documents with conferenceId populated
+   * @returns {Promise<Array>}
+   */
+  async citePresentations(presentations) {
+    const submissionIds = presentations.map(p => p.submissionId).filter(Boolean);
+    const published = submissionIds.length > 0
+      ? await ResearchSubmission.find({ _id: { $in: submissionIds }, status: 'published' })
+        .populate('conferenceId', CONFERENCE_FIELDS)
+      : [];
+    const papers = new Map(published.map(submission => [submission._id.toString(), submission]));
+
+    return presentations.map(presentation => {
+      const paper = presentation.submissionId && papers.get(presentation.submissionId.toString());
+      return paper ? this.fromProceedingsPaper(paper) : this.fromPresentation(presentation);
+    });
+  }
+}
+
+module.exports = new CitationService();
@@ -0,0 +1,421 @@
+const ResearchSubmission = require('../models/ResearchSubmission');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Conflict of Interest Service
+ * Single registry of who may not review, judge or chair whom. Combines
+ * conflicts users declare on their profile (in either direction) with
+ * conflicts inferred from recent co-authorship and advisor relationships
+ * in research submissions and past conference presentations.
+ */
+
+// Used when a conference has not configured its own conflict rules
+const DEFAULT_CONFLICT_SETTINGS = {
+  coauthorshipYears: 3,
+  sameInstitution: true
+};
+
+// Author roles on a ResearchPresentation that make the author an advisor of the others
+const ADVISOR_ROLES = ['faculty_advisor', 'faculty_mentor'];
+
+class ConflictOfInterestService {
+  /**
+   * Resolve the conflict rules for a conference
+   * @param {Object} conference - Conference document (may be unpopulated)
+   * @returns {Object} { coauthorshipYears, sameInstitution }
+   */
+  getSettings(conference) {
+    const settings = conference?.reviewSettings?.conflicts || {};
+
+    return {
+      coauthorshipYears: settings.coauthorshipYears !== undefined
+        ? settings.coauthorshipYears
+        : DEFAULT_CONFLICT_SETTINGS.coauthorshipYears,
+      sameInstitution: settings.sameInstitution !== undefined
+        ? settings.sameInstitution
+        : DEFAULT_CONFLICT_SETTINGS.sameInstitution,
+      referenceYear: conference?.year || new Date().getFullYear()
+    };
+  }
+
+  /**
+   * Normalize an institution name for comparison
+   * @param {string} institution
+   * @returns {string}
+   */
+  normalizeInstitution(institution) {
+    return String(institution || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9 ]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build a lookup key for a person from name parts
+   * @param {Object} name - { firstName, lastName }
+   * @returns {string|null}
+   */
+  nameKey(name) {
+    if (!name || !name.firstName || !name.lastName) return null;
+    return `name:${name.firstName.trim().toLowerCase()} ${name.lastName.trim().toLowerCase()}`;
+  }
+
+  /**
+   * Collect identifying keys (user id, email, name) for a person record
+   * @param {Object} person - Author, sponsor or participant record with optional userId
+   * @returns {string[]}
+   */
+  personKeys(person) {
+    if (!person) return [];
+
+    const keys = [];
+    const userId = person.userId?._id || person.userId;
+    if (userId) keys.push(`id:${userId.toString()}`);
+    if (person.email) keys.push(`email:${person.email.trim().toLowerCase()}`);
+    const nameKey = this.nameKey(person.name);
+    if (nameKey) keys.push(nameKey);
+    return keys;
+  }
+
+  /**
+   * Collect identifying keys for a user account
+   * @param {Object} user - User document
+   * @returns {string[]}
+   */
+  userKeys(user) {
+    return this.personKeys({ userId: user._id, email: user.email, name: user.name });
+  }
+
+  /**
+   * Describe a user account as a person record
+   * @param {Object} user - User document
+   * @returns {Object} { userId, email, name, institution }
+   */
+  personFromUser(user) {
+    return {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      institution: user.affiliation?.organization
+    };
+  }
+
+  /**
+   * Describe an author/sponsor record as a person record
+   * @param {Object} author - Record with affiliation.institution
+   * @returns {Object} { userId, email, name, institution }
+   */
+  personFromAuthor(author) {
+    return {
+      userId: author.userId,
+      email: author.email,
+      name: author.name,
+      institution: author.affiliation?.institution
+    };
+  }
+
+  /**
+   * Everyone who wrote or sponsored a submission
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Object[]} Person records
+   */
+  getSubmissionPeople(submission) {
+    return [
+      submission.correspondingAuthor,
+      ...(submission.coAuthors || []),
+      ...(submission.facultySponsors || [])
+    ]
+      .filter(Boolean)
+      .map(author => this.personFromAuthor(author));
+  }
+
+  /**
+   * Display name for a person record
+   * @param {Object} person
+   * @returns {string}
+   */
+  displayName(person) {
+    if (person.name && person.name.firstName) {
+      return `${person.name.firstName} ${person.name.lastName || ''}`.trim();
+    }
+    return person.email || person.institution || 'Unknown';
+  }
+
+  /**
+   * Whether any non-name key is shared between two key lists
+   * Names alone are too ambiguous to prove two records are the same person.
+   */
+  isSamePerson(keysA, keysB) {
+    return keysA.some(key => !key.startsWith('name:') && keysB.includes(key));
+  }
+
+  /**
+   * Build the conflict registry for a set of users
+   * @param {Array} users - User documents
+   * @param {Object} settings - From getSettings
+   * @returns {Map<string, Object>} userId -> registry entry
+   */
+  async buildRegistry(users, settings = this.getSettings(null)) {
+    const registry = new Map();
+    if (users.length === 0) return registry;
+
+    const userIds = users.map(user => user._id);
+    const emails = users.map(user => user.email && user.email.toLowerCase()).filter(Boolean);
+    const minYear = settings.referenceYear - settings.coauthorshipYears;
+
+    users.forEach(user => {
+      registry.set(user._id.toString(), {
+        keys: this.userKeys(user),
+        institution: this.normalizeInstitution(user.affiliation?.organization),
+        declaredPeople: new Map(),
+        declaredInstitutions: new Map(),
+        coauthors: new Map(),
+        advisors: new Map()
+      });
+    });
+
+    const [declarations, declaredAgainst, submissions, presentations] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select('conflictsOfInterest'),
+      // Conflicts other people declared naming one of these users
+      User.find({
+        $or: [
+          { 'conflictsOfInterest.userId': { $in: userIds } },
+          { 'conflictsOfInterest.email': { $in: emails } }
+        ]
+      }).select('name email conflictsOfInterest'),
+      ResearchSubmission.find({
+        status: { $ne: 'withdrawn' },
+        $or: [
+          { 'correspondingAuthor.userId': { $in: userIds } },
+          { 'correspondingAuthor.email': { $in: emails } },
+          { 'coAuthors.userId': { $in: userIds } },
+          { 'coAuthors.email': { $in: emails } },
+          { 'facultySponsors.userId': { $in: userIds } },
+          { 'facultySponsors.email': { $in: emails } }
+        ]
+      }).select('title conferenceYear correspondingAuthor coAuthors facultySponsors'),
+      ResearchPresentation.find({
+        $or: [
+          { 'authors.userId': { $in: userIds } },
+          { 'authors.email': { $in: emails } }
+        ]
+      }).select('title conferenceYear authors')
+    ]);
+
+    // Declared on the user's own profile
+    declarations.forEach(user => {
+      const entry = registry.get(user._id.toString());
+      (user.conflictsOfInterest || []).forEach(conflict => {
+        if (conflict.conflictType === 'institution') {
+          const institution = this.normalizeInstitution(conflict.institution);
+          if (institution) {
+            entry.declaredInstitutions.set(institution, { relationship: conflict.relationship, institution: conflict.institution });
+          }
+          return;
+        }
+
+        const declared = { person: this.displayName(conflict), relationship: conflict.relationship, declaredBy: 'self' };
+        this.personKeys(conflict).forEach(key => entry.declaredPeople.set(key, declared));
+      });
+    });
+
+    // Declared by someone else about the user
+    declaredAgainst.forEach(declarer => {
+      const declarerKeys = this.userKeys(declarer);
+      const declarerName = this.displayName(declarer);
+      (declarer.conflictsOfInterest || [])
+        .filter(conflict => conflict.conflictType === 'person')
+        .forEach(conflict => {
+          const conflictKeys = this.personKeys(conflict);
+          registry.forEach(entry => {
+            if (!this.isSamePerson(entry.keys, conflictKeys)) return;
+            const declared = { person: declarerName, relationship: conflict.relationship, declaredBy: 'other' };
+            declarerKeys.forEach(key => entry.declaredPeople.set(key, declared));
+          });
+        });
+    });
+
+    // Co-authorship and sponsorship on submissions
+    submissions.forEach(submission => {
+      const authors = [submission.correspondingAuthor, ...submission.coAuthors].filter(Boolean);
+      const sponsors = submission.facultySponsors || [];
+      const source = { source: 'submission', title: submission.title, year: submission.conferenceYear };
+
+      this.addCollaborators(registry, authors, sponsors, source, submission.conferenceYear >= minYear);
+    });
+
+    // Co-authorship and advising on past presentations
+    presentations.forEach(presentation => {
+      const advisors = presentation.authors.filter(author => ADVISOR_ROLES.includes(author.role));
+      const authors = presentation.authors.filter(author => !ADVISOR_ROLES.includes(author.role));
+      const source = { source: 'presentation', title: presentation.title, year: presentation.conferenceYear };
+
+      this.addCollaborators(registry, authors, advisors, source, presentation.conferenceYear >= minYear);
+    });
+
+    logger.debug('Conflict registry built', {
+      users: users.length,
+      submissions: submissions.length,
+      presentations: presentations.length,
+      service: 'ConflictOfInterestService',
+      method: 'buildRegistry'
+    });
+
+    return registry;
+  }
+
+  /**
+   * Record co-author and advisor relationships from one paper in the registry
+   * @param {Map} registry
+   * @param {Array} authors - Author records
+   * @param {Array} advisors - Sponsor/advisor records
+   * @param {Object} source - { source, title, year }
+   * @param {boolean} isRecent - Whether the paper falls within the co-authorship window
+   */
+  addCollaborators(registry, authors, advisors, source, isRecent) {
+    const authorKeys = authors.map(author => this.personKeys(author));
+    const advisorKeys = advisors.map(advisor => this.personKeys(advisor));
+
+    registry.forEach(entry => {
+      const authorIndex = authorKeys.findIndex(keys => this.isSamePerson(entry.keys, keys));
+      const advisorIndex = advisorKeys.findIndex(keys => this.isSamePerson(entry.keys, keys));
+
+      if (authorIndex !== -1) {
+        if (isRecent) {
+          authorKeys.forEach((keys, index) => {
+            if (index === authorIndex) return;
+            const coauthor = { ...source, person: this.displayName(authors[index]) };
+            keys.forEach(key => entry.coauthors.set(key, coauthor));
+          });
+        }
+        advisorKeys.forEach((keys, index) => {
+          const advisor = { ...source, person: this.displayName(advisors[index]), relationship: 'advisor' };
+          keys.forEach(key => entry.advisors.set(key, advisor));
+        });
+      }
+
+      if (advisorIndex !== -1) {
+        authorKeys.forEach((keys, index) => {
+          const advisee = { ...source, person: this.displayName(authors[index]), relationship: 'advisee' };
+          keys.forEach(key => entry.advisors.set(key, advisee));
+        });
+      }
+    });
+  }
+
+  /**
+   * Find conflicts between a user and a set of people
+   * @param {Object} user - User document
+   * @param {Array} people - Person records ({ userId, email, name, institution })
+   * @param {Object} entry - The user's registry entry from buildRegistry
+   * @param {Object} settings - From getSettings
+   * @returns {Array} [{ reason, person, detail }]
+   */
+  findConflicts(user, people, entry, settings = this.getSettings(null)) {
+    const conflicts = [];
+    const userKeys = entry ? entry.keys : this.userKeys(user);
+    const userInstitution = entry
+      ? entry.institution
+      : this.normalizeInstitution(user.affiliation?.organization);
+
+    people.forEach(person => {
+      const keys = this.personKeys(person);
+      const name = this.displayName(person);
+      const institution = this.normalizeInstitution(person.institution);
+
+      if (this.isSamePerson(userKeys, keys)) {
+        conflicts.push({ reason: 'author', person: name });
+        return;
+      }
+
+      if (settings.sameInstitution && userInstitution && institution === userInstitution) {
+        conflicts.push({ reason: 'same_institution', person: name, detail: person.institution });
+      }
+
+      if (!entry) return;
+
+      const declared = keys.map(key => entry.declaredPeople.get(key)).find(Boolean);
+      if (declared) {
+        conflicts.push({ reason: 'declared_conflict', person: name, detail: declared.relationship });
+      }
+
+      if (institution && entry.declaredInstitutions.has(institution)) {
+        conflicts.push({ reason: 'declared_institution', person: name, detail: person.institution });
+      }
+
+      const coauthored = keys.map(key => entry.coauthors.get(key)).find(Boolean);
+      if (coauthored) {
+        conflicts.push({ reason: 'past_coauthor', person: name, detail: `${coauthored.title} (${coauthored.year})` });
+      }
+
+      const advised = keys.map(key => entry.advisors.get(key)).find(Boolean);
+      if (advised) {
+        conflicts.push({ reason: 'advisor', person: name, detail: advised.relationship });
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Unique conflict reasons from a list of conflicts
+   * @param {Array} conflicts - From findConflicts
+   * @returns {string[]}
+   */
+  getReasons(conflicts) {
+    return [...new Set(conflicts.map(conflict => conflict.reason))];
+  }
+
+  /**
+   * Summarize conflicts for an error message
+   * @param {Array} conflicts - From findConflicts
+   * @returns {string}
+   */
+  describeConflicts(conflicts) {
+    return conflicts
+      .map(conflict => `${conflict.person} (${conflict.reason.replace(/_/g, ' ')})`)
+      .join(', ');
+  }
+
+  /**
+   * Check one user against a set of people, building the registry on the fly
+   * @param {Object} user - User document
+   * @param {Array} people - Person records
+   * @param {Object} conference - Conference document for the conflict rules
+   * @returns {Array} Conflicts
+   */
+  async checkUser(user, people, conference) {
+    const settings = this.getSettings(conference);
+    const registry = await this.buildRegistry([user], settings);
+    return this.findConflicts(user, people, registry.get(user._id.toString()), settings);
+  }
+
+  /**
+   * Describe a user's declared and inferred conflicts
+   * @param {Object} user - User document
+   * @param {Object} conference - Optional conference for the co-authorship window
+   * @returns {Object} { declared, inferred }
+   */
+  async getUserConflicts(user, conference = null) {
+    const settings = this.getSettings(conference);
+    const entry = (await this.buildRegistry([user], settings)).get(user._id.toString());
+
+    // Several keys point at the same relationship; report each one once
+    const collapse = (map) => [...new Set(map.values())];
+
+    return {
+      settings,
+      declared: user.conflictsOfInterest || [],
+      declaredByOthers: collapse(entry.declaredPeople).filter(c => c.declaredBy === 'other'),
+      inferred: {
+        coauthors: collapse(entry.coauthors),
+        advisors: collapse(entry.advisors)
+      }
+    };
+  }
+}
+
+module.exports = new ConflictOfInterestService();
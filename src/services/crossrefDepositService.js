@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const ResearchSubmission = require('../models/ResearchSubmission');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+/**
+ * Crossref Deposit Service
+ * Builds the Crossref deposit XML that registers DOIs for a proceedings
+ * volume and its papers. DOIs are minted from the configured prefix and
+ * suffix patterns; papers that already have a DOI keep it, since a DOI is
+ * never reassigned once deposited. The XML is produced as a file for manual
+ * upload to Crossref, so nothing here talks to Crossref directly; Crossref
+ * validates the file against its schema when it is uploaded.
+ */
+
+const SCHEMA_VERSION = '5.3.1';
+const SCHEMA_NAMESPACE = `http://www.crossref.org/schema/${SCHEMA_VERSION}`;
+const SCHEMA_LOCATION = `https://www.crossref.org/schemas/crossref${SCHEMA_VERSION}.xsd`;
+
+// Characters Crossref recommends for DOI suffixes
+const DOI_PATTERN = /^10\.\d{4,9}\/[-._;()/:A-Za-z0-9]+$/;
+const SUFFIX_TOKEN_PATTERN = /\{([a-zA-Z]+)\}/g;
+
+// Suffix pattern tokens
+const SUFFIX_TOKENS = {
+  year: 'Conference year',
+  volume: 'Proceedings volume',
+  issue: 'Proceedings issue',
+  paper: 'Position of the paper in the volume, zero-padded to three digits',
+  page: 'First page of the paper',
+  submission: 'Submission number'
+};
+
+// Tokens that make a paper suffix unique within a volume
+const PAPER_TOKENS = ['paper', 'page', 'submission'];
+
+// Element length limits taken from the Crossref schema documentation
+const LIMITS = {
+  doi: 2048,
+  resource: 2048,
+  batchId: 100,
+  title: 4096,
+  name: 60,
+  institution: 1024,
+  conferenceName: 512
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Tokens may only contribute characters allowed in a DOI suffix
+const toSuffixPart = (value) => String(value === undefined || value === null ? '' : value)
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^-._;()/:a-z0-9]/g, '');
+
+const toDateParts = (date) => {
+  const value = new Date(date);
+  return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+};
+
+class CrossrefDepositService {
+  /**
+   * Crossref settings from the environment
+   * @returns {Object}
+   */
+  getSettings() {
+    return { ...config.crossref };
+  }
+
+  /**
+   * Check the configured prefix and suffix patterns before minting anything
+   * @param {Object} settings - From getSettings
+   * @returns {string[]} Problems with the configuration
+   */
+  checkSettings(settings) {
+    const errors = [];
+
+    if (!settings.doiPrefix) {
+      errors.push('CROSSREF_DOI_PREFIX is not configured');
+    }
+
+    const checkPattern = (name, pattern, requirePaperToken) => {
+      const tokens = [...pattern.matchAll(SUFFIX_TOKEN_PATTERN)].map(match => match[1]);
+      const unknown = tokens.filter(token => !SUFFIX_TOKENS[token]);
+
+      if (unknown.length > 0) {
+        errors.push(`${name} uses unknown tokens: ${unknown.join(', ')}`);
+      }
+      if (requirePaperToken && !tokens.some(token => PAPER_TOKENS.includes(token))) {
+        errors.push(`${name} must include {${PAPER_TOKENS.join('}, {')}} so each paper gets its own DOI`);
+      }
+    };
+
+    checkPattern('CROSSREF_DOI_SUFFIX_PATTERN', settings.suffixPattern, true);
+    checkPattern('CROSSREF_VOLUME_SUFFIX_PATTERN', settings.volumeSuffixPattern, false);
+
+    if (!settings.depositorEmail) {
+      errors.push('CROSSREF_DEPOSITOR_EMAIL is not configured');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in a suffix pattern
+   * @param {string} pattern
+   * @param {Object} values - Token values
+   * @returns {string}
+   */
+  formatSuffix(pattern, values) {
+    return pattern
+      .replace(SUFFIX_TOKEN_PATTERN, (match, token) => toSuffixPart(values[token]))
+      .replace(/([-._])\1+/g, '$1')
+      .replace(/^[-._]+|[-._]+$/g, '');
+  }
+
+  /**
+   * Published papers of a proceedings volume, in page order
+   * @param {ObjectId} conferenceId
+   * @param {string} volume - Proceedings volume
+   * @returns {Promise<Array>} ResearchSubmission documents
+   */
+  async findPapers(conferenceId, volume) {
+    const papers = await ResearchSubmission.find({
+      conferenceId,
+      status: 'published',
+      'proceedings.publication.proceedingsVolume': String(volume),
+      'proceedings.publication.pageNumbers.start': { $exists: true }
+    });
+
+    return papers.sort((a, b) =>
+      a.proceedings.publication.pageNumbers.start - b.proceedings.publication.pageNumbers.start
+    );
+  }
+
+  /**
+   * Work out the DOI of every paper, minting new ones where needed
+   * @param {Object} conference - Conference document
+   * @param {Array} papers - From findPapers
+   * @param {Object} settings - From getSettings
+   * @returns {Promise<Object>} { volumeDoi, papers: [{ submission, doi, isNew }], errors }
+   */
+  async assignDois(conference, papers, settings) {
+    const errors = [];
+    const first = papers[0] ? papers[0].proceedings.publication : {};
+    const volumeValues = {
+      year: conference.year,
+      volume: first.proceedingsVolume,
+      issue: first.proceedingsIssue
+    };
+    const volumeDoi = `${settings.doiPrefix}/${this.formatSuffix(settings.volumeSuffixPattern, volumeValues)}`;
+
+    const assigned = papers.map((submission, index) => {
+      const publication = submission.proceedings.publication;
+
+      if (publication.doi) {
+        return { submission, doi: publication.doi, isNew: false };
+      }
+
+      const suffix = this.formatSuffix(settings.suffixPattern, {
+        ...volumeValues,
+        volume: publication.proceedingsVolume,
+        issue: publication.proceedingsIssue,
+        paper: String(index + 1).padStart(3, '0'),
+        page: publication.pageNumbers.start,
+        submission: submission.submissionNumber
+      });
+
+      return { submission, doi: `${settings.doiPrefix}/${suffix}`, isNew: true };
+    });
+
+    // A DOI may only point at one paper, in this deposit or any earlier one
+    const seen = new Map([[volumeDoi.toLowerCase(), 'the proceedings volume']]);
+    for (const entry of assigned) {
+      const key = entry.doi.toLowerCase();
+      if (seen.has(key)) {
+        errors.push(`${entry.doi} is assigned to both ${entry.submission.submissionNumber} and ${seen.get(key)}`);
+      }
+      seen.set(key, entry.submission.submissionNumber);
+    }
+
+    const newDois = assigned.filter(entry => entry.isNew).map(entry => entry.doi);
+    if (newDois.length > 0) {
+      const taken = await ResearchSubmission.find({
+        'proceedings.publication.doi': { $in: newDois },
+        _id: { $nin: papers.map(paper => paper._id) }
+      }).select('submissionNumber proceedings.publication.doi');
+
+      taken.forEach(other => {
+        errors.push(`${other.proceedings.publication.doi} is already registered for ${other.submissionNumber}`);
+      });
+    }
+
+    return { volumeDoi, papers: assigned, errors };
+  }
+
+  /**
+   * Collect everything the deposit needs
+   * @param {Object} conference - Conference document
+   * @param {Object} assignment - From assignDois
+   * @param {Object} settings - From getSettings
+   * @param {Object} options - { publicationDate }
+   * @returns {Object} Deposit description used by validateDeposit and toXml
+   */
+  buildDeposit(conference, assignment, settings, { publicationDate } = {}) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const now = new Date();
+    const first = assignment.papers[0].submission.proceedings.publication;
+    const volumeLabel = `Volume ${first.proceedingsVolume}${first.proceedingsIssue ? `, Issue ${first.proceedingsIssue}` : ''}`;
+    const address = (conference.location && conference.location.address) || {};
+
+    // The volume is dated by its earliest published paper unless a date is given
+    const volumeDate = publicationDate || assignment.papers
+      .map(entry => entry.submission.proceedings.publication.publishedAt)
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0] || now;
+
+    return {
+      batchId: `sobie-${conference.year}-${now.getTime()}-${crypto.randomBytes(3).toString('hex')}`,
+      // Crossref compares timestamps to order deposits of the same DOI
+      timestamp: now.toISOString().replace(/\D/g, '').slice(0, 17),
+      depositor: { name: settings.depositorName, email: settings.depositorEmail },
+      registrant: settings.registrant,
+      event: {
+        name: conference.fullName || conference.name,
+        acronym: conference.name,
+        location: [address.city, address.state, address.country].filter(Boolean).join(', ') || (conference.location && conference.location.venue),
+        startDate: conference.startDate,
+        endDate: conference.endDate
+      },
+      proceedings: {
+        title: `Proceedings of the ${conference.fullName || conference.name} ${conference.year}, ${volumeLabel}`,
+        publisher: settings.publisher,
+        publicationDate: volumeDate,
+        doi: assignment.volumeDoi,
+        resource: `${frontendUrl}/proceedings/${conference.year}`
+      },
+      papers: assignment.papers.map(({ submission, doi }) => {
+        const publication = submission.proceedings.publication;
+        const coAuthors = (submission.coAuthors || [])
+          .filter(author => !(author.authorship && author.authorship.status === 'declined'))
+          .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+        return {
+          submissionId: submission._id,
+          submissionNumber: submission.submissionNumber,
+          title: submission.title,
+          contributors: [submission.correspondingAuthor, ...coAuthors].map((author, index) => ({
+            sequence: index === 0 ? 'first' : 'additional',
+            givenName: author.name.firstName,
+            surname: author.name.lastName,
+            institution: author.affiliation ? author.affiliation.institution : null
+          })),
+          publicationDate: publication.publishedAt || volumeDate,
+          pages: { first: publication.pageNumbers.start, last: publication.pageNumbers.end },
+          doi,
+          resource: publication.publishedUrl || `${frontendUrl}/proceedings/${submission._id}`
+        };
+      })
+    };
+  }
+
+  /**
+   * Pre-flight checks on a deposit before the XML is generated: required
+   * elements, DOI syntax, element lengths, date ranges, page order, one first
+   * contributor per paper and absolute resource URLs. This is not validation
+   * against the Crossref XSD; Crossref still validates the file on upload.
+   * @param {Object} deposit - From buildDeposit
+   * @returns {string[]} Validation errors, empty when the deposit is valid
+   */
+  validateDeposit(deposit) {
+    const errors = [];
+    const check = (condition, message) => {
+      if (!condition) errors.push(message);
+    };
+    const isUrl = (value) => /^https?:\/\/\S+$/.test(value || '') && value.length <= LIMITS.resource;
+    const isDate = (value) => {
+      if (!value || isNaN(new Date(value).getTime())) return false;
+      const { year } = toDateParts(value);
+      return year >= 1400 && year <= 2200;
+    };
+    const checkDoi = (doi, label) => {
+      check(DOI_PATTERN.test(doi || ''), `${label}: "${doi}" is not a valid DOI`);
+      check((doi || '').length <= LIMITS.doi, `${label}: DOI is longer than ${LIMITS.doi} characters`);
+    };
+
+    check(deposit.batchId && deposit.batchId.length <= LIMITS.batchId, 'doi_batch_id is missing or too long');
+    check(/^\d{1,20}$/.test(deposit.timestamp), 'timestamp must be a number');
+    check(deposit.depositor.name, 'depositor_name is required');
+    check(/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(deposit.depositor.email || ''), 'depositor email_address is not a valid email');
+    check(deposit.registrant, 'registrant is required');
+
+    check(deposit.event.name && deposit.event.name.length <= LIMITS.conferenceName, 'conference_name is missing or too long');
+    check(!deposit.event.startDate || isDate(deposit.event.startDate), 'conference start date is not valid');
+    check(!deposit.event.endDate || isDate(deposit.event.endDate), 'conference end date is not valid');
+
+    check(deposit.proceedings.title && deposit.proceedings.title.length <= LIMITS.title, 'proceedings_title is missing or too long');
+    check(deposit.proceedings.publisher, 'publisher_name is required');
+    check(isDate(deposit.proceedings.publicationDate), 'proceedings publication_date is not valid');
+    checkDoi(deposit.proceedings.doi, 'Proceedings volume');
+    check(isUrl(deposit.proceedings.resource), 'Proceedings volume: resource must be an http(s) URL');
+
+    check(deposit.papers.length > 0, 'A deposit needs at least one conference_paper');
+
+    for (const paper of deposit.papers) {
+      const label = `Paper ${paper.submissionNumber}`;
+
+      check(paper.title && paper.title.length <= LIMITS.title, `${label}: title is missing or too long`);
+      check(paper.contributors.length > 0, `${label}: at least one contributor is required`);
+      check(paper.contributors.filter(c => c.sequence === 'first').length === 1, `${label}: exactly one contributor must be first`);
+
+      paper.contributors.forEach((contributor, index) => {
+        check(contributor.surname && contributor.surname.length <= LIMITS.name, `${label}: contributor ${index + 1} needs a surname of at most ${LIMITS.name} characters`);
+        check(!contributor.givenName || contributor.givenName.length <= LIMITS.name, `${label}: contributor ${index + 1} given_name is longer than ${LIMITS.name} characters`);
+        check(!contributor.institution || contributor.institution.length <= LIMITS.institution, `${label}: contributor ${index + 1} institution_name is too long`);
+      });
+
+      check(isDate(paper.publicationDate), `${label}: publication_date is not valid`);
+      check(Number.isInteger(paper.pages.first) && paper.pages.first > 0, `${label}: first_page must be a positive number`);
+      check(Number.isInteger(paper.pages.last) && paper.pages.last >= paper.pages.first, `${label}: last_page cannot come before first_page`);
+      checkDoi(paper.doi, label);
+      check(isUrl(paper.resource), `${label}: resource must be an http(s) URL`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Serialize a deposit as Crossref deposit XML
+   * @param {Object} deposit - From buildDeposit
+   * @returns {string}
+   */
+  toXml(deposit) {
+    const lines = [];
+    const add = (depth, line) => lines.push(`${'  '.repeat(depth)}${line}`);
+    const element = (depth, name, value, attributes = '') => {
+      if (value !== undefined && value !== null && value !== '') {
+        add(depth, `<${name}${attributes}>${escapeXml(value)}</${name}>`);
+      }
+    };
+    const publicationDate = (depth, date) => {
+      const { year, month, day } = toDateParts(date);
+      add(depth, '<publication_date media_type="online">');
+      element(depth + 1, 'month', String(month).padStart(2, '0'));
+      element(depth + 1, 'day', String(day).padStart(2, '0'));
+      element(depth + 1, 'year', year);
+      add(depth, '</publication_date>');
+    };
+    const doiData = (depth, doi, resource) => {
+      add(depth, '<doi_data>');
+      element(depth + 1, 'doi', doi);
+      element(depth + 1, 'resource', resource);
+      add(depth, '</doi_data>');
+    };
+
+    add(0, '<?xml version="1.0" encoding="UTF-8"?>');
+    add(0, `<doi_batch version="${SCHEMA_VERSION}" xmlns="${SCHEMA_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${SCHEMA_NAMESPACE} ${SCHEMA_LOCATION}">`);
+
+    add(1, '<head>');
+    element(2, 'doi_batch_id', deposit.batchId);
+    element(2, 'timestamp', deposit.timestamp);
+    add(2, '<depositor>');
+    element(3, 'depositor_name', deposit.depositor.name);
+    element(3, 'email_address', deposit.depositor.email);
+    add(2, '</depositor>');
+    element(2, 'registrant', deposit.registrant);
+    add(1, '</head>');
+
+    add(1, '<body>');
+    add(2, '<conference>');
+
+    add(3, '<event_metadata>');
+    element(4, 'conference_name', deposit.event.name);
+    element(4, 'conference_acronym', deposit.event.acronym);
+    element(4, 'conference_location', deposit.event.location);
+    if (deposit.event.startDate) {
+      const start = toDateParts(deposit.event.startDate);
+      const end = toDateParts(deposit.event.endDate || deposit.event.startDate);
+      add(4, `<conference_date start_day="${start.day}" start_month="${start.month}" start_year="${start.year}" end_day="${end.day}" end_month="${end.month}" end_year="${end.year}"/>`);
+    }
+    add(3, '</event_metadata>');
+
+    add(3, '<proceedings_metadata language="en">');
+    element(4, 'proceedings_title', deposit.proceedings.title);
+    add(4, '<publisher>');
+    element(5, 'publisher_name', deposit.proceedings.publisher);
+    add(4, '</publisher>');
+    publicationDate(4, deposit.proceedings.publicationDate);
+    add(4, '<noisbn reason="archive_volume"/>');
+    doiData(4, deposit.proceedings.doi, deposit.proceedings.resource);
+    add(3, '</proceedings_metadata>');
+
+    for (const paper of deposit.papers) {
+      add(3, '<conference_paper publication_type="full_text">');
+      add(4, '<contributors>');
+      for (const contributor of paper.contributors) {
+        add(5, `<person_name sequence="${contributor.sequence}" contributor_role="author">`);
+        element(6, 'given_name', contributor.givenName);
+        element(6, 'surname', contributor.surname);
+        if (contributor.institution) {
+          add(6, '<affiliations>');
+          add(7, '<institution>');
+          element(8, 'institution_name', contributor.institution);
+          add(7, '</institution>');
+          add(6, '</affiliations>');
+        }
+        add(5, '</person_name>');
+      }
+      add(4, '</contributors>');
+      add(4, '<titles>');
+      element(5, 'title', paper.title);
+      add(4, '</titles>');
+      publicationDate(4, paper.publicationDate);
+      add(4, '<pages>');
+      element(5, 'first_page', paper.pages.first);
+      element(5, 'last_page', paper.pages.last);
+      add(4, '</pages>');
+      doiData(4, paper.doi, paper.resource);
+      add(3, '</conference_paper>');
+    }
+
+    add(2, '</conference>');
+    add(1, '</body>');
+    add(0, '</doi_batch>');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Store newly minted DOIs on their submissions
+   * @param {Object} assignment - From assignDois
+   * @param {string} batchId - Deposit batch the DOIs were first registered in
+   * @returns {Promise<number>} Number of submissions updated
+   */
+  async recordDois(assignment, batchId) {
+    const minted = assignment.papers.filter(entry => entry.isNew);
+
+    for (const { submission, doi } of minted) {
+      submission.set('proceedings.publication.doi', doi);
+      submission.set('proceedings.publication.doiBatchId', batchId);
+      submission.set('proceedings.publication.doiAssignedAt', new Date());
+      await submission.save();
+    }
+
+    logger.info('Crossref DOIs recorded', {
+      batchId,
+      minted: minted.length,
+      total: assignment.papers.length,
+      service: 'CrossrefDepositService',
+      method: 'recordDois'
+    });
+
+    return minted.length;
+  }
+}
+
+module.exports = new CrossrefDepositService();
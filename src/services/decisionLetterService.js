@@ -0,0 +1,298 @@
+const ResearchPresentation = require('../models/ResearchPresentation');
+
+/**
+ * Decision Letter Service
+ * Builds the letters sent to authors when an editor decides on a submission.
+ * Each conference can replace the default letter for a decision with its own
+ * template; templates are plain text with {{mergeField}} placeholders that are
+ * filled in per submission.
+ */
+
+const DECISIONS = ['accept', 'minor_revision', 'major_revision', 'reject'];
+
+const DECISION_LABELS = {
+  accept: 'Accepted',
+  minor_revision: 'Accepted with minor revisions',
+  major_revision: 'Major revisions required',
+  reject: 'Not accepted'
+};
+
+// Merge fields available to every template
+const MERGE_FIELDS = {
+  authorName: 'Corresponding author name',
+  title: 'Submission title',
+  submissionNumber: 'Submission number',
+  conferenceName: 'Conference name',
+  conferenceYear: 'Conference year',
+  decision: 'Decision, in words',
+  editorComments: 'Comments from the editor',
+  reviewerComments: 'Reviewer comments meant for the authors',
+  revisionDeadline: 'Date revisions are due',
+  sessionTitle: 'Title of the session the paper is scheduled in',
+  sessionDate: 'Date of that session',
+  sessionTime: 'Start and end time of that session',
+  sessionRoom: 'Room of that session',
+  registrationLink: 'Conference registration page',
+  submissionLink: 'Page for the submission in the author dashboard'
+};
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Used when a conference has not written its own letter for a decision
+const DEFAULT_TEMPLATES = {
+  accept: {
+    subject: 'Decision on your submission {{submissionNumber}}: accepted',
+    body: [
+      'Dear {{authorName}},',
+      '',
+      'Congratulations! Your submission "{{title}}" ({{submissionNumber}}) has been accepted for presentation at {{conferenceName}} {{conferenceYear}}.',
+      '',
+      '{{editorComments}}',
+      '',
+      'Reviewer feedback:',
+      '{{reviewerComments}}',
+      '',
+      'Your paper is scheduled in {{sessionTitle}} on {{sessionDate}}, {{sessionTime}}, in {{sessionRoom}}.',
+      '',
+      'Please register for the conference at {{registrationLink}} so we can confirm your presentation.',
+      '',
+      'Thank you for your contribution to the SOBIE community!'
+    ].join('\n')
+  },
+  minor_revision: {
+    subject: 'Decision on your submission {{submissionNumber}}: minor revisions',
+    body: [
+      'Dear {{authorName}},',
+      '',
+      'Your submission "{{title}}" ({{submissionNumber}}) has been accepted with minor revisions.',
+      '',
+      '{{editorComments}}',
+      '',
+      'Reviewer feedback:',
+      '{{reviewerComments}}',
+      '',
+      'Please address the comments above and upload your revised paper by {{revisionDeadline}} at {{submissionLink}}.',
+      '',
+      'Thank you for your contribution to the SOBIE community!'
+    ].join('\n')
+  },
+  major_revision: {
+    subject: 'Decision on your submission {{submissionNumber}}: major revisions',
+    body: [
+      'Dear {{authorName}},',
+      '',
+      'Your submission "{{title}}" ({{submissionNumber}}) requires major revisions before it can be accepted.',
+      '',
+      '{{editorComments}}',
+      '',
+      'Reviewer feedback:',
+      '{{reviewerComments}}',
+      '',
+      'Please address the comments above and upload your revised paper by {{revisionDeadline}} at {{submissionLink}}.',
+      '',
+      'Thank you for your contribution to the SOBIE community!'
+    ].join('\n')
+  },
+  reject: {
+    subject: 'Decision on your submission {{submissionNumber}}',
+    body: [
+      'Dear {{authorName}},',
+      '',
+      'Thank you for submitting "{{title}}" ({{submissionNumber}}) to {{conferenceName}} {{conferenceYear}}. Unfortunately, your submission has not been accepted.',
+      '',
+      '{{editorComments}}',
+      '',
+      'Reviewer feedback:',
+      '{{reviewerComments}}',
+      '',
+      'We encourage you to consider the feedback and submit to future conferences.'
+    ].join('\n')
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => date
+  ? new Date(date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+  : '';
+
+class DecisionLetterService {
+  /**
+   * List the merge fields templates may use
+   * @returns {Array} [{ field, description }]
+   */
+  getMergeFields() {
+    return Object.entries(MERGE_FIELDS).map(([field, description]) => ({ field, description }));
+  }
+
+  /**
+   * Find merge fields in a template that do not exist
+   * @param {Object} template - { subject, body }
+   * @returns {string[]} Unknown field names
+   */
+  findUnknownFields(template) {
+    const unknown = new Set();
+    const text = `${template.subject || ''}\n${template.body || ''}`;
+
+    for (const match of text.matchAll(MERGE_FIELD_PATTERN)) {
+      if (!MERGE_FIELDS[match[1]]) unknown.add(match[1]);
+    }
+
+    return [...unknown];
+  }
+
+  /**
+   * Get the letter template a conference uses for a decision
+   * @param {Object} conference - Conference document (may lack reviewSettings)
+   * @param {string} decision
+   * @returns {Object} { decision, subject, body, isDefault, updatedAt }
+   */
+  getTemplate(conference, decision) {
+    const stored = ((conference && conference.reviewSettings && conference.reviewSettings.decisionLetters) || [])
+      .find(letter => letter.decision === decision);
+
+    if (stored) {
+      return {
+        decision,
+        subject: stored.subject,
+        body: stored.body,
+        isDefault: false,
+        updatedAt: stored.updatedAt
+      };
+    }
+
+    return { decision, ...DEFAULT_TEMPLATES[decision], isDefault: true };
+  }
+
+  /**
+   * Get every decision template for a conference
+   * @param {Object} conference
+   * @returns {Array}
+   */
+  getTemplates(conference) {
+    return DECISIONS.map(decision => this.getTemplate(conference, decision));
+  }
+
+  /**
+   * Find the sessions that submissions are scheduled in
+   * @param {Array} submissionIds
+   * @returns {Map<string, Object>} submissionId -> Session document
+   */
+  async findSessions(submissionIds) {
+    const presentations = await ResearchPresentation.find({
+      submissionId: { $in: submissionIds },
+      sessionId: { $exists: true }
+    })
+      .select('submissionId sessionId')
+      .populate('sessionId', 'title date startTime endTime location');
+
+    return new Map(
+      presentations
+        .filter(presentation => presentation.sessionId)
+        .map(presentation => [presentation.submissionId.toString(), presentation.sessionId])
+    );
+  }
+
+  /**
+   * Work out the merge field values for one submission
+   * @param {Object} submission - ResearchSubmission document with reviewers
+   * @param {Object} context - { conference, session, decision, editorComments, revisionDeadline }
+   * @returns {Object} Field name -> value ('' when not available)
+   */
+  buildMergeValues(submission, context) {
+    const { conference, session, decision, editorComments, revisionDeadline } = context;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const author = submission.correspondingAuthor;
+
+    const reviewerComments = submission.reviewWorkflow.reviewers
+      .filter(r => r.status === 'completed' && r.review)
+      .map((r, index) => [
+        `Reviewer ${index + 1} (recommendation: ${r.review.recommendation || 'none'})`,
+        r.review.authorComments || 'No comments for the authors.'
+      ].join('\n'))
+      .join('\n\n');
+
+    return {
+      authorName: author && author.name ? `${author.name.firstName} ${author.name.lastName}` : '',
+      title: submission.title,
+      submissionNumber: submission.submissionNumber || '',
+      conferenceName: conference ? conference.name : '',
+      conferenceYear: conference ? String(conference.year) : String(submission.conferenceYear || ''),
+      decision: DECISION_LABELS[decision] || '',
+      editorComments: editorComments || '',
+      reviewerComments,
+      revisionDeadline: ['minor_revision', 'major_revision'].includes(decision) ? formatDate(revisionDeadline) : '',
+      sessionTitle: session ? session.title : '',
+      sessionDate: session ? formatDate(session.date) : '',
+      sessionTime: session ? `${session.startTime} - ${session.endTime}` : '',
+      sessionRoom: session && session.location ? session.location.room : '',
+      registrationLink: `${frontendUrl}/conference/register`,
+      submissionLink: `${frontendUrl}/research/${submission._id}`
+    };
+  }
+
+  /**
+   * Fill in a template
+   * Lines whose merge fields are all empty are dropped, so a letter sent before
+   * the program is built simply leaves out the session sentence. Values are
+   * inserted as text; the HTML version escapes them and keeps line breaks.
+   * @param {Object} template - { subject, body }
+   * @param {Object} values - From buildMergeValues
+   * @returns {Object} { subject, text, html, missingFields }
+   */
+  render(template, values) {
+    const missing = new Set();
+    const fieldsIn = (line) => [...line.matchAll(MERGE_FIELD_PATTERN)].map(match => match[1]);
+    const fill = (line, escape) => line.replace(MERGE_FIELD_PATTERN, (match, field) => {
+      if (!(field in values)) return match;
+      return escape ? escapeHtml(values[field]) : values[field];
+    });
+
+    const lines = template.body.split('\n').filter(line => {
+      const fields = fieldsIn(line).filter(field => field in values);
+      const empty = fields.filter(field => !values[field]);
+      empty.forEach(field => missing.add(field));
+      return fields.length === 0 || empty.length < fields.length;
+    });
+
+    const text = lines.map(line => fill(line, false)).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    const html = lines.map(line => fill(escapeHtml(line), true)).join('\n')
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+
+    return {
+      subject: fill(template.subject, false),
+      text,
+      html,
+      missingFields: [...missing]
+    };
+  }
+
+  /**
+   * Build the decision letter for one submission
+   * @param {Object} submission - ResearchSubmission document with reviewers
+   * @param {Object} context - { conference, session, decision, editorComments, revisionDeadline, template }
+   *   template overrides the conference's letter for this decision
+   * @returns {Object} { decision, subject, text, html, missingFields, to }
+   */
+  buildLetter(submission, context) {
+    const template = context.template || this.getTemplate(context.conference, context.decision);
+    const letter = this.render(template, this.buildMergeValues(submission, context));
+
+    return {
+      decision: context.decision,
+      to: submission.correspondingAuthor.email,
+      ...letter
+    };
+  }
+}
+
+module.exports = new DecisionLetterService();
@@ -697,7 +697,7 @@ class SafeEmailService {
               
               <div class="submission-box">
                 <h3>${title}</h3>
-                <p><strong>Author(s):</strong> ${authorName}</p>
+                ${authorName ? `<p><strong>Author(s):</strong> ${authorName}</p>` : ''}
                 <p><strong>Submission Number:</strong> ${submissionNumber}</p>
                 <p><strong>Discipline:</strong> ${discipline}</p>
                 <p><strong>Review Deadline:</strong> ${new Date(deadline).toLocaleDateString()}</p>
@@ -736,6 +736,274 @@ class SafeEmailService {
     );
   }
 
+  /**
+   * Ask a co-author to confirm their authorship and affiliation
+   */
+  async sendCoAuthorInvitation(email, invitationData) {
+    const { coAuthorName, correspondingAuthorName, title, submissionNumber, institution, expiresAt, confirmUrl, declineUrl } = invitationData;
+
+    return await this.sendSafeEmail(
+      email,
+      `Please confirm your authorship - ${submissionNumber || title}`,
+      `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #1e40af; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+            .submission-box { background-color: white; border: 1px solid #d1d5db; padding: 20px; border-radius: 6px; margin: 20px 0; }
+            .buttons { text-align: center; margin: 30px 0; }
+            .button { display: inline-block; padding: 12px 24px; margin: 0 10px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+            .accept { background-color: #10b981; color: white; }
+            .decline { background-color: #ef4444; color: white; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Confirm Your Authorship</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${coAuthorName},</p>
+
+              <p>${correspondingAuthorName} has listed you as a co-author of a research submission to the SOBIE Conference. Please confirm that you are an author of this paper and that your affiliation is correct.</p>
+
+              <div class="submission-box">
+                <h3>${title}</h3>
+                ${submissionNumber ? `<p><strong>Submission Number:</strong> ${submissionNumber}</p>` : ''}
+                <p><strong>Your Affiliation:</strong> ${institution}</p>
+              </div>
+
+              <p>If you do not have a SOBIE account, confirming will create one for you with this email address.</p>
+
+              <div class="buttons">
+                <a href="${confirmUrl}" class="button accept">Confirm Authorship</a>
+                <a href="${declineUrl}" class="button decline">I Am Not an Author</a>
+              </div>
+
+              <p>This invitation expires on ${new Date(expiresAt).toLocaleDateString()}.</p>
+            </div>
+            <div class="footer">
+              <p>SOBIE Conference Research Submission System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      'coauthor_invitation'
+    );
+  }
+
+  /**
+   * Ask a faculty sponsor to approve a student submission before it is submitted
+   */
+  async sendSponsorApprovalRequest(email, requestData) {
+    const { sponsorName, correspondingAuthorName, authorList, title, abstractPreview, expiresAt, reviewUrl } = requestData;
+
+    return await this.sendSafeEmail(
+      email,
+      `Faculty sponsor approval requested - ${title}`,
+      `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #7c3aed; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f5f3ff; padding: 30px; border-radius: 0 0 8px 8px; }
+            .submission-box { background-color: white; border: 1px solid #d1d5db; padding: 20px; border-radius: 6px; margin: 20px 0; }
+            .abstract { background-color: #f3f4f6; padding: 15px; border-radius: 6px; font-style: italic; margin-top: 15px; }
+            .buttons { text-align: center; margin: 30px 0; }
+            .button { display: inline-block; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; background-color: #7c3aed; color: white; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Faculty Sponsor Approval</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${sponsorName},</p>
+
+              <p>${correspondingAuthorName} has listed you as the faculty sponsor of a student research paper for the SOBIE Conference. Student papers need a sponsor's approval before they can be submitted for review.</p>
+
+              <div class="submission-box">
+                <h3>${title}</h3>
+                <p><strong>Author(s):</strong> ${authorList}</p>
+
+                <div class="abstract">
+                  <strong>Abstract Preview:</strong><br>
+                  ${abstractPreview}
+                </div>
+              </div>
+
+              <p>Please read the paper and approve it, ask the students for changes, or decline to sponsor it.</p>
+
+              <div class="buttons">
+                <a href="${reviewUrl}" class="button">Review and Respond</a>
+              </div>
+
+              <p>This request expires on ${new Date(expiresAt).toLocaleDateString()}.</p>
+            </div>
+            <div class="footer">
+              <p>SOBIE Conference Research Submission System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      'sponsor_approval_request'
+    );
+  }
+
+  /**
+   * Alert an editor that a submission is stuck waiting for overdue reviews
+   */
+  async sendStuckReviewAlert(email, alertData) {
+    const { editorName, title, submissionNumber, deadline, daysOverdue, completedReviews, requiredReviews, overdueReviewers } = alertData;
+
+    return await this.sendSafeEmail(
+      email,
+      `Action Needed - ${submissionNumber} - reviews ${daysOverdue} days overdue`,
+      `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #dc2626; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .deadline-box { background-color: white; border-left: 4px solid #dc2626; padding: 20px; margin: 20px 0; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Reviews Overdue</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${editorName},</p>
+              
+              <p>A submission you are editing does not have enough completed reviews and its review deadline has passed.</p>
+              
+              <div class="deadline-box">
+                <h3>${title}</h3>
+                <p><strong>Submission Number:</strong> ${submissionNumber}</p>
+                <p><strong>Review Deadline:</strong> ${new Date(deadline).toLocaleDateString()} (${daysOverdue} days ago)</p>
+                <p><strong>Completed Reviews:</strong> ${completedReviews} of ${requiredReviews} required</p>
+                ${overdueReviewers && overdueReviewers.length > 0 ? `
+                  <p><strong>Overdue Reviewers:</strong></p>
+                  <ul>
+                    ${overdueReviewers.map(r => `<li>${r.name} (${r.remindersSent} reminders sent)</li>`).join('')}
+                  </ul>
+                ` : ''}
+              </div>
+              
+              <p>Please consider extending the deadline, contacting the reviewers directly, or assigning additional reviewers.</p>
+            </div>
+            <div class="footer">
+              <p>SOBIE Conference Research Review System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      'review_alert'
+    );
+  }
+
+  /**
+   * Send second-round review invitation for a revised submission
+   */
+  async sendRevisionReviewInvitation(email, invitationData) {
+    const { reviewerName, title, submissionNumber, round, deadline, previousAuthorComments, previousConfidentialComments, responseSummary, acceptUrl, declineUrl } = invitationData;
+
+    return await this.sendSafeEmail(
+      email,
+      `Revised Submission Review (Round ${round}) - ${submissionNumber}`,
+      `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #dc2626; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #fef2f2; padding: 30px; border-radius: 0 0 8px 8px; }
+            .submission-box { background-color: white; border: 1px solid #d1d5db; padding: 20px; border-radius: 6px; margin: 20px 0; }
+            .comments { background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin-top: 15px; white-space: pre-wrap; }
+            .buttons { text-align: center; margin: 30px 0; }
+            .button { display: inline-block; padding: 12px 24px; margin: 0 10px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+            .accept { background-color: #10b981; color: white; }
+            .decline { background-color: #ef4444; color: white; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Revised Submission Ready for Review</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${reviewerName},</p>
+              
+              <p>The authors have submitted a revised version of a paper you reviewed, together with a response to the reviewers. We would be grateful if you could review the revision in this second round.</p>
+              
+              <div class="submission-box">
+                <h3>${title}</h3>
+                <p><strong>Submission Number:</strong> ${submissionNumber}</p>
+                <p><strong>Review Round:</strong> ${round}</p>
+                <p><strong>Review Deadline:</strong> ${new Date(deadline).toLocaleDateString()}</p>
+                
+                ${previousAuthorComments ? `
+                <div class="comments">
+                  <strong>Your earlier comments to the authors:</strong><br>
+                  ${previousAuthorComments}
+                </div>` : ''}
+                ${previousConfidentialComments ? `
+                <div class="comments">
+                  <strong>Your earlier confidential comments to the editor:</strong><br>
+                  ${previousConfidentialComments}
+                </div>` : ''}
+                ${responseSummary ? `
+                <div class="comments">
+                  <strong>Authors' response to reviewers:</strong><br>
+                  ${responseSummary}
+                </div>` : ''}
+              </div>
+              
+              <p>The revised manuscript and the full response letter are available in the review system.</p>
+              
+              <div class="buttons">
+                <a href="${acceptUrl || '#'}" class="button accept">Accept Review</a>
+                <a href="${declineUrl || '#'}" class="button decline">Decline Review</a>
+              </div>
+              
+              <p>Thank you for your continued service to the SOBIE community!</p>
+            </div>
+            <div class="footer">
+              <p>SOBIE Conference Research Review System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      'review_invitation'
+    );
+  }
+
   /**
    * Send reviewers assigned notification to author
    */
@@ -960,17 +1228,69 @@ class SafeEmailService {
     );
   }
 
+  /**
+   * Send a decision letter built from the conference's letter template
+   * @param {string} email - Corresponding author email
+   * @param {Object} letter - { decision, subject, html } from decisionLetterService.buildLetter
+   */
+  async sendDecisionLetter(email, letter) {
+    const decisionColor = {
+      accept: '#059669',
+      minor_revision: '#d97706',
+      major_revision: '#dc2626',
+      reject: '#7f1d1d'
+    };
+
+    return await this.sendSafeEmail(
+      email,
+      letter.subject,
+      `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: ${decisionColor[letter.decision]}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Research Review Decision</h1>
+            </div>
+            <div class="content">
+              ${letter.html}
+            </div>
+            <div class="footer">
+              <p>SOBIE Conference Research Review System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      'decision_notification'
+    );
+  }
+
   /**
    * Send review reminder to reviewers
    */
   async sendReviewReminder(email, reminderData) {
-    const { reviewerName, title, submissionNumber, deadline, daysRemaining } = reminderData;
+    const { reviewerName, title, submissionNumber, deadline, daysRemaining, reminderNumber } = reminderData;
 
+    const isOverdue = daysRemaining < 0;
+    const daysOverdue = Math.abs(daysRemaining);
     const urgencyColor = daysRemaining <= 3 ? '#dc2626' : daysRemaining <= 7 ? '#d97706' : '#059669';
 
     return await this.sendSafeEmail(
       email,
-      `Review Reminder - ${submissionNumber} - ${daysRemaining} days remaining`,
+      isOverdue
+        ? `OVERDUE Review - ${submissionNumber} - ${daysOverdue} ${daysOverdue === 1 ? 'day' : 'days'} past deadline`
+        : `Review Reminder - ${submissionNumber} - ${daysRemaining} days remaining`,
       `
         <!DOCTYPE html>
         <html>
@@ -988,21 +1308,28 @@ class SafeEmailService {
         <body>
           <div class="container">
             <div class="header">
-              <h1>Review Reminder</h1>
+              <h1>${isOverdue ? 'Review Overdue' : 'Review Reminder'}</h1>
             </div>
             <div class="content">
               <p>Dear ${reviewerName},</p>
               
-              <p>This is a friendly reminder about your pending review assignment.</p>
+              <p>${isOverdue
+                ? 'Your review for the submission below is past its deadline and the authors are waiting on a decision.'
+                : 'This is a friendly reminder about your pending review assignment.'}</p>
               
               <div class="deadline-box">
                 <h3>${title}</h3>
                 <p><strong>Submission Number:</strong> ${submissionNumber}</p>
                 <p><strong>Review Deadline:</strong> ${new Date(deadline).toLocaleDateString()}</p>
-                <p><strong>Days Remaining:</strong> ${daysRemaining} ${daysRemaining === 1 ? 'day' : 'days'}</p>
+                ${isOverdue
+                  ? `<p><strong>Days Overdue:</strong> ${daysOverdue} ${daysOverdue === 1 ? 'day' : 'days'}</p>`
+                  : `<p><strong>Days Remaining:</strong> ${daysRemaining} ${daysRemaining === 1 ? 'day' : 'days'}</p>`}
+                ${reminderNumber > 1 ? `<p><strong>Reminder:</strong> #${reminderNumber}</p>` : ''}
               </div>
               
-              ${daysRemaining <= 3 ? `
+              ${isOverdue ? `
+                <p style="color: #dc2626; font-weight: bold;">⚠️ OVERDUE: Please submit your review immediately or let the editor know if you can no longer complete it.</p>
+              ` : daysRemaining <= 3 ? `
                 <p style="color: #dc2626; font-weight: bold;">⚠️ URGENT: Your review is due very soon!</p>
               ` : ''}
               
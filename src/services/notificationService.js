@@ -938,7 +938,7 @@ SOBIE Conference Platform
       await this.emailTransporter.sendMail(mailOptions);
       logger.info('Acceptance notification sent successfully', { 
         authorEmail,
-        submissionTitle,
+        paperTitle,
         authorName,
         service: 'NotificationService',
         method: 'notifyAuthorOfAcceptance'
@@ -947,7 +947,7 @@ SOBIE Conference Platform
       logger.error('Failed to send acceptance notification', { 
         authorEmail, 
         error: error.message,
-        submissionTitle,
+        paperTitle,
         authorName,
         service: 'NotificationService',
         method: 'notifyAuthorOfAcceptance'
@@ -1036,7 +1036,7 @@ SOBIE Conference Platform
       await this.emailTransporter.sendMail(mailOptions);
       logger.info('Publication notification sent successfully', { 
         authorEmail,
-        submissionTitle,
+        paperTitle,
         authorName,
         publicationUrl,
         service: 'NotificationService',
@@ -1046,7 +1046,7 @@ SOBIE Conference Platform
       logger.error('Failed to send publication notification', { 
         authorEmail, 
         error: error.message,
-        submissionTitle,
+        paperTitle,
         authorName,
         publicationUrl,
         service: 'NotificationService',
@@ -0,0 +1,62 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../config/logger');
+
+/**
+ * Paper Anonymization Service
+ * Produces reviewer copies of uploaded papers for double-blind review
+ */
+
+class PaperAnonymizationService {
+  /**
+   * Check whether a stored paper can be anonymized
+   * @param {string} filePath - Path to the uploaded paper
+   * @returns {boolean}
+   */
+  canAnonymize(filePath) {
+    return Boolean(filePath) && path.extname(filePath).toLowerCase() === '.pdf';
+  }
+
+  /**
+   * Create a copy of a PDF with all document metadata removed
+   * Clears the Info dictionary (title, author, subject, keywords, creator,
+   * producer, dates) and the XMP metadata stream, both of which routinely
+   * carry the author's name.
+   * @param {string} filePath - Path to the original PDF
+   * @returns {Buffer} Anonymized PDF bytes
+   */
+  async createAnonymizedCopy(filePath) {
+    if (!this.canAnonymize(filePath)) {
+      throw new Error('Only PDF papers can be anonymized');
+    }
+
+    const originalBytes = await fs.readFile(filePath);
+    const pdf = await PDFDocument.load(originalBytes, {
+      updateMetadata: false,
+      ignoreEncryption: true
+    });
+
+    const infoRef = pdf.context.trailerInfo.Info;
+    const info = infoRef ? pdf.context.lookup(infoRef) : null;
+    if (info && typeof info.keys === 'function') {
+      info.keys().forEach(key => info.delete(key));
+    }
+
+    pdf.catalog.delete(PDFName.of('Metadata'));
+
+    const anonymizedBytes = await pdf.save();
+
+    logger.info('Anonymized paper copy generated', {
+      file: path.basename(filePath),
+      originalSize: originalBytes.length,
+      anonymizedSize: anonymizedBytes.length,
+      service: 'PaperAnonymizationService',
+      method: 'createAnonymizedCopy'
+    });
+
+    return Buffer.from(anonymizedBytes);
+  }
+}
+
+module.exports = new PaperAnonymizationService();
@@ -0,0 +1,348 @@
+const fs = require('fs').promises;
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const ResearchSubmission = require('../models/ResearchSubmission');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const Document = require('../models/Document');
+const logger = require('../config/logger');
+
+/**
+ * Paper Similarity Service
+ * Checks an uploaded paper against other submissions, past conference
+ * presentations and the document library to catch duplicate submissions
+ * and self-plagiarism. Texts are compared as overlapping word sequences
+ * (shingles) so reworded titles do not hide a recycled paper.
+ */
+
+// Number of consecutive words in each shingle
+const SHINGLE_SIZE = 8;
+
+// Matches below this score are left out of the report
+const REPORT_THRESHOLD = 0.1;
+
+// Reports with a match at or above this score are flagged for the editor
+const FLAG_THRESHOLD = 0.3;
+
+const MAX_MATCHES = 10;
+const MAX_PASSAGES_PER_MATCH = 5;
+const MAX_PASSAGE_LENGTH = 500;
+
+class PaperSimilarityService {
+  /**
+   * Split text into lowercase words, dropping punctuation
+   * @param {string} text
+   * @returns {Object} { words, display } normalized words and the original words
+   */
+  tokenize(text) {
+    const display = String(text || '').split(/\s+/).filter(Boolean);
+    const words = [];
+    const kept = [];
+
+    display.forEach(word => {
+      const normalized = word.toLowerCase().replace(/[^a-z0-9]/g, '');
+      if (normalized) {
+        words.push(normalized);
+        kept.push(word);
+      }
+    });
+
+    return { words, display: kept };
+  }
+
+  /**
+   * Build the set of word shingles for a list of words
+   * Texts shorter than one shingle are treated as a single shingle.
+   * @param {string[]} words
+   * @returns {Set<string>}
+   */
+  getShingles(words) {
+    const shingles = new Set();
+    if (words.length === 0) return shingles;
+
+    if (words.length < SHINGLE_SIZE) {
+      shingles.add(words.join(' '));
+      return shingles;
+    }
+
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+
+    return shingles;
+  }
+
+  /**
+   * Compare a tokenized paper with another text
+   * score is the overlap coefficient (shared shingles over the smaller text), so an
+   * abstract copied wholesale into a paper still scores highly; coverage is the
+   * share of the paper's words that appear in the other text.
+   * @param {Object} paper - { words, display, shingles }
+   * @param {string} otherText
+   * @returns {Object|null} { score, coverage, passages } or null when nothing overlaps
+   */
+  compare(paper, otherText) {
+    const other = this.getShingles(this.tokenize(otherText).words);
+    if (paper.shingles.size === 0 || other.size === 0) return null;
+
+    let shared = 0;
+    other.forEach(shingle => {
+      if (paper.shingles.has(shingle)) shared++;
+    });
+    if (shared === 0) return null;
+
+    // Mark every paper word covered by a shared shingle, then merge into passages
+    const covered = new Array(paper.words.length).fill(false);
+    const size = Math.min(SHINGLE_SIZE, paper.words.length);
+    for (let i = 0; i <= paper.words.length - size; i++) {
+      if (other.has(paper.words.slice(i, i + size).join(' '))) {
+        for (let j = i; j < i + size; j++) covered[j] = true;
+      }
+    }
+
+    const passages = [];
+    let start = null;
+    covered.concat(false).forEach((isCovered, index) => {
+      if (isCovered && start === null) {
+        start = index;
+      } else if (!isCovered && start !== null) {
+        passages.push(paper.display.slice(start, index).join(' '));
+        start = null;
+      }
+    });
+
+    const coveredWords = covered.filter(Boolean).length;
+
+    return {
+      score: Math.round((shared / Math.min(paper.shingles.size, other.size)) * 1000) / 1000,
+      coverage: Math.round((coveredWords / paper.words.length) * 1000) / 1000,
+      passages: passages
+        .sort((a, b) => b.length - a.length)
+        .slice(0, MAX_PASSAGES_PER_MATCH)
+        .map(passage => passage.length > MAX_PASSAGE_LENGTH
+          ? `${passage.substring(0, MAX_PASSAGE_LENGTH)}...`
+          : passage)
+    };
+  }
+
+  /**
+   * Extract plain text from an uploaded paper
+   * PDFs are read with pdf-parse and plain text files as-is; other formats return null.
+   * @param {string} filePath
+   * @returns {string|null}
+   */
+  async extractText(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.pdf') {
+      const pdfData = await pdfParse(await fs.readFile(filePath));
+      return pdfData.text;
+    }
+
+    if (extension === '.txt') {
+      return fs.readFile(filePath, 'utf8');
+    }
+
+    return null;
+  }
+
+  /**
+   * Identity keys (user ids and emails) for the authors of a submission
+   * @param {Object} submission
+   * @returns {Set<string>}
+   */
+  getAuthorKeys(submission) {
+    const keys = new Set();
+    const add = (author) => {
+      if (!author) return;
+      if (author.userId) keys.add((author.userId._id || author.userId).toString());
+      if (author.email) keys.add(author.email.toLowerCase());
+    };
+
+    add(submission.correspondingAuthor);
+    (submission.coAuthors || []).forEach(add);
+
+    return keys;
+  }
+
+  /**
+   * Check whether any author of a source is also an author of the paper
+   * @param {Set<string>} authorKeys
+   * @param {Array} authors - Source authors ({ userId, email })
+   * @returns {boolean}
+   */
+  hasSharedAuthor(authorKeys, authors) {
+    return authors.some(author => author && (
+      (author.userId && authorKeys.has((author.userId._id || author.userId).toString())) ||
+      (author.email && authorKeys.has(author.email.toLowerCase()))
+    ));
+  }
+
+  /**
+   * Run the similarity check for a submission and store the report on it
+   * @param {string} submissionId
+   * @returns {Object} Similarity report
+   */
+  async checkSubmission(submissionId) {
+    const submission = await ResearchSubmission.findById(submissionId)
+      .select('title abstract paperUpload correspondingAuthor coAuthors submissionNumber');
+
+    if (!submission) {
+      throw new Error('Submission not found');
+    }
+
+    await ResearchSubmission.updateOne(
+      { _id: submission._id },
+      { $set: { 'similarityReport.status': 'pending' } }
+    );
+
+    try {
+      let extractedText = null;
+      if (submission.paperUpload && submission.paperUpload.filePath) {
+        extractedText = await this.extractText(submission.paperUpload.filePath);
+      }
+
+      // Without a readable file fall back to the title and abstract
+      const textSource = extractedText && extractedText.trim() ? 'full_text' : 'abstract';
+      const paperText = textSource === 'full_text'
+        ? extractedText
+        : `${submission.title} ${submission.abstract}`;
+
+      const tokens = this.tokenize(paperText);
+      const paper = { ...tokens, shingles: this.getShingles(tokens.words) };
+      const authorKeys = this.getAuthorKeys(submission);
+      const matches = [];
+
+      const addMatch = (result, match) => {
+        if (result && result.score >= REPORT_THRESHOLD) {
+          matches.push({ ...match, ...result });
+        }
+      };
+
+      // Other submissions, using their full text where we have it
+      const submissionCursor = ResearchSubmission.find({
+        _id: { $ne: submission._id },
+        status: { $ne: 'draft' }
+      })
+        .select('+extractedText title abstract conferenceYear correspondingAuthor coAuthors')
+        .cursor();
+
+      for await (const other of submissionCursor) {
+        addMatch(
+          this.compare(paper, other.extractedText || `${other.title} ${other.abstract}`),
+          {
+            sourceType: 'submission',
+            sourceId: other._id,
+            title: other.title,
+            conferenceYear: other.conferenceYear,
+            sharedAuthor: this.hasSharedAuthor(authorKeys, [other.correspondingAuthor, ...other.coAuthors])
+          }
+        );
+      }
+
+      // Past conference presentations
+      const presentationCursor = ResearchPresentation.find({})
+        .select('title abstract conferenceYear authors.userId authors.email')
+        .cursor();
+
+      for await (const presentation of presentationCursor) {
+        addMatch(
+          this.compare(paper, `${presentation.title} ${presentation.abstract || ''}`),
+          {
+            sourceType: 'presentation',
+            sourceId: presentation._id,
+            title: presentation.title,
+            conferenceYear: presentation.conferenceYear,
+            sharedAuthor: this.hasSharedAuthor(authorKeys, presentation.authors)
+          }
+        );
+      }
+
+      // Library documents with extracted text (proceedings, programs, ...)
+      const documentCursor = Document.find({
+        extractedText: { $exists: true, $ne: '' },
+        status: { $ne: 'deleted' }
+      })
+        .select('+extractedText title conferenceYear')
+        .cursor();
+
+      for await (const document of documentCursor) {
+        addMatch(
+          this.compare(paper, document.extractedText),
+          {
+            sourceType: 'document',
+            sourceId: document._id,
+            title: document.title,
+            conferenceYear: document.conferenceYear,
+            sharedAuthor: false
+          }
+        );
+      }
+
+      matches.sort((a, b) => b.score - a.score);
+      const highestScore = matches.length > 0 ? matches[0].score : 0;
+
+      const report = {
+        status: 'completed',
+        checkedDate: new Date(),
+        textSource,
+        highestScore,
+        flagged: highestScore >= FLAG_THRESHOLD,
+        matches: matches.slice(0, MAX_MATCHES)
+      };
+
+      const update = { similarityReport: report };
+      if (textSource === 'full_text') {
+        update.extractedText = extractedText;
+      }
+
+      await ResearchSubmission.updateOne({ _id: submission._id }, { $set: update });
+
+      logger.info('Similarity check completed', {
+        submissionId: submission._id,
+        submissionNumber: submission.submissionNumber,
+        textSource,
+        matches: matches.length,
+        highestScore,
+        service: 'PaperSimilarityService',
+        method: 'checkSubmission'
+      });
+
+      return report;
+    } catch (error) {
+      await ResearchSubmission.updateOne(
+        { _id: submission._id },
+        {
+          $set: {
+            similarityReport: {
+              status: 'failed',
+              checkedDate: new Date(),
+              error: error.message
+            }
+          }
+        }
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Run the similarity check in the background, logging instead of throwing
+   * @param {string} submissionId
+   */
+  async checkSubmissionSafely(submissionId) {
+    try {
+      await this.checkSubmission(submissionId);
+    } catch (error) {
+      logger.error('Similarity check failed', {
+        submissionId,
+        error: error.message,
+        stack: error.stack,
+        service: 'PaperSimilarityService',
+        method: 'checkSubmissionSafely'
+      });
+    }
+  }
+}
+
+module.exports = new PaperSimilarityService();
@@ -0,0 +1,523 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const ResearchSubmission = require('../models/ResearchSubmission');
+const Document = require('../models/Document');
+const logger = require('../config/logger');
+
+/**
+ * Proceedings Compiler Service
+ * Assembles the proceedings volume for a conference: front matter (cover,
+ * conference officers and table of contents), every accepted proceedings
+ * paper stamped with running headers and page numbers, and an author index,
+ * merged into one PDF. The page range each paper received is written back to
+ * its proceedings publication record together with the volume and issue.
+ */
+
+// Papers that can be placed in a volume when editors pick them explicitly
+const VOLUME_STATUSES = ['proceedings_accepted', 'published'];
+
+// Officer positions in the order they are listed, with their printed titles
+const OFFICER_TITLES = [
+  ['president', 'President'],
+  ['vicePresident', 'Vice President'],
+  ['secretaryTreasurer', 'Secretary-Treasurer'],
+  ['conferenceChairman', 'Conference Chair'],
+  ['studentSessionCoordinator', 'Student Session Coordinator'],
+  ['jobieEditor', 'JOBIE Editor'],
+  ['webmasters', 'Webmaster'],
+  ['programDesigner', 'Program Designer']
+];
+
+const VOLUMES_DIRECTORY = 'uploads/proceedings/volumes';
+
+// US Letter, in points
+const PAGE_SIZE = [612, 792];
+const MARGIN = 72;
+const STAMP_COLOR = rgb(0.35, 0.35, 0.35);
+
+// The standard PDF fonts only cover WinAnsi; fold accents and typographic
+// punctuation to their plain equivalents and replace anything else
+const toWinAnsi = (text) => String(text || '')
+  .replace(/[\u2018\u2019]/g, '\'')
+  .replace(/[\u201C\u201D]/g, '"')
+  .replace(/[\u2013\u2014]/g, '-')
+  .replace(/\u2026/g, '...')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?');
+
+const toRoman = (number) => {
+  const numerals = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+  ];
+  let remaining = number;
+  let roman = '';
+
+  for (const [value, numeral] of numerals) {
+    while (remaining >= value) {
+      roman += numeral;
+      remaining -= value;
+    }
+  }
+
+  return roman;
+};
+
+class ProceedingsCompilerService {
+  /**
+   * Find the papers that go into a conference's proceedings volume
+   * Without an explicit selection, papers already placed in a volume are left
+   * out so compiling a later volume does not re-paginate them.
+   * @param {ObjectId} conferenceId
+   * @param {Array} submissionIds - Optional explicit selection and order
+   * @returns {Promise<Array>} ResearchSubmission documents in volume order
+   */
+  async findPapers(conferenceId, submissionIds = null) {
+    const query = submissionIds
+      ? { conferenceId, status: { $in: VOLUME_STATUSES }, _id: { $in: submissionIds } }
+      : {
+          conferenceId,
+          $or: [
+            { status: 'proceedings_accepted' },
+            { status: 'published', 'proceedings.publication.proceedingsVolume': { $in: [null, ''] } }
+          ]
+        };
+
+    const papers = await ResearchSubmission.find(query);
+
+    if (submissionIds) {
+      const position = new Map(submissionIds.map((id, index) => [id.toString(), index]));
+      return papers.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+    }
+
+    return papers.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * The file that should be printed for a paper: the latest revision, or the final paper
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Object|null} { filePath, originalName }
+   */
+  getPaperFile(submission) {
+    const proceedings = submission.proceedings || {};
+    const revisions = proceedings.revisions || [];
+    const latest = revisions.length > 0 ? revisions[revisions.length - 1] : proceedings.finalPaper;
+
+    return latest && latest.filePath ? latest : null;
+  }
+
+  /**
+   * Authors of a paper in byline order, leaving out co-authors who declined authorship
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Array} [{ firstName, lastName, institution }]
+   */
+  getAuthors(submission) {
+    const coAuthors = (submission.coAuthors || [])
+      .filter(author => !(author.authorship && author.authorship.status === 'declined'))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    return [submission.correspondingAuthor, ...coAuthors].map(author => ({
+      firstName: author.name.firstName,
+      lastName: author.name.lastName,
+      institution: author.affiliation ? author.affiliation.institution : ''
+    }));
+  }
+
+  /**
+   * Load every paper's PDF and work out the page range it will occupy
+   * Papers are numbered from page 1; the front matter uses roman numerals so
+   * adding officers or table of contents pages never shifts paper pages.
+   * @param {Array} submissions - ResearchSubmission documents in volume order
+   * @returns {Object} { papers: [{ submission, pdf, authors, pageNumbers }], problems: [{ submissionId, title, reason }], lastPage }
+   */
+  async planVolume(submissions) {
+    const papers = [];
+    const problems = [];
+    let nextPage = 1;
+
+    for (const submission of submissions) {
+      const file = this.getPaperFile(submission);
+      const problem = (reason) => problems.push({
+        submissionId: submission._id,
+        submissionNumber: submission.submissionNumber,
+        title: submission.title,
+        reason
+      });
+
+      if (!file) {
+        problem('No proceedings paper has been uploaded');
+        continue;
+      }
+
+      let pdf;
+      try {
+        pdf = await PDFDocument.load(await fs.readFile(file.filePath), { ignoreEncryption: true });
+      } catch (error) {
+        problem(`Paper file could not be read: ${error.message}`);
+        continue;
+      }
+
+      const pageCount = pdf.getPageCount();
+      papers.push({
+        submission,
+        pdf,
+        authors: this.getAuthors(submission),
+        pageNumbers: { start: nextPage, end: nextPage + pageCount - 1 }
+      });
+      nextPage += pageCount;
+    }
+
+    return { papers, problems, lastPage: nextPage - 1 };
+  }
+
+  /**
+   * Build the merged volume PDF
+   * @param {Object} conference - Conference document
+   * @param {Object} plan - Result of planVolume
+   * @param {Object} options - { volume, issue }
+   * @returns {Promise<Object>} { bytes, pageCount, frontMatterPages }
+   */
+  async buildVolume(conference, plan, { volume, issue }) {
+    const volumePdf = await PDFDocument.create();
+    const fonts = {
+      regular: await volumePdf.embedFont(StandardFonts.TimesRoman),
+      bold: await volumePdf.embedFont(StandardFonts.TimesRomanBold),
+      italic: await volumePdf.embedFont(StandardFonts.TimesRomanItalic)
+    };
+    const volumeLabel = `Volume ${volume}${issue ? `, Issue ${issue}` : ''}`;
+    const runningHead = toWinAnsi(`${conference.name} ${conference.year} Proceedings, ${volumeLabel}`);
+
+    volumePdf.setTitle(toWinAnsi(`${conference.fullName || conference.name} ${conference.year} Proceedings, ${volumeLabel}`));
+    volumePdf.setAuthor('SOBIE Conference');
+    volumePdf.setCreator('SOBIE Conference Management System');
+
+    // Front matter
+    const writer = this.createWriter(volumePdf, fonts);
+    this.writeCover(writer, conference, volumeLabel);
+    writer.newPage();
+    this.writeOfficers(writer, conference);
+    writer.newPage();
+    this.writeTableOfContents(writer, plan.papers);
+
+    const frontMatterPages = volumePdf.getPageCount();
+    volumePdf.getPages().forEach((page, index) => {
+      if (index > 0) this.stampFooter(page, fonts.regular, toRoman(index + 1));
+    });
+
+    // Papers, stamped with the running head and their volume page numbers
+    for (const paper of plan.papers) {
+      const pages = await volumePdf.copyPages(paper.pdf, paper.pdf.getPageIndices());
+
+      pages.forEach((page, index) => {
+        volumePdf.addPage(page);
+        this.stampHeader(page, fonts.italic, runningHead, toWinAnsi(paper.submission.title));
+        this.stampFooter(page, fonts.regular, String(paper.pageNumbers.start + index));
+      });
+    }
+
+    // Author index continues the paper numbering
+    const indexStart = volumePdf.getPageCount();
+    const indexWriter = this.createWriter(volumePdf, fonts);
+    this.writeAuthorIndex(indexWriter, plan.papers);
+    volumePdf.getPages().slice(indexStart).forEach((page, index) => {
+      this.stampFooter(page, fonts.regular, String(plan.lastPage + index + 1));
+    });
+
+    const bytes = await volumePdf.save();
+
+    return { bytes: Buffer.from(bytes), pageCount: volumePdf.getPageCount(), frontMatterPages };
+  }
+
+  /**
+   * Simple top-to-bottom text writer that adds pages as it runs out of room
+   * @param {Object} pdf - pdf-lib PDFDocument
+   * @param {Object} fonts - { regular, bold, italic }
+   * @returns {Object} Writer
+   */
+  createWriter(pdf, fonts) {
+    const width = PAGE_SIZE[0] - MARGIN * 2;
+    const writer = {
+      page: null,
+      y: 0,
+      newPage() {
+        writer.page = pdf.addPage(PAGE_SIZE);
+        writer.y = PAGE_SIZE[1] - MARGIN;
+      },
+      ensureSpace(height) {
+        if (writer.y - height < MARGIN) writer.newPage();
+      },
+      space(height) {
+        writer.y -= height;
+      },
+      wrap(text, font, size, maxWidth = width) {
+        const lines = [];
+        let line = '';
+
+        for (const word of toWinAnsi(text).split(/\s+/).filter(Boolean)) {
+          const candidate = line ? `${line} ${word}` : word;
+          if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+            lines.push(line);
+            line = word;
+          } else {
+            line = candidate;
+          }
+        }
+
+        if (line) lines.push(line);
+        return lines;
+      },
+      text(text, { font = fonts.regular, size = 11, align = 'left', maxWidth = width, indent = 0 } = {}) {
+        for (const line of writer.wrap(text, font, size, maxWidth - indent)) {
+          writer.ensureSpace(size * 1.4);
+          writer.y -= size * 1.4;
+
+          const lineWidth = font.widthOfTextAtSize(line, size);
+          const x = align === 'center'
+            ? (PAGE_SIZE[0] - lineWidth) / 2
+            : align === 'right' ? PAGE_SIZE[0] - MARGIN - lineWidth : MARGIN + indent;
+
+          writer.page.drawText(line, { x, y: writer.y, size, font });
+        }
+      },
+      // Text on the left with a page number flush right on its last line
+      entry(text, pageLabel, { font = fonts.regular, size = 11, indent = 0 } = {}) {
+        const numberWidth = fonts.regular.widthOfTextAtSize(pageLabel, size);
+        const lines = writer.wrap(text, font, size, width - indent - numberWidth - 18);
+        writer.ensureSpace(lines.length * size * 1.4);
+
+        lines.forEach((line, index) => {
+          writer.y -= size * 1.4;
+          writer.page.drawText(line, { x: MARGIN + indent, y: writer.y, size, font });
+
+          if (index === lines.length - 1) {
+            writer.page.drawText(pageLabel, {
+              x: PAGE_SIZE[0] - MARGIN - numberWidth,
+              y: writer.y,
+              size,
+              font: fonts.regular
+            });
+          }
+        });
+      }
+    };
+
+    writer.fonts = fonts;
+    writer.newPage();
+    return writer;
+  }
+
+  /**
+   * Cover page: conference name, edition, volume and issue, venue and dates
+   */
+  writeCover(writer, conference, volumeLabel) {
+    const { bold, regular, italic } = writer.fonts;
+    const location = conference.location || {};
+    const address = location.address || {};
+    const dates = [conference.startDate, conference.endDate]
+      .filter(Boolean)
+      .map(date => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }));
+
+    writer.space(150);
+    writer.text(conference.fullName || conference.name, { font: bold, size: 24, align: 'center' });
+    writer.space(12);
+    if (conference.edition) {
+      writer.text(conference.edition, { font: italic, size: 14, align: 'center' });
+    }
+    writer.space(36);
+    writer.text('PROCEEDINGS', { font: bold, size: 20, align: 'center' });
+    writer.space(8);
+    writer.text(volumeLabel, { font: regular, size: 14, align: 'center' });
+    writer.space(60);
+    writer.text([location.venue, address.city, address.state].filter(Boolean).join(', '), { size: 12, align: 'center' });
+    if (dates.length > 0) {
+      writer.text([...new Set(dates)].join(' - '), { size: 12, align: 'center' });
+    }
+  }
+
+  /**
+   * Conference officers, in Conference.officers order
+   */
+  writeOfficers(writer, conference) {
+    const { bold, italic } = writer.fonts;
+    const officers = conference.officers || {};
+
+    writer.text(`${conference.year} Conference Officers`, { font: bold, size: 16, align: 'center' });
+    writer.space(18);
+
+    for (const [key, title] of OFFICER_TITLES) {
+      const holders = [].concat(officers[key] || []).filter(officer => officer && officer.name);
+
+      for (const officer of holders) {
+        writer.ensureSpace(48);
+        writer.text(officer.name, { font: bold, size: 12, align: 'center' });
+        writer.text(title, { font: italic, size: 11, align: 'center' });
+        if (officer.affiliation) {
+          writer.text(officer.affiliation, { size: 11, align: 'center' });
+        }
+        writer.space(12);
+      }
+    }
+  }
+
+  /**
+   * Paper titles and bylines with their first page
+   */
+  writeTableOfContents(writer, papers) {
+    const { bold, italic } = writer.fonts;
+
+    writer.text('Table of Contents', { font: bold, size: 16, align: 'center' });
+    writer.space(18);
+
+    for (const paper of papers) {
+      writer.ensureSpace(40);
+      writer.entry(paper.submission.title, String(paper.pageNumbers.start), { font: bold, size: 11 });
+      writer.text(paper.authors.map(author => `${author.firstName} ${author.lastName}`).join(', '), { font: italic, size: 10, indent: 12 });
+      writer.space(8);
+    }
+  }
+
+  /**
+   * Every author, last name first, with the first page of each of their papers
+   */
+  writeAuthorIndex(writer, papers) {
+    const { bold } = writer.fonts;
+    const index = new Map();
+
+    for (const paper of papers) {
+      for (const author of paper.authors) {
+        const key = `${author.lastName}|${author.firstName}`.toLowerCase();
+        const entry = index.get(key) || { name: `${author.lastName}, ${author.firstName}`, pages: new Set() };
+        entry.pages.add(paper.pageNumbers.start);
+        index.set(key, entry);
+      }
+    }
+
+    writer.text('Author Index', { font: bold, size: 16, align: 'center' });
+    writer.space(18);
+
+    [...index.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        writer.entry(entry.name, [...entry.pages].sort((a, b) => a - b).join(', '), { size: 10 });
+      });
+  }
+
+  /**
+   * Running head: volume on the left, paper title on the right
+   */
+  stampHeader(page, font, left, right) {
+    const { width, height } = page.getSize();
+    const size = 8;
+    const leftWidth = font.widthOfTextAtSize(left, size);
+    const available = width - 72 - leftWidth - 24;
+
+    page.drawText(left, { x: 36, y: height - 24, size, font, color: STAMP_COLOR });
+
+    // Shorten the paper title to whatever room the running head leaves
+    let title = right;
+    while (title.length > 4 && font.widthOfTextAtSize(title, size) > available) {
+      title = `${title.slice(0, -4).trimEnd()}...`;
+    }
+    if (available > 0 && font.widthOfTextAtSize(title, size) <= available) {
+      page.drawText(title, { x: width - 36 - font.widthOfTextAtSize(title, size), y: height - 24, size, font, color: STAMP_COLOR });
+    }
+  }
+
+  /**
+   * Centered page number
+   */
+  stampFooter(page, font, label) {
+    const { width } = page.getSize();
+    const size = 9;
+
+    page.drawText(label, {
+      x: (width - font.widthOfTextAtSize(label, size)) / 2,
+      y: 20,
+      size,
+      font,
+      color: STAMP_COLOR
+    });
+  }
+
+  /**
+   * Compile, store and record a proceedings volume
+   * @param {Object} conference - Conference document
+   * @param {Object} plan - Result of planVolume, with no problems
+   * @param {Object} options - { volume, issue, compiledBy }
+   * @returns {Promise<Object>} { document, pageCount, frontMatterPages, papers }
+   */
+  async compile(conference, plan, { volume, issue, compiledBy }) {
+    const { bytes, pageCount, frontMatterPages } = await this.buildVolume(conference, plan, { volume, issue });
+
+    const filename = `proceedings-${conference.year}-vol${volume}${issue ? `-${issue}` : ''}-${Date.now()}.pdf`
+      .replace(/[^a-zA-Z0-9.-]/g, '_');
+    const filePath = path.join(VOLUMES_DIRECTORY, filename);
+    await fs.mkdir(VOLUMES_DIRECTORY, { recursive: true });
+    await fs.writeFile(filePath, bytes);
+
+    const title = `${conference.name} ${conference.year} Proceedings, Volume ${volume}${issue ? `, Issue ${issue}` : ''}`;
+    const document = await Document.create({
+      title: title.substring(0, 200),
+      category: 'proceedings',
+      subcategory: 'volume',
+      filename,
+      originalName: filename,
+      filePath,
+      fileSize: bytes.length,
+      mimeType: 'application/pdf',
+      checksum: crypto.createHash('sha256').update(bytes).digest('hex'),
+      conferenceYear: conference.year,
+      uploadedBy: compiledBy
+    });
+
+    conference.documents.push({ type: 'proceedings', title, documentId: document._id });
+    await conference.save();
+
+    for (const paper of plan.papers) {
+      paper.submission.recordProceedingsPlacement({
+        proceedingsVolume: String(volume),
+        proceedingsIssue: issue ? String(issue) : undefined,
+        pageNumbers: paper.pageNumbers
+      });
+      await paper.submission.save();
+    }
+
+    logger.info('Proceedings volume compiled', {
+      conferenceId: conference._id.toString(),
+      volume,
+      issue,
+      papers: plan.papers.length,
+      pageCount,
+      documentId: document._id.toString(),
+      service: 'ProceedingsCompilerService',
+      method: 'compile'
+    });
+
+    return {
+      document,
+      pageCount,
+      frontMatterPages,
+      papers: this.summarize(plan)
+    };
+  }
+
+  /**
+   * Describe where each paper lands in the volume
+   * @param {Object} plan - Result of planVolume
+   * @returns {Array}
+   */
+  summarize(plan) {
+    return plan.papers.map(paper => ({
+      submissionId: paper.submission._id,
+      submissionNumber: paper.submission.submissionNumber,
+      title: paper.submission.title,
+      authors: paper.authors.map(author => `${author.firstName} ${author.lastName}`),
+      pageNumbers: paper.pageNumbers
+    }));
+  }
+}
+
+module.exports = new ProceedingsCompilerService();
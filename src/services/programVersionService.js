@@ -0,0 +1,474 @@
+const Session = require('../models/Session');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const ProgramVersion = require('../models/ProgramVersion');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const agendaService = require('./agendaService');
+const logger = require('../config/logger');
+
+/**
+ * Program Version Service
+ * The sessions in the program builder are the working draft of a
+ * conference program. Publishing compares the draft with the last published
+ * version, saves it as the next version, and sends a schedule-change message
+ * to the people each changed session affects.
+ */
+
+// A session's change type is the most disruptive of its changes
+const CHANGE_PRIORITY = ['cancellation', 'time_change', 'location_change', 'speaker_change', 'content_change'];
+
+// Changes that affect everyone presenting in the session, not only the papers that moved
+const SESSION_WIDE_FIELDS = ['status', 'time', 'location', 'chair', 'title'];
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const toDateKey = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatTime = (snapshot) => {
+  if (!snapshot.date) return `${snapshot.startTime} - ${snapshot.endTime}`;
+  const day = new Date(snapshot.date).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+  return `${day}, ${snapshot.startTime} - ${snapshot.endTime}`;
+};
+
+const formatLocation = (snapshot) => [snapshot.location.room, snapshot.location.building].filter(Boolean).join(', ');
+
+const paperKey = (presentation) => (presentation.submissionId || presentation.presentationId).toString();
+
+class ProgramVersionService {
+  /**
+   * Snapshot a session as it would appear in a published program
+   * @param {Object} session - Session document
+   * @param {Array} presentations - The session's ResearchPresentation documents
+   * @returns {Object}
+   */
+  snapshotSession(session, presentations) {
+    const byId = new Map(presentations.map(presentation => [presentation._id.toString(), presentation]));
+
+    return {
+      sessionId: session._id,
+      sessionNumber: session.sessionNumber,
+      title: session.title,
+      description: session.description,
+      category: session.category,
+      sessionType: session.sessionType,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      location: {
+        roomId: session.location.roomId,
+        room: session.location.room,
+        building: session.location.building,
+        floor: session.location.floor
+      },
+      chair: {
+        name: session.chair && session.chair.name,
+        userId: session.chair && session.chair.userId
+      },
+      status: session.status,
+      presentations: session.presentations
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(presentation => {
+          const presenters = presentation.authors.filter(author => author.isPresenter);
+          return {
+            presentationId: presentation._id,
+            submissionId: presentation.submissionId,
+            title: presentation.title,
+            presenters: (presenters.length > 0 ? presenters : presentation.authors.slice(0, 1)).map(author => ({
+              name: `${author.name.firstName} ${author.name.lastName}`,
+              userId: author.userId
+            }))
+          };
+        })
+    };
+  }
+
+  /**
+   * Snapshot the working draft of a conference's program
+   * Solver drafts have not been accepted into the program and are left out.
+   * @param {ObjectId} conferenceId
+   * @returns {Promise<Array>}
+   */
+  async buildDraft(conferenceId) {
+    const sessions = await Session.find({ conferenceId, 'scheduling.isDraft': { $ne: true } })
+      .sort({ date: 1, startTime: 1, sessionNumber: 1 });
+    const presentations = await ResearchPresentation.find({
+      _id: { $in: sessions.flatMap(session => session.presentations) }
+    }).select('title submissionId authors');
+
+    return sessions.map(session => this.snapshotSession(session, presentations));
+  }
+
+  /**
+   * Compare one session between two versions
+   * @param {Object} before - Published snapshot
+   * @param {Object} after - Draft snapshot
+   * @returns {Object|null} Change entry, or null when nothing changed
+   */
+  diffSession(before, after) {
+    const fields = {};
+
+    if (before.status !== after.status) {
+      fields.status = { from: before.status, to: after.status };
+    }
+    if (toDateKey(before.date) !== toDateKey(after.date) ||
+        before.startTime !== after.startTime || before.endTime !== after.endTime) {
+      fields.time = { from: formatTime(before), to: formatTime(after) };
+    }
+
+    const sameRoom = before.location.roomId && after.location.roomId
+      ? before.location.roomId.toString() === after.location.roomId.toString()
+      : before.location.room === after.location.room;
+    if (!sameRoom || before.location.building !== after.location.building) {
+      fields.location = { from: formatLocation(before), to: formatLocation(after) };
+    }
+
+    const chairKey = (chair) => (chair.userId ? chair.userId.toString() : chair.name || '');
+    if (chairKey(before.chair) !== chairKey(after.chair)) {
+      fields.chair = { from: before.chair.name || '', to: after.chair.name || '' };
+    }
+    if (before.title !== after.title) {
+      fields.title = { from: before.title, to: after.title };
+    }
+
+    const beforePapers = new Map(before.presentations.map(p => [paperKey(p), p]));
+    const afterPapers = new Map(after.presentations.map(p => [paperKey(p), p]));
+    const papersAdded = after.presentations.filter(p => !beforePapers.has(paperKey(p)));
+    const papersRemoved = before.presentations.filter(p => !afterPapers.has(paperKey(p)));
+    if (papersAdded.length > 0 || papersRemoved.length > 0) {
+      fields.papers = {
+        added: papersAdded.map(p => p.title),
+        removed: papersRemoved.map(p => p.title)
+      };
+    }
+
+    if (Object.keys(fields).length === 0) return null;
+
+    const changeTypes = [
+      fields.status && after.status === 'cancelled' && 'cancellation',
+      fields.time && 'time_change',
+      fields.location && 'location_change',
+      fields.chair && 'speaker_change',
+      'content_change'
+    ].filter(Boolean);
+
+    return {
+      kind: 'changed',
+      sessionId: after.sessionId,
+      sessionNumber: after.sessionNumber,
+      title: after.title,
+      changeType: CHANGE_PRIORITY.find(type => changeTypes.includes(type)),
+      fields,
+      before,
+      after,
+      papersAdded,
+      papersRemoved
+    };
+  }
+
+  /**
+   * Compare the working draft with a published version
+   * @param {Array} published - Session snapshots of the published version
+   * @param {Array} draft - Session snapshots of the draft
+   * @returns {Object} { changes, added, removed, changed, hasChanges }
+   */
+  diff(published, draft) {
+    const publishedById = new Map(published.map(session => [session.sessionId.toString(), session]));
+    const draftIds = new Set(draft.map(session => session.sessionId.toString()));
+    const changes = [];
+
+    draft.forEach(session => {
+      const before = publishedById.get(session.sessionId.toString());
+      if (!before) {
+        changes.push({
+          kind: 'added',
+          sessionId: session.sessionId,
+          sessionNumber: session.sessionNumber,
+          title: session.title,
+          changeType: 'addition',
+          fields: {},
+          before: null,
+          after: session,
+          papersAdded: session.presentations,
+          papersRemoved: []
+        });
+        return;
+      }
+
+      const change = this.diffSession(before, session);
+      if (change) changes.push(change);
+    });
+
+    published
+      .filter(session => !draftIds.has(session.sessionId.toString()))
+      .forEach(session => changes.push({
+        kind: 'removed',
+        sessionId: session.sessionId,
+        sessionNumber: session.sessionNumber,
+        title: session.title,
+        changeType: 'cancellation',
+        fields: {},
+        before: session,
+        after: null,
+        papersAdded: [],
+        papersRemoved: session.presentations
+      }));
+
+    return {
+      changes,
+      added: changes.filter(change => change.kind === 'added').length,
+      removed: changes.filter(change => change.kind === 'removed').length,
+      changed: changes.filter(change => change.kind === 'changed').length,
+      hasChanges: changes.length > 0
+    };
+  }
+
+  /**
+   * Describe a change for API responses, without the full snapshots
+   * @param {Object} change
+   * @returns {Object}
+   */
+  summarizeChange(change) {
+    return {
+      kind: change.kind,
+      sessionId: change.sessionId,
+      sessionNumber: change.sessionNumber,
+      title: change.title,
+      changeType: change.changeType,
+      fields: change.fields,
+      papersAdded: change.papersAdded.map(p => ({ submissionId: p.submissionId, title: p.title })),
+      papersRemoved: change.papersRemoved.map(p => ({ submissionId: p.submissionId, title: p.title }))
+    };
+  }
+
+  /**
+   * Users a change affects
+   * Session-wide changes reach everyone presenting in the session before or
+   * after the change and both chairs; when only papers moved, just the
+   * presenters of those papers and the chair hear about it.
+   * @param {Object} change
+   * @returns {string[]} User ids
+   */
+  getAffectedUsers(change) {
+    const sessionWide = change.kind !== 'changed' ||
+      SESSION_WIDE_FIELDS.some(field => change.fields[field]);
+    const presentations = sessionWide
+      ? [...(change.before ? change.before.presentations : []), ...(change.after ? change.after.presentations : [])]
+      : [...change.papersAdded, ...change.papersRemoved];
+
+    const userIds = [
+      ...presentations.flatMap(p => p.presenters.map(presenter => presenter.userId)),
+      change.before && change.before.chair.userId,
+      change.after && change.after.chair.userId
+    ].filter(Boolean).map(id => id.toString());
+
+    return [...new Set(userIds)];
+  }
+
+  /**
+   * Attendees with the changed session or its papers on their agenda
+   * Follows the same split as getAffectedUsers: a paper-only change reaches
+   * just the people who bookmarked the papers that moved.
+   * @param {Object} change
+   * @returns {Promise<string[]>} User ids
+   */
+  async getBookmarkedUsers(change) {
+    const sessionWide = change.kind !== 'changed' ||
+      SESSION_WIDE_FIELDS.some(field => change.fields[field]);
+    const presentations = sessionWide
+      ? [...(change.before ? change.before.presentations : []), ...(change.after ? change.after.presentations : [])]
+      : [...change.papersAdded, ...change.papersRemoved];
+
+    return agendaService.getBookmarkedUsers(
+      sessionWide ? change.sessionId : null,
+      presentations.map(p => ({ presentationId: p.presentationId, submissionId: p.submissionId }))
+    );
+  }
+
+  /**
+   * Build the schedule-change message for a change
+   * @param {Object} change
+   * @param {Object} user - Editor publishing the program
+   * @param {string} reason
+   * @returns {Object} Unsaved Message document
+   */
+  buildMessage(change, user, reason) {
+    const before = change.before || change.after;
+    const after = change.after || change.before;
+    const describe = (snapshot) => ({
+      time: formatTime(snapshot),
+      location: formatLocation(snapshot),
+      speaker: snapshot.chair.name || '',
+      title: snapshot.title
+    });
+
+    const message = Message.createScheduleChange(
+      change.sessionId,
+      {
+        changeType: change.changeType,
+        originalData: change.before ? describe(before) : { title: after.title },
+        newData: change.after && change.after.status !== 'cancelled' ? describe(after) : {}
+      },
+      user._id,
+      reason
+    );
+
+    const lines = [];
+    if (change.kind === 'added') lines.push(`New session: ${after.title}, ${formatTime(after)} in ${formatLocation(after)}`);
+    if (change.kind === 'removed') lines.push(`The session ${before.title} has been removed from the program.`);
+    if (change.changeType === 'cancellation' && change.kind === 'changed') lines.push(`The session ${before.title} has been cancelled.`);
+    if (change.fields.time) lines.push(`Time: ${change.fields.time.from} -> ${change.fields.time.to}`);
+    if (change.fields.location) lines.push(`Room: ${change.fields.location.from} -> ${change.fields.location.to}`);
+    if (change.fields.chair) lines.push(`Session chair: ${change.fields.chair.from || 'none'} -> ${change.fields.chair.to || 'none'}`);
+    if (change.fields.title) lines.push(`Title: ${change.fields.title.from} -> ${change.fields.title.to}`);
+    if (change.kind === 'changed') {
+      change.papersAdded.forEach(p => lines.push(`Added paper: ${p.title}`));
+      change.papersRemoved.forEach(p => lines.push(`Removed paper: ${p.title}`));
+    }
+
+    message.content = `${message.content}\n\n${lines.join('\n')}`.substring(0, MAX_MESSAGE_LENGTH);
+    return message;
+  }
+
+  /**
+   * Send one change's message and in-app notifications
+   * @param {Object} change
+   * @param {Object} conferenceId
+   * @param {Object} user
+   * @param {string} reason
+   * @returns {Promise<Object>} { messageId, recipientCount }
+   */
+  async notifyChange(change, conferenceId, user, reason) {
+    const userIds = [...new Set([
+      ...this.getAffectedUsers(change),
+      ...await this.getBookmarkedUsers(change)
+    ])];
+    if (userIds.length === 0) {
+      return { messageId: null, recipientCount: 0 };
+    }
+
+    const message = this.buildMessage(change, user, reason);
+    message.conferenceId = conferenceId;
+    message.recipients = userIds.map(userId => ({ userId, readStatus: 'unread' }));
+    message.totalRecipients = userIds.length;
+    message.deliveryStatus = 'sent';
+    message.actualSendTime = new Date();
+    await message.save();
+
+    await Notification.createBulkNotifications(userIds, {
+      title: 'Schedule Change Alert',
+      message: `Change to session ${change.title}: ${change.changeType.replace('_', ' ')}`.substring(0, 500),
+      type: 'schedule_change',
+      priority: 'high',
+      sourceType: 'admin',
+      sourceId: user._id,
+      sourceModel: 'User',
+      messageId: message._id,
+      sessionId: change.sessionId,
+      conferenceId,
+      actionRequired: true,
+      actionType: 'view',
+      actionUrl: `/messages/${message._id}`,
+      icon: 'calendar',
+      color: 'red'
+    });
+
+    return { messageId: message._id, recipientCount: userIds.length };
+  }
+
+  /**
+   * Compare the working draft with the published program
+   * @param {ObjectId} conferenceId
+   * @returns {Promise<Object>} { published, draft, diff }
+   */
+  async getDiff(conferenceId) {
+    const published = await ProgramVersion.getLatest(conferenceId);
+    const draft = await this.buildDraft(conferenceId);
+
+    return {
+      published,
+      draft,
+      diff: this.diff(published ? published.sessions : [], draft)
+    };
+  }
+
+  /**
+   * Publish the working draft as the next program version
+   * The first version introduces the program and sends no change messages.
+   * @param {ObjectId} conferenceId
+   * @param {Object} user - Editor publishing the program
+   * @param {Object} options - { notes, reason, notifyAffected }
+   * @returns {Promise<Object>} { version, diff, notified, failed }
+   */
+  async publish(conferenceId, user, { notes, reason, notifyAffected = true } = {}) {
+    const { published, draft, diff } = await this.getDiff(conferenceId);
+
+    if (published && !diff.hasChanges) {
+      return { error: 'The draft program has no changes since the last published version' };
+    }
+
+    const versionNumber = published ? published.version + 1 : 1;
+    const changes = [];
+    let notified = 0;
+    let failed = 0;
+
+    // A failed delivery is recorded on its change so the rest still go out
+    // and the version is stored complete
+    if (published) {
+      for (const change of diff.changes) {
+        let delivery = { messageId: null, recipientCount: 0 };
+
+        if (notifyAffected) {
+          try {
+            delivery = await this.notifyChange(change, conferenceId, user, reason || `Program version ${versionNumber} published`);
+          } catch (error) {
+            failed++;
+            delivery.notificationError = error.message;
+            logger.error('Failed to send schedule change message', {
+              service: 'ProgramVersionService',
+              method: 'publish',
+              conferenceId: conferenceId.toString(),
+              sessionId: change.sessionId.toString(),
+              error: error.message
+            });
+          }
+        }
+
+        changes.push({
+          sessionId: change.sessionId,
+          sessionNumber: change.sessionNumber,
+          title: change.title,
+          changeType: change.changeType,
+          fields: Object.keys(change.fields),
+          ...delivery
+        });
+        notified += delivery.recipientCount;
+      }
+    }
+
+    const version = await ProgramVersion.create({
+      conferenceId,
+      version: versionNumber,
+      publishedBy: user._id,
+      notes,
+      sessions: draft,
+      changes
+    });
+
+    logger.info('Program version published', {
+      service: 'ProgramVersionService',
+      method: 'publish',
+      conferenceId: conferenceId.toString(),
+      version: version.version,
+      changes: diff.changes.length,
+      notified,
+      failed
+    });
+
+    return { version, diff, notified, failed };
+  }
+}
+
+module.exports = new ProgramVersionService();
@@ -0,0 +1,259 @@
+const ResearchSubmission = require('../models/ResearchSubmission');
+const { getReviewWeightedScore } = require('../utils/reviewRubric');
+const logger = require('../config/logger');
+
+/**
+ * Review Calibration Service
+ * Measures how harsh or lenient each reviewer is within a conference and
+ * re-ranks submissions on calibrated review scores so one harsh or generous
+ * reviewer does not decide a paper's fate.
+ *
+ * Two scales are used, each for one purpose:
+ * - The ranking uses calibrated scores on the conference's 0-1 scale. A
+ *   calibrated reviewer's score is re-expressed from their own mean and
+ *   spread; reviews by other reviewers are taken as given.
+ * - Outlier flags use conference-wide z-scores of the raw scores, so whether a
+ *   review is flagged does not depend on how many papers its reviewer had.
+ */
+
+// Reviewers need at least this many scored reviews before their own mean/spread is trusted
+const DEFAULT_MIN_REVIEWS = 3;
+
+// A review is an outlier when its conference-wide z-score is this far from the other reviews of the same paper
+const DEFAULT_OUTLIER_THRESHOLD = 1.5;
+
+// Reviewers whose mean sits this many conference standard deviations from the conference mean are flagged
+const HARSHNESS_THRESHOLD = 1;
+
+const round = (value, places = 3) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+class ReviewCalibrationService {
+  /**
+   * Mean and population standard deviation of a list of numbers
+   * @param {number[]} values
+   * @returns {Object} { mean, stdDev }
+   */
+  getStats(values) {
+    if (values.length === 0) return { mean: null, stdDev: null };
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+
+    return { mean, stdDev: Math.sqrt(variance) };
+  }
+
+  /**
+   * Collect every scored, completed review in a set of submissions
+   * @param {Array} submissions - ResearchSubmission documents
+   * @returns {Array} [{ submission, reviewerId, reviewer, score, recommendation }]
+   */
+  collectReviews(submissions) {
+    const reviews = [];
+
+    submissions.forEach(submission => {
+      submission.reviewWorkflow.reviewers
+        .filter(r => r.status === 'completed' && r.review && r.userId)
+        .forEach(r => {
+          const score = getReviewWeightedScore(r.review);
+          if (score === null) return;
+
+          reviews.push({
+            submission,
+            reviewerId: (r.userId._id || r.userId).toString(),
+            reviewer: r.userId,
+            score,
+            recommendation: r.review.recommendation
+          });
+        });
+    });
+
+    return reviews;
+  }
+
+  /**
+   * Build the calibration report for a set of submissions
+   * @param {Array} submissions - ResearchSubmission documents with reviewers populated
+   * @param {Object} options - { minReviews, outlierThreshold }
+   * @returns {Object} { conference, reviewers, submissions, outliers, settings }
+   */
+  buildCalibration(submissions, options = {}) {
+    const minReviews = parseInt(options.minReviews) || DEFAULT_MIN_REVIEWS;
+    const outlierThreshold = parseFloat(options.outlierThreshold) || DEFAULT_OUTLIER_THRESHOLD;
+
+    const reviews = this.collectReviews(submissions);
+    const conference = this.getStats(reviews.map(r => r.score));
+
+    // Per-reviewer mean and spread
+    const reviewerStats = new Map();
+    reviews.forEach(review => {
+      if (!reviewerStats.has(review.reviewerId)) {
+        reviewerStats.set(review.reviewerId, { reviewer: review.reviewer, scores: [] });
+      }
+      reviewerStats.get(review.reviewerId).scores.push(review.score);
+    });
+
+    reviewerStats.forEach(entry => {
+      Object.assign(entry, this.getStats(entry.scores));
+      // Too few reviews, or identical scores, cannot be normalized against the reviewer's own scale
+      entry.calibrated = entry.scores.length >= minReviews && entry.stdDev > 0;
+    });
+
+    const toConferenceZ = (score) => conference.stdDev > 0 ? (score - conference.mean) / conference.stdDev : 0;
+
+    reviews.forEach(review => {
+      const stats = reviewerStats.get(review.reviewerId);
+
+      // Conference scale, for outlier flags
+      review.zScore = toConferenceZ(review.score);
+
+      // Calibrated score on the conference scale, for the ranking
+      review.calibratedScore = stats.calibrated
+        ? conference.mean + ((review.score - stats.mean) / stats.stdDev) * conference.stdDev
+        : review.score;
+    });
+
+    const reviewerReport = [...reviewerStats.entries()].map(([reviewerId, entry]) => {
+      const leniency = conference.stdDev > 0 ? (entry.mean - conference.mean) / conference.stdDev : 0;
+      let tendency = 'typical';
+      if (entry.scores.length >= minReviews) {
+        if (leniency <= -HARSHNESS_THRESHOLD) tendency = 'harsh';
+        else if (leniency >= HARSHNESS_THRESHOLD) tendency = 'lenient';
+      }
+
+      return {
+        reviewerId,
+        name: entry.reviewer && entry.reviewer.name
+          ? `${entry.reviewer.name.firstName} ${entry.reviewer.name.lastName}`
+          : null,
+        email: entry.reviewer ? entry.reviewer.email : undefined,
+        reviewCount: entry.scores.length,
+        mean: round(entry.mean),
+        stdDev: round(entry.stdDev),
+        leniency: round(leniency),
+        tendency,
+        calibrated: entry.calibrated
+      };
+    }).sort((a, b) => a.leniency - b.leniency);
+
+    // Group reviews back onto their submissions
+    const bySubmission = new Map();
+    reviews.forEach(review => {
+      const key = review.submission._id.toString();
+      if (!bySubmission.has(key)) bySubmission.set(key, []);
+      bySubmission.get(key).push(review);
+    });
+
+    const outliers = [];
+    const submissionReport = [];
+
+    bySubmission.forEach(submissionReviews => {
+      const submission = submissionReviews[0].submission;
+      const rawScore = submissionReviews.reduce((sum, r) => sum + r.score, 0) / submissionReviews.length;
+      const calibratedScore = submissionReviews.reduce((sum, r) => sum + r.calibratedScore, 0) / submissionReviews.length;
+      const zScore = toConferenceZ(calibratedScore);
+
+      // Compare each review with the other reviews of the same paper
+      if (submissionReviews.length >= 2) {
+        submissionReviews.forEach(review => {
+          const others = submissionReviews.filter(r => r !== review);
+          const othersZ = others.reduce((sum, r) => sum + r.zScore, 0) / others.length;
+          const deviation = review.zScore - othersZ;
+
+          if (Math.abs(deviation) >= outlierThreshold) {
+            const stats = reviewerStats.get(review.reviewerId);
+            outliers.push({
+              submissionId: submission._id,
+              submissionNumber: submission.submissionNumber,
+              title: submission.title,
+              reviewerId: review.reviewerId,
+              reviewerName: stats.reviewer && stats.reviewer.name
+                ? `${stats.reviewer.name.firstName} ${stats.reviewer.name.lastName}`
+                : null,
+              score: round(review.score),
+              zScore: round(review.zScore),
+              othersZScore: round(othersZ),
+              deviation: round(deviation),
+              direction: deviation < 0 ? 'harsher' : 'more_lenient',
+              recommendation: review.recommendation
+            });
+          }
+        });
+      }
+
+      submissionReport.push({
+        submissionId: submission._id,
+        submissionNumber: submission.submissionNumber,
+        title: submission.title,
+        status: submission.status,
+        reviewCount: submissionReviews.length,
+        rawScore: round(rawScore),
+        zScore: round(zScore),
+        // Clamped for readability; the ranking uses zScore
+        calibratedScore: round(Math.min(1, Math.max(0, calibratedScore)))
+      });
+    });
+
+    // Rank by raw and by calibrated score so the committee can see who moved
+    [...submissionReport]
+      .sort((a, b) => b.rawScore - a.rawScore)
+      .forEach((entry, index) => { entry.rawRank = index + 1; });
+
+    submissionReport
+      .sort((a, b) => b.zScore - a.zScore)
+      .forEach((entry, index) => {
+        entry.calibratedRank = index + 1;
+        entry.rankChange = entry.rawRank - entry.calibratedRank;
+      });
+
+    return {
+      conference: {
+        reviewCount: reviews.length,
+        reviewerCount: reviewerReport.length,
+        submissionCount: submissionReport.length,
+        mean: round(conference.mean),
+        stdDev: round(conference.stdDev)
+      },
+      reviewers: reviewerReport,
+      submissions: submissionReport,
+      outliers: outliers.sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation)),
+      settings: {
+        minReviews,
+        outlierThreshold,
+        harshnessThreshold: HARSHNESS_THRESHOLD
+      }
+    };
+  }
+
+  /**
+   * Build the calibration report for every reviewed submission in a conference
+   * @param {string} conferenceId
+   * @param {Object} options - { minReviews, outlierThreshold }
+   * @returns {Object} Calibration report
+   */
+  async getConferenceReport(conferenceId, options = {}) {
+    const submissions = await ResearchSubmission.find({
+      conferenceId,
+      'reviewWorkflow.reviewers.status': 'completed'
+    })
+      .select('submissionNumber title status reviewWorkflow.reviewers')
+      .populate('reviewWorkflow.reviewers.userId', 'name email');
+
+    const report = this.buildCalibration(submissions, options);
+
+    logger.info('Reviewer calibration report generated', {
+      conferenceId,
+      reviews: report.conference.reviewCount,
+      outliers: report.outliers.length,
+      service: 'ReviewCalibrationService',
+      method: 'getConferenceReport'
+    });
+
+    return report;
+  }
+}
+
+module.exports = new ReviewCalibrationService();
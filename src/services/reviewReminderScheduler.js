@@ -0,0 +1,318 @@
+const ResearchSubmission = require('../models/ResearchSubmission');
+const emailService = require('./emailService');
+const logger = require('../config/logger');
+
+/**
+ * Review Reminder Scheduler
+ * Runs once a day to remind reviewers of upcoming and missed deadlines,
+ * mark late reviewers as overdue and alert editors about stuck papers
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Used when a conference has not configured its own reminder cadence
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  daysBeforeDeadline: [7, 3, 1],
+  overdueIntervalDays: 3,
+  maxReminders: 5,
+  editorAlertAfterDays: 7
+};
+
+// Do not remind the same reviewer twice within this window
+const MIN_HOURS_BETWEEN_REMINDERS = 20;
+
+class ReviewReminderScheduler {
+  constructor() {
+    this.timeout = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the daily schedule
+   * @param {Object} options - { runHour } hour of day (0-23, server time) to run the check
+   */
+  start(options = {}) {
+    if (this.timeout || this.interval) return;
+
+    const runHour = options.runHour !== undefined ? options.runHour : 8;
+    const now = new Date();
+    const firstRun = new Date(now);
+    firstRun.setHours(runHour, 0, 0, 0);
+    if (firstRun <= now) {
+      firstRun.setDate(firstRun.getDate() + 1);
+    }
+
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.runSafely();
+      this.interval = setInterval(() => this.runSafely(), DAY_MS);
+      this.interval.unref();
+    }, firstRun - now);
+    this.timeout.unref();
+
+    logger.info('Review reminder scheduler started', {
+      firstRun: firstRun.toISOString(),
+      service: 'ReviewReminderScheduler',
+      method: 'start'
+    });
+  }
+
+  /**
+   * Stop the daily schedule
+   */
+  stop() {
+    clearTimeout(this.timeout);
+    clearInterval(this.interval);
+    this.timeout = null;
+    this.interval = null;
+  }
+
+  /**
+   * Run the daily check, logging instead of throwing
+   */
+  async runSafely() {
+    try {
+      await this.runDailyCheck();
+    } catch (error) {
+      logger.error('Review reminder check failed', {
+        error: error.message,
+        stack: error.stack,
+        service: 'ReviewReminderScheduler',
+        method: 'runSafely'
+      });
+    }
+  }
+
+  /**
+   * Resolve the reminder cadence for a conference
+   * @param {Object} conference - Conference document (may be unpopulated)
+   * @returns {Object} Reminder settings
+   */
+  getReminderSettings(conference) {
+    const settings = conference?.reviewSettings?.reminders || {};
+
+    return {
+      enabled: settings.enabled !== undefined ? settings.enabled : DEFAULT_REMINDER_SETTINGS.enabled,
+      daysBeforeDeadline: settings.daysBeforeDeadline && settings.daysBeforeDeadline.length
+        ? [...settings.daysBeforeDeadline]
+        : DEFAULT_REMINDER_SETTINGS.daysBeforeDeadline,
+      overdueIntervalDays: settings.overdueIntervalDays || DEFAULT_REMINDER_SETTINGS.overdueIntervalDays,
+      // 0 is a valid setting for these two: no reminders, alert as soon as the deadline passes
+      maxReminders: settings.maxReminders ?? DEFAULT_REMINDER_SETTINGS.maxReminders,
+      editorAlertAfterDays: settings.editorAlertAfterDays ?? DEFAULT_REMINDER_SETTINGS.editorAlertAfterDays,
+      requiredReviews: conference?.reviewSettings?.assignment?.reviewersPerPaper || 2
+    };
+  }
+
+  /**
+   * Decide whether a reviewer is due a reminder today
+   * @param {Object} reviewer - reviewWorkflow.reviewers entry
+   * @param {number} daysRemaining - Days until the review deadline (negative when overdue)
+   * @param {Object} settings - Reminder settings
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isReminderDue(reviewer, daysRemaining, settings, now) {
+    if (reviewer.remindersSent >= settings.maxReminders) return false;
+
+    if (reviewer.lastReminderDate &&
+        now - reviewer.lastReminderDate < MIN_HOURS_BETWEEN_REMINDERS * 60 * 60 * 1000) {
+      return false;
+    }
+
+    if (daysRemaining >= 0) {
+      return settings.daysBeforeDeadline.includes(daysRemaining);
+    }
+
+    // Once overdue, remind on the first day and then every overdueIntervalDays
+    const daysOverdue = -daysRemaining;
+    return daysOverdue === 1 || daysOverdue % settings.overdueIntervalDays === 0;
+  }
+
+  /**
+   * Check every submission under review against its review deadline
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Object} Summary of actions taken
+   */
+  async runDailyCheck(now = new Date()) {
+    if (this.isRunning) {
+      logger.warn('Review reminder check already running, skipping', {
+        service: 'ReviewReminderScheduler',
+        method: 'runDailyCheck'
+      });
+      return null;
+    }
+
+    this.isRunning = true;
+    const summary = {
+      submissionsChecked: 0,
+      remindersSent: 0,
+      markedOverdue: 0,
+      editorAlerts: 0
+    };
+
+    try {
+      const submissions = await ResearchSubmission.find({
+        status: { $in: ['under_review', 'revised'] },
+        'reviewWorkflow.reviewDeadline': { $exists: true, $ne: null },
+        'reviewWorkflow.reviewers.status': { $in: ['invited', 'accepted', 'overdue'] }
+      })
+        .populate('conferenceId', 'name year reviewSettings')
+        .populate('reviewWorkflow.reviewers.userId', 'name email')
+        .populate('reviewWorkflow.editor.userId', 'name email');
+
+      for (const submission of submissions) {
+        const settings = this.getReminderSettings(submission.conferenceId);
+        if (!settings.enabled) continue;
+
+        summary.submissionsChecked++;
+        const result = await this.processSubmission(submission, settings, now);
+        summary.remindersSent += result.remindersSent;
+        summary.markedOverdue += result.markedOverdue;
+        summary.editorAlerts += result.editorAlerted ? 1 : 0;
+      }
+
+      this.lastRun = now;
+
+      logger.info('Review reminder check completed', {
+        ...summary,
+        service: 'ReviewReminderScheduler',
+        method: 'runDailyCheck'
+      });
+
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Send reminders, mark overdue reviewers and alert the editor for one submission
+   * @param {Object} submission - ResearchSubmission with reviewers and editor populated
+   * @param {Object} settings - Reminder settings
+   * @param {Date} now
+   * @returns {Object} { remindersSent, markedOverdue, editorAlerted }
+   */
+  async processSubmission(submission, settings, now) {
+    const deadline = submission.reviewWorkflow.reviewDeadline;
+    const daysRemaining = Math.ceil((deadline - now) / DAY_MS);
+    const reminded = [];
+    let markedOverdue = 0;
+
+    const pendingReviewers = submission.reviewWorkflow.reviewers.filter(r =>
+      ['invited', 'accepted', 'overdue'].includes(r.status) && r.userId
+    );
+
+    for (const reviewer of pendingReviewers) {
+      if (daysRemaining < 0 && reviewer.status !== 'overdue') {
+        reviewer.status = 'overdue';
+        reviewer.overdueAt = now;
+        markedOverdue++;
+      }
+
+      if (!this.isReminderDue(reviewer, daysRemaining, settings, now)) continue;
+
+      try {
+        await emailService.sendReviewReminder(
+          reviewer.userId.email,
+          {
+            reviewerName: `${reviewer.userId.name.firstName} ${reviewer.userId.name.lastName}`,
+            title: submission.title,
+            submissionNumber: submission.submissionNumber,
+            deadline,
+            daysRemaining,
+            reminderNumber: reviewer.remindersSent + 1
+          }
+        );
+
+        reviewer.remindersSent += 1;
+        reviewer.lastReminderDate = now;
+        reminded.push(reviewer.userId);
+      } catch (emailError) {
+        logger.error('Failed to send scheduled review reminder', {
+          submissionId: submission._id,
+          reviewerId: reviewer.userId._id,
+          error: emailError.message,
+          service: 'ReviewReminderScheduler',
+          method: 'processSubmission'
+        });
+      }
+    }
+
+    const editorAlerted = await this.alertEditorIfStuck(submission, settings, daysRemaining, now);
+
+    if (reminded.length > 0) {
+      submission.addNotification(
+        'reminder_sent',
+        reminded.map(user => ({ userId: user._id, email: user.email })),
+        `Automatic review reminders sent to ${reminded.length} reviewers`
+      );
+    }
+
+    if (reminded.length > 0 || markedOverdue > 0 || editorAlerted) {
+      await submission.save();
+    }
+
+    return {
+      remindersSent: reminded.length,
+      markedOverdue,
+      editorAlerted
+    };
+  }
+
+  /**
+   * Alert the assigned editor when a paper is past its deadline without enough reviews
+   * Alerts repeat weekly while the paper stays stuck.
+   * @returns {boolean} Whether an alert was sent
+   */
+  async alertEditorIfStuck(submission, settings, daysRemaining, now) {
+    const editor = submission.reviewWorkflow.editor.userId;
+    if (!editor || !editor.email) return false;
+
+    if (-daysRemaining < settings.editorAlertAfterDays) return false;
+
+    const reviewers = submission.reviewWorkflow.reviewers;
+    const completedReviews = reviewers.filter(r => r.status === 'completed').length;
+    if (completedReviews >= settings.requiredReviews) return false;
+
+    const lastAlert = submission.reviewWorkflow.lastEditorAlertDate;
+    if (lastAlert && now - lastAlert < 7 * DAY_MS) return false;
+
+    try {
+      await emailService.sendStuckReviewAlert(
+        editor.email,
+        {
+          editorName: `${editor.name.firstName} ${editor.name.lastName}`,
+          title: submission.title,
+          submissionNumber: submission.submissionNumber,
+          deadline: submission.reviewWorkflow.reviewDeadline,
+          daysOverdue: -daysRemaining,
+          completedReviews,
+          requiredReviews: settings.requiredReviews,
+          overdueReviewers: reviewers
+            .filter(r => r.status === 'overdue' && r.userId && r.userId.name)
+            .map(r => ({
+              name: `${r.userId.name.firstName} ${r.userId.name.lastName}`,
+              remindersSent: r.remindersSent
+            }))
+        }
+      );
+    } catch (emailError) {
+      logger.error('Failed to send stuck review alert', {
+        submissionId: submission._id,
+        error: emailError.message,
+        service: 'ReviewReminderScheduler',
+        method: 'alertEditorIfStuck'
+      });
+      return false;
+    }
+
+    submission.reviewWorkflow.lastEditorAlertDate = now;
+    return true;
+  }
+}
+
+module.exports = new ReviewReminderScheduler();
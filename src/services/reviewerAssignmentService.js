@@ -0,0 +1,442 @@
+const ResearchSubmission = require('../models/ResearchSubmission');
+const User = require('../models/User');
+const conflictOfInterestService = require('./conflictOfInterestService');
+const logger = require('../config/logger');
+
+/**
+ * Reviewer Assignment Service
+ * Proposes reviewer assignments for every submission in a conference,
+ * balancing reviewer load and excluding conflicts of interest from the
+ * conflict-of-interest registry
+ */
+
+const DEFAULT_REVIEWERS_PER_PAPER = 2;
+const DEFAULT_MAX_REVIEWS_PER_REVIEWER = 4;
+
+// Weight added to a reviewer's match score for each bid
+const BID_WEIGHTS = {
+  eager: 4,
+  willing: 2,
+  not_qualified: -3,
+  conflict: 0
+};
+
+// Reviewer entries that still count towards a reviewer's load
+const ACTIVE_REVIEW_STATUSES = ['invited', 'accepted', 'completed', 'overdue'];
+
+class ReviewerAssignmentService {
+  /**
+   * Resolve assignment limits from conference settings and request overrides
+   * @param {Object} conference - Conference document
+   * @param {Object} overrides - Optional { reviewersPerPaper, maxReviewsPerReviewer }
+   * @returns {Object} Effective limits
+   */
+  getAssignmentLimits(conference, overrides = {}) {
+    const settings = conference?.reviewSettings?.assignment || {};
+
+    return {
+      reviewersPerPaper: parseInt(overrides.reviewersPerPaper) ||
+        settings.reviewersPerPaper || DEFAULT_REVIEWERS_PER_PAPER,
+      maxReviewsPerReviewer: parseInt(overrides.maxReviewsPerReviewer) ||
+        settings.maxReviewsPerReviewer || DEFAULT_MAX_REVIEWS_PER_REVIEWER
+    };
+  }
+
+  /**
+   * Normalize a discipline, keyword or expertise area for comparison
+   * e.g. "human_resources" and "Human Resources" compare equal
+   * @param {string} term
+   * @returns {string}
+   */
+  normalizeTerm(term) {
+    return String(term || '')
+      .toLowerCase()
+      .replace(/[_-]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Determine conflicts of interest between a reviewer and a submission
+   * @param {Object} reviewer - User document
+   * @param {Object} submission - ResearchSubmission document
+   * @param {Object} registryEntry - The reviewer's conflict registry entry
+   * @param {Object} conflictSettings - Conference conflict rules
+   * @returns {string[]} Conflict reasons (empty when there is no conflict)
+   */
+  findConflicts(reviewer, submission, registryEntry, conflictSettings) {
+    const conflicts = conflictOfInterestService.getReasons(
+      conflictOfInterestService.findConflicts(
+        reviewer,
+        conflictOfInterestService.getSubmissionPeople(submission),
+        registryEntry,
+        conflictSettings
+      )
+    );
+
+    const editorId = submission.reviewWorkflow?.editor?.userId;
+    if (editorId && (editorId._id || editorId).toString() === reviewer._id.toString()) {
+      conflicts.push('editor');
+    }
+
+    const bid = submission.getBid ? submission.getBid(reviewer._id) : null;
+    if (bid && bid.bid === 'conflict' && !conflicts.includes('declared_conflict')) {
+      conflicts.push('declared_conflict');
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Score how well a reviewer's expertise matches a submission
+   * A discipline match is worth 3 points and each matching keyword 1 point;
+   * bids placed during the bidding phase are scored separately by scoreBid
+   * @param {Object} reviewer - User document
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Object} { score, disciplineMatch, matchedKeywords }
+   */
+  scoreExpertise(reviewer, submission) {
+    const expertise = [
+      ...(reviewer.profile?.expertiseAreas || []),
+      ...(reviewer.profile?.interests || [])
+    ].map(term => this.normalizeTerm(term)).filter(Boolean);
+
+    const disciplineMatch = expertise.includes(this.normalizeTerm(submission.discipline));
+
+    const matchedKeywords = (submission.keywords || []).filter(keyword => {
+      const normalized = this.normalizeTerm(keyword);
+      // Partial matches only for longer terms so "ai" does not match "maintenance"
+      return normalized && expertise.some(area =>
+        area === normalized ||
+        (Math.min(area.length, normalized.length) >= 4 &&
+          (area.includes(normalized) || normalized.includes(area)))
+      );
+    });
+
+    return {
+      score: (disciplineMatch ? 3 : 0) + matchedKeywords.length,
+      disciplineMatch,
+      matchedKeywords
+    };
+  }
+
+  /**
+   * Score a reviewer's bid on a submission
+   * @param {Object|null} bid - Bid subdocument
+   * @returns {number}
+   */
+  scoreBid(bid) {
+    return bid ? BID_WEIGHTS[bid.bid] || 0 : 0;
+  }
+
+  /**
+   * Load the reviewer pool
+   * @returns {Array} Users with reviewer, editor or admin roles
+   */
+  async getReviewerPool() {
+    return User.find({
+      $or: [
+        { roles: 'reviewer' },
+        { roles: 'editor' },
+        { roles: 'admin' }
+      ]
+    }).select('name email affiliation profile roles');
+  }
+
+  /**
+   * Count the active review assignments each reviewer holds for a conference
+   * @param {Array} submissions - ResearchSubmission documents for the conference
+   * @returns {Map<string, number>}
+   */
+  getReviewerLoads(submissions) {
+    const loads = new Map();
+
+    submissions.forEach(submission => {
+      submission.reviewWorkflow.reviewers
+        .filter(r => ACTIVE_REVIEW_STATUSES.includes(r.status))
+        .forEach(r => {
+          const id = r.userId.toString();
+          loads.set(id, (loads.get(id) || 0) + 1);
+        });
+    });
+
+    return loads;
+  }
+
+  /**
+   * Propose reviewer assignments for every submission under review in a conference
+   * Submissions with the fewest eligible reviewers are filled first so that
+   * scarce reviewers are not used up by papers that have plenty of options.
+   * @param {Object} conference - Conference document
+   * @param {Object} options - Optional { reviewersPerPaper, maxReviewsPerReviewer }
+   * @returns {Object} Proposed assignment
+   */
+  async proposeAssignments(conference, options = {}) {
+    const limits = this.getAssignmentLimits(conference, options);
+
+    const [conferenceSubmissions, reviewers] = await Promise.all([
+      ResearchSubmission.find({ conferenceId: conference._id })
+        .select('title submissionNumber keywords discipline status correspondingAuthor coAuthors facultySponsors reviewWorkflow'),
+      this.getReviewerPool()
+    ]);
+
+    const conflictSettings = conflictOfInterestService.getSettings(conference);
+    const registry = await conflictOfInterestService.buildRegistry(reviewers, conflictSettings);
+    const loads = this.getReviewerLoads(conferenceSubmissions);
+    const submissions = conferenceSubmissions.filter(s => s.status === 'under_review');
+
+    // Work out every eligible reviewer for every submission up front
+    const candidatesBySubmission = submissions.map(submission => {
+      const assigned = submission.reviewWorkflow.reviewers
+        .filter(r => r.status !== 'declined')
+        .map(r => r.userId.toString());
+      const previouslyDeclined = submission.reviewWorkflow.reviewers
+        .filter(r => r.status === 'declined')
+        .map(r => r.userId.toString());
+
+      const excluded = [];
+      const candidates = [];
+
+      reviewers.forEach(reviewer => {
+        const reviewerId = reviewer._id.toString();
+        if (assigned.includes(reviewerId)) return;
+
+        const conflicts = this.findConflicts(reviewer, submission, registry.get(reviewerId), conflictSettings);
+        if (previouslyDeclined.includes(reviewerId)) {
+          conflicts.push('previously_declined');
+        }
+
+        if (conflicts.length > 0) {
+          excluded.push({ reviewerId: reviewer._id, conflicts });
+          return;
+        }
+
+        const expertise = this.scoreExpertise(reviewer, submission);
+        const bid = submission.getBid(reviewer._id);
+
+        candidates.push({
+          reviewer,
+          ...expertise,
+          bid: bid ? bid.bid : null,
+          score: expertise.score + this.scoreBid(bid)
+        });
+      });
+
+      return {
+        submission,
+        needed: Math.max(0, limits.reviewersPerPaper - assigned.length),
+        currentReviewers: assigned.length,
+        candidates,
+        excluded
+      };
+    });
+
+    const fillOrder = [...candidatesBySubmission]
+      .filter(entry => entry.needed > 0)
+      .sort((a, b) => a.candidates.length - b.candidates.length);
+
+    fillOrder.forEach(entry => {
+      entry.proposed = [];
+
+      const ranked = [...entry.candidates].sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return (loads.get(a.reviewer._id.toString()) || 0) - (loads.get(b.reviewer._id.toString()) || 0);
+      });
+
+      for (const candidate of ranked) {
+        if (entry.proposed.length >= entry.needed) break;
+
+        const reviewerId = candidate.reviewer._id.toString();
+        if ((loads.get(reviewerId) || 0) >= limits.maxReviewsPerReviewer) continue;
+
+        loads.set(reviewerId, (loads.get(reviewerId) || 0) + 1);
+        entry.proposed.push(candidate);
+      }
+    });
+
+    const assignments = candidatesBySubmission.map(entry => {
+      const proposed = entry.proposed || [];
+
+      return {
+        submissionId: entry.submission._id,
+        submissionNumber: entry.submission.submissionNumber,
+        title: entry.submission.title,
+        discipline: entry.submission.discipline,
+        keywords: entry.submission.keywords,
+        currentReviewers: entry.currentReviewers,
+        proposedReviewers: proposed.map(candidate => ({
+          _id: candidate.reviewer._id,
+          name: `${candidate.reviewer.name.firstName} ${candidate.reviewer.name.lastName}`,
+          email: candidate.reviewer.email,
+          affiliation: candidate.reviewer.affiliation?.organization || 'Not specified',
+          matchScore: candidate.score,
+          bid: candidate.bid,
+          disciplineMatch: candidate.disciplineMatch,
+          matchedKeywords: candidate.matchedKeywords
+        })),
+        eligibleReviewerCount: entry.candidates.length,
+        excludedReviewers: entry.excluded,
+        shortfall: Math.max(0, entry.needed - proposed.length)
+      };
+    });
+
+    const reviewerLoads = reviewers
+      .filter(reviewer => loads.has(reviewer._id.toString()))
+      .map(reviewer => ({
+        _id: reviewer._id,
+        name: `${reviewer.name.firstName} ${reviewer.name.lastName}`,
+        load: loads.get(reviewer._id.toString()),
+        capacity: limits.maxReviewsPerReviewer
+      }))
+      .sort((a, b) => b.load - a.load);
+
+    logger.info('Reviewer assignment proposal generated', {
+      conferenceId: conference._id,
+      submissions: submissions.length,
+      reviewers: reviewers.length,
+      shortfalls: assignments.filter(a => a.shortfall > 0).length,
+      service: 'ReviewerAssignmentService',
+      method: 'proposeAssignments'
+    });
+
+    return {
+      limits,
+      assignments,
+      reviewerLoads,
+      summary: {
+        totalSubmissions: submissions.length,
+        fullyAssigned: assignments.filter(a => a.shortfall === 0).length,
+        withShortfall: assignments.filter(a => a.shortfall > 0).length,
+        proposedInvitations: assignments.reduce((sum, a) => sum + a.proposedReviewers.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Validate an editor-adjusted assignment before invitations are sent
+   * @param {Object} conference - Conference document
+   * @param {Array} assignments - [{ submissionId, reviewerIds }]
+   * @param {Object} options - Optional { reviewersPerPaper, maxReviewsPerReviewer }
+   * @returns {Object} { errors, limits, submissions, reviewers }
+   */
+  async validateAssignments(conference, assignments, options = {}) {
+    const limits = this.getAssignmentLimits(conference, options);
+    const errors = [];
+
+    // Duplicates would make addReviewer throw partway through applying the batch
+    const seenSubmissions = new Set();
+    assignments.forEach(({ submissionId, reviewerIds: assignedIds }) => {
+      if (seenSubmissions.has(submissionId.toString())) {
+        errors.push({ submissionId, message: 'Submission appears more than once in the assignment' });
+      }
+      seenSubmissions.add(submissionId.toString());
+
+      const seenReviewers = new Set();
+      assignedIds.forEach(reviewerId => {
+        if (seenReviewers.has(reviewerId.toString())) {
+          errors.push({ submissionId, reviewerId, message: 'Reviewer listed more than once for this submission' });
+        }
+        seenReviewers.add(reviewerId.toString());
+      });
+    });
+
+    const reviewerIds = [...new Set(assignments.flatMap(a => a.reviewerIds.map(id => id.toString())))];
+
+    const [conferenceSubmissions, reviewers] = await Promise.all([
+      ResearchSubmission.find({ conferenceId: conference._id }),
+      User.find({
+        _id: { $in: reviewerIds },
+        $or: [
+          { roles: 'reviewer' },
+          { roles: 'editor' },
+          { roles: 'admin' }
+        ]
+      }).select('name email affiliation profile roles')
+    ]);
+
+    const submissionsById = new Map(conferenceSubmissions.map(s => [s._id.toString(), s]));
+    const reviewersById = new Map(reviewers.map(r => [r._id.toString(), r]));
+
+    reviewerIds
+      .filter(id => !reviewersById.has(id))
+      .forEach(id => errors.push({ reviewerId: id, message: 'Reviewer not found or does not have reviewer privileges' }));
+
+    const conflictSettings = conflictOfInterestService.getSettings(conference);
+    const registry = await conflictOfInterestService.buildRegistry(reviewers, conflictSettings);
+    const loads = this.getReviewerLoads(conferenceSubmissions);
+
+    assignments.forEach(({ submissionId, reviewerIds: assignedIds }) => {
+      const submission = submissionsById.get(submissionId.toString());
+
+      if (!submission) {
+        errors.push({ submissionId, message: 'Submission not found in this conference' });
+        return;
+      }
+
+      if (submission.status !== 'under_review') {
+        errors.push({ submissionId, message: 'Can only assign reviewers to submissions under review' });
+        return;
+      }
+
+      assignedIds.forEach(reviewerId => {
+        const reviewer = reviewersById.get(reviewerId.toString());
+        if (!reviewer) return;
+
+        const alreadyAssigned = submission.reviewWorkflow.reviewers.some(
+          r => r.userId.toString() === reviewerId.toString()
+        );
+        if (alreadyAssigned) {
+          errors.push({ submissionId, reviewerId, message: 'Reviewer already assigned to this submission' });
+          return;
+        }
+
+        const conflicts = this.findConflicts(
+          reviewer,
+          submission,
+          registry.get(reviewerId.toString()),
+          conflictSettings
+        );
+        if (conflicts.length > 0) {
+          errors.push({
+            submissionId,
+            reviewerId,
+            message: `Conflict of interest: ${conflicts.join(', ')}`
+          });
+          return;
+        }
+
+        loads.set(reviewerId.toString(), (loads.get(reviewerId.toString()) || 0) + 1);
+      });
+
+      const activeReviewers = submission.reviewWorkflow.reviewers
+        .filter(r => r.status !== 'declined').length;
+      const totalReviewers = activeReviewers + new Set(assignedIds.map(id => id.toString())).size;
+
+      if (totalReviewers < limits.reviewersPerPaper) {
+        errors.push({
+          submissionId,
+          message: `Submission ${submission.submissionNumber} would have ${totalReviewers} reviewers, below the minimum of ${limits.reviewersPerPaper}`
+        });
+      }
+    });
+
+    reviewers.forEach(reviewer => {
+      const load = loads.get(reviewer._id.toString()) || 0;
+      if (load > limits.maxReviewsPerReviewer) {
+        errors.push({
+          reviewerId: reviewer._id,
+          message: `${reviewer.name.firstName} ${reviewer.name.lastName} would have ${load} reviews, exceeding the limit of ${limits.maxReviewsPerReviewer}`
+        });
+      }
+    });
+
+    return {
+      errors,
+      limits,
+      submissions: submissionsById,
+      reviewers: reviewersById
+    };
+  }
+}
+
+module.exports = new ReviewerAssignmentService();
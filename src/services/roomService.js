@@ -0,0 +1,235 @@
+const Room = require('../models/Room');
+const Session = require('../models/Session');
+
+/**
+ * Room Service
+ * Ties sessions to the venue's room inventory: resolves the room a session
+ * is booked into, finds double bookings, checks the room against what the
+ * session needs, and lays the program out as a room-by-room grid.
+ */
+
+// Convert "9:00 AM" to minutes since midnight, for sorting grid rows
+const toMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2}) (AM|PM)$/.exec(value || '');
+  if (!match) return 0;
+  return (parseInt(match[1]) % 12) * 60 + parseInt(match[2]) + (match[3] === 'PM' ? 12 * 60 : 0);
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const EQUIPMENT_LABELS = {
+  projector: 'projector',
+  microphone: 'microphone',
+  flipChart: 'flip chart',
+  internet: 'internet access',
+  recording: 'recording',
+  livestream: 'livestreaming'
+};
+
+class RoomService {
+  /**
+   * Find an active room in a conference's inventory
+   * @param {ObjectId} conferenceId
+   * @param {ObjectId} roomId
+   * @returns {Promise<Object|null>}
+   */
+  findRoom(conferenceId, roomId) {
+    return Room.findOne({ _id: roomId, conferenceId, isActive: true });
+  }
+
+  /**
+   * Sessions on the program that use the same room as a session at an overlapping time
+   * Solver drafts are not on the program yet and never count as bookings.
+   * @param {Object} session - Session document, saved or not
+   * @returns {Promise<Array>}
+   */
+  async findDoubleBookings(session) {
+    if (!session.location || (!session.location.roomId && !session.location.room)) {
+      return [];
+    }
+
+    const candidates = await Session.find({
+      conferenceId: session.conferenceId,
+      _id: { $ne: session._id },
+      'scheduling.isDraft': { $ne: true },
+      $or: [
+        ...(session.location.roomId ? [{ 'location.roomId': session.location.roomId }] : []),
+        ...(session.location.room ? [{ 'location.room': session.location.room }] : [])
+      ]
+    }).select('title sessionNumber date startTime endTime location');
+
+    return candidates.filter(other => session.isSameRoom(other) && session.overlaps(other));
+  }
+
+  /**
+   * Describe double bookings for an error response
+   * @param {Array} bookings - Sessions returned by findDoubleBookings
+   * @returns {string}
+   */
+  describeDoubleBookings(bookings) {
+    return bookings
+      .map(other => `Session ${other.sessionNumber} "${other.title}" (${toDateKey(other.date)}, ${other.startTime} - ${other.endTime})`)
+      .join('; ');
+  }
+
+  /**
+   * Warnings for a session whose needs exceed what its room provides
+   * @param {Object} session - Session document
+   * @param {Object} room - Room document, or null for a free-text room
+   * @returns {Array} [{ type, message, ... }]
+   */
+  checkRoomFit(session, room) {
+    if (!room) return [];
+
+    const warnings = [];
+    const missing = room.getMissingEquipment(session.technicalRequirements || {});
+    if (missing.length > 0) {
+      warnings.push({
+        type: 'equipment',
+        missing,
+        message: `${room.name} has no ${missing.map(item => EQUIPMENT_LABELS[item]).join(', ')}`
+      });
+    }
+
+    const expected = session.attendance && session.attendance.estimated;
+    if (expected && expected > room.capacity) {
+      warnings.push({
+        type: 'capacity',
+        expected,
+        capacity: room.capacity,
+        message: `${room.name} seats ${room.capacity} but ${expected} attendees are expected`
+      });
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Book a session into its room
+   * Copies the inventory room's details into the session's location, then
+   * checks for double bookings and for needs the room cannot meet.
+   * @param {Object} session - Session document with location set
+   * @returns {Promise<Object>} { error, doubleBookings, warnings }
+   */
+  async assignRoom(session) {
+    let room = null;
+
+    if (session.location && session.location.roomId) {
+      room = await this.findRoom(session.conferenceId, session.location.roomId);
+      if (!room) {
+        return { error: 'Room not found in this conference\'s inventory' };
+      }
+      session.location = { ...room.toSessionLocation() };
+    } else if (session.location && session.location.room) {
+      // Link free-text rooms that match the inventory by name
+      room = await Room.findOne({ conferenceId: session.conferenceId, name: session.location.room, isActive: true });
+      if (room) {
+        session.location = { ...room.toSessionLocation() };
+      }
+    }
+
+    const doubleBookings = await this.findDoubleBookings(session);
+    if (doubleBookings.length > 0) {
+      return {
+        error: `${session.location.room} is already booked: ${this.describeDoubleBookings(doubleBookings)}`,
+        doubleBookings
+      };
+    }
+
+    return { room, warnings: this.checkRoomFit(session, room) };
+  }
+
+  /**
+   * Lay a conference's program out room by room
+   * Each day has a row per distinct time range and a column per room;
+   * rooms that appear only as free text on sessions get a column too.
+   * @param {ObjectId} conferenceId
+   * @param {Object} options - { date, includeDrafts }
+   * @returns {Promise<Object>} { rooms, days, conflicts }
+   */
+  async buildGrid(conferenceId, { date, includeDrafts = false } = {}) {
+    const query = { conferenceId };
+    if (!includeDrafts) query['scheduling.isDraft'] = { $ne: true };
+    if (date) {
+      const start = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+      query.date = { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    }
+
+    const [inventory, sessions, conflicts] = await Promise.all([
+      Room.getActiveRooms(conferenceId),
+      Session.find(query)
+        .select('sessionNumber title category sessionType date startTime endTime location chair.name presentations attendance technicalRequirements status scheduling.isDraft')
+        .sort({ date: 1, startTime: 1 }),
+      Session.findSchedulingConflicts(conferenceId)
+    ]);
+
+    const rooms = inventory.map(room => ({
+      key: room._id.toString(),
+      roomId: room._id,
+      name: room.name,
+      building: room.building,
+      floor: room.floor,
+      capacity: room.capacity,
+      accessibility: room.accessibility,
+      av: room.av
+    }));
+    const roomsById = new Map(inventory.map(room => [room._id.toString(), room]));
+    const roomsByName = new Map(inventory.map(room => [room.name.toLowerCase(), room]));
+
+    const keyFor = (session) => {
+      if (session.location.roomId && roomsById.has(session.location.roomId.toString())) {
+        return session.location.roomId.toString();
+      }
+      const room = roomsByName.get((session.location.room || '').toLowerCase());
+      if (room) return room._id.toString();
+
+      const key = `name:${(session.location.room || 'Unassigned').toLowerCase()}`;
+      if (!rooms.some(entry => entry.key === key)) {
+        rooms.push({ key, roomId: null, name: session.location.room || 'Unassigned' });
+      }
+      return key;
+    };
+
+    const days = new Map();
+    sessions.forEach(session => {
+      const dateKey = toDateKey(session.date);
+      if (!days.has(dateKey)) days.set(dateKey, new Map());
+      const rows = days.get(dateKey);
+
+      const rowKey = `${session.startTime} - ${session.endTime}`;
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, { startTime: session.startTime, endTime: session.endTime, cells: {} });
+      }
+
+      const roomKey = keyFor(session);
+      const room = roomsById.get(roomKey);
+      const cells = rows.get(rowKey).cells;
+      if (!cells[roomKey]) cells[roomKey] = [];
+
+      cells[roomKey].push({
+        _id: session._id,
+        sessionNumber: session.sessionNumber,
+        title: session.title,
+        category: session.category,
+        sessionType: session.sessionType,
+        chair: session.chair && session.chair.name,
+        presentationCount: session.presentations.length,
+        status: session.status,
+        isDraft: Boolean(session.scheduling && session.scheduling.isDraft),
+        warnings: this.checkRoomFit(session, room)
+      });
+    });
+
+    return {
+      rooms,
+      days: [...days.entries()].map(([dateKey, rows]) => ({
+        date: dateKey,
+        timeSlots: [...rows.values()].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime) ||
+          toMinutes(a.endTime) - toMinutes(b.endTime))
+      })),
+      conflicts
+    };
+  }
+}
+
+module.exports = new RoomService();
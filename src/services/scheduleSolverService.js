@@ -0,0 +1,670 @@
+const ResearchSubmission = require('../models/ResearchSubmission');
+const ResearchPresentation = require('../models/ResearchPresentation');
+const Session = require('../models/Session');
+const logger = require('../config/logger');
+
+/**
+ * Schedule Solver Service
+ * Builds a draft conference schedule from accepted submissions, the rooms
+ * available and the program's time slots. Every placement respects the
+ * presenters' availability, never puts a presenter in two rooms at once and
+ * never fills a session past its capacity. Within those limits the solver
+ * prefers sessions on one topic and spreads each institution's papers over
+ * different sessions and time slots.
+ *
+ * The result is saved as draft Session records. Editors review the drafts,
+ * lock whole sessions or single papers, and re-run the solver around the
+ * locked parts before accepting the schedule.
+ */
+
+const TIME_PATTERN = /^(1[0-2]|0?[1-9]):([0-5]\d) (AM|PM)$/;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Soft goal weights; hard constraints are never traded against these
+const WEIGHTS = {
+  sameDiscipline: 3,
+  mixedDiscipline: -1,
+  sharedKeyword: 1,
+  maxSharedKeywords: 3,
+  sameInstitutionInSession: -4,
+  sameInstitutionInSlot: -1,
+  openSession: -2
+};
+
+const MAX_IMPROVEMENT_PASSES = 5;
+
+const roomName = (name) => (name || '').trim().toLowerCase();
+
+// Session categories for each submission discipline
+const DISCIPLINE_CATEGORIES = {
+  accounting: 'Accounting',
+  economics: 'Economics',
+  finance: 'Finance',
+  management: 'Management',
+  strategy: 'Management',
+  entrepreneurship: 'Management',
+  human_resources: 'Management',
+  organizational_behavior: 'Management',
+  analytics: 'Analytics',
+  information_systems: 'Analytics',
+  pedagogy: 'Pedagogy',
+  international_business: 'International'
+};
+
+// Convert "9:00 AM" to minutes since midnight
+const parseTime = (value) => {
+  const [, hours, minutes, period] = TIME_PATTERN.exec(value);
+  return (parseInt(hours) % 12) * 60 + parseInt(minutes) + (period === 'PM' ? 12 * 60 : 0);
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const disciplineLabel = (discipline) => (discipline || 'other')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+class ScheduleSolverService {
+  /**
+   * Validate and describe the time slots a schedule may use
+   * @param {Array} timeSlots - [{ date, startTime, endTime }]
+   * @returns {Object} { slots, errors }
+   */
+  parseTimeSlots(timeSlots) {
+    const slots = [];
+    const errors = [];
+
+    (timeSlots || []).forEach((slot, index) => {
+      const date = new Date(slot.date);
+      if (!slot.date || isNaN(date.getTime())) {
+        errors.push(`Time slot ${index + 1} has an invalid date`);
+        return;
+      }
+      if (!TIME_PATTERN.test(slot.startTime || '') || !TIME_PATTERN.test(slot.endTime || '')) {
+        errors.push(`Time slot ${index + 1} times must look like "9:00 AM"`);
+        return;
+      }
+
+      const start = parseTime(slot.startTime);
+      const end = parseTime(slot.endTime);
+      if (end <= start) {
+        errors.push(`Time slot ${index + 1} ends before it starts`);
+        return;
+      }
+
+      slots.push(this.describeSlot(date, slot.startTime, slot.endTime));
+    });
+
+    return { slots, errors };
+  }
+
+  /**
+   * Describe a time slot, including the availability day and period it falls in
+   * @param {Date} date
+   * @param {string} startTime - e.g. "9:00 AM"
+   * @param {string} endTime
+   * @returns {Object}
+   */
+  describeSlot(date, startTime, endTime) {
+    const dateKey = toDateKey(date);
+    const start = parseTime(startTime);
+
+    return {
+      key: `${dateKey} ${startTime}`,
+      date: new Date(`${dateKey}T00:00:00.000Z`),
+      dateKey,
+      startTime,
+      endTime,
+      start,
+      end: parseTime(endTime),
+      day: DAY_NAMES[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()],
+      period: start < 12 * 60 ? 'am' : 'pm'
+    };
+  }
+
+  /**
+   * Whether two time slots overlap
+   * @returns {boolean}
+   */
+  slotsOverlap(a, b) {
+    return a.dateKey === b.dateKey && a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * Identity keys for a person record, used to spot the same presenter across papers
+   * @param {Object} person - Author or presenter record with userId and email
+   * @returns {string[]}
+   */
+  getPersonKeys(person) {
+    const keys = [];
+    if (person.userId) keys.push(`user:${(person.userId._id || person.userId).toString()}`);
+    if (person.email) keys.push(`email:${person.email.toLowerCase().trim()}`);
+    return keys;
+  }
+
+  /**
+   * Identity keys for everyone who will present a submission
+   * Designated presenters are used when there are any; otherwise the
+   * corresponding author is assumed to present.
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {string[]}
+   */
+  getPresenterKeys(submission) {
+    const presenters = ((submission.presentationDetails && submission.presentationDetails.presenters) || [])
+      .filter(presenter => presenter.presentationRole !== 'discussant');
+
+    const people = presenters
+      .map(presenter => presenter.authorType === 'corresponding'
+        ? submission.correspondingAuthor
+        : (submission.coAuthors || []).find(author => author._id.toString() === presenter.authorId.toString()))
+      .filter(Boolean);
+
+    if (people.length === 0) {
+      people.push(submission.correspondingAuthor);
+    }
+
+    return [...new Set(people.flatMap(person => this.getPersonKeys(person)))];
+  }
+
+  /**
+   * Describe a submission for the solver
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Object}
+   */
+  describePaper(submission) {
+    const institutions = [submission.correspondingAuthor, ...(submission.coAuthors || [])]
+      .map(author => author.affiliation && author.affiliation.institution)
+      .filter(Boolean)
+      .map(institution => institution.toLowerCase().trim());
+
+    return {
+      id: submission._id.toString(),
+      submission,
+      discipline: submission.discipline || 'other',
+      keywords: new Set((submission.keywords || []).map(keyword => keyword.toLowerCase().trim())),
+      institutions: new Set(institutions),
+      presenters: this.getPresenterKeys(submission),
+      availability: submission.presentationDetails && submission.presentationDetails.presenterAvailability
+    };
+  }
+
+  /**
+   * Whether a paper's presenters are available for a time slot
+   * Days outside the availability form (Wednesday to Friday) carry no restriction.
+   * @param {Object} paper - Described paper
+   * @param {Object} slot - Described slot
+   * @returns {boolean}
+   */
+  isAvailable(paper, slot) {
+    const day = paper.availability && paper.availability[slot.day];
+    if (!day || !day[slot.period]) return true;
+    return day[slot.period].available !== false;
+  }
+
+  /**
+   * Whether two rooms are the same, matching Session.isSameRoom
+   * Inventory rooms are compared by id; free-text rooms by name, ignoring case
+   * @param {Object} room - { roomId, name }
+   * @param {Object} other - { roomId, name }
+   * @returns {boolean}
+   */
+  isSameRoom(room, other) {
+    if (room.roomId && other.roomId) {
+      return room.roomId.toString() === other.roomId.toString();
+    }
+    return Boolean(room.name) && roomName(room.name) === roomName(other.name);
+  }
+
+  /**
+   * Load everything the solver needs for a conference
+   * Sessions that are already on the program, locked drafts, and papers
+   * pinned in drafts stay where they are; every other accepted paper that is
+   * not yet scheduled goes into the pool.
+   * @param {Object} conference - Conference document
+   * @param {Object} options - { rooms, slots, maxPresentations }
+   * @returns {Promise<Object>} { papers, cells, busy, releasedDrafts }
+   */
+  async loadProblem(conference, { rooms, slots, maxPresentations }) {
+    const sessions = await Session.find({ conferenceId: conference._id });
+    const fixedSessions = sessions.filter(session => !session.scheduling || !session.scheduling.isDraft || session.scheduling.isLocked);
+    const openDrafts = sessions.filter(session => session.scheduling && session.scheduling.isDraft && !session.scheduling.isLocked);
+
+    // Presentations already on the program keep their presenters busy in that slot
+    const presentations = await ResearchPresentation.find({
+      sessionId: { $in: fixedSessions.map(session => session._id) }
+    }).select('sessionId submissionId authors');
+
+    const lockedDraftIds = fixedSessions
+      .flatMap(session => (session.scheduling && session.scheduling.isDraft ? session.scheduling.draftSubmissions : []));
+    const pinnedIds = openDrafts.flatMap(session => session.scheduling.lockedSubmissions);
+
+    const scheduledIds = new Set([
+      ...presentations.filter(p => p.submissionId).map(p => p.submissionId.toString()),
+      ...lockedDraftIds.map(id => id.toString())
+    ]);
+
+    const submissions = await ResearchSubmission.find({
+      conferenceId: conference._id,
+      $or: [{ status: 'accepted' }, { _id: { $in: [...lockedDraftIds, ...pinnedIds] } }]
+    });
+    const byId = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+
+    const busy = [];
+    fixedSessions.forEach(session => {
+      const slot = this.describeSlot(session.date, session.startTime, session.endTime);
+      const keys = presentations
+        .filter(p => p.sessionId.toString() === session._id.toString())
+        .flatMap(p => {
+          const presenters = (p.authors || []).filter(author => author.isPresenter);
+          return (presenters.length > 0 ? presenters : p.authors || []).flatMap(author => this.getPersonKeys(author));
+        });
+
+      if (session.scheduling && session.scheduling.isDraft) {
+        session.scheduling.draftSubmissions
+          .map(id => byId.get(id.toString()))
+          .filter(Boolean)
+          .forEach(submission => keys.push(...this.getPresenterKeys(submission)));
+      }
+
+      busy.push({ slot, room: { roomId: session.location.roomId, name: session.location.room }, presenters: new Set(keys) });
+    });
+
+    // One cell per room and slot, unless a fixed session already uses the room then
+    const cells = [];
+    // Same capacity rule as Session.canAccommodateMore, so drafts never overfill a session
+    const capacityFor = (slot) => Session.getPresentationCapacity(slot.end - slot.start, maxPresentations);
+    const draftsByCell = new Map(openDrafts.map(session => [`${toDateKey(session.date)} ${session.startTime}|${roomName(session.location.room)}`, session]));
+    const usedDrafts = new Set();
+
+    const isTaken = (room, slot) => busy.some(entry => this.isSameRoom(entry.room, room) && this.slotsOverlap(entry.slot, slot));
+
+    slots.forEach(slot => {
+      rooms.forEach(room => {
+        if (isTaken(room, slot)) return;
+
+        const draft = draftsByCell.get(`${slot.key}|${roomName(room.name)}`);
+        if (draft) usedDrafts.add(draft._id.toString());
+        cells.push({ slot, room, draft, capacity: capacityFor(slot), papers: [], pinned: new Set() });
+      });
+    });
+
+    // Drafts with pinned papers outside the requested grid keep their own room and slot
+    // Pinned papers whose room is no longer free go back into the pool
+    openDrafts
+      .filter(session => !usedDrafts.has(session._id.toString()) && session.scheduling.lockedSubmissions.length > 0)
+      .forEach(session => {
+        const slot = this.describeSlot(session.date, session.startTime, session.endTime);
+        if (isTaken({ roomId: session.location.roomId, name: session.location.room }, slot)) return;
+
+        usedDrafts.add(session._id.toString());
+        cells.push({
+          slot,
+          room: {
+            roomId: session.location.roomId,
+            name: session.location.room,
+            building: session.location.building,
+            venue: session.location.venue,
+            floor: session.location.floor
+          },
+          draft: session,
+          capacity: capacityFor(slot),
+          papers: [],
+          pinned: new Set()
+        });
+      });
+
+    const papers = [];
+
+    cells.filter(cell => cell.draft).forEach(cell => {
+      cell.draft.scheduling.lockedSubmissions
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .forEach(submission => {
+          const paper = this.describePaper(submission);
+          cell.papers.push(paper);
+          cell.pinned.add(paper.id);
+          scheduledIds.add(paper.id);
+        });
+    });
+
+    submissions
+      .filter(submission => submission.status === 'accepted' && !scheduledIds.has(submission._id.toString()))
+      .forEach(submission => papers.push(this.describePaper(submission)));
+
+    const releasedDrafts = openDrafts.filter(session => !usedDrafts.has(session._id.toString()));
+
+    return { papers, cells, busy, releasedDrafts };
+  }
+
+  /**
+   * Whether a paper may go into a cell
+   * @param {Object} paper - Described paper
+   * @param {Object} cell - Target cell
+   * @param {Array} cells - All cells
+   * @param {Array} busy - Fixed sessions' presenters by slot
+   * @param {Set} ignore - Ids of papers that are being moved away
+   * @returns {boolean}
+   */
+  canPlace(paper, cell, cells, busy, ignore = new Set()) {
+    if (!this.isAvailable(paper, cell.slot)) return false;
+
+    const count = cell.papers.filter(other => !ignore.has(other.id)).length;
+    if (count >= cell.capacity) return false;
+
+    const clashes = (keys) => paper.presenters.some(key => keys.has(key));
+
+    if (busy.some(entry => this.slotsOverlap(entry.slot, cell.slot) && clashes(entry.presenters))) {
+      return false;
+    }
+
+    return !cells.some(other => this.slotsOverlap(other.slot, cell.slot) &&
+      other.papers.some(placed => placed.id !== paper.id && !ignore.has(placed.id) &&
+        clashes(new Set(placed.presenters))));
+  }
+
+  /**
+   * Topic cohesion and institution spread between two papers in one session
+   * @returns {number}
+   */
+  pairScore(a, b) {
+    let score = a.discipline === b.discipline ? WEIGHTS.sameDiscipline : WEIGHTS.mixedDiscipline;
+
+    const shared = [...a.keywords].filter(keyword => b.keywords.has(keyword)).length;
+    score += Math.min(shared, WEIGHTS.maxSharedKeywords) * WEIGHTS.sharedKeyword;
+
+    if ([...a.institutions].some(institution => b.institutions.has(institution))) {
+      score += WEIGHTS.sameInstitutionInSession;
+    }
+
+    return score;
+  }
+
+  /**
+   * Score of one session
+   * @param {Object} cell
+   * @returns {number}
+   */
+  scoreCell(cell) {
+    if (cell.papers.length === 0) return 0;
+
+    let score = WEIGHTS.openSession;
+    for (let i = 0; i < cell.papers.length; i++) {
+      for (let j = i + 1; j < cell.papers.length; j++) {
+        score += this.pairScore(cell.papers[i], cell.papers[j]);
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Penalty for an institution presenting in parallel sessions of one slot
+   * @param {string} slotKey
+   * @param {Array} cells
+   * @returns {number}
+   */
+  scoreSlot(slotKey, cells) {
+    const counts = new Map();
+    cells
+      .filter(cell => cell.slot.key === slotKey)
+      .forEach(cell => {
+        const institutions = new Set(cell.papers.flatMap(paper => [...paper.institutions]));
+        institutions.forEach(institution => counts.set(institution, (counts.get(institution) || 0) + 1));
+      });
+
+    return [...counts.values()].reduce((score, count) => score + (count - 1) * WEIGHTS.sameInstitutionInSlot, 0);
+  }
+
+  /**
+   * Total schedule score
+   * @param {Array} cells
+   * @returns {number}
+   */
+  scoreSchedule(cells) {
+    const slotKeys = [...new Set(cells.map(cell => cell.slot.key))];
+    return cells.reduce((score, cell) => score + this.scoreCell(cell), 0) +
+      slotKeys.reduce((score, key) => score + this.scoreSlot(key, cells), 0);
+  }
+
+  /**
+   * Score of the cells and slots touched by a change
+   * @returns {number}
+   */
+  scoreAffected(affected, cells) {
+    const slotKeys = [...new Set(affected.map(cell => cell.slot.key))];
+    return [...new Set(affected)].reduce((score, cell) => score + this.scoreCell(cell), 0) +
+      slotKeys.reduce((score, key) => score + this.scoreSlot(key, cells), 0);
+  }
+
+  /**
+   * Place papers into cells
+   * Papers with the fewest feasible cells are placed first, each into the
+   * cell that scores best, and the schedule is then improved by moving and
+   * swapping papers while every hard constraint still holds. Pinned papers
+   * never move.
+   * @param {Array} papers - Described papers to place
+   * @param {Array} cells - Cells, possibly holding pinned papers
+   * @param {Array} busy - Fixed sessions' presenters by slot
+   * @returns {Object} { cells, unplaced: [{ paper, reason }], score }
+   */
+  solve(papers, cells, busy) {
+    const unplaced = [];
+    const feasibleCount = (paper) => cells.filter(cell => this.canPlace(paper, cell, cells, busy)).length;
+
+    const ordered = papers
+      .map(paper => ({ paper, options: feasibleCount(paper) }))
+      .sort((a, b) => a.options - b.options ||
+        a.paper.discipline.localeCompare(b.paper.discipline) ||
+        a.paper.submission.title.localeCompare(b.paper.submission.title))
+      .map(entry => entry.paper);
+
+    ordered.forEach(paper => {
+      let best = null;
+      let bestDelta = -Infinity;
+
+      cells.forEach(cell => {
+        if (!this.canPlace(paper, cell, cells, busy)) return;
+
+        const before = this.scoreAffected([cell], cells);
+        cell.papers.push(paper);
+        const delta = this.scoreAffected([cell], cells) - before;
+        cell.papers.pop();
+
+        if (delta > bestDelta) {
+          best = cell;
+          bestDelta = delta;
+        }
+      });
+
+      if (best) {
+        best.papers.push(paper);
+      } else {
+        const available = cells.some(cell => this.isAvailable(paper, cell.slot));
+        unplaced.push({
+          paper,
+          reason: available
+            ? 'No session in an available time slot has room without double-booking a presenter'
+            : 'Presenters are unavailable for every time slot'
+        });
+      }
+    });
+
+    this.improve(cells, busy);
+
+    return { cells, unplaced, score: this.scoreSchedule(cells) };
+  }
+
+  /**
+   * Move and swap papers between cells while the score improves
+   * @param {Array} cells
+   * @param {Array} busy
+   */
+  improve(cells, busy) {
+    const movable = (cell) => cell.papers.filter(paper => !cell.pinned.has(paper.id));
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+      let improved = false;
+
+      cells.forEach(from => {
+        movable(from).forEach(paper => {
+          if (!from.papers.includes(paper)) return;
+
+          for (const to of cells) {
+            if (to === from) continue;
+
+            const before = this.scoreAffected([from, to], cells);
+
+            // Move into spare capacity
+            if (this.canPlace(paper, to, cells, busy, new Set([paper.id]))) {
+              from.papers.splice(from.papers.indexOf(paper), 1);
+              to.papers.push(paper);
+              if (this.scoreAffected([from, to], cells) > before) {
+                improved = true;
+                return;
+              }
+              to.papers.pop();
+              from.papers.push(paper);
+            }
+
+            // Swap with a paper in the other cell
+            for (const other of movable(to)) {
+              const ignore = new Set([paper.id, other.id]);
+              if (!this.canPlace(paper, to, cells, busy, ignore)) continue;
+
+              from.papers.splice(from.papers.indexOf(paper), 1);
+              to.papers.splice(to.papers.indexOf(other), 1);
+              const fits = this.canPlace(other, from, cells, busy, ignore);
+              from.papers.push(other);
+              to.papers.push(paper);
+
+              if (fits && this.scoreAffected([from, to], cells) > before) {
+                improved = true;
+                return;
+              }
+
+              from.papers.splice(from.papers.indexOf(other), 1);
+              to.papers.splice(to.papers.indexOf(paper), 1);
+              from.papers.push(paper);
+              to.papers.push(other);
+            }
+          }
+        });
+      });
+
+      if (!improved) break;
+    }
+  }
+
+  /**
+   * Title and category for a draft session from its papers
+   * @param {Array} papers - Described papers
+   * @returns {Object} { title, category }
+   */
+  describeSession(papers) {
+    const counts = new Map();
+    papers.forEach(paper => counts.set(paper.discipline, (counts.get(paper.discipline) || 0) + 1));
+    const disciplines = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([discipline]) => discipline);
+
+    const category = papers.every(paper => paper.submission.isStudentResearch)
+      ? 'Student Research'
+      : DISCIPLINE_CATEGORIES[disciplines[0]] || 'General Business';
+
+    return {
+      title: `${disciplines.slice(0, 2).map(disciplineLabel).join(' and ')} Research`,
+      category
+    };
+  }
+
+  /**
+   * Solve and save a draft schedule
+   * Unlocked drafts from an earlier run are replaced; locked drafts and
+   * sessions already on the program are left alone.
+   * @param {Object} conference - Conference document
+   * @param {Object} options - { rooms, slots, maxPresentations, dryRun }
+   * @returns {Promise<Object>} { sessions, unplaced, placed, score }
+   */
+  async run(conference, { rooms, slots, maxPresentations, dryRun = false }) {
+    const { papers, cells, busy, releasedDrafts } = await this.loadProblem(conference, { rooms, slots, maxPresentations });
+    const { unplaced, score } = this.solve(papers, cells, busy);
+    const filled = cells.filter(cell => cell.papers.length > 0);
+
+    const describe = (cell, session) => ({
+      sessionId: session ? session._id : null,
+      sessionNumber: session ? session.sessionNumber : null,
+      ...this.describeSession(cell.papers),
+      date: cell.slot.date,
+      startTime: cell.slot.startTime,
+      endTime: cell.slot.endTime,
+      room: cell.room.name,
+      score: this.scoreCell(cell),
+      papers: cell.papers.map(paper => ({
+        submissionId: paper.submission._id,
+        title: paper.submission.title,
+        discipline: paper.discipline,
+        locked: cell.pinned.has(paper.id)
+      }))
+    });
+
+    const summary = {
+      placed: filled.reduce((count, cell) => count + cell.papers.length - cell.pinned.size, 0),
+      unplaced: unplaced.map(({ paper, reason }) => ({
+        submissionId: paper.submission._id,
+        submissionNumber: paper.submission.submissionNumber,
+        title: paper.submission.title,
+        reason
+      })),
+      score
+    };
+
+    if (dryRun) {
+      return { ...summary, sessions: filled.map(cell => describe(cell, cell.draft)) };
+    }
+
+    // Drafts the new schedule does not use are discarded
+    const emptied = cells.filter(cell => cell.draft && cell.papers.length === 0).map(cell => cell.draft);
+    await Session.deleteMany({ _id: { $in: [...releasedDrafts, ...emptied].map(session => session._id) } });
+
+    const last = await Session.findOne({ conferenceId: conference._id }).sort({ sessionNumber: -1 }).select('sessionNumber');
+    let nextNumber = last ? last.sessionNumber + 1 : 1;
+    const sessions = [];
+
+    for (const cell of filled) {
+      const session = cell.draft || new Session({
+        sessionNumber: nextNumber++,
+        conferenceId: conference._id,
+        conferenceYear: conference.year,
+        date: cell.slot.date,
+        startTime: cell.slot.startTime,
+        endTime: cell.slot.endTime,
+        location: {
+          roomId: cell.room.roomId,
+          room: cell.room.name,
+          building: cell.room.building,
+          venue: cell.room.venue,
+          floor: cell.room.floor
+        },
+        scheduling: { source: 'solver', isDraft: true }
+      });
+
+      Object.assign(session, this.describeSession(cell.papers));
+      session.scheduling.draftSubmissions = cell.papers.map(paper => paper.submission._id);
+      session.scheduling.score = this.scoreCell(cell);
+      session.scheduling.solvedAt = new Date();
+      await session.save();
+
+      sessions.push(describe(cell, session));
+    }
+
+    logger.info('Draft schedule solved', {
+      service: 'ScheduleSolverService',
+      method: 'run',
+      conferenceId: conference._id,
+      sessions: sessions.length,
+      placed: summary.placed,
+      unplaced: summary.unplaced.length
+    });
+
+    return { ...summary, sessions };
+  }
+}
+
+module.exports = new ScheduleSolverService();
@@ -0,0 +1,195 @@
+const ResearchPresentation = require('../models/ResearchPresentation');
+const Session = require('../models/Session');
+const ConferenceRegistration = require('../models/ConferenceRegistration');
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+
+/**
+ * Submission Withdrawal Service
+ * Withdraws a research submission at its author's request and cleans up the
+ * records that depend on it: the scheduled presentation is taken out of its
+ * session, pending review invitations are released, the author's conference
+ * registration is flagged for re-evaluation and everyone working on the
+ * submission is told.
+ */
+
+// Reviewers in these states have been told about the submission and should hear it is gone
+const NOTIFIED_REVIEWER_STATUSES = ['invited', 'accepted', 'overdue', 'completed'];
+
+class SubmissionWithdrawalService {
+  /**
+   * Withdraw a submission and clean up its downstream records
+   * @param {Object} submission - ResearchSubmission document
+   * @param {Object} user - Corresponding author withdrawing the submission
+   * @param {string} reason - Why the submission is withdrawn
+   * @returns {Object} Summary of what was cleaned up
+   */
+  async withdraw(submission, user, reason) {
+    // Collect reviewers before the transition releases their invitations
+    const reviewers = submission.reviewWorkflow.reviewers
+      .filter(r => NOTIFIED_REVIEWER_STATUSES.includes(r.status));
+    const reviewerIds = reviewers.map(r => r.userId.toString());
+    const releasedReviews = reviewers.filter(r => r.status !== 'completed').length;
+    const previousStatus = submission.status;
+
+    submission.transitionStatus('withdrawn', { changedBy: user._id, role: 'author', reason });
+    await submission.save();
+
+    const sessions = await this.removeFromSessions(submission);
+    const registration = await this.flagRegistration(submission, reason);
+
+    const editorId = submission.reviewWorkflow.editor.userId;
+    const chairIds = sessions
+      .filter(session => session.chair && session.chair.userId)
+      .map(session => session.chair.userId.toString());
+
+    const notified = await this.notify(submission, {
+      editorId: editorId ? editorId.toString() : null,
+      reviewerIds,
+      chairIds,
+      sessions,
+      reason
+    });
+
+    logger.info('Research submission withdrawn', {
+      submissionId: submission._id.toString(),
+      previousStatus,
+      releasedReviews,
+      sessionsUpdated: sessions.length,
+      registrationFlagged: Boolean(registration),
+      service: 'SubmissionWithdrawalService',
+      method: 'withdraw'
+    });
+
+    return {
+      previousStatus,
+      releasedReviews,
+      sessions: sessions.map(session => ({ _id: session._id, title: session.title })),
+      registrationFlagged: Boolean(registration),
+      notified
+    };
+  }
+
+  /**
+   * Take the submission's presentations out of their sessions and mark them withdrawn
+   * @param {Object} submission - ResearchSubmission document
+   * @returns {Array} Sessions the presentations were removed from
+   */
+  async removeFromSessions(submission) {
+    const presentations = await ResearchPresentation.find({ submissionId: submission._id });
+    const sessions = [];
+
+    for (const presentation of presentations) {
+      if (presentation.sessionId) {
+        const session = await Session.findById(presentation.sessionId);
+
+        if (session) {
+          session.removePresentation(presentation._id);
+          await session.save();
+          sessions.push(session);
+        }
+
+        presentation.sessionId = undefined;
+      }
+
+      presentation.status = 'withdrawn';
+      await presentation.save();
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Flag the corresponding author's registration so an admin can re-evaluate it
+   * @param {Object} submission - ResearchSubmission document
+   * @param {string} reason
+   * @returns {Object|null} The flagged registration, or null if the author has none
+   */
+  async flagRegistration(submission, reason) {
+    // Fall back to the author's registration for that year only while it is not linked to another paper
+    const registration = await ConferenceRegistration.findOne({ 'researchSubmission.submissionId': submission._id }) ||
+      await ConferenceRegistration.findOne({
+        user: submission.correspondingAuthor.userId,
+        'conference.year': submission.conferenceYear,
+        'researchSubmission.submissionId': null
+      });
+
+    if (!registration || !registration.flagSubmissionWithdrawn(submission._id, reason)) {
+      return null;
+    }
+
+    await registration.save();
+
+    return registration;
+  }
+
+  /**
+   * Tell the editor, reviewers and session chairs that the submission was withdrawn
+   * @param {Object} submission - ResearchSubmission document
+   * @param {Object} recipients - { editorId, reviewerIds, chairIds, sessions, reason }
+   * @returns {Object} Number of users notified per role
+   */
+  async notify(submission, { editorId, reviewerIds, chairIds, sessions, reason }) {
+    const base = {
+      type: 'message',
+      priority: 'normal',
+      sourceType: 'user',
+      sourceId: submission._id,
+      sourceModel: 'ResearchSubmission',
+      conferenceId: submission.conferenceId,
+      metadata: { submissionId: submission._id }
+    };
+    const title = `Submission ${submission.submissionNumber} withdrawn`;
+    const label = `"${submission.title.substring(0, 200)}" (${submission.submissionNumber})`;
+
+    const notified = { editor: 0, reviewers: 0, chairs: 0 };
+
+    try {
+      if (editorId) {
+        await Notification.createNotification({
+          ...base,
+          userId: editorId,
+          title,
+          message: `The authors withdrew ${label}. Reason: ${reason}`.substring(0, 500),
+          priority: 'high',
+          actionType: 'view',
+          actionUrl: `/admin/research/${submission._id}`
+        });
+        notified.editor = 1;
+      }
+
+      const reviewers = [...new Set(reviewerIds)].filter(id => id !== editorId);
+      if (reviewers.length > 0) {
+        await Notification.createBulkNotifications(reviewers, {
+          ...base,
+          title,
+          message: `The authors withdrew ${label}. Any review still pending for it is no longer needed.`
+        });
+        notified.reviewers = reviewers.length;
+      }
+
+      const chairs = [...new Set(chairIds)];
+      if (chairs.length > 0) {
+        const sessionTitles = sessions.map(session => session.title).join(', ');
+        await Notification.createBulkNotifications(chairs, {
+          ...base,
+          type: 'schedule_change',
+          title,
+          message: `${label} was withdrawn and removed from your session: ${sessionTitles}`.substring(0, 500)
+        });
+        notified.chairs = chairs.length;
+      }
+    } catch (error) {
+      logger.error('Failed to send withdrawal notifications', {
+        error: error.message,
+        submissionId: submission._id.toString(),
+        service: 'SubmissionWithdrawalService',
+        method: 'notify'
+      });
+    }
+
+    return notified;
+  }
+}
+
+module.exports = new SubmissionWithdrawalService();
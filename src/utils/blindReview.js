@@ -0,0 +1,86 @@
+/**
+ * Blind Review Utilities
+ *
+ * Helpers for conferences running double-blind review. Reviewers of such
+ * conferences must never see who wrote a paper, so every reviewer-facing
+ * payload is passed through anonymizeSubmission before it is returned.
+ */
+
+// Fields on a ResearchSubmission that identify the authors
+const IDENTIFYING_FIELDS = [
+  'correspondingAuthor',
+  'coAuthors',
+  'facultySponsors',
+  'associatedUsers',
+  'presentationDetails',
+  'notifications',
+  'proceedings',
+  'allAuthors',
+  'authorList',
+  'paperVersions',
+  'statusHistory',
+  'sponsorApprovalLog'
+];
+
+/**
+ * Check whether a conference runs double-blind review
+ * @param {Object} conference - Conference document or plain object (may be an unpopulated id)
+ * @returns {boolean}
+ */
+const isBlindReviewEnabled = (conference) => {
+  return Boolean(conference && conference.reviewSettings && conference.reviewSettings.blindReview);
+};
+
+/**
+ * Strip author identities, affiliations and associated users from a submission
+ * @param {Object} submission - Submission document or plain object
+ * @returns {Object} Anonymized plain object
+ */
+const anonymizeSubmission = (submission) => {
+  const data = typeof submission.toObject === 'function'
+    ? submission.toObject()
+    : { ...submission };
+
+  IDENTIFYING_FIELDS.forEach(field => {
+    delete data[field];
+  });
+
+  // Original filenames frequently carry the author's name
+  if (data.paperUpload) {
+    data.paperUpload = {
+      fileSize: data.paperUpload.fileSize,
+      uploadDate: data.paperUpload.uploadDate
+    };
+  }
+
+  if (data.supportingDocuments) {
+    data.supportingDocuments = data.supportingDocuments
+      .filter(doc => doc && typeof doc === 'object')
+      .map(doc => ({
+        _id: doc._id,
+        type: doc.type,
+        description: doc.description
+      }));
+  }
+
+  // Revision files keep only what reviewers need to request a download
+  // reviewWorkflow is copied first so a plain-object caller keeps its own revision requests
+  if (data.reviewWorkflow && data.reviewWorkflow.revisionRequests) {
+    data.reviewWorkflow = { ...data.reviewWorkflow };
+    data.reviewWorkflow.revisionRequests = data.reviewWorkflow.revisionRequests.map(request => ({
+      ...request,
+      submittedBy: undefined,
+      revisedPaper: request.revisedPaper ? { uploadDate: request.revisedPaper.uploadDate } : undefined,
+      responseLetter: request.responseLetter ? { uploadDate: request.responseLetter.uploadDate } : undefined
+    }));
+  }
+
+  data.isBlindReview = true;
+
+  return data;
+};
+
+module.exports = {
+  isBlindReviewEnabled,
+  anonymizeSubmission
+};
@@ -0,0 +1,167 @@
+/**
+ * Citation Format Utilities
+ *
+ * Serializes citation records for reference managers. Records are CSL-JSON
+ * items (the format Zotero, Mendeley and citeproc use natively); BibTeX and
+ * RIS are derived from them so all three formats always describe a paper the
+ * same way.
+ */
+
+const CITATION_FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  csl: { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json' }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// CSL item types and the BibTeX and RIS types they map to
+const TYPE_MAP = {
+  'paper-conference': { bibtex: 'inproceedings', ris: 'CPAPER' },
+  speech: { bibtex: 'misc', ris: 'CPAPER' }
+};
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+// One pass, so the braces of \textbackslash{} are not escaped again
+const escapeBibtex = (value) => String(value)
+  .replace(/[\\~^{}&%$#_]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+
+const getDateParts = (item) => (item.issued && item.issued['date-parts'] && item.issued['date-parts'][0]) || [];
+
+/**
+ * Build a BibTeX key like "smith2024supply", unique within one export
+ * @param {Object} item - CSL item
+ * @param {Set} used - Keys already used in the export
+ * @returns {string}
+ */
+const buildBibtexKey = (item, used) => {
+  const ascii = (value) => String(value || '').normalize('NFKD').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  const family = item.author && item.author[0] ? ascii(item.author[0].family) : 'sobie';
+  const year = getDateParts(item)[0] || '';
+  const word = String(item.title || '').split(/\s+/)
+    .map(ascii)
+    .find(w => w.length > 3) || '';
+
+  const base = `${family}${year}${word}` || 'sobie';
+  let key = base;
+  for (let suffix = 0; used.has(key); suffix++) {
+    key = `${base}${suffix < 26 ? String.fromCharCode(97 + suffix) : suffix}`;
+  }
+  used.add(key);
+
+  return key;
+};
+
+/**
+ * Format CSL items as BibTeX entries
+ * @param {Array} items - CSL items
+ * @returns {string}
+ */
+const formatBibtex = (items) => {
+  const used = new Set();
+
+  return items.map(item => {
+    const [year, month] = getDateParts(item);
+    const type = (TYPE_MAP[item.type] || TYPE_MAP.speech).bibtex;
+    const fields = [
+      ['author', (item.author || []).map(a => `${escapeBibtex(a.family)}, ${escapeBibtex(a.given)}`).join(' and ')],
+      // Double braces keep reference managers from changing the title's case
+      ['title', item.title && `{${escapeBibtex(item.title)}}`],
+      ['booktitle', type === 'inproceedings' && item['container-title'] && escapeBibtex(item['container-title'])],
+      ['howpublished', type === 'misc' && item['event-title'] && `Presented at ${escapeBibtex(item['event-title'])}${item['event-place'] ? `, ${escapeBibtex(item['event-place'])}` : ''}`],
+      ['year', year],
+      ['month', month && MONTHS[month - 1]],
+      ['volume', item.volume && escapeBibtex(item.volume)],
+      ['number', item.issue && escapeBibtex(item.issue)],
+      ['pages', item.page && item.page.replace('-', '--')],
+      ['publisher', item.publisher && escapeBibtex(item.publisher)],
+      ['address', type === 'inproceedings' && item['event-place'] && escapeBibtex(item['event-place'])],
+      ['doi', item.DOI],
+      ['url', item.URL],
+      ['keywords', item.keyword && escapeBibtex(item.keyword)],
+      ['note', item.genre && escapeBibtex(item.genre)]
+    ].filter(([, value]) => value);
+
+    const body = fields
+      .map(([name, value]) => name === 'month' ? `  ${name} = ${value}` : `  ${name} = {${value}}`)
+      .join(',\n');
+
+    return `@${type}{${buildBibtexKey(item, used)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Format CSL items as RIS records
+ * @param {Array} items - CSL items
+ * @returns {string}
+ */
+const formatRis = (items) => items.map(item => {
+  const [year, month, day] = getDateParts(item);
+  const [startPage, endPage] = item.page ? item.page.split('-') : [];
+  const lines = [['TY', (TYPE_MAP[item.type] || TYPE_MAP.speech).ris]];
+  const add = (tag, value) => {
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push([tag, String(value).replace(/\s+/g, ' ').trim()]);
+    }
+  };
+
+  (item.author || []).forEach(author => add('AU', `${author.family}, ${author.given}`));
+  add('TI', item.title);
+  add('T2', item['container-title'] || item['event-title']);
+  add('PY', year);
+  if (year) {
+    add('DA', `${year}/${month ? String(month).padStart(2, '0') : ''}/${day ? String(day).padStart(2, '0') : ''}/`);
+  }
+  add('SP', startPage);
+  add('EP', endPage);
+  add('VL', item.volume);
+  add('IS', item.issue);
+  add('PB', item.publisher);
+  add('CY', item['event-place']);
+  add('DO', item.DOI);
+  add('UR', item.URL);
+  (item.keyword ? item.keyword.split(/,\s*/) : []).forEach(keyword => add('KW', keyword));
+  add('AB', item.abstract);
+  add('M3', item.genre);
+  lines.push(['ER', '']);
+
+  // RIS requires "TAG  - value" lines separated by CRLF
+  return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n');
+}).join('\r\n\r\n') + '\r\n';
+
+/**
+ * Format CSL items as CSL-JSON
+ * @param {Array} items - CSL items
+ * @returns {string}
+ */
+const formatCslJson = (items) => JSON.stringify(items, null, 2);
+
+/**
+ * Serialize CSL items in the requested format
+ * @param {Array} items - CSL items
+ * @param {string} format - bibtex, ris or csl
+ * @returns {string}
+ */
+const formatCitations = (items, format) => {
+  switch (format) {
+    case 'ris':
+      return formatRis(items);
+    case 'csl':
+      return formatCslJson(items);
+    default:
+      return formatBibtex(items);
+  }
+};
+
+module.exports = {
+  CITATION_FORMATS,
+  formatBibtex,
+  formatRis,
+  formatCslJson,
+  formatCitations
+};
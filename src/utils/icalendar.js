@@ -0,0 +1,160 @@
+/**
+ * iCalendar Utilities
+ *
+ * Serializes events as iCalendar (RFC 5545) feeds. Session times are stored
+ * as wall-clock times in the conference's time zone, so they are converted
+ * to UTC here; every client then shows them in its own zone without needing
+ * VTIMEZONE definitions.
+ */
+
+const PRODUCT_ID = '-//SOBIE//Conference Program//EN';
+
+// Feeds tell subscribing clients how often to refresh
+const REFRESH_INTERVAL = 'PT1H';
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2}) (AM|PM)$/;
+
+/**
+ * Convert "9:00 AM" to minutes since midnight
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseClockTime = (value) => {
+  const match = TIME_PATTERN.exec((value || '').trim());
+  if (!match) return null;
+  return (parseInt(match[1]) % 12) * 60 + parseInt(match[2]) + (match[3] === 'PM' ? 12 * 60 : 0);
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in minutes
+ * @param {Date} instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number}
+ */
+const getZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((values, part) => {
+    values[part.type] = parseInt(part.value);
+    return values;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - instant.getTime()) / 60000);
+};
+
+/**
+ * The UTC instant of a wall-clock time in a time zone
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateKey, minutes, timeZone) => {
+  const wallClock = new Date(`${dateKey}T00:00:00.000Z`).getTime() + minutes * 60000;
+
+  // A second pass settles times next to a daylight saving change
+  let instant = new Date(wallClock - getZoneOffset(new Date(wallClock), timeZone) * 60000);
+  instant = new Date(wallClock - getZoneOffset(instant, timeZone) * 60000);
+
+  return instant;
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, as RFC 5545 requires
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    if (size + length > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar feed
+ * @param {Object} calendar - { name, description, timeZone, events }
+ *   events: [{ uid, start, end, allDay, summary, description, location, categories, status, lastModified, url }]
+ *   All-day events take their date from start, in UTC.
+ * @returns {string}
+ */
+const buildCalendar = ({ name, description, timeZone, events }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      ...(event.allDay
+        ? [`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(new Date(new Date(event.start).getTime() + 24 * 60 * 60 * 1000))}`]
+        : [`DTSTART:${formatUtc(event.start)}`, `DTEND:${formatUtc(event.end)}`]),
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.categories && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseClockTime,
+  getZoneOffset,
+  zonedTimeToUtc,
+  formatUtc,
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,188 @@
+/**
+ * Review Rubric Utilities
+ *
+ * Conferences can define their own review rubric (optionally one per
+ * presentation type) in Conference.reviewSettings.rubrics. When none is
+ * configured the original five-criterion form is used.
+ */
+
+const DEFAULT_RUBRIC_CRITERIA = [
+  { key: 'relevance', label: 'Relevance', weight: 1, minScore: 1, maxScore: 5, commentsRequired: false },
+  { key: 'methodology', label: 'Methodology', weight: 1, minScore: 1, maxScore: 5, commentsRequired: false },
+  { key: 'originality', label: 'Originality', weight: 1, minScore: 1, maxScore: 5, commentsRequired: false },
+  { key: 'clarity', label: 'Clarity', weight: 1, minScore: 1, maxScore: 5, commentsRequired: false },
+  { key: 'significance', label: 'Significance', weight: 1, minScore: 1, maxScore: 5, commentsRequired: false }
+];
+
+const DEFAULT_RUBRIC = {
+  presentationType: null,
+  criteria: DEFAULT_RUBRIC_CRITERIA,
+  requireAuthorComments: false,
+  requireConfidentialComments: false,
+  isDefault: true
+};
+
+const toPlainObject = (value) => {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+};
+
+/**
+ * Get the rubric that applies to a submission
+ * A rubric for the submission's presentation type wins over the conference-wide rubric
+ * @param {Object} conference - Conference document (must include reviewSettings)
+ * @param {string} presentationType - Submission presentation type
+ * @returns {Object} Rubric
+ */
+const getRubric = (conference, presentationType) => {
+  const rubrics = conference?.reviewSettings?.rubrics || [];
+
+  const rubric = rubrics.find(r => r.presentationType === presentationType) ||
+    rubrics.find(r => !r.presentationType);
+
+  return rubric ? { ...toPlainObject(rubric), isDefault: false } : DEFAULT_RUBRIC;
+};
+
+/**
+ * Validate a review against a rubric
+ * @param {Object} rubric - Rubric from getRubric
+ * @param {Object} reviewData - { criteria, authorComments, confidentialComments }
+ * @returns {string[]} Validation errors (empty when the review is valid)
+ */
+const validateReview = (rubric, reviewData) => {
+  const errors = [];
+  const criteria = reviewData.criteria || {};
+  const rubricKeys = rubric.criteria.map(c => c.key);
+
+  Object.keys(criteria)
+    .filter(key => !rubricKeys.includes(key))
+    .forEach(key => errors.push(`Unknown review criterion: ${key}`));
+
+  rubric.criteria.forEach(criterion => {
+    const entry = criteria[criterion.key];
+    const score = entry ? Number(entry.score) : NaN;
+
+    if (!entry || entry.score === undefined || entry.score === null || Number.isNaN(score)) {
+      errors.push(`${criterion.label} score is required`);
+    } else if (score < criterion.minScore || score > criterion.maxScore) {
+      errors.push(`${criterion.label} score must be between ${criterion.minScore} and ${criterion.maxScore}`);
+    }
+
+    if (criterion.commentsRequired && !(entry && entry.comments && entry.comments.trim())) {
+      errors.push(`${criterion.label} comments are required`);
+    }
+  });
+
+  if (rubric.requireAuthorComments && !(reviewData.authorComments && reviewData.authorComments.trim())) {
+    errors.push('Comments to the author are required');
+  }
+
+  if (rubric.requireConfidentialComments && !(reviewData.confidentialComments && reviewData.confidentialComments.trim())) {
+    errors.push('Confidential comments to the editor are required');
+  }
+
+  return errors;
+};
+
+/**
+ * Score a review against a rubric
+ * Each criterion score is normalized to 0-1 on its own scale, then the
+ * normalized scores are averaged using the criterion weights.
+ * @param {Object} rubric - Rubric from getRubric
+ * @param {Object} criteria - { [key]: { score, comments } }
+ * @returns {Object} { rubricScores, weightedScore }
+ */
+const scoreReview = (rubric, criteria = {}) => {
+  const rubricScores = rubric.criteria.map(criterion => ({
+    criterion: criterion.key,
+    label: criterion.label,
+    score: Number(criteria[criterion.key].score),
+    minScore: criterion.minScore,
+    maxScore: criterion.maxScore,
+    weight: criterion.weight,
+    comments: criteria[criterion.key].comments
+  }));
+
+  return {
+    rubricScores,
+    weightedScore: calculateWeightedScore(rubricScores)
+  };
+};
+
+/**
+ * Calculate a 0-1 weighted score from stored rubric scores
+ * @param {Array} rubricScores - [{ score, minScore, maxScore, weight }]
+ * @returns {number|null}
+ */
+const calculateWeightedScore = (rubricScores) => {
+  let weightedTotal = 0;
+  let totalWeight = 0;
+
+  rubricScores.forEach(entry => {
+    const range = entry.maxScore - entry.minScore;
+    if (typeof entry.score !== 'number' || range <= 0 || !entry.weight) return;
+
+    weightedTotal += ((entry.score - entry.minScore) / range) * entry.weight;
+    totalWeight += entry.weight;
+  });
+
+  return totalWeight > 0 ? Math.round((weightedTotal / totalWeight) * 1000) / 1000 : null;
+};
+
+/**
+ * Get the 0-1 weighted score of a completed review
+ * Reviews submitted before rubrics existed fall back to the default criteria,
+ * then to the 1-5 overall score.
+ * @param {Object} review - reviewWorkflow.reviewers[].review
+ * @returns {number|null}
+ */
+const getReviewWeightedScore = (review) => {
+  if (!review) return null;
+
+  if (typeof review.weightedScore === 'number') {
+    return review.weightedScore;
+  }
+
+  if (review.criteria) {
+    const legacyScores = DEFAULT_RUBRIC_CRITERIA.map(criterion => ({
+      score: review.criteria[criterion.key]?.score,
+      minScore: criterion.minScore,
+      maxScore: criterion.maxScore,
+      weight: criterion.weight
+    }));
+
+    const legacyScore = calculateWeightedScore(legacyScores);
+    if (legacyScore !== null) return legacyScore;
+  }
+
+  if (typeof review.overallScore === 'number') {
+    return (review.overallScore - 1) / 4;
+  }
+
+  return null;
+};
+
+/**
+ * Get the average weighted score of a submission's completed reviews
+ * @param {Object} submission - ResearchSubmission document
+ * @returns {number|null}
+ */
+const getSubmissionWeightedScore = (submission) => {
+  const scores = (submission.reviewWorkflow?.reviewers || [])
+    .filter(r => r.status === 'completed')
+    .map(r => getReviewWeightedScore(r.review))
+    .filter(score => score !== null);
+
+  if (scores.length === 0) return null;
+
+  return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000;
+};
+
+module.exports = {
+  DEFAULT_RUBRIC_CRITERIA,
+  getRubric,
+  validateReview,
+  scoreReview,
+  calculateWeightedScore,
+  getReviewWeightedScore,
+  getSubmissionWeightedScore
+};
@@ -0,0 +1,144 @@
+/**
+ * Submission Deadline Utilities
+ *
+ * Works out the call for papers windows that apply to a submission. Each
+ * conference sets abstract, full paper, revision and camera-ready deadlines
+ * plus a grace period; an editor may extend any of them for a single
+ * submission, in which case the extension replaces the deadline and grace
+ * period for that submission.
+ */
+
+// Deadline types and the Conference.callForPapers field holding each one
+const DEADLINE_FIELDS = {
+  abstract: 'abstractDeadline',
+  full_paper: 'fullPaperDeadline',
+  revision: 'revisionDeadline',
+  camera_ready: 'cameraReadyDeadline'
+};
+
+const DEADLINE_LABELS = {
+  abstract: 'abstract',
+  full_paper: 'full paper',
+  revision: 'revision',
+  camera_ready: 'camera-ready'
+};
+
+// Windows that only open once the call for papers opens
+const CFP_OPENING_TYPES = ['abstract', 'full_paper'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Find the pending revision request of a submission, if any
+ * @param {Object} submission - ResearchSubmission document
+ * @returns {Object|null}
+ */
+const getPendingRevisionRequest = (submission) => {
+  const requests = (submission && submission.reviewWorkflow && submission.reviewWorkflow.revisionRequests) || [];
+  return requests.filter(r => r.status === 'pending').pop() || null;
+};
+
+/**
+ * Work out one deadline window for a submission
+ * @param {Object} conference - Conference document (may lack callForPapers)
+ * @param {Object|null} submission - ResearchSubmission document, or null before one exists
+ * @param {string} deadlineType - abstract, full_paper, revision or camera_ready
+ * @param {Object} options - { revisionRequest, now }
+ * @returns {Object} { deadlineType, opensDate, deadline, closesAt, gracePeriodHours, extension, isOpen, notYetOpen, inGracePeriod }
+ */
+const getDeadlineWindow = (conference, submission, deadlineType, options = {}) => {
+  const now = options.now || new Date();
+  const cfp = (conference && conference.callForPapers) || {};
+  const gracePeriodHours = cfp.gracePeriodHours || 0;
+
+  let deadline = cfp[DEADLINE_FIELDS[deadlineType]] || null;
+
+  // Revision requests carry their own deadline
+  if (deadlineType === 'revision') {
+    const request = options.revisionRequest || getPendingRevisionRequest(submission);
+    if (request && request.deadline) deadline = request.deadline;
+  }
+
+  const extension = submission && typeof submission.getDeadlineExtension === 'function'
+    ? submission.getDeadlineExtension(deadlineType)
+    : null;
+
+  let closesAt = null;
+  if (extension) {
+    closesAt = new Date(extension.extendedUntil);
+  } else if (deadline) {
+    closesAt = new Date(new Date(deadline).getTime() + gracePeriodHours * HOUR_MS);
+  }
+
+  const opensDate = CFP_OPENING_TYPES.includes(deadlineType) ? cfp.opensDate || null : null;
+  const hasOpened = !opensDate || now >= opensDate;
+  const hasClosed = Boolean(closesAt) && now > closesAt;
+
+  return {
+    deadlineType,
+    opensDate,
+    deadline,
+    closesAt,
+    gracePeriodHours: extension ? 0 : gracePeriodHours,
+    extension: extension
+      ? { extendedUntil: extension.extendedUntil, reason: extension.reason, grantedDate: extension.grantedDate }
+      : null,
+    isOpen: hasOpened && !hasClosed,
+    notYetOpen: !hasOpened,
+    inGracePeriod: !extension && Boolean(deadline) && now > deadline && !hasClosed
+  };
+};
+
+/**
+ * Returns a reason a deadline window is closed, or null if it is open
+ * @param {Object} window - Result of getDeadlineWindow
+ * @returns {string|null}
+ */
+const getDeadlineError = (window) => {
+  if (window.isOpen) return null;
+
+  const label = DEADLINE_LABELS[window.deadlineType];
+
+  if (window.notYetOpen) {
+    return `The call for papers opens on ${window.opensDate.toISOString()}`;
+  }
+
+  return `The ${label} deadline passed on ${window.closesAt.toISOString()}`;
+};
+
+/**
+ * Build the author-facing countdown for the windows that matter to a submission now
+ * @param {Object} conference - Conference document
+ * @param {Object} submission - ResearchSubmission document
+ * @param {Date} [now]
+ * @returns {Array} Windows with secondsRemaining, soonest first
+ */
+const getDeadlineCountdown = (conference, submission, now = new Date()) => {
+  const types = [];
+
+  if (submission.status === 'draft') {
+    types.push('full_paper');
+  } else if (submission.status === 'pending_revision') {
+    types.push('revision');
+  } else if (submission.status === 'accepted') {
+    types.push('camera_ready');
+  }
+
+  return types
+    .map(type => getDeadlineWindow(conference, submission, type, { now }))
+    .filter(window => window.closesAt)
+    .map(window => ({
+      ...window,
+      label: DEADLINE_LABELS[window.deadlineType],
+      secondsRemaining: Math.max(0, Math.floor((window.closesAt.getTime() - now.getTime()) / 1000))
+    }))
+    .sort((a, b) => a.closesAt - b.closesAt);
+};
+
+module.exports = {
+  DEADLINE_FIELDS,
+  getPendingRevisionRequest,
+  getDeadlineWindow,
+  getDeadlineError,
+  getDeadlineCountdown
+};
@@ -0,0 +1,267 @@
+/**
+ * Submission Status Workflow
+ *
+ * The single source of truth for how a research submission moves between
+ * statuses. Every status change goes through ResearchSubmission's
+ * transitionStatus method, which checks the change against the table below,
+ * checks that the actor is allowed to make it and that the submission meets
+ * its guards, applies its side effects and records it in the submission's
+ * statusHistory.
+ */
+const { AppError } = require('./AppError');
+
+// Who can trigger a transition. Admins may trigger any allowed transition.
+const STATUS_ROLES = ['author', 'editor', 'admin', 'system'];
+
+// Reviewers who still owe a review
+const PENDING_REVIEWER_STATUSES = ['invited', 'accepted', 'overdue'];
+
+// Side effects applied to the submission once a transition has been made
+const STATUS_EFFECTS = {
+  recordSubmissionDate: (submission, { changedDate }) => {
+    if (!submission.initialSubmissionDate) {
+      submission.initialSubmissionDate = changedDate;
+    }
+  },
+  // Reviewers who have not finished their review are no longer needed
+  releasePendingReviews: (submission, { changedDate }) => {
+    submission.reviewWorkflow.reviewers
+      .filter(r => PENDING_REVIEWER_STATUSES.includes(r.status))
+      .forEach(r => {
+        r.status = 'released';
+        r.releasedDate = changedDate;
+      });
+  }
+};
+
+// Conditions the submission must meet before a transition; each returns a reason it
+// is not met, or null
+const STATUS_GUARDS = {
+  sponsorApproval: (submission) => {
+    if (!submission.isStudentResearch || submission.hasSponsorApproval()) return null;
+    return 'Student research must be approved by a faculty sponsor before it can be submitted';
+  }
+};
+
+// Allowed transitions: from status -> to status -> { roles, guards, effects }
+const STATUS_TRANSITIONS = {
+  draft: {
+    submitted: { roles: ['author'], guards: ['sponsorApproval'], effects: ['recordSubmissionDate'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  submitted: {
+    under_review: { roles: ['editor'] },
+    rejected: { roles: ['editor'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  under_review: {
+    pending_revision: { roles: ['editor'] },
+    accepted: { roles: ['editor'] },
+    rejected: { roles: ['editor'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  pending_revision: {
+    revised: { roles: ['author'] },
+    accepted: { roles: ['editor'] },
+    rejected: { roles: ['editor'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  revised: {
+    pending_revision: { roles: ['editor'] },
+    accepted: { roles: ['editor'] },
+    rejected: { roles: ['editor'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  accepted: {
+    presented: { roles: ['editor', 'system'] },
+    withdrawn: { roles: ['author'], effects: ['releasePendingReviews'] }
+  },
+  presented: {
+    proceedings_invited: { roles: ['editor'] }
+  },
+  proceedings_invited: {
+    proceedings_submitted: { roles: ['author'] },
+    // The author declined the proceedings invitation
+    presented: { roles: ['author'] }
+  },
+  proceedings_submitted: {
+    proceedings_under_review: { roles: ['editor'] }
+  },
+  proceedings_under_review: {
+    proceedings_revision_required: { roles: ['editor'] },
+    proceedings_accepted: { roles: ['editor'] },
+    proceedings_rejected: { roles: ['editor'] }
+  },
+  proceedings_revision_required: {
+    proceedings_revised: { roles: ['author'] }
+  },
+  proceedings_revised: {
+    proceedings_under_review: { roles: ['editor'] },
+    proceedings_revision_required: { roles: ['editor'] },
+    proceedings_accepted: { roles: ['editor'] },
+    proceedings_rejected: { roles: ['editor'] }
+  },
+  proceedings_accepted: {
+    published: { roles: ['editor'] }
+  },
+  rejected: {},
+  withdrawn: {},
+  proceedings_rejected: {},
+  published: {}
+};
+
+const isRoleAllowed = (transition, role) => {
+  return role === 'admin' || transition.roles.includes(role);
+};
+
+/**
+ * List the statuses a submission can move to from its current status
+ * @param {string} from - Current status
+ * @param {string} [role] - Only include transitions this role may trigger
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (from, role = null) => {
+  const transitions = STATUS_TRANSITIONS[from] || {};
+
+  return Object.keys(transitions).filter(to => !role || isRoleAllowed(transitions[to], role));
+};
+
+/**
+ * Check whether a role may move a submission from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @param {string} role - One of STATUS_ROLES
+ * @returns {boolean}
+ */
+const canTransition = (from, to, role) => {
+  const transition = STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from][to];
+  return Boolean(transition) && isRoleAllowed(transition, role);
+};
+
+/**
+ * Look up a transition, throwing when it is not allowed
+ * @param {string} from
+ * @param {string} to
+ * @param {string} role - One of STATUS_ROLES
+ * @returns {Object} Transition definition { roles, effects }
+ * @throws {AppError} 400 for unknown or invalid transitions, 403 when the role may not trigger it
+ */
+const assertTransition = (from, to, role) => {
+  if (!STATUS_TRANSITIONS[to]) {
+    throw AppError.badRequest(`Unknown submission status: ${to}`, 'INVALID_STATUS', { status: to });
+  }
+
+  if (!STATUS_ROLES.includes(role)) {
+    throw AppError.badRequest(`Unknown status change role: ${role}`, 'INVALID_STATUS_ROLE', { role });
+  }
+
+  const transition = STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from][to];
+
+  if (!transition) {
+    throw AppError.badRequest(
+      `A submission cannot move from ${from} to ${to}`,
+      'INVALID_STATUS_TRANSITION',
+      { from, to, allowed: getAllowedTransitions(from) }
+    );
+  }
+
+  if (!isRoleAllowed(transition, role)) {
+    throw AppError.forbidden(
+      `Moving a submission from ${from} to ${to} requires the ${transition.roles.join(' or ')} role`,
+      'STATUS_TRANSITION_NOT_PERMITTED',
+      { from, to, role }
+    );
+  }
+
+  return transition;
+};
+
+/**
+ * Check a submission meets a transition's guards, throwing when one fails
+ * @param {Object} submission - ResearchSubmission document
+ * @param {Object} transition - Transition definition from assertTransition
+ * @param {Object} context - { from, to }
+ * @throws {AppError} 400 naming the failed guard
+ */
+const assertGuards = (submission, transition, { from, to }) => {
+  for (const guard of transition.guards || []) {
+    const reason = STATUS_GUARDS[guard](submission);
+
+    if (reason) {
+      throw AppError.badRequest(reason, 'STATUS_TRANSITION_BLOCKED', { from, to, guard });
+    }
+  }
+};
+
+/**
+ * Apply a transition's side effects to a submission
+ * @param {Object} submission - ResearchSubmission document
+ * @param {Object} transition - Transition definition from assertTransition
+ * @param {Object} context - { from, to, changedBy, role, reason, changedDate }
+ */
+const applyEffects = (submission, transition, context) => {
+  (transition.effects || []).forEach(effect => STATUS_EFFECTS[effect](submission, context));
+};
+
+/**
+ * Work out which role a user acts in for a submission's status changes
+ * @param {Object} submission - ResearchSubmission document
+ * @param {Object} user - User document
+ * @returns {string|null} 'admin', 'editor', 'author' or null when unrelated
+ */
+const getStatusRole = (submission, user) => {
+  if (user.roles && user.roles.includes('admin')) return 'admin';
+
+  const userId = user._id.toString();
+  const editorId = submission.reviewWorkflow.editor.userId;
+  if (editorId && (editorId._id || editorId).toString() === userId) return 'editor';
+
+  const authorId = submission.correspondingAuthor.userId;
+  const isAuthor = (authorId && (authorId._id || authorId).toString() === userId) ||
+    submission.coAuthors.some(a => a.userId && (a.userId._id || a.userId).toString() === userId);
+
+  return isAuthor ? 'author' : null;
+};
+
+/**
+ * Check whether a reviewer still takes part in a submission's review
+ * Declined reviewers and reviewers released when the submission was withdrawn do not.
+ * @param {Object} reviewer - reviewWorkflow.reviewers entry
+ * @returns {boolean}
+ */
+const isActiveReviewer = (reviewer) => {
+  return PENDING_REVIEWER_STATUSES.includes(reviewer.status) || reviewer.status === 'completed';
+};
+
+/**
+ * Format a submission's status history for API responses
+ * @param {Array} statusHistory - Entries with changedBy optionally populated with name
+ * @returns {Array}
+ */
+const formatStatusHistory = (statusHistory) => {
+  return (statusHistory || []).map(entry => ({
+    _id: entry._id,
+    from: entry.from,
+    to: entry.to,
+    changedBy: entry.changedBy && entry.changedBy.name
+      ? `${entry.changedBy.name.firstName} ${entry.changedBy.name.lastName}`
+      : null,
+    role: entry.role,
+    reason: entry.reason,
+    changedDate: entry.changedDate
+  }));
+};
+
+module.exports = {
+  STATUS_ROLES,
+  STATUS_TRANSITIONS,
+  PENDING_REVIEWER_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  assertGuards,
+  applyEffects,
+  getStatusRole,
+  isActiveReviewer,
+  formatStatusHistory
+};